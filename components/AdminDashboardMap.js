@@ -13,6 +13,14 @@ L.Icon.Default.mergeOptions({
 
 // Import menu store to get category icons
 import { useMenuStore } from '@/stores/useMenuStore';
+import { COMPLAINT_STATUS, isDoneStatus, isValidStatus } from '@/utils/complaintStatus';
+import {
+  PRIORITY,
+  PRIORITY_COLORS,
+  PRIORITY_ORDER,
+  getPriorityMeta,
+  getPriorityRank,
+} from '@/utils/complaintPriority';
 
 const { BaseLayer } = LayersControl;
 
@@ -158,47 +166,34 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
     }
   };
 
-  const getMarkerColor = (status) => {
-    switch (status) {
-      case 'in_progress':
-      case 'อยู่ระหว่างดำเนินการ':
-        return '#3b82f6'; // blue
-      case 'completed':
-      case 'ดำเนินการเสร็จสิ้น':
-        return '#10b981'; // green
-      default: return '#3b82f6'; // blue (default to in progress)
-    }
+  // เรื่องที่ยังไม่เสร็จใช้สีตามความเร่งด่วน
+  const getMarkerColor = (complaint) => {
+    if (complaint.status === 'completed' || isDoneStatus(complaint.status)) return '#10b981'; // green
+    return PRIORITY_COLORS[complaint.priority] || '#3b82f6'; // blue (default to in progress)
   };
 
+  // เรื่องเร่งด่วนที่ยังไม่เสร็จแสดงหมุดใหญ่ขึ้นและอยู่บนสุด
+  const getOpenPriorityRank = (complaint) =>
+    isDoneStatus(complaint.status) ? 0 : getPriorityRank(complaint.priority);
+
   const getStatusIcon = (status) => {
-    switch (status) {
-      case 'in_progress':
-      case 'อยู่ระหว่างดำเนินการ':
-        return '🔄';
-      case 'completed':
-      case 'ดำเนินการเสร็จสิ้น':
-        return '✅';
-      default: return '🔄'; // default to in progress
-    }
+    if (status === 'completed' || isDoneStatus(status)) return '✅';
+    return '🔄'; // default to in progress
   };
 
   const getStatusText = (status) => {
-    switch (status) {
-      case 'in_progress':
-      case 'อยู่ระหว่างดำเนินการ':
-        return 'อยู่ระหว่างดำเนินการ';
-      case 'completed':
-      case 'ดำเนินการเสร็จสิ้น':
-        return 'ดำเนินการเสร็จสิ้น';
-      default: return 'อยู่ระหว่างดำเนินการ'; // default to in progress
-    }
+    if (status === 'completed') return COMPLAINT_STATUS.RESOLVED;
+    if (status === 'in_progress' || !isValidStatus(status)) return COMPLAINT_STATUS.IN_PROGRESS;
+    return status;
   };
 
 
 
   // Create custom icon for each marker
   const createCustomIcon = (complaint) => {
-    const markerColor = getMarkerColor(complaint.status);
+    const markerColor = getMarkerColor(complaint);
+    const isUrgent = getOpenPriorityRank(complaint) === getPriorityRank(PRIORITY.URGENT);
+    const urgentStyle = isUrgent ? 'transform: scale(1.4); border-color: #fee2e2;' : '';
     
     // Only try to get category icon if menu is loaded and not loading
     if (menu && menu.length > 0 && !menuLoading) {
@@ -209,7 +204,7 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
         return L.divIcon({
           className: 'custom-marker',
           html: `
-            <div class="marker-icon-category" style="background-color: ${markerColor};">
+            <div class="marker-icon-category" style="background-color: ${markerColor}; ${urgentStyle}">
               <img src="${categoryIcon}" alt="${complaint.category}" class="category-icon" />
             </div>
           `,
@@ -223,7 +218,7 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
     return L.divIcon({
       className: 'custom-marker',
       html: `
-        <div class="marker-icon" style="background-color: ${markerColor};">
+        <div class="marker-icon" style="background-color: ${markerColor}; ${urgentStyle}">
           ${getStatusIcon(complaint.status)}
         </div>
       `,
@@ -458,6 +453,7 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
             key={`marker-${complaint._id || complaint.id || index}`}
             position={[complaint.location.lat, complaint.location.lng]}
             icon={createCustomIcon(complaint)}
+            zIndexOffset={getOpenPriorityRank(complaint) * 1000}
             eventHandlers={{
               click: () => {
                 // ตรวจสอบว่า map พร้อมใช้งานก่อน
@@ -475,9 +471,6 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
                  <p className="popup-text">
                    <strong>รายละเอียด:</strong> {complaint.detail?.substring(0, 100) || 'ไม่มีรายละเอียด'}...
                  </p>
-                 <p className="popup-text">
-                   <strong>ผู้แจ้ง:</strong> {complaint.fullName || 'ไม่ระบุ'}
-                 </p>
                  <p className="popup-text">
                    <strong>ชุมชน:</strong> {complaint.community || 'ไม่ระบุ'}
                  </p>
@@ -487,6 +480,12 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
                      {getStatusText(complaint.status)}
                    </span>
                  </p>
+                 <p className="popup-text">
+                   <strong>ความเร่งด่วน:</strong>{' '}
+                   {complaint.priority
+                     ? `${getPriorityMeta(complaint.priority).icon} ${getPriorityMeta(complaint.priority).text}`
+                     : 'ยังไม่คัดกรอง'}
+                 </p>
                  <p className="popup-text">
                    <strong>วันที่:</strong> {new Date(complaint.timestamp || complaint.createdAt).toLocaleDateString('th-TH')}
                  </p>
@@ -526,7 +525,7 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
             <div className="space-y-1">
               <div className="flex items-center">
                 <div className="w-3 h-3 rounded-full bg-blue-500 mr-2"></div>
-                <span>ดำเนินการ</span>
+                <span>ดำเนินการ (ยังไม่คัดกรอง)</span>
               </div>
               <div className="flex items-center">
                 <div className="w-3 h-3 rounded-full bg-green-500 mr-2"></div>
@@ -534,6 +533,20 @@ const AdminDashboardMap = ({ complaints, polygons = [] }) => {
               </div>
             </div>
           </div>
+          <div>
+            <p className="font-medium mb-2">ความเร่งด่วน (เรื่องที่ยังไม่เสร็จ):</p>
+            <div className="space-y-1">
+              {PRIORITY_ORDER.map((priority) => (
+                <div key={priority} className="flex items-center">
+                  <div
+                    className="w-3 h-3 rounded-full mr-2"
+                    style={{ backgroundColor: PRIORITY_COLORS[priority] }}
+                  ></div>
+                  <span>{getPriorityMeta(priority).text}</span>
+                </div>
+              ))}
+            </div>
+          </div>
           <div>
             <p className="font-medium mb-2">หมุด:</p>
             <p className="text-gray-600">ไอคอนตามประเภทปัญหา</p>
@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import Swal from 'sweetalert2';
+import OfficerWorkload from './OfficerWorkload';
+import {
+  ASSIGNMENT_ROLE,
+  ASSIGNMENT_ROLE_META,
+  getAssignmentRole,
+  getAssignmentRoleMeta,
+} from '@/utils/assignmentRoles';
+
+/**
+ * Manage the officers on one complaint: add a lead or supporting officer,
+ * reassign an officer (with a reason) or remove them.
+ *
+ * @param {object[]} assignments - active assignments of this complaint, lead first
+ * @param {object[]} officers - users with `workload`
+ */
+export default function AssignOfficersModal({ complaint, assignments, officers, officersLoading, onClose, onChanged }) {
+  // null | { type: 'add' } | { type: 'reassign', assignment }
+  const [mode, setMode] = useState(null);
+  const [role, setRole] = useState(assignments.length ? ASSIGNMENT_ROLE.SUPPORT : ASSIGNMENT_ROLE.LEAD);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const hasLead = assignments.some((a) => getAssignmentRole(a) === ASSIGNMENT_ROLE.LEAD);
+  const assignedIds = assignments.map((a) => String(a.userId));
+  const officerName = (userId) => officers.find((u) => String(u._id) === String(userId))?.name || 'ไม่ทราบชื่อ';
+
+  const post = async (url, body) => {
+    setSaving(true);
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || data.error || 'บันทึกไม่สำเร็จ');
+      setMode(null);
+      setReason('');
+      onChanged?.();
+      return data;
+    } catch (err) {
+      Swal.fire('เกิดข้อผิดพลาด', err.message, 'error');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSelectOfficer = (user) => {
+    if (mode?.type === 'reassign') {
+      if (!reason.trim()) {
+        Swal.fire('กรุณาระบุเหตุผล', 'ต้องระบุเหตุผลในการโอนงาน', 'warning');
+        return;
+      }
+      post('/api/assignments/reassign', { assignmentId: mode.assignment._id, userId: user._id, reason });
+    } else {
+      post('/api/assignments/create', { complaintId: complaint._id, userId: user._id, role });
+    }
+  };
+
+  const handleUnassign = async (assignment) => {
+    const { value: unassignReason, isConfirmed } = await Swal.fire({
+      title: `ยกเลิกการมอบหมาย ${officerName(assignment.userId)}?`,
+      input: 'text',
+      inputLabel: 'เหตุผล',
+      inputValidator: (value) => (!value?.trim() ? 'กรุณาระบุเหตุผล' : undefined),
+      showCancelButton: true,
+      confirmButtonText: 'ยืนยัน',
+      cancelButtonText: 'ยกเลิก',
+    });
+    if (!isConfirmed) return;
+    const data = await post('/api/assignments/unassign', { assignmentId: assignment._id, reason: unassignReason });
+    if (data?.promoted) {
+      Swal.fire('เปลี่ยนผู้รับผิดชอบหลัก', `${officerName(data.promoted.userId)} เป็นผู้รับผิดชอบหลักแทน`, 'info');
+    }
+  };
+
+  return (
+    <dialog className="modal modal-open">
+      <div className="modal-box max-w-3xl">
+        <h3 className="font-bold text-lg mb-1">เจ้าหน้าที่ผู้รับผิดชอบ</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {complaint.complaintId} • {complaint.category}
+        </p>
+
+        {assignments.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">ยังไม่มีเจ้าหน้าที่รับผิดชอบ</p>
+        ) : (
+          <div className="space-y-2 mb-4">
+            {assignments.map((a) => (
+              <div
+                key={a._id}
+                className={`flex items-center justify-between gap-2 border rounded-lg p-2 ${mode?.assignment?._id === a._id ? 'border-warning' : ''}`}
+              >
+                <div className="text-sm">
+                  <span className={`badge badge-sm mr-2 ${getAssignmentRoleMeta(a).badge}`}>
+                    {getAssignmentRoleMeta(a).text}
+                  </span>
+                  <span className="font-medium">{officerName(a.userId)}</span>
+                  <span className="text-xs text-gray-500 ml-2">
+                    ตั้งแต่ {new Date(a.assignedAt).toLocaleDateString('th-TH')}
+                    {a.completedAt && ' • ทำเสร็จแล้ว'}
+                  </span>
+                </div>
+                <div className="flex gap-1">
+                  <button
+                    className="btn btn-xs btn-outline btn-warning"
+                    disabled={saving}
+                    onClick={() => {
+                      setMode({ type: 'reassign', assignment: a });
+                      setReason('');
+                    }}
+                  >
+                    โอนงาน
+                  </button>
+                  <button className="btn btn-xs btn-outline btn-error" disabled={saving} onClick={() => handleUnassign(a)}>
+                    ยกเลิก
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {mode?.type === 'reassign' ? (
+          <div className="bg-warning/10 rounded-lg p-3 mb-3 space-y-2">
+            <p className="text-sm font-medium">
+              โอนงานของ {officerName(mode.assignment.userId)} ({getAssignmentRoleMeta(mode.assignment).text}) ให้
+            </p>
+            <input
+              type="text"
+              className="input input-bordered input-sm w-full"
+              placeholder="เหตุผลในการโอนงาน (จำเป็น)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+          </div>
+        ) : (
+          <div className="flex items-center gap-2 mb-3 text-sm">
+            <span className="font-medium">เพิ่มเจ้าหน้าที่ในบทบาท</span>
+            <select className="select select-bordered select-sm" value={role} onChange={(e) => setRole(e.target.value)}>
+              {Object.values(ASSIGNMENT_ROLE).map((r) => (
+                <option key={r} value={r} disabled={r === ASSIGNMENT_ROLE.LEAD && hasLead}>
+                  {ASSIGNMENT_ROLE_META[r].text}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="max-h-72 overflow-y-auto border rounded-lg">
+          <OfficerWorkload
+            users={officers}
+            loading={officersLoading}
+            onSelect={handleSelectOfficer}
+            selectLabel={mode?.type === 'reassign' ? 'โอนให้' : 'มอบหมาย'}
+            disabledIds={assignedIds}
+          />
+        </div>
+
+        <div className="modal-action">
+          {mode && (
+            <button className="btn btn-ghost" onClick={() => setMode(null)}>
+              ยกเลิกการโอน
+            </button>
+          )}
+          <button className="btn" onClick={onClose}>ปิด</button>
+        </div>
+      </div>
+    </dialog>
+  );
+}
@@ -1,11 +1,12 @@
 import Link from "next/link";
 import { useRouter } from "next/router";
-import { Home, Clock, CheckCircle } from "lucide-react";
+import { Home, Clock, CheckCircle, Search } from "lucide-react";
 
 const navs = [
   { label: "SMART-SAARD", icon: Home, path: "/" },
   { label: "อยู่ระหว่างดำเนินการ", icon: Clock, path: "/complaint", disabled: false },
   { label: "ดำเนินการเสร็จสิ้น", icon: CheckCircle, path: "/status", disabled: false },
+  { label: "ติดตามเรื่อง", icon: Search, path: "/track", disabled: false },
 ];
 
 export default function BottomNav() {
@@ -7,6 +7,7 @@ import Image from "next/image";
 import CardOfficail from "./CardOfficail";
 import CardAssignment from "./CardAssignment";
 import SatisfactionChart from "./SatisfactionChart";
+import StatusTimeline from "./StatusTimeline";
 
 
 export default function CardModalDetail({ modalData, onClose }) {
@@ -171,6 +172,14 @@ export default function CardModalDetail({ modalData, onClose }) {
                 {modalData.detail}
               </div>
             </div>
+            {Array.isArray(modalData.statusHistory) && modalData.statusHistory.length > 0 && (
+              <div>
+                <div className="font-semibold mb-1">ความคืบหน้า</div>
+                <div className="p-3 rounded border">
+                  <StatusTimeline history={modalData.statusHistory} />
+                </div>
+              </div>
+            )}
               <CardOfficail probId={modalData?._id} />
               <CardAssignment probId={modalData?._id} />
               <SatisfactionChart complaintId={modalData._id} />
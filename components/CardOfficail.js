@@ -2,6 +2,8 @@ import React, { useEffect, useState } from "react";
 import Image from "next/image";
 import { AlertCircle, MessageCircleHeart, User, Calendar, Clock, Shield, Zap } from "lucide-react";
 import SatisfactionForm from "./SatisfactionForm";
+import { isDoneStatus } from "@/utils/complaintStatus";
+import { getAssignmentRoleMeta, getComplaintAssignments } from "@/utils/assignmentRoles";
 
 
 export default function CardOfficail(props) {
@@ -12,6 +14,8 @@ export default function CardOfficail(props) {
     const [showRating, setShowRating] = useState(false);
     const [complaintStatus, setComplaintStatus] = useState(null);
     const [assignedUser, setAssignedUser] = useState(null);
+    // ผู้ช่วยที่ร่วมรับผิดชอบ [{ assignment, user }]
+    const [supportOfficers, setSupportOfficers] = useState([]);
 
     // ฟังก์ชันคำนวณเวลาการประมวลผล
     const calculateProcessingTime = (assignedDate, completedDate) => {
@@ -51,9 +55,8 @@ export default function CardOfficail(props) {
         // console.log("Fetched assignments:", data);
         setAssignments(data);
         if (props.probId) {
-          const responsibleAssignments = data.filter(
-            assignment => assignment.complaintId === props.probId
-          );
+          // ผู้รับผิดชอบหลักอยู่ลำดับแรก ตามด้วยผู้ช่วย
+          const responsibleAssignments = getComplaintAssignments(data, props.probId);
           // console.log("Filtered assignments by complaintId:", responsibleAssignments); //debug:
           if (responsibleAssignments.length > 0) {
             setAssignedDate(responsibleAssignments[0].assignedAt);
@@ -72,6 +75,19 @@ export default function CardOfficail(props) {
                 console.error("Failed to fetch assigned user:", error);
               }
             }
+
+            const supports = await Promise.all(
+              responsibleAssignments.slice(1).map(async (assignment) => {
+                try {
+                  const userRes = await fetch(`/api/users/get-by-id?userId=${assignment.userId}`);
+                  const userData = await userRes.json();
+                  return { assignment, user: userData.success ? userData.user : null };
+                } catch {
+                  return { assignment, user: null };
+                }
+              })
+            );
+            setSupportOfficers(supports);
           }
         }
       } catch (error) {
@@ -183,6 +199,18 @@ export default function CardOfficail(props) {
               {assignments[0]?.userId ? "กำลังโหลดข้อมูลเจ้าหน้าที่..." : "ไม่พบข้อมูลเจ้าหน้าที่ที่รับผิดชอบ"}
             </div>
           )}
+          {supportOfficers.length > 0 && (
+            <div className="mt-3 pt-3 border-t border-blue-200 space-y-2">
+              {supportOfficers.map(({ assignment, user }) => (
+                <div key={assignment._id} className="flex items-center gap-2 text-sm">
+                  <Shield className="w-4 h-4 text-blue-400" />
+                  <span className="font-medium text-gray-800">{user?.name || "เจ้าหน้าที่"}</span>
+                  {user?.position && <span className="text-gray-500 text-xs">{user.position}</span>}
+                  <span className="badge badge-sm badge-ghost">{getAssignmentRoleMeta(assignment).text}</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
 
@@ -192,7 +220,7 @@ export default function CardOfficail(props) {
           <button className="btn btn-outline btn-error btn-sm btn-disabled text-red-400">
             <AlertCircle className="w-4 h-4" /> รายงาน
           </button>
-          {complaintStatus === "ดำเนินการเสร็จสิ้น" && (
+          {isDoneStatus(complaintStatus) && (
             <button
               className="btn btn-info btn-sm text-white"
               onClick={() => setShowRating(!showRating)}
@@ -203,7 +231,7 @@ export default function CardOfficail(props) {
         </div>
 
         {/* Satisfaction Form */}
-        {showRating && complaintStatus === "ดำเนินการเสร็จสิ้น" && (
+        {showRating && isDoneStatus(complaintStatus) && (
           <div className="mt-4 w-full">
             <SatisfactionForm
               complaintId={props.probId}
@@ -1,28 +1,43 @@
 import { useState, useEffect } from 'react';
 import Image from 'next/image';
 import dynamic from 'next/dynamic';
+import StatusTimeline from './StatusTimeline';
+import { COMPLAINT_STATUS, getNextStatuses, getStatusMeta } from '@/utils/complaintStatus';
+import { SLA_STATE, SLA_TARGETS, SLA_TARGET_META } from '@/utils/sla';
+import { getPriorityMeta } from '@/utils/complaintPriority';
+import { getLeadAssignment } from '@/utils/assignmentRoles';
 
 const ReporterInfoMap = dynamic(() => import('./ReporterInfoMap'), { ssr: false });
 
-export default function ComplaintDetailModal({ complaint, isOpen, onClose, assignments, menu, assignedUsers, onOpenUpdateModal }) {
+const SLA_STATE_STYLE = {
+  [SLA_STATE.PENDING]: 'bg-blue-50 text-blue-800',
+  [SLA_STATE.MET]: 'bg-green-50 text-green-800',
+  [SLA_STATE.BREACHED]: 'bg-red-50 text-red-800',
+  [SLA_STATE.SKIPPED]: 'bg-gray-50 text-gray-500',
+};
+
+export default function ComplaintDetailModal({ complaint, isOpen, onClose, assignments, menu, assignedUsers, onOpenUpdateModal, onChangeStatus }) {
   const [assignment, setAssignment] = useState(null);
   const [reporterInfo, setReporterInfo] = useState(null);
   const [assignedUser, setAssignedUser] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [statusNote, setStatusNote] = useState('');
+  const [changingStatus, setChangingStatus] = useState(false);
 
   useEffect(() => {
     if (complaint && isOpen) {
       // Find assignment for this complaint
-      const foundAssignment = assignments?.find(a => a.complaintId === complaint._id);
+      const foundAssignment = getLeadAssignment(assignments, complaint._id);
       setAssignment(foundAssignment || null);
 
       // Fetch reporter info
       if (complaint._id) {
         setLoading(true);
         fetch(`/api/submittedreports/personal-info/${complaint._id}`)
-          .then(res => res.json())
-          .then(data => {
-            setReporterInfo(data);
+          .then(async res => {
+            const data = await res.json();
+            // 401/403 เมื่อไม่มีสิทธิ์ดูข้อมูลผู้แจ้ง
+            setReporterInfo(res.ok ? data : null);
             setLoading(false);
           })
           .catch(err => {
@@ -56,14 +71,21 @@ export default function ComplaintDetailModal({ complaint, isOpen, onClose, assig
   if (!isOpen || !complaint) return null;
 
   const getStatusBadge = (status) => {
-    const statusConfig = {
-      "อยู่ระหว่างดำเนินการ": { color: "badge-warning", text: "กำลังดำเนินการ" },
-      "ดำเนินการเสร็จสิ้น": { color: "badge-success", text: "เสร็จสิ้น" },
-      "รอการมอบหมาย": { color: "badge-info", text: "รอการมอบหมาย" }
-    };
-    
-    const config = statusConfig[status] || { color: "badge-neutral", text: status };
-    return <span className={`badge ${config.color}`}>{config.text}</span>;
+    const meta = getStatusMeta(status);
+    return <span className={`badge ${meta.badge}`}>{meta.text}</span>;
+  };
+
+  // การมอบหมายทำผ่านปุ่ม "รับเรื่อง" เพื่อสร้าง assignment พร้อมกัน
+  const nextStatuses = getNextStatuses(complaint.status).filter(
+    (s) => s !== COMPLAINT_STATUS.ASSIGNED || assignment
+  );
+
+  const handleChangeStatus = async (status) => {
+    if (!onChangeStatus) return;
+    setChangingStatus(true);
+    const updated = await onChangeStatus(status, statusNote);
+    if (updated) setStatusNote('');
+    setChangingStatus(false);
   };
 
   const getCategoryIcon = (category) => {
@@ -170,6 +192,78 @@ export default function ComplaintDetailModal({ complaint, isOpen, onClose, assig
               )}
             </div>
 
+            {/* Priority */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">ความเร่งด่วน</h3>
+              {complaint.priority ? (
+                <p className="text-sm">
+                  <span className={`badge ${getPriorityMeta(complaint.priority).badge}`}>
+                    {getPriorityMeta(complaint.priority).icon} {getPriorityMeta(complaint.priority).text}
+                  </span>
+                  {complaint.triagedByName && (
+                    <span className="text-xs text-gray-500 ml-2">คัดกรองโดย {complaint.triagedByName}</span>
+                  )}
+                </p>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  ยังไม่คัดกรอง
+                  {complaint.suggestedPriority && ` (ระบบแนะนำ: ${getPriorityMeta(complaint.suggestedPriority).text})`}
+                </p>
+              )}
+            </div>
+
+            {/* SLA targets */}
+            {complaint.sla && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">เป้าหมายเวลา (SLA)</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                  {SLA_TARGETS.map(target => {
+                    const t = complaint.sla.targets[target];
+                    return (
+                      <div key={target} className={`p-2 rounded-lg text-xs ${SLA_STATE_STYLE[t.state]}`}>
+                        <p className="font-medium">{SLA_TARGET_META[target].text}</p>
+                        <p>กำหนด: {new Date(t.dueAt).toLocaleString('th-TH', { dateStyle: 'short', timeStyle: 'short' })}</p>
+                        {t.metAt && (
+                          <p>เสร็จ: {new Date(t.metAt).toLocaleString('th-TH', { dateStyle: 'short', timeStyle: 'short' })}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Status Lifecycle */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">ประวัติสถานะ</h3>
+              <div className="bg-gray-50 p-3 rounded-lg max-h-64 overflow-y-auto">
+                <StatusTimeline history={complaint.statusHistory} showActor />
+              </div>
+              {onChangeStatus && nextStatuses.length > 0 && (
+                <div className="mt-3 space-y-2">
+                  <textarea
+                    value={statusNote}
+                    onChange={(e) => setStatusNote(e.target.value)}
+                    rows={2}
+                    placeholder="หมายเหตุการเปลี่ยนสถานะ (ถ้ามี)"
+                    className="textarea textarea-bordered textarea-sm w-full"
+                  />
+                  <div className="flex flex-wrap gap-2">
+                    {nextStatuses.map((status) => (
+                      <button
+                        key={status}
+                        className="btn btn-sm btn-outline"
+                        disabled={changingStatus}
+                        onClick={() => handleChangeStatus(status)}
+                      >
+                        {getStatusMeta(status).icon} {getStatusMeta(status).action}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+
             {/* Timestamps */}
             <div className="grid grid-cols-2 gap-4">
               <div>
@@ -9,6 +9,9 @@ import ImageUploads from './ImageUploads';
 import Swal from 'sweetalert2';
 import { z } from 'zod';
 import Image from 'next/image';
+import { formatDistance } from '@/utils/complaintDuplicates';
+import { getStatusMeta } from '@/utils/complaintStatus';
+import { enqueueComplaint, isNetworkError, isQueueSupported } from '@/utils/offlineQueue';
 const LocationConfirm = dynamic(() => import('./LocationConfirm'), { 
   ssr: false,
   loading: () => <div className="h-64 bg-gray-100 rounded flex items-center justify-center">กำลังโหลดแผนที่...</div>
@@ -27,6 +30,8 @@ const ComplaintFormModal = ({ selectedLabel, onClose }) => {
   const [phone, setPhone] = useState('');
   const [detail, setDetail] = useState('');
   const [imageUrls, setImageUrls] = useState([]);
+  // รูปที่เลือกตอนออฟไลน์ ยังไม่ได้อัปโหลด
+  const [pendingFiles, setPendingFiles] = useState([]);
   const [useCurrentLocation, setUseCurrentLocation] = useState(false);
   const [location, setLocation] = useState(null);
   const [selectedProblems, setSelectedProblems] = useState([]);
@@ -34,6 +39,8 @@ const ComplaintFormModal = ({ selectedLabel, onClose }) => {
   const [formErrors, setFormErrors] = useState({});
   const reporterValidRef = useRef(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // เรื่องเดิมที่อยู่ใกล้และเป็นปัญหาเดียวกัน { candidates, radius, payload }
+  const [duplicates, setDuplicates] = useState(null);
 
   const { problemOptions, fetchProblemOptions } = useProblemOptionStore();
 
@@ -79,7 +86,7 @@ useEffect(() => {
       return;
     }
 
-    if (imageUrls.length === 0) {
+    if (imageUrls.length + pendingFiles.length === 0) {
       await Swal.fire({
         icon: 'warning',
         title: 'กรุณาอัปโหลดรูปภาพ',
@@ -109,7 +116,7 @@ useEffect(() => {
       return;
     }
 
-    // NOTE: complaintId will be generated by the backend
+    // NOTE: complaintId and the initial status will be generated by the backend
     const payload = {
       prefix,
       fullName,
@@ -123,16 +130,64 @@ useEffect(() => {
       images: imageUrls,
       detail,
       location,
-      status: 'อยู่ระหว่างดำเนินการ',
       officer: '',
       updatedAt: new Date(),
     };
 
     // console.log("📤 Payload ส่งไป backend:", payload);
+    // ไม่มีสัญญาณ หรือมีรูปที่ยังอัปโหลดไม่ได้ → เก็บไว้ในเครื่องแล้วส่งอัตโนมัติภายหลัง
+    if (isQueueSupported() && (!navigator.onLine || pendingFiles.length > 0)) {
+      await queueReport(payload);
+      return;
+    }
+    await submitReport(payload);
+  };
 
+  const queueReport = async (payload) => {
+    try {
+      setIsSubmitting(true);
+      await enqueueComplaint(payload, pendingFiles);
+      await Swal.fire({
+        icon: 'info',
+        title: 'บันทึกเรื่องไว้ในเครื่องแล้ว',
+        text: 'ขณะนี้ไม่มีสัญญาณอินเทอร์เน็ต ระบบจะส่งเรื่องให้อัตโนมัติเมื่อกลับมาออนไลน์ ดูสถานะได้ที่ปุ่ม "คิวส่งเรื่อง"',
+        confirmButtonText: 'ตกลง',
+      });
+      handleClearForm();
+      onClose?.();
+    } catch (err) {
+      await showSubmitError(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const showSubmitError = async (err) => {
+    console.error('❌ เกิดข้อผิดพลาด:', err);
+    await Swal.fire({
+      icon: 'error',
+      title: 'เกิดข้อผิดพลาด',
+      text: err.message || 'ไม่สามารถส่งข้อมูลได้',
+      confirmButtonText: 'ตกลง',
+    });
+  };
+
+  const finishSubmission = async (title, complaintId) => {
+    await Swal.fire({
+      icon: 'success',
+      title,
+      html: `เลขที่เรื่องของคุณคือ <strong>${complaintId}</strong><br/><a href="/track/${complaintId}" class="link link-primary text-sm">ติดตามสถานะเรื่อง</a>`,
+      confirmButtonText: 'ตกลง',
+    });
+    handleClearForm();
+    onClose?.(); // Close the modal
+  };
+
+  const submitReport = async (payload) => {
+    let res;
     try {
       setIsSubmitting(true); // disable submit immediately
-      const res = await fetch('/api/submittedreports/submit-report', {
+      res = await fetch('/api/submittedreports/submit-report', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -140,32 +195,70 @@ useEffect(() => {
         },
         body: JSON.stringify(payload),
       });
+    } catch (err) {
+      setIsSubmitting(false);
+      // สัญญาณหลุดระหว่างส่ง
+      if (isQueueSupported() && isNetworkError(err)) {
+        await queueReport(payload);
+      } else {
+        await showSubmitError(err);
+      }
+      return;
+    }
+
+    try {
+      const data = await res.json().catch(() => ({}));
+
+      // มีเรื่องเดียวกันใกล้ ๆ ที่ยังไม่เสร็จ ให้ผู้แจ้งเลือกติดตามเรื่องเดิมหรือส่งเรื่องใหม่
+      if (res.status === 409 && data.duplicate) {
+        setDuplicates({ candidates: data.candidates, radius: data.radius, payload });
+        return;
+      }
       if (!res.ok) throw new Error('ส่งข้อมูลไม่สำเร็จ');
 
-      const data = await res.json();
-      const complaintId = data.complaintId;
       await new Promise((resolve) => setTimeout(resolve, 4000));
-      await Swal.fire({
-        icon: 'success',
-        title: 'ส่งเรื่องสำเร็จ',
-        html: `เลขที่เรื่องของคุณคือ <strong>${complaintId}</strong>`,
-        confirmButtonText: 'ตกลง',
-      });
-      handleClearForm();
-      onClose?.(); // Close the modal
+      await finishSubmission('ส่งเรื่องสำเร็จ', data.complaintId);
     } catch (err) {
-      console.error('❌ เกิดข้อผิดพลาด:', err);
-      await Swal.fire({
-        icon: 'error',
-        title: 'เกิดข้อผิดพลาด',
-        text: err.message || 'ไม่สามารถส่งข้อมูลได้',
-        confirmButtonText: 'ตกลง',
-      });
+      await showSubmitError(err);
     } finally {
       setIsSubmitting(false); // re-enable submit button
     }
   };
 
+  const handleSubmitAnyway = async () => {
+    const { payload } = duplicates;
+    setDuplicates(null);
+    await submitReport({ ...payload, ignoreDuplicates: true });
+  };
+
+  const handleFollow = async (candidate) => {
+    const { payload } = duplicates;
+    try {
+      setIsSubmitting(true);
+      const res = await fetch('/api/submittedreports/follow', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: candidate._id,
+          prefix: payload.prefix,
+          fullName: payload.fullName,
+          phone: payload.phone,
+          detail: payload.detail,
+          images: payload.images,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'ติดตามเรื่องไม่สำเร็จ');
+
+      setDuplicates(null);
+      await finishSubmission('ติดตามเรื่องเดิมเรียบร้อย', data.complaintId);
+    } catch (err) {
+      await showSubmitError(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const handleClearForm = () => {
     setSelectedCommunity('');
     setSelectedSchool('');
@@ -174,11 +267,13 @@ useEffect(() => {
     setPhone('');
     setDetail('');
     setImageUrls([]); // Explicitly clear imageUrls
+    setPendingFiles([]);
     setUseCurrentLocation(false);
     setLocation(null);
     setSelectedProblems([]);
     setValidateTrigger(false);
     setFormErrors({});
+    setDuplicates(null);
     reporterValidRef.current = true;
     setIsSubmitting(false);
   };
@@ -218,7 +313,62 @@ useEffect(() => {
             ✕
           </button>
         </div>
-        <form onSubmit={handleSubmit} className="space-y-3">
+        {duplicates && (
+          <div className="space-y-3">
+            <div className="alert alert-warning text-sm">
+              <span>
+                พบเรื่องเดียวกันที่ยังดำเนินการอยู่ในระยะ {formatDistance(duplicates.radius)} จากจุดที่คุณแจ้ง
+                คุณสามารถติดตามเรื่องเดิมแทนการส่งเรื่องใหม่ได้
+              </span>
+            </div>
+            {duplicates.candidates.map((candidate) => (
+              <div key={candidate._id} className="border rounded-lg p-3 flex gap-3">
+                {candidate.images?.[0] && (
+                  <Image
+                    src={candidate.images[0]}
+                    alt={candidate.complaintId}
+                    width={64}
+                    height={64}
+                    className="w-16 h-16 object-cover rounded"
+                  />
+                )}
+                <div className="flex-1 min-w-0 text-sm">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-semibold">{candidate.complaintId}</span>
+                    <span className={`badge badge-sm ${getStatusMeta(candidate.status).badge}`}>
+                      {getStatusMeta(candidate.status).text}
+                    </span>
+                  </div>
+                  <p className="text-gray-700 truncate">{candidate.problems?.join(', ')}</p>
+                  {candidate.detail && <p className="text-gray-500 text-xs truncate">{candidate.detail}</p>}
+                  <p className="text-xs text-gray-500">
+                    ห่าง {formatDistance(candidate.distance)} • แจ้งเมื่อ{' '}
+                    {new Date(candidate.createdAt).toLocaleDateString('th-TH')}
+                    {candidate.followerCount > 0 && ` • ผู้ติดตาม ${candidate.followerCount} คน`}
+                  </p>
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-xs mt-2"
+                    disabled={isSubmitting}
+                    onClick={() => handleFollow(candidate)}
+                  >
+                    ติดตามเรื่องนี้
+                  </button>
+                </div>
+              </div>
+            ))}
+            <div className="flex gap-2 justify-end">
+              <button type="button" className="btn btn-ghost" onClick={() => setDuplicates(null)}>
+                กลับไปแก้ไข
+              </button>
+              <button type="button" className="btn btn-outline btn-info" disabled={isSubmitting} onClick={handleSubmitAnyway}>
+                {isSubmitting && <span className="loading loading-infinity loading-xs mr-2" />}
+                ไม่ใช่เรื่องเดียวกัน ส่งเรื่องใหม่
+              </button>
+            </div>
+          </div>
+        )}
+        <form onSubmit={handleSubmit} className={`space-y-3 ${duplicates ? 'hidden' : ''}`}>
           {selectedLabel === 'งานการศึกษา' ? (
             <SchoolSelector
               selected={selectedSchool}
@@ -264,7 +414,11 @@ useEffect(() => {
                 ))}
             </div>
           </div>
-          <ImageUploads onChange={(urls) => setImageUrls(urls)} />
+          <ImageUploads
+            onChange={(urls) => setImageUrls(urls)}
+            allowOffline={isQueueSupported()}
+            onPendingChange={setPendingFiles}
+          />
           <ReporterInput
             prefix={prefix}
             setPrefix={setPrefix}
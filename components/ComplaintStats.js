@@ -1,28 +1,18 @@
-import { useState, useEffect } from 'react';
+import { useMemo } from 'react';
+import { PENDING_STATUSES, ACTIVE_STATUSES, DONE_STATUSES } from '@/utils/complaintStatus';
 
-export default function ComplaintStats({ complaints, assignments }) {
-  const [stats, setStats] = useState({
-    total: 0,
-    pending: 0,
-    inProgress: 0,
-    completed: 0
-  });
-
-  useEffect(() => {
-    if (!complaints || !assignments) return;
-
-    const total = complaints.length;
-    const pending = complaints.filter(c => c.status === "รอการมอบหมาย").length;
-    const inProgress = complaints.filter(c => c.status === "อยู่ระหว่างดำเนินการ").length;
-    const completed = complaints.filter(c => c.status === "ดำเนินการเสร็จสิ้น").length;
-
-    setStats({
-      total,
-      pending,
-      inProgress,
-      completed
-    });
-  }, [complaints, assignments]);
+// statusCounts – { [status]: count } จาก facets ของ /api/complaints
+export default function ComplaintStats({ statusCounts }) {
+  const stats = useMemo(() => {
+    const counts = statusCounts || {};
+    const countOf = (statuses) => statuses.reduce((sum, s) => sum + (counts[s] || 0), 0);
+    return {
+      total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+      pending: countOf(PENDING_STATUSES),
+      inProgress: countOf(ACTIVE_STATUSES),
+      completed: countOf(DONE_STATUSES)
+    };
+  }, [statusCounts]);
 
   const getIcon = (type) => {
     switch (type) {
@@ -1,8 +1,22 @@
 import { useState } from 'react';
+import { getLeadAssignment } from '@/utils/assignmentRoles';
 
-export default function ExportComplaints({ complaints, assignments }) {
+// statusCounts – { [status]: count } จาก facets ของ /api/complaints
+export default function ExportComplaints({ statusCounts = {}, assignments }) {
   const [exporting, setExporting] = useState(false);
 
+  const totalCount = Object.values(statusCounts).reduce((sum, n) => sum + n, 0);
+  const countOf = (status) => statusCounts[status] || 0;
+
+  // ดึงข้อมูลทั้งหมด (ไม่แบ่งหน้า) ตอนกด export รวมชื่อ/เบอร์ผู้แจ้ง (ถูกบันทึกใน log การเข้าถึง)
+  const loadComplaints = async (status) => {
+    const params = new URLSearchParams({ role: 'admin' });
+    if (status) params.set('status', status);
+    const res = await fetch(`/api/complaints?${params}`);
+    if (!res.ok) throw new Error('Failed to fetch complaints');
+    return res.json();
+  };
+
   const convertToCSV = (data) => {
     if (!data || data.length === 0) return '';
 
@@ -23,7 +37,7 @@ export default function ExportComplaints({ complaints, assignments }) {
     ];
 
     const csvData = data.map((complaint, index) => {
-      const assignment = assignments?.find(a => a.complaintId === complaint._id);
+      const assignment = getLeadAssignment(assignments, complaint._id);
       
       return [
         index + 1,
@@ -54,6 +68,7 @@ export default function ExportComplaints({ complaints, assignments }) {
     setExporting(true);
     
     try {
+      const complaints = await loadComplaints();
       const csvContent = convertToCSV(complaints);
       
       if (!csvContent) {
@@ -90,7 +105,7 @@ export default function ExportComplaints({ complaints, assignments }) {
     setExporting(true);
     
     try {
-      const filteredComplaints = complaints.filter(c => c.status === status);
+      const filteredComplaints = await loadComplaints(status);
       const csvContent = convertToCSV(filteredComplaints);
       
       if (!csvContent) {
@@ -133,14 +148,14 @@ export default function ExportComplaints({ complaints, assignments }) {
       <div className="flex items-center justify-between mb-4">
         <h3 className="text-lg font-semibold text-gray-800">Export ข้อมูล</h3>
         <span className="text-sm text-gray-500">
-          รวม {complaints.length} เรื่อง
+          รวม {totalCount} เรื่อง
         </span>
       </div>
       
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3">
         <button
           onClick={handleExport}
-          disabled={exporting || complaints.length === 0}
+          disabled={exporting || totalCount === 0}
           className="btn btn-primary btn-sm"
         >
           {exporting ? (
@@ -157,7 +172,7 @@ export default function ExportComplaints({ complaints, assignments }) {
 
         <button
           onClick={() => handleExportFiltered('รอการมอบหมาย')}
-          disabled={exporting || complaints.filter(c => c.status === 'รอการมอบหมาย').length === 0}
+          disabled={exporting || countOf('รอการมอบหมาย') === 0}
           className="btn btn-info btn-sm"
         >
           ⏳ Export รอการมอบหมาย
@@ -165,7 +180,7 @@ export default function ExportComplaints({ complaints, assignments }) {
 
         <button
           onClick={() => handleExportFiltered('อยู่ระหว่างดำเนินการ')}
-          disabled={exporting || complaints.filter(c => c.status === 'อยู่ระหว่างดำเนินการ').length === 0}
+          disabled={exporting || countOf('อยู่ระหว่างดำเนินการ') === 0}
           className="btn btn-warning btn-sm"
         >
           🔄 Export กำลังดำเนินการ
@@ -173,7 +188,7 @@ export default function ExportComplaints({ complaints, assignments }) {
 
         <button
           onClick={() => handleExportFiltered('ดำเนินการเสร็จสิ้น')}
-          disabled={exporting || complaints.filter(c => c.status === 'ดำเนินการเสร็จสิ้น').length === 0}
+          disabled={exporting || countOf('ดำเนินการเสร็จสิ้น') === 0}
           className="btn btn-success btn-sm"
         >
           ✅ Export เสร็จสิ้น
@@ -3,9 +3,21 @@ import { useState } from "react";
 import { X } from "lucide-react";
 import { uploadToCloudinary } from "@/utils/uploadToCloudinary";
 
-const ImageUploads = ({ onChange }) => {
+/**
+ * With `allowOffline`, images picked without a connection are kept as files
+ * (reported through `onPendingChange`) so the caller can queue them for
+ * sending later instead of losing them.
+ */
+const ImageUploads = ({ onChange, allowOffline = false, onPendingChange }) => {
   const [files, setFiles] = useState([]);
   const [previews, setPreviews] = useState([]);
+  // รูปที่ยังไม่ได้อัปโหลดเพราะออฟไลน์ [{ file, preview }]
+  const [pending, setPending] = useState([]);
+
+  const updatePending = (next) => {
+    setPending(next);
+    onPendingChange?.(next.map((p) => p.file));
+  };
 
   const deleteFromCloudinary = async (url) => {
     try {
@@ -46,19 +58,32 @@ const ImageUploads = ({ onChange }) => {
     const filesToAdd = selectedFiles.slice(0, remainingSlots);
     const newPreviews = [...previews];
     const newFiles = [...files];
+    const newPending = [...pending];
 
     for (const file of filesToAdd) {
+      if (allowOffline && !navigator.onLine) {
+        newPending.push({ file, preview: URL.createObjectURL(file) });
+        continue;
+      }
       try {
         const cloudUrl = await uploadToCloudinary(file);
         newPreviews.push(cloudUrl);
       } catch (err) {
         console.error("Upload error:", err);
+        if (allowOffline) newPending.push({ file, preview: URL.createObjectURL(file) });
       }
     }
 
     setPreviews(newPreviews);
     setFiles([...newFiles, ...filesToAdd]);
     onChange?.(newPreviews);
+    if (newPending.length !== pending.length) updatePending(newPending);
+  };
+
+  const removePending = (index) => {
+    URL.revokeObjectURL(pending[index].preview);
+    updatePending(pending.filter((_, i) => i !== index));
+    setFiles(files.filter((f) => f !== pending[index].file));
   };
 
   const removeImage = (index) => {
@@ -91,14 +116,15 @@ const ImageUploads = ({ onChange }) => {
           />
         </label>
         <span className="ml-4 text-sm text-gray-600">
-          {previews.length > 0 ? `${previews.length} ไฟล์ที่อัปโหลดแล้ว` : "ยังไม่ได้แนบรูป"}
+          {previews.length > 0 ? `${previews.length} ไฟล์ที่อัปโหลดแล้ว` : pending.length === 0 && "ยังไม่ได้แนบรูป"}
+          {pending.length > 0 && ` ${pending.length} ไฟล์รออัปโหลดเมื่อออนไลน์`}
         </span>
       </div>
       <p className="text-xs text-gray-500 mt-1">
         รองรับไฟล์ภาพ .jpg, .png ขนาดไม่เกิน 5MB
       </p>
 
-      {previews.length > 0 && (
+      {previews.length + pending.length > 0 && (
         <div className="mt-3 grid grid-cols-3 gap-3">
           {previews.map((p, index) => (
             <div key={index} className="relative group">
@@ -119,6 +145,27 @@ const ImageUploads = ({ onChange }) => {
               </button>
             </div>
           ))}
+          {pending.map((p, index) => (
+            <div key={p.preview} className="relative group">
+              <Image
+                src={p.preview}
+                alt={`pending-${index}`}
+                width={300}
+                height={96}
+                unoptimized
+                className="w-full h-24 object-cover rounded border border-dashed border-orange-400 p-1 bg-white shadow-sm"
+              />
+              <span className="absolute bottom-1 left-1 badge badge-warning badge-xs">รออัปโหลด</span>
+              <button
+                type="button"
+                onClick={() => removePending(index)}
+                className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 text-xs hover:bg-red-600 transition"
+                title="ลบภาพ"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
         </div>
       )}
     </div>
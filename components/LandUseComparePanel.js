@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { formatLandUse } from '@/utils/landUse';
+
+const MAX_ROWS = 200;
+
+const toDateInput = (date) => {
+  const d = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 10);
+};
+
+const monthsAgo = (n) => {
+  const d = new Date();
+  d.setMonth(d.getMonth() - n);
+  return d;
+};
+
+/**
+ * Compare two survey rounds: parcels whose land use as of the end of `from`
+ * differs from the end of `to` (/api/land-use/changes). The result is handed
+ * to the map with `onResult` so changed parcels are highlighted.
+ */
+const LandUseComparePanel = ({ onResult, onZoomToParcel, onClose }) => {
+  const [from, setFrom] = useState(() => toDateInput(monthsAgo(12)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [changes, setChanges] = useState(null);
+
+  const handleCompare = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      // นับรวมการแก้ไขทั้งวัน ตามเวลาในเครื่อง
+      const params = new URLSearchParams({
+        from: new Date(`${from}T23:59:59.999`).toISOString(),
+        to: new Date(`${to}T23:59:59.999`).toISOString(),
+      });
+      const res = await fetch(`/api/land-use/changes?${params}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || res.statusText);
+      setChanges(data.changes);
+      onResult(data.changes);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    onResult(null);
+    onClose();
+  };
+
+  return (
+    <div className="absolute top-4 left-14 z-10 bg-white rounded-lg shadow-lg border border-gray-200 w-80 max-h-[70vh] flex flex-col">
+      <div className="px-3 py-2 border-b border-gray-100 flex items-center justify-between">
+        <h4 className="text-xs font-semibold text-gray-700">🕓 เทียบรอบสำรวจ</h4>
+        <button onClick={handleClose} className="text-gray-400 hover:text-gray-600 text-sm">&times;</button>
+      </div>
+
+      <div className="px-3 py-2 flex items-end gap-2 text-xs">
+        <label className="flex-1">
+          <span className="block text-[10px] text-gray-500 mb-0.5">รอบก่อน (ณ วันที่)</span>
+          <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="w-full px-1.5 py-1 border border-gray-300 rounded" />
+        </label>
+        <label className="flex-1">
+          <span className="block text-[10px] text-gray-500 mb-0.5">รอบหลัง (ณ วันที่)</span>
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="w-full px-1.5 py-1 border border-gray-300 rounded" />
+        </label>
+        <button onClick={handleCompare} disabled={loading || !from || !to || from >= to}
+          className="px-2 py-1.5 bg-fuchsia-600 text-white rounded hover:bg-fuchsia-700 disabled:opacity-50">
+          {loading ? '⏳' : 'เทียบ'}
+        </button>
+      </div>
+
+      {error && <p className="px-3 pb-2 text-xs text-red-500">{error}</p>}
+
+      {changes && (
+        <>
+          <p className="px-3 py-1 border-t border-gray-100 text-xs text-gray-600">
+            เปลี่ยน <span className="font-semibold text-fuchsia-700">{changes.length}</span> แปลง (ไฮไลต์บนแผนที่)
+          </p>
+          <ul className="overflow-y-auto flex-1 divide-y divide-gray-100">
+            {changes.slice(0, MAX_ROWS).map((c) => (
+              <li key={c.parcelCode}>
+                <button onClick={() => onZoomToParcel(c.parcelCode)} className="w-full text-left px-3 py-1.5 text-[11px] hover:bg-fuchsia-50">
+                  <span className="font-mono font-medium text-gray-800">{c.parcelCode}</span>
+                  {c.changeCount > 1 && <span className="ml-1 text-[10px] text-gray-400">({c.changeCount} ครั้ง)</span>}
+                  <span className="block text-gray-500">
+                    {formatLandUse(c.before)} → <span className="text-gray-800">{formatLandUse(c.after)}</span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          {changes.length > MAX_ROWS && <p className="px-3 py-1 text-[10px] text-gray-400">แสดง {MAX_ROWS} จาก {changes.length} แปลง</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LandUseComparePanel;
@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+import { LAND_USE_CHANGE_SOURCE_LABELS, formatLandUse } from '@/utils/landUse';
+
+// ต่างกันไม่เกินนี้ถือว่าบันทึกทันทีที่สำรวจ (ไม่ใช่ข้อมูลที่ซิงก์/นำเข้าภายหลัง)
+const SAME_TIME_MS = 60 * 1000;
+
+const formatTime = (date) =>
+  date ? new Date(date).toLocaleString('th-TH', { day: 'numeric', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' }) : '-';
+
+/**
+ * Land-use timeline of one parcel from /api/land-use/history, newest first.
+ * Shown in the survey popup's ประวัติ tab.
+ */
+const LandUseTimeline = ({ parcelCode }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setHistory(null);
+    setError(null);
+    fetch(`/api/land-use/history?parcelCode=${encodeURIComponent(parcelCode)}`)
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        return data;
+      })
+      .then((data) => { if (!cancelled) setHistory(data.history || []); })
+      .catch((err) => { if (!cancelled) setError(navigator.onLine === false ? 'ดูประวัติได้เมื่อออนไลน์' : err.message); });
+    return () => { cancelled = true; };
+  }, [parcelCode]);
+
+  if (error) return <p className="px-3 py-4 text-xs text-red-500 text-center">{error}</p>;
+  if (!history) return <p className="px-3 py-4 text-xs text-gray-400 text-center">⏳ กำลังโหลดประวัติ...</p>;
+  if (history.length === 0) return <p className="px-3 py-4 text-xs text-gray-400 text-center">ยังไม่มีการกำหนดการใช้ที่ดินของแปลงนี้</p>;
+
+  return (
+    <ol className="px-3 py-2 space-y-2">
+      {history.map((entry, i) => {
+        const cleared = entry.newTypes.length === 0;
+        const first = entry.oldTypes.length === 0;
+        return (
+          <li key={`${entry.changedAt}-${i}`} className="relative pl-4 text-[11px]">
+            <span className={`absolute left-0 top-1 w-2 h-2 rounded-full ${i === 0 ? 'bg-green-500' : 'bg-gray-300'}`} />
+            <div className="flex items-center gap-1 text-gray-500">
+              <span className="font-medium text-gray-700">{formatTime(entry.editedAt || entry.changedAt)}</span>
+              <span className="px-1 rounded bg-gray-100 text-[10px]">{LAND_USE_CHANGE_SOURCE_LABELS[entry.source] || entry.source}</span>
+            </div>
+            {!first && <p className="text-gray-400 line-through">{formatLandUse({ types: entry.oldTypes, areas: entry.oldAreas })}</p>}
+            <p className={cleared ? 'text-red-500' : 'text-gray-800'}>
+              {cleared ? 'ล้างการใช้ที่ดิน' : formatLandUse({ types: entry.newTypes, areas: entry.newAreas })}
+            </p>
+            <p className="text-[10px] text-gray-400">
+              โดย {entry.changedByName || 'ไม่ระบุ'}
+              {entry.editedAt && Math.abs(new Date(entry.editedAt) - new Date(entry.changedAt)) > SAME_TIME_MS && ` • บันทึกเข้าระบบ ${formatTime(entry.changedAt)}`}
+            </p>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default LandUseTimeline;
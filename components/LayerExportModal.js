@@ -0,0 +1,137 @@
+import { useMemo, useState } from 'react';
+import { LAYER_EXPORT_FORMATS } from '@/utils/geoLayer';
+import { LAND_USE_TYPES, getBlockId, getParcelCode, matchesLandUseFilter } from '@/utils/landUse';
+
+/**
+ * Export a saved tax map layer with its land use through /api/geojson/export.
+ * Filters start from the AttributeTable's current block_id / land-use selects;
+ * `parcelCodes` (parcels selected on the map) can limit it to that selection.
+ */
+const LayerExportModal = ({ layer, landUseAssignments = {}, initialBlockId = 'all', initialLandUse = 'all', parcelCodes = null, onClose, onToast }) => {
+  const [format, setFormat] = useState('geojson');
+  const [blockId, setBlockId] = useState(initialBlockId);
+  const [landUse, setLandUse] = useState(initialLandUse);
+  const [onlySelected, setOnlySelected] = useState(Boolean(parcelCodes));
+  const [exporting, setExporting] = useState(false);
+
+  const features = useMemo(() => layer?.data?.features || [], [layer]);
+
+  const blockIdOptions = useMemo(() => {
+    const ids = new Set();
+    features.forEach((f) => {
+      const v = getBlockId(f.properties);
+      if (v !== null && v !== undefined && v !== '') ids.add(String(v));
+    });
+    return Array.from(ids).sort((a, b) => a.localeCompare(b, 'th', { numeric: true }));
+  }, [features]);
+
+  // นับจากข้อมูลบนหน้าจอ ผลจริงมาจากข้อมูลที่บันทึกบนเซิร์ฟเวอร์
+  const selected = useMemo(() => (parcelCodes && onlySelected ? new Set(parcelCodes.map(String)) : null), [parcelCodes, onlySelected]);
+  const count = useMemo(() => features.filter((f) => {
+    if (blockId !== 'all' && String(getBlockId(f.properties) ?? '') !== blockId) return false;
+    const code = getParcelCode(f.properties);
+    if (selected && !selected.has(String(code ?? ''))) return false;
+    return matchesLandUseFilter(code ? landUseAssignments[code] : null, landUse);
+  }).length, [features, blockId, landUse, landUseAssignments, selected]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      let res;
+      if (selected) {
+        // รายการรหัสอาจยาวเกิน URL จึงส่งใน body
+        res = await fetch('/api/geojson/export', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ filename: layer.name, format, blockId, landUse, parcelCodes }),
+        });
+      } else {
+        const params = new URLSearchParams({ filename: layer.name, format });
+        if (blockId !== 'all') params.set('blockId', blockId);
+        if (landUse !== 'all') params.set('landUse', landUse);
+        res = await fetch(`/api/geojson/export?${params}`);
+      }
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || res.statusText);
+      }
+
+      const disposition = res.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename\*=UTF-8''([^;]+)/);
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? decodeURIComponent(match[1]) : layer.name;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      const skipped = Number(res.headers.get('X-Skipped-Count') || 0);
+      if (skipped > 0) onToast?.(`ส่งออกแล้ว แต่ข้าม ${skipped} รายการที่ Shapefile ไม่รองรับรูปร่าง`, 'error');
+      else onToast?.(`ส่งออก ${res.headers.get('X-Feature-Count') || count} รายการสำเร็จ`, 'success');
+      onClose();
+    } catch (err) {
+      onToast?.(`ส่งออกไม่สำเร็จ: ${err.message}`, 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={exporting ? undefined : onClose}>
+      <div className="bg-white rounded-xl shadow-2xl p-5 max-w-sm w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-semibold text-gray-800 mb-1">ส่งออกชั้นข้อมูล</h3>
+        <p className="text-xs text-gray-500 mb-4 truncate" title={layer.name}>{layer.name} • รวมข้อมูลการใช้ที่ดินที่สำรวจ</p>
+
+        <div className="space-y-3 text-sm">
+          <label className="block">
+            <span className="block text-xs text-gray-500 mb-1">รูปแบบไฟล์</span>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={exporting} className="w-full px-2 py-1.5 border border-gray-300 rounded-lg">
+              {LAYER_EXPORT_FORMATS.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </select>
+          </label>
+          {blockIdOptions.length > 0 && (
+            <label className="block">
+              <span className="block text-xs text-gray-500 mb-1">block_id</span>
+              <select value={blockId} onChange={(e) => setBlockId(e.target.value)} disabled={exporting} className="w-full px-2 py-1.5 border border-gray-300 rounded-lg">
+                <option value="all">ทั้งหมด</option>
+                {blockIdOptions.map((id) => <option key={id} value={id}>{id}</option>)}
+              </select>
+            </label>
+          )}
+          <label className="block">
+            <span className="block text-xs text-gray-500 mb-1">การใช้ที่ดิน</span>
+            <select value={landUse} onChange={(e) => setLandUse(e.target.value)} disabled={exporting} className="w-full px-2 py-1.5 border border-gray-300 rounded-lg">
+              <option value="all">ทั้งหมด</option>
+              <option value="unassigned">ยังไม่สำรวจ</option>
+              {LAND_USE_TYPES.map((t) => <option key={t.key} value={t.key}>{t.icon} {t.label}</option>)}
+            </select>
+          </label>
+          {parcelCodes && (
+            <label className="flex items-center gap-2 text-xs text-gray-700">
+              <input type="checkbox" checked={onlySelected} onChange={(e) => setOnlySelected(e.target.checked)} disabled={exporting} />
+              เฉพาะแปลงที่เลือกบนแผนที่ ({parcelCodes.length} แปลง)
+            </label>
+          )}
+        </div>
+
+        <p className={`text-xs mt-3 ${count === 0 ? 'text-red-600' : 'text-gray-500'}`}>
+          {count === 0 ? 'ไม่มีข้อมูลตามเงื่อนไขที่เลือก' : `${count} รายการ`}
+        </p>
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} disabled={exporting} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm font-medium disabled:opacity-50">
+            ยกเลิก
+          </button>
+          <button onClick={handleExport} disabled={exporting || count === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:opacity-50">
+            {exporting ? '⏳ กำลังส่งออก...' : '⬇️ ส่งออก'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LayerExportModal;
@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { CRS_OPTIONS, CRS_SOURCE, getCrsLabel } from '@/utils/crs';
+
+const FORMAT_LABELS = {
+  geojson: 'GeoJSON',
+  shapefile: 'Shapefile',
+  kml: 'KML',
+  kmz: 'KMZ',
+  csv: 'CSV',
+};
+
+const CRS_SOURCE_LABELS = {
+  [CRS_SOURCE.USER]: 'เลือกเอง',
+  [CRS_SOURCE.DECLARED]: 'ระบุในไฟล์',
+  [CRS_SOURCE.GUESSED]: 'ประเมินจากค่าพิกัด',
+};
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '-' : String(value));
+
+/**
+ * Preview of a converted upload before it is saved as tax map layers:
+ * feature count, attribute sample and per-feature geometry errors. The
+ * source CRS, Z handling and CSV lat/lng columns can be changed here, which
+ * converts the file again.
+ */
+const LayerImportPreview = ({ preview, busy, onSave, onReconvert, onClose }) => {
+  const [names, setNames] = useState(() => preview.layers.map((ly) => ly.filename));
+  const [activeIdx, setActiveIdx] = useState(0);
+  const layer = preview.layers[activeIdx];
+  const isCsv = preview.format === 'csv';
+  const columns = layer.fields.slice(0, 12);
+  const savable = preview.layers.filter((ly) => ly.featureCount > 0).length;
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={busy ? undefined : onClose}>
+      <div className="bg-white rounded-xl shadow-2xl p-5 max-w-4xl w-full mx-4 max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-semibold text-gray-800 mb-1">ตรวจสอบข้อมูลก่อนนำเข้า</h3>
+        <p className="text-xs text-gray-500 mb-3">
+          {preview.sourceName} • {FORMAT_LABELS[preview.format] || preview.format}
+          {preview.layers.length > 1 && ` • ${preview.layers.length} ชั้นข้อมูล`}
+        </p>
+
+        {preview.layers.length > 1 && (
+          <div className="flex gap-1 mb-3 flex-wrap">
+            {preview.layers.map((ly, i) => (
+              <button key={ly.filename} onClick={() => setActiveIdx(i)}
+                className={`px-3 py-1 text-xs rounded-full border ${i === activeIdx ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}>
+                {ly.filename}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3 text-sm">
+          <label className="md:col-span-1">
+            <span className="block text-xs text-gray-500 mb-1">ชื่อชั้นข้อมูล</span>
+            <input value={names[activeIdx]} onChange={(e) => setNames((prev) => prev.map((n, i) => (i === activeIdx ? e.target.value : n)))}
+              className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm" disabled={busy} />
+          </label>
+          <div className="md:col-span-2 flex items-end gap-4 text-xs">
+            <span className="text-green-700 font-medium">✅ นำเข้าได้ {layer.featureCount} รายการ</span>
+            {layer.errorCount > 0 && <span className="text-red-600 font-medium">⚠️ รูปร่างไม่ถูกต้อง {layer.errorCount} รายการ (จะไม่ถูกนำเข้า)</span>}
+            <span className="text-gray-500">ทั้งหมด {layer.sourceCount} รายการ</span>
+          </div>
+        </div>
+
+        {isCsv && (
+          <div className="flex flex-wrap items-end gap-2 mb-3 text-xs bg-gray-50 rounded-lg p-2">
+            {[['latField', 'คอลัมน์ละติจูด'], ['lngField', 'คอลัมน์ลองจิจูด']].map(([key, label]) => (
+              <label key={key}>
+                <span className="block text-gray-500 mb-1">{label}</span>
+                <select value={layer[key] || ''} disabled={busy}
+                  onChange={(e) => onReconvert({ latField: layer.latField, lngField: layer.lngField, [key]: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded">
+                  <option value="">-- เลือก --</option>
+                  {layer.fields.map((f) => <option key={f} value={f}>{f}</option>)}
+                </select>
+              </label>
+            ))}
+            {(!layer.latField || !layer.lngField) && <span className="text-amber-600">ไม่พบคอลัมน์พิกัดอัตโนมัติ กรุณาเลือก</span>}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-end gap-3 mb-3 text-xs bg-gray-50 rounded-lg p-2">
+          <label>
+            <span className="block text-gray-500 mb-1">
+              ระบบพิกัดของไฟล์{layer.sourceCrs && ` (${CRS_SOURCE_LABELS[layer.crsSource] || layer.crsSource})`}
+            </span>
+            <select value={layer.sourceCrs || ''} disabled={busy || preview.format === 'kml' || preview.format === 'kmz'}
+              onChange={(e) => onReconvert({ crs: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded">
+              {!layer.sourceCrs && <option value="">-- ไม่ทราบ กรุณาเลือก --</option>}
+              {CRS_OPTIONS.map((o) => <option key={o.code} value={o.code}>{o.code} • {o.label}</option>)}
+            </select>
+          </label>
+          {layer.sourceCrs && layer.sourceCrs !== 'EPSG:4326' && (
+            <span className="text-blue-700">จะแปลงจาก {getCrsLabel(layer.sourceCrs)} เป็น WGS 84</span>
+          )}
+          {layer.crsSource === CRS_SOURCE.GUESSED && layer.sourceCrs !== 'EPSG:4326' && (
+            <span className="text-amber-600">ตรวจสอบตำแหน่งบนแผนที่หลังนำเข้า หากเลื่อนไปมากให้เลือกระบบพิกัดใหม่</span>
+          )}
+          {layer.hasZ && (
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input type="checkbox" checked={!!layer.keepZ} disabled={busy} onChange={(e) => onReconvert({ keepZ: e.target.checked })} />
+              <span className="text-gray-700">เก็บค่าความสูง (Z)</span>
+            </label>
+          )}
+        </div>
+
+        <div className="overflow-auto border border-gray-200 rounded-lg mb-3 flex-shrink min-h-[80px]">
+          <p className="text-xs font-medium text-gray-600 px-2 py-1 bg-gray-50 border-b">ตัวอย่างข้อมูลคุณลักษณะ ({layer.fields.length} คอลัมน์)</p>
+          {layer.sample.length === 0 ? (
+            <p className="text-xs text-gray-400 p-3 text-center">ไม่มีข้อมูล</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead><tr>{columns.map((c) => <th key={c} className="px-2 py-1 text-left font-semibold text-gray-600 border-b whitespace-nowrap">{c}</th>)}</tr></thead>
+              <tbody>
+                {layer.sample.map((row, i) => (
+                  <tr key={i} className="border-b last:border-0">
+                    {columns.map((c) => <td key={c} className="px-2 py-1 text-gray-700 whitespace-nowrap max-w-[200px] truncate">{formatValue(row[c])}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {layer.errors.length > 0 && (
+          <div className="overflow-auto border border-red-200 rounded-lg mb-3 max-h-40">
+            <p className="text-xs font-medium text-red-700 px-2 py-1 bg-red-50 border-b border-red-200">
+              รายการที่รูปร่างไม่ถูกต้อง{layer.errorCount > layer.errors.length && ` (แสดง ${layer.errors.length} จาก ${layer.errorCount})`}
+            </p>
+            <ul className="text-xs divide-y divide-red-100">
+              {layer.errors.map((err) => (
+                <li key={err.index} className="px-2 py-1 flex gap-2">
+                  <span className="font-mono text-gray-500 w-12 flex-shrink-0">#{err.index}</span>
+                  <span className="text-red-700">{err.error}</span>
+                  <span className="text-gray-400 truncate">{Object.values(err.properties || {}).slice(0, 3).map(formatValue).join(' • ')}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 mt-auto">
+          <button onClick={onClose} disabled={busy} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm font-medium disabled:opacity-50">
+            ยกเลิก
+          </button>
+          <button onClick={() => onSave(preview.layers.map((ly, i) => ({ ...ly, filename: names[i] || ly.filename })).filter((ly) => ly.featureCount > 0))}
+            disabled={busy || savable === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:opacity-50">
+            {busy ? '⏳ กำลังบันทึก...' : `บันทึก ${savable} ชั้นข้อมูล`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LayerImportPreview;
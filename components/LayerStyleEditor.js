@@ -0,0 +1,223 @@
+import { useMemo, useState } from 'react';
+import {
+  CLASS_METHOD_LABELS,
+  COLOR_RAMPS,
+  LABEL_MIN_ZOOMS,
+  MAX_CLASSES,
+  MIN_CLASSES,
+  STYLE_MODE,
+  STYLE_MODE_LABELS,
+  VIRTUAL_FIELDS,
+  buildCategories,
+  buildLegend,
+  computeBreaks,
+  fieldLabel,
+  getStyleFields,
+  getStyleValue,
+  normalizeLayerStyle,
+  pickThematicStyle,
+  toStyleNumber,
+} from '@/utils/layerStyle';
+
+/**
+ * Edit a layer's thematic style (mode, colours, opacity, label) and save it
+ * with `onSave(style)`. Class bounds are computed here from the layer's
+ * current values and saved with the style.
+ */
+const LayerStyleEditor = ({ layer, landUseAssignments = {}, onSave, onClose }) => {
+  const [style, setStyle] = useState(() => normalizeLayerStyle(layer.style));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const features = useMemo(() => layer?.data?.features || [], [layer]);
+  const fields = useMemo(() => getStyleFields(features), [features]);
+
+  const update = (patch) => setStyle((prev) => ({ ...prev, ...patch }));
+
+  const values = useMemo(
+    () => (style.mode === STYLE_MODE.GRADUATED && style.field
+      ? features.map((f) => toStyleNumber(getStyleValue(f, style.field, landUseAssignments)))
+      : []),
+    [features, style.mode, style.field, landUseAssignments]
+  );
+  const numericCount = values.filter((v) => v !== null).length;
+
+  const setMode = (mode) => {
+    const field = style.field || (mode === STYLE_MODE.CATEGORIZED ? VIRTUAL_FIELDS.LAND_USE : VIRTUAL_FIELDS.AREA);
+    const patch = { mode, field };
+    if (mode === STYLE_MODE.CATEGORIZED && style.categories.length === 0) patch.categories = buildCategories(features, field, landUseAssignments);
+    setStyle((prev) => ({ ...prev, ...patch }));
+  };
+
+  const setField = (field) => update({
+    field,
+    categories: style.mode === STYLE_MODE.CATEGORIZED ? buildCategories(features, field, landUseAssignments) : style.categories,
+    breaks: [],
+  });
+
+  const updateCategory = (index, patch) => update({
+    categories: style.categories.map((c, i) => (i === index ? { ...c, ...patch } : c)),
+  });
+
+  // ขอบเขตช่วงคำนวณใหม่ทุกครั้งที่เปลี่ยนจำนวนช่วง/วิธีแบ่ง/field
+  const breaks = useMemo(
+    () => (style.mode === STYLE_MODE.GRADUATED ? computeBreaks(values, style.classes, style.method) : style.breaks),
+    [style.mode, style.classes, style.method, style.breaks, values]
+  );
+  const legend = buildLegend({ ...style, breaks }, { baseColor: layer.color });
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(pickThematicStyle({ ...style, breaks: style.mode === STYLE_MODE.GRADUATED ? breaks : style.breaks }));
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const insertLabelField = (field) => {
+    if (field) update({ label: `${style.label}{${field}}` });
+  };
+
+  const inputCls = 'w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={saving ? undefined : onClose}>
+      <div className="bg-white rounded-xl shadow-2xl p-5 max-w-lg w-full mx-4 max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-semibold text-gray-800 mb-1">🎨 รูปแบบการแสดงผล</h3>
+        <p className="text-xs text-gray-500 mb-3 truncate" title={layer.name}>{layer.name}</p>
+
+        <div className="overflow-y-auto flex-1 space-y-3 text-sm pr-1">
+          <div className="flex gap-1">
+            {Object.values(STYLE_MODE).map((mode) => (
+              <button key={mode} onClick={() => setMode(mode)}
+                className={`flex-1 px-2 py-1.5 text-xs rounded-lg border ${style.mode === mode ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}>
+                {STYLE_MODE_LABELS[mode]}
+              </button>
+            ))}
+          </div>
+
+          {style.mode !== STYLE_MODE.SINGLE && (
+            <label className="block">
+              <span className="block text-xs text-gray-500 mb-1">แยกตาม field</span>
+              <select value={style.field} onChange={(e) => setField(e.target.value)} className={inputCls}>
+                {fields.map((f) => <option key={f} value={f}>{fieldLabel(f)}</option>)}
+              </select>
+            </label>
+          )}
+
+          {style.mode === STYLE_MODE.CATEGORIZED && (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs text-gray-500">หมวด ({style.categories.length})</span>
+                <button onClick={() => setField(style.field)} className="text-xs text-blue-600 hover:underline">↻ สร้างหมวดจากข้อมูลใหม่</button>
+              </div>
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-48 overflow-y-auto">
+                {style.categories.length === 0 && <p className="text-xs text-gray-400 p-3 text-center">ไม่มีค่าใน field นี้</p>}
+                {style.categories.map((c, i) => (
+                  <div key={c.value} className="flex items-center gap-2 px-2 py-1">
+                    <input type="color" value={c.color} onChange={(e) => updateCategory(i, { color: e.target.value })} className="w-7 h-6 p-0 border-0 bg-transparent cursor-pointer" />
+                    <span className="text-xs font-mono text-gray-500 w-24 truncate" title={c.value}>{c.value}</span>
+                    <input type="text" value={c.label || ''} placeholder="ชื่อในคำอธิบายสัญลักษณ์" onChange={(e) => updateCategory(i, { label: e.target.value })}
+                      className="flex-1 px-2 py-0.5 border border-gray-200 rounded text-xs" />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {style.mode === STYLE_MODE.GRADUATED && (
+            <div className="grid grid-cols-3 gap-2">
+              <label className="block">
+                <span className="block text-xs text-gray-500 mb-1">จำนวนช่วง</span>
+                <select value={style.classes} onChange={(e) => update({ classes: Number(e.target.value) })} className={inputCls}>
+                  {Array.from({ length: MAX_CLASSES - MIN_CLASSES + 1 }, (_, i) => MIN_CLASSES + i).map((n) => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-xs text-gray-500 mb-1">วิธีแบ่ง</span>
+                <select value={style.method} onChange={(e) => update({ method: e.target.value })} className={inputCls}>
+                  {Object.entries(CLASS_METHOD_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-xs text-gray-500 mb-1">ชุดสี</span>
+                <select value={style.ramp} onChange={(e) => update({ ramp: e.target.value })} className={inputCls}>
+                  {COLOR_RAMPS.map((r) => <option key={r.key} value={r.key}>{r.label}</option>)}
+                </select>
+              </label>
+              {numericCount === 0 && <p className="col-span-3 text-xs text-red-500">field นี้ไม่มีค่าตัวเลข</p>}
+            </div>
+          )}
+
+          {style.mode !== STYLE_MODE.SINGLE && (
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              <input type="color" value={style.otherColor} onChange={(e) => update({ otherColor: e.target.value })} className="w-7 h-6 p-0 border-0 bg-transparent cursor-pointer" />
+              สีของค่าอื่น ๆ / ไม่มีค่า
+            </label>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block">
+              <span className="block text-xs text-gray-500 mb-1">ความทึบพื้น {Math.round(style.fillOpacity * 100)}%</span>
+              <input type="range" min="0" max="1" step="0.05" value={style.fillOpacity} onChange={(e) => update({ fillOpacity: Number(e.target.value) })} className="w-full" />
+            </label>
+            <label className="block">
+              <span className="block text-xs text-gray-500 mb-1">ความหนาเส้นขอบ {style.weight}px</span>
+              <input type="range" min="0" max="6" step="0.5" value={style.weight} onChange={(e) => update({ weight: Number(e.target.value) })} className="w-full" />
+            </label>
+          </div>
+
+          <div>
+            <span className="block text-xs text-gray-500 mb-1">ป้ายชื่อ (ใส่ field ใน {'{ }'} เช่น {'{parcel_cod}'})</span>
+            <div className="flex gap-1">
+              <input type="text" value={style.label} onChange={(e) => update({ label: e.target.value })} placeholder="ไม่แสดงป้ายชื่อ" className={`${inputCls} flex-1`} />
+              <select value="" onChange={(e) => insertLabelField(e.target.value)} className="px-1 border border-gray-300 rounded-lg text-xs w-24">
+                <option value="">+ field</option>
+                {fields.map((f) => <option key={f} value={f}>{fieldLabel(f)}</option>)}
+              </select>
+            </div>
+            {style.label && (
+              <label className="flex items-center gap-2 mt-1 text-xs text-gray-600">
+                แสดงเมื่อซูมตั้งแต่
+                <select value={style.labelMinZoom} onChange={(e) => update({ labelMinZoom: Number(e.target.value) })} className="px-1 py-0.5 border border-gray-300 rounded">
+                  {LABEL_MIN_ZOOMS.map((z) => <option key={z} value={z}>{z === 0 ? 'ทุกระดับ' : `ระดับ ${z}`}</option>)}
+                </select>
+              </label>
+            )}
+          </div>
+
+          <div>
+            <span className="block text-xs text-gray-500 mb-1">คำอธิบายสัญลักษณ์</span>
+            <div className="border border-gray-200 rounded-lg p-2 space-y-1">
+              {legend.map((row, i) => (
+                <div key={i} className="flex items-center gap-2 text-xs">
+                  <span className="w-4 h-3 rounded-sm flex-shrink-0 border" style={{ backgroundColor: row.color, opacity: Math.max(style.fillOpacity, 0.3), borderColor: layer.color }} />
+                  <span className="truncate">{row.label}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} disabled={saving} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm font-medium disabled:opacity-50">
+            ยกเลิก
+          </button>
+          <button onClick={handleSave} disabled={saving || (style.mode === STYLE_MODE.GRADUATED && breaks.length < 2)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:opacity-50">
+            {saving ? '⏳ กำลังบันทึก...' : '💾 บันทึก'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LayerStyleEditor;
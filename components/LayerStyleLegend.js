@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { STYLE_MODE, buildLegend, fieldLabel, normalizeLayerStyle } from '@/utils/layerStyle';
+
+/**
+ * Map legend of the visible layers that have a thematic style
+ */
+const LayerStyleLegend = ({ layers }) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const themed = layers.filter((ly) => ly.visible && normalizeLayerStyle(ly.style).mode !== STYLE_MODE.SINGLE);
+  if (themed.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-16 left-2 z-10 bg-white/95 rounded-lg shadow-lg border border-gray-200 w-56 max-h-[40vh] overflow-y-auto text-xs">
+      <button onClick={() => setCollapsed(!collapsed)} className="w-full px-3 py-1.5 flex items-center justify-between font-semibold text-gray-700 sticky top-0 bg-white/95">
+        <span>คำอธิบายสัญลักษณ์</span>
+        <span className="text-[10px]">{collapsed ? '▲' : '▼'}</span>
+      </button>
+      {!collapsed && themed.map((ly) => {
+        const style = normalizeLayerStyle(ly.style);
+        return (
+          <div key={ly.id} className="px-3 py-1.5 border-t border-gray-100">
+            <p className="font-medium text-gray-800 truncate" title={ly.name}>{ly.name}</p>
+            <p className="text-[10px] text-gray-400 mb-1">{fieldLabel(style.field)}</p>
+            {buildLegend(style, { baseColor: ly.color }).map((row, i) => (
+              <div key={i} className="flex items-center gap-1.5">
+                <span className="w-3.5 h-2.5 rounded-sm flex-shrink-0 border" style={{ backgroundColor: row.color, borderColor: ly.color }} />
+                <span className="truncate text-gray-600" title={row.label}>{row.label}</span>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LayerStyleLegend;
@@ -1,5 +1,6 @@
 import BottomNav from "./BottomNav";
 import TopNavbar from "./TopNavbar";
+import OfflineQueueStatus from "./OfflineQueueStatus";
 
 const Layout = ({ children }) => {
   return (
@@ -8,6 +9,7 @@ const Layout = ({ children }) => {
       <main className="flex-1 pb-16 px-4 pt-4 flex flex-col gap-4 w-full overflow-x-hidden">
         <div className="w-full">{children}</div>
       </main>
+      <OfflineQueueStatus />
       <BottomNav />
     </div>
   );
@@ -0,0 +1,173 @@
+import { useEffect, useState } from 'react';
+import { formatDistance } from '@/utils/complaintDuplicates';
+import { getStatusMeta } from '@/utils/complaintStatus';
+
+const SEARCH_RADII = [50, 200, 500, 2000];
+
+/**
+ * Pick a master complaint and merge `complaint` (the duplicate) into it.
+ * Candidates come from the same duplicate search used at submission time;
+ * a master can also be entered by its complaint number.
+ */
+const MergeComplaintModal = ({ complaint, onClose, onMerged }) => {
+  const [radius, setRadius] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [masterId, setMasterId] = useState('');
+  const [manualCode, setManualCode] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchCandidates = async () => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({ id: complaint._id });
+        if (radius) params.set('radius', radius);
+        const res = await fetch(`/api/submittedreports/duplicates?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        setCandidates(data.data);
+        if (!radius) setRadius(data.radius);
+      } catch (err) {
+        console.error('Error fetching duplicate candidates:', err);
+        setCandidates([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCandidates();
+  }, [complaint._id, radius]);
+
+  const resolveMasterId = async () => {
+    if (masterId) return masterId;
+    const code = manualCode.trim().toUpperCase();
+    if (!code) throw new Error('กรุณาเลือกเรื่องหลักหรือกรอกเลขที่เรื่อง');
+    const res = await fetch(`/api/track/${encodeURIComponent(code)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'ไม่พบเรื่องหลัก');
+    return data.data._id;
+  };
+
+  const handleMerge = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const id = await resolveMasterId();
+      const res = await fetch('/api/submittedreports/merge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ duplicateId: complaint._id, masterId: id, note }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'รวมเรื่องไม่สำเร็จ');
+      onMerged?.(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <dialog className="modal modal-open">
+      <div className="modal-box max-w-2xl">
+        <h3 className="font-bold text-lg mb-1">รวมเรื่องซ้ำ</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          เรื่อง <span className="font-medium">{complaint.complaintId}</span> จะถูกปิดและรวมเข้ากับเรื่องหลักที่เลือก
+          ผู้แจ้งและผู้ติดตามจะถูกย้ายไปเป็นผู้ติดตามเรื่องหลัก
+        </p>
+
+        <div className="flex items-center gap-2 mb-2 text-sm">
+          <span>ค้นหาเรื่องใกล้เคียงในระยะ</span>
+          <select
+            className="select select-bordered select-xs"
+            value={radius || ''}
+            onChange={(e) => setRadius(Number(e.target.value))}
+          >
+            {radius && !SEARCH_RADII.includes(radius) && <option value={radius}>{formatDistance(radius)}</option>}
+            {SEARCH_RADII.map((r) => (
+              <option key={r} value={r}>{formatDistance(r)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-2 max-h-64 overflow-y-auto mb-4">
+          {loading ? (
+            <div className="text-center py-4"><span className="loading loading-spinner"></span></div>
+          ) : candidates.length === 0 ? (
+            <p className="text-sm text-gray-500 py-2">ไม่พบเรื่องที่เป็นปัญหาเดียวกันในระยะนี้</p>
+          ) : (
+            candidates.map((c) => (
+              <label
+                key={c._id}
+                className={`flex items-start gap-3 border rounded-lg p-2 cursor-pointer ${masterId === c._id ? 'border-primary bg-primary/5' : ''}`}
+              >
+                <input
+                  type="radio"
+                  className="radio radio-sm radio-primary mt-1"
+                  checked={masterId === c._id}
+                  onChange={() => {
+                    setMasterId(c._id);
+                    setManualCode('');
+                  }}
+                />
+                <div className="flex-1 min-w-0 text-sm">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold">{c.complaintId}</span>
+                    <span className={`badge badge-sm ${getStatusMeta(c.status).badge}`}>{getStatusMeta(c.status).text}</span>
+                    <span className="text-xs text-gray-500">ห่าง {formatDistance(c.distance)}</span>
+                  </div>
+                  <p className="truncate text-gray-700">{c.problems?.join(', ')}</p>
+                  {c.detail && <p className="truncate text-xs text-gray-500">{c.detail}</p>}
+                </div>
+              </label>
+            ))
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium mb-1">หรือกรอกเลขที่เรื่องหลัก</label>
+            <input
+              type="text"
+              className="input input-bordered input-sm w-full"
+              placeholder="STS-000123"
+              value={manualCode}
+              onChange={(e) => {
+                setManualCode(e.target.value);
+                setMasterId('');
+              }}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">หมายเหตุ</label>
+            <input
+              type="text"
+              className="input input-bordered input-sm w-full"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-error mt-3">{error}</p>}
+
+        <div className="modal-action">
+          <button className="btn btn-ghost" onClick={onClose}>ยกเลิก</button>
+          <button
+            className="btn btn-warning"
+            disabled={saving || (!masterId && !manualCode.trim())}
+            onClick={handleMerge}
+          >
+            {saving && <span className="loading loading-spinner loading-xs"></span>}
+            รวมเรื่อง
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default MergeComplaintModal;
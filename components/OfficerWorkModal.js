@@ -0,0 +1,123 @@
+import { useEffect, useState } from "react";
+import Swal from "sweetalert2";
+import ImageUploads from "./ImageUploads";
+import { useAdminOptionsStore } from "@/stores/useAdminOptionsStore";
+
+/**
+ * Field update for one of the officer's own assignments.
+ * mode "progress": progress note with photos. mode "complete": solution,
+ * note and at least one photo, then the job is closed.
+ */
+export default function OfficerWorkModal({ item, mode, onClose, onSaved }) {
+  const isComplete = mode === "complete";
+  const [note, setNote] = useState(isComplete ? item.note || "" : "");
+  const [solution, setSolution] = useState(Array.isArray(item.solution) ? item.solution : []);
+  const [images, setImages] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const { adminOptions, fetchAdminOptions } = useAdminOptionsStore();
+
+  useEffect(() => {
+    if (isComplete) fetchAdminOptions();
+  }, [isComplete, fetchAdminOptions]);
+
+  const toggleSolution = (label) => {
+    setSolution((prev) => (prev.includes(label) ? prev.filter((s) => s !== label) : [...prev, label]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isComplete && images.length === 0) {
+      Swal.fire("กรุณาแนบรูปภาพ", "ต้องอัปโหลดภาพถ่ายอย่างน้อย 1 ภาพก่อนปิดงาน", "warning");
+      return;
+    }
+    if (!isComplete && !note.trim() && images.length === 0) {
+      Swal.fire("กรุณากรอกข้อมูล", "ระบุรายละเอียดความคืบหน้าหรือแนบรูปภาพ", "warning");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const body = isComplete
+        ? { assignmentId: item._id, solution, solutionImages: images, note }
+        : { assignmentId: item._id, note, images };
+      const res = await fetch(`/api/officer/assignments/${mode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "บันทึกไม่สำเร็จ");
+      onSaved?.(data.assignment);
+    } catch (err) {
+      Swal.fire("เกิดข้อผิดพลาด", err.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const category = item.complaint?.category;
+
+  return (
+    <dialog className="modal modal-open modal-bottom sm:modal-middle">
+      <div className="modal-box bg-base-100 shadow-xl">
+        <h2 className="text-xl font-semibold mb-1">{isComplete ? "ปิดงาน" : "บันทึกความคืบหน้า"}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {item.complaint?.complaintId} • {category}
+        </p>
+        <form onSubmit={handleSubmit}>
+          {isComplete && (
+            <div className="mb-4">
+              <label className="label">
+                <span className="label-text text-sm font-medium text-gray-800">1. วิธีการแก้ไข</span>
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {adminOptions
+                  .filter((opt) => opt.menu_category === category || solution.includes(opt.label))
+                  .map((opt) => (
+                    <button
+                      key={opt._id}
+                      type="button"
+                      className={`btn btn-sm ${solution.includes(opt.label) ? "btn-info" : "btn-outline"}`}
+                      onClick={() => toggleSolution(opt.label)}
+                    >
+                      {opt.label}
+                    </button>
+                  ))}
+              </div>
+            </div>
+          )}
+          <div className="mb-4">
+            <label className="label">
+              <span className="label-text text-sm font-medium text-gray-800">
+                {isComplete ? "2. หมายเหตุ" : "รายละเอียดความคืบหน้า"}
+              </span>
+            </label>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows="3"
+              className="textarea textarea-info textarea-bordered w-full"
+            />
+          </div>
+          <div className="mb-4">
+            <label className="label">
+              <span className={`label-text text-sm font-medium ${isComplete ? "text-red-500" : "text-gray-800"}`}>
+                {isComplete ? "⚠️ อัปโหลดภาพถ่าย อย่างน้อย 1 ภาพก่อนปิดงาน 📷" : "ภาพถ่ายหน้างาน (ถ้ามี) 📷"}
+              </span>
+            </label>
+            <ImageUploads onChange={(urls) => setImages(urls)} />
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={onClose} className="btn btn-ghost" disabled={saving}>
+              ยกเลิก
+            </button>
+            <button type="submit" className={`btn ${isComplete ? "btn-success" : "btn-primary"}`} disabled={saving}>
+              {saving && <span className="loading loading-spinner loading-xs"></span>}
+              {isComplete ? "ปิดงาน" : "บันทึก"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </dialog>
+  );
+}
@@ -0,0 +1,75 @@
+import { formatSlaHours } from '@/utils/sla';
+
+/**
+ * Officer workload table (users from /api/users/get-all-users-local?workload=1).
+ * Least loaded officers first. Pass `onSelect` to show a pick button per row.
+ */
+export default function OfficerWorkload({ users = [], loading = false, onSelect, selectLabel = 'เลือก', disabledIds = [] }) {
+  const sorted = [...users].sort(
+    (a, b) => (a.workload?.openCount || 0) - (b.workload?.openCount || 0) || (a.name || '').localeCompare(b.name || '', 'th')
+  );
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <span className="loading loading-spinner"></span>
+      </div>
+    );
+  }
+
+  if (sorted.length === 0) {
+    return <p className="text-sm text-gray-500 py-2">ไม่พบข้อมูลเจ้าหน้าที่</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="table table-sm w-full">
+        <thead>
+          <tr>
+            <th>เจ้าหน้าที่</th>
+            <th className="text-center">งานค้าง</th>
+            <th className="text-center">หลัก / ผู้ช่วย</th>
+            <th className="text-center">ปิดงานแล้ว</th>
+            <th className="text-center">เวลาปิดงานเฉลี่ย</th>
+            {onSelect && <th></th>}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((user) => {
+            const w = user.workload || {};
+            const disabled = disabledIds.includes(String(user._id));
+            return (
+              <tr key={user._id} className={disabled ? 'opacity-50' : ''}>
+                <td>
+                  <div className="font-medium">{user.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {[user.position, user.department].filter(Boolean).join(' • ')}
+                  </div>
+                </td>
+                <td className="text-center">
+                  <span className={`badge ${w.openCount >= 10 ? 'badge-error' : w.openCount >= 5 ? 'badge-warning' : 'badge-success'}`}>
+                    {w.openCount || 0}
+                  </span>
+                </td>
+                <td className="text-center text-xs">
+                  {w.openLeadCount || 0} / {w.openSupportCount || 0}
+                </td>
+                <td className="text-center text-xs">{w.completedCount || 0}</td>
+                <td className="text-center text-xs">
+                  {w.avgResolutionHours != null ? formatSlaHours(w.avgResolutionHours) : '-'}
+                </td>
+                {onSelect && (
+                  <td className="text-right">
+                    <button className="btn btn-xs btn-primary" disabled={disabled} onClick={() => onSelect(user)}>
+                      {selectLabel}
+                    </button>
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import Swal from "sweetalert2";
+import { WifiOff, UploadCloud } from "lucide-react";
+import { formatDistance } from "@/utils/complaintDuplicates";
+import {
+  QUEUE_STATUS,
+  QUEUE_STATUS_META,
+  QUEUE_UPDATED_EVENT,
+  clearSentComplaints,
+  getQueuedImageUrls,
+  listQueuedComplaints,
+  removeQueuedComplaint,
+  requestComplaintSync,
+  retryQueuedComplaint,
+  updateQueuedComplaint,
+} from "@/utils/offlineQueue";
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString("th-TH", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+
+/**
+ * Offline indicator and the list of complaints saved on this device.
+ * Shown only while offline or when the queue is not empty.
+ */
+export default function OfflineQueueStatus() {
+  const [items, setItems] = useState([]);
+  const [online, setOnline] = useState(true);
+  const [open, setOpen] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setItems(await listQueuedComplaints());
+    } catch (err) {
+      console.error("Failed to read complaint queue:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    setOnline(navigator.onLine);
+    refresh();
+
+    const handleOnline = () => {
+      setOnline(true);
+      requestComplaintSync().catch((err) => console.error("Failed to request complaint sync:", err));
+    };
+    const handleOffline = () => setOnline(false);
+    const handleMessage = (event) => {
+      if (event.data?.type === "COMPLAINT_QUEUE_UPDATED") refresh();
+    };
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    window.addEventListener(QUEUE_UPDATED_EVENT, refresh);
+    navigator.serviceWorker?.addEventListener("message", handleMessage);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      window.removeEventListener(QUEUE_UPDATED_EVENT, refresh);
+      navigator.serviceWorker?.removeEventListener("message", handleMessage);
+    };
+  }, [refresh]);
+
+  const handleFollow = async (item, candidate) => {
+    setBusyId(item.id);
+    try {
+      const { payload } = item;
+      const res = await fetch("/api/submittedreports/follow", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          id: candidate._id,
+          prefix: payload.prefix,
+          fullName: payload.fullName,
+          phone: payload.phone,
+          detail: payload.detail,
+          images: getQueuedImageUrls(item),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "ติดตามเรื่องไม่สำเร็จ");
+      await updateQueuedComplaint(item.id, {
+        status: QUEUE_STATUS.SENT,
+        complaintId: data.complaintId,
+        followed: true,
+        sentAt: new Date(),
+      });
+    } catch (err) {
+      Swal.fire("เกิดข้อผิดพลาด", err.message, "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (item) => {
+    const { isConfirmed } = await Swal.fire({
+      title: "ลบเรื่องนี้ออกจากคิว?",
+      text: "เรื่องที่ยังไม่ได้ส่งจะหายไปจากเครื่องนี้",
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonText: "ลบ",
+      cancelButtonText: "ยกเลิก",
+    });
+    if (isConfirmed) await removeQueuedComplaint(item.id);
+  };
+
+  const waiting = items.filter((i) => i.status !== QUEUE_STATUS.SENT).length;
+  const needsAction = items.some((i) => i.status === QUEUE_STATUS.DUPLICATE || i.status === QUEUE_STATUS.FAILED);
+
+  if (online && items.length === 0) return null;
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className={`fixed bottom-16 left-4 z-40 btn btn-sm shadow-md ${
+          !online ? "btn-neutral" : needsAction ? "btn-error" : waiting ? "btn-warning" : "btn-success"
+        }`}
+      >
+        {!online ? <WifiOff className="w-4 h-4" /> : <UploadCloud className="w-4 h-4" />}
+        {!online ? "ออฟไลน์" : "คิวส่งเรื่อง"}
+        {items.length > 0 && <span className="badge badge-sm">{waiting || items.length}</span>}
+      </button>
+
+      {open && (
+        <dialog className="modal modal-open modal-bottom sm:modal-middle">
+          <div className="modal-box">
+            <h3 className="font-bold text-lg mb-1">คิวส่งเรื่อง</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {online
+                ? "เรื่องที่บันทึกไว้ขณะออฟไลน์จะถูกส่งโดยอัตโนมัติ"
+                : "ขณะนี้ออฟไลน์ เรื่องที่แจ้งจะถูกเก็บไว้ในเครื่องและส่งเมื่อกลับมาออนไลน์"}
+            </p>
+
+            {items.length === 0 ? (
+              <p className="text-sm text-gray-500 py-2">ไม่มีเรื่องค้างส่ง</p>
+            ) : (
+              <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+                {items.map((item) => {
+                  const meta = QUEUE_STATUS_META[item.status] || QUEUE_STATUS_META[QUEUE_STATUS.QUEUED];
+                  const busy = busyId === item.id;
+                  return (
+                    <div key={item.id} className="border rounded-lg p-3 text-sm space-y-1">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-semibold truncate">{item.payload.category}</span>
+                        <span className={`badge badge-sm ${meta.badge}`}>
+                          {item.status === QUEUE_STATUS.SENDING && <span className="loading loading-spinner loading-xs"></span>}
+                          {meta.text}
+                        </span>
+                      </div>
+                      <p className="text-gray-700 truncate">{item.payload.problems?.join(", ")}</p>
+                      <p className="text-xs text-gray-500">
+                        บันทึกเมื่อ {formatTime(item.createdAt)}
+                        {item.attempts > 0 && item.status === QUEUE_STATUS.QUEUED && ` • ลองส่งแล้ว ${item.attempts} ครั้ง`}
+                      </p>
+
+                      {item.status === QUEUE_STATUS.SENT && (
+                        <p className="text-xs">
+                          {item.followed ? "ติดตามเรื่อง " : "เลขที่เรื่อง "}
+                          <Link href={`/track/${item.complaintId}`} className="link link-primary font-medium">
+                            {item.complaintId}
+                          </Link>
+                        </p>
+                      )}
+                      {item.status === QUEUE_STATUS.FAILED && <p className="text-xs text-error">{item.error}</p>}
+
+                      {item.status === QUEUE_STATUS.DUPLICATE && (
+                        <div className="bg-base-200 rounded p-2 space-y-1">
+                          <p className="text-xs">
+                            พบเรื่องเดียวกันที่ยังดำเนินการอยู่ในระยะ {formatDistance(item.radius)} ติดตามเรื่องเดิมหรือส่งเป็นเรื่องใหม่
+                          </p>
+                          {item.candidates?.map((candidate) => (
+                            <div key={candidate._id} className="flex items-center justify-between gap-2 text-xs">
+                              <span className="truncate">
+                                {candidate.complaintId} • ห่าง {formatDistance(candidate.distance)}
+                              </span>
+                              <button
+                                className="btn btn-primary btn-xs"
+                                disabled={busy || !online}
+                                onClick={() => handleFollow(item, candidate)}
+                              >
+                                ติดตามเรื่องนี้
+                              </button>
+                            </div>
+                          ))}
+                          <button
+                            className="btn btn-outline btn-info btn-xs"
+                            disabled={busy}
+                            onClick={() => retryQueuedComplaint(item.id, { ignoreDuplicates: true })}
+                          >
+                            ไม่ใช่เรื่องเดียวกัน ส่งเรื่องใหม่
+                          </button>
+                        </div>
+                      )}
+
+                      <div className="flex justify-end gap-1">
+                        {item.status === QUEUE_STATUS.FAILED && (
+                          <button className="btn btn-xs btn-outline" onClick={() => retryQueuedComplaint(item.id)}>
+                            ลองอีกครั้ง
+                          </button>
+                        )}
+                        {item.status === QUEUE_STATUS.QUEUED && online && (
+                          <button className="btn btn-xs btn-outline" onClick={() => requestComplaintSync()}>
+                            ส่งตอนนี้
+                          </button>
+                        )}
+                        {item.status !== QUEUE_STATUS.SENT && item.status !== QUEUE_STATUS.SENDING && (
+                          <button className="btn btn-xs btn-ghost text-error" onClick={() => handleRemove(item)}>
+                            ลบ
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            <div className="modal-action">
+              {items.some((i) => i.status === QUEUE_STATUS.SENT) && (
+                <button className="btn btn-ghost" onClick={clearSentComplaints}>
+                  ล้างรายการที่ส่งแล้ว
+                </button>
+              )}
+              <button className="btn" onClick={() => setOpen(false)}>
+                ปิด
+              </button>
+            </div>
+          </div>
+        </dialog>
+      )}
+    </>
+  );
+}
@@ -1,78 +1,55 @@
-import { useState, useEffect } from 'react';
+import { useMemo } from 'react';
+import { SLA_TARGET_META, formatSlaHours } from '@/utils/sla';
 
+// complaints – เรื่องที่ยังเปิดอยู่พร้อมผล SLA จาก /api/complaints (?sla=overdue)
 export default function OverdueComplaintsAlert({ complaints, assignments, onComplaintClick }) {
-  const [overdueComplaints, setOverdueComplaints] = useState([]);
-  const [showAlert, setShowAlert] = useState(false);
+  const overdueComplaints = useMemo(() => {
+    if (!complaints) return [];
 
-  useEffect(() => {
-    if (!complaints || !assignments) return;
-
-    const now = new Date();
-    const threeDaysAgo = new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000);
-    const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-    const overdue = complaints
-      .filter(complaint => {
-        const assignment = assignments.find(a => a.complaintId === complaint._id);
-        const lastUpdate = new Date(complaint.updatedAt);
-        
-        // Check if complaint is in progress and hasn't been updated recently
-        if (complaint.status === "อยู่ระหว่างดำเนินการ" && assignment) {
-          return lastUpdate < threeDaysAgo;
-        }
-        
-        // Check if complaint is pending for too long
-        if (complaint.status === "รอการมอบหมาย") {
-          return lastUpdate < oneWeekAgo;
-        }
-        
-        return false;
-      })
-      .map(complaint => {
-        const assignment = assignments.find(a => a.complaintId === complaint._id);
-        const lastUpdate = new Date(complaint.updatedAt);
-        const daysSinceUpdate = Math.floor((now - lastUpdate) / (1000 * 60 * 60 * 24));
-        
-        return {
-          ...complaint,
-          daysSinceUpdate,
-          isAssigned: !!assignment
-        };
-      })
-      .sort((a, b) => b.daysSinceUpdate - a.daysSinceUpdate);
-
-    setOverdueComplaints(overdue);
-    setShowAlert(overdue.length > 0);
+    return complaints
+      .filter(complaint => complaint.sla?.overdue)
+      .map(complaint => ({
+        ...complaint,
+        overdueHours: complaint.sla.overdueHours,
+        isAssigned: !!assignments?.some(a => a.complaintId === complaint._id)
+      }))
+      .sort((a, b) => b.overdueHours - a.overdueHours);
   }, [complaints, assignments]);
 
-  if (!showAlert || overdueComplaints.length === 0) {
+  if (overdueComplaints.length === 0) {
     return null;
   }
 
-  const getSeverityColor = (days) => {
-    if (days >= 7) return 'border-red-500 bg-red-50';
-    if (days >= 5) return 'border-orange-500 bg-orange-50';
+  const getSeverityColor = (hours) => {
+    if (hours >= 72) return 'border-red-500 bg-red-50';
+    if (hours >= 24) return 'border-orange-500 bg-orange-50';
     return 'border-yellow-500 bg-yellow-50';
   };
 
-  const getSeverityText = (days) => {
-    if (days >= 7) return '🚨 วิกฤต';
-    if (days >= 5) return '⚠️ ควรเร่งดำเนินการ';
+  const getSeverityText = (hours) => {
+    if (hours >= 72) return '🚨 วิกฤต';
+    if (hours >= 24) return '⚠️ ควรเร่งดำเนินการ';
     return '📋 ต้องติดตาม';
   };
 
+  const getBadgeColor = (hours) => {
+    if (hours >= 72) return 'badge-error';
+    if (hours >= 24) return 'badge-warning';
+    return 'badge-info';
+  };
+
   return (
     <div className="mb-6">
-      <div className={`border-l-4 p-4 rounded-r-lg ${getSeverityColor(overdueComplaints[0]?.daysSinceUpdate || 0)}`}>
+      <div className={`border-l-4 p-4 rounded-r-lg ${getSeverityColor(overdueComplaints[0].overdueHours)}`}>
         <div className="flex items-center justify-between mb-3">
           <h3 className="text-lg font-semibold text-gray-800">
-            {getSeverityText(overdueComplaints[0]?.daysSinceUpdate || 0)} - เรื่องที่ต้องติดตาม
+            {getSeverityText(overdueComplaints[0].overdueHours)} - เรื่องที่เกินกำหนด SLA
           </h3>
           <span className="badge badge-warning">{overdueComplaints.length} เรื่อง</span>
         </div>
         
         <p className="text-sm text-gray-600 mb-3">
-          มีเรื่องร้องเรียนที่ยังไม่ได้รับการอัปเดตหรือดำเนินการมานานแล้ว
+          มีเรื่องร้องเรียนที่เกินเวลาเป้าหมายตามนโยบาย SLA ของหมวดหมู่
           <br />
           <span className="text-xs text-blue-600">💡 คลิกที่เรื่องเพื่อดูรายละเอียด</span>
         </p>
@@ -89,12 +66,14 @@ export default function OverdueComplaintsAlert({ complaints, assignments, onComp
                   <span className="text-xs font-medium text-gray-500">
                     {complaint.isAssigned ? 'มอบหมายแล้ว' : 'ยังไม่มอบหมาย'}
                   </span>
-                  <span className={`badge badge-xs ${
-                    complaint.daysSinceUpdate >= 7 ? 'badge-error' : 
-                    complaint.daysSinceUpdate >= 5 ? 'badge-warning' : 'badge-info'
-                  }`}>
-                    {complaint.daysSinceUpdate} วัน
+                  <span className={`badge badge-xs ${getBadgeColor(complaint.overdueHours)}`}>
+                    เกิน {formatSlaHours(complaint.overdueHours)}
                   </span>
+                  {complaint.sla.breachedTargets.map(target => (
+                    <span key={target} className="badge badge-xs badge-outline">
+                      {SLA_TARGET_META[target].text}
+                    </span>
+                  ))}
                 </div>
                 <p className="text-sm font-medium truncate" title={complaint.detail}>
                   {complaint.detail}
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { EDIT_OP } from '@/utils/editSession';
+import { formatLandUse } from '@/utils/landUse';
+import { LAND_USE_TRANSFER, mergeLandUse, splitLandUse } from '@/utils/parcelSubdivision';
+
+// สีของแปลงใหม่แต่ละแปลง ตรงกับภาพตัวอย่างบนแผนที่
+export const SUBDIVISION_PART_COLORS = ['#2563eb', '#16a34a', '#d97706', '#db2777', '#7c3aed', '#0891b2'];
+
+/**
+ * Confirm a split or merge (`mode` EDIT_OP.SPLIT / EDIT_OP.MERGE): codes of
+ * the new parcels (checked against the layer), their areas and what happens
+ * to the originals' land use. The parts are previewed on the map in
+ * SUBDIVISION_PART_COLORS.
+ *
+ * @param {{ mode: string, sources: Array<{ code: string|null, area: string, landUse: object|null }>, parts: Array<{ area: string, share: number }>, defaultCodes: string[], takenCodes: Set<string>, onConfirm: Function, onCancel: Function }} props
+ */
+const ParcelSubdivisionForm = ({ mode, sources, parts, defaultCodes, takenCodes, onConfirm, onCancel }) => {
+  const [codes, setCodes] = useState(defaultCodes);
+  const [transfer, setTransfer] = useState(LAND_USE_TRANSFER.CARRY);
+
+  const hasLandUse = sources.some((s) => s.landUse);
+  const landUses = mode === EDIT_OP.SPLIT
+    ? splitLandUse(sources[0].landUse, parts.map((p) => p.share))
+    : [mergeLandUse(sources.map((s) => ({ landUse: s.landUse, area: s.area })))];
+
+  const codeError = (code, i) => {
+    const trimmed = code.trim();
+    if (!trimmed) return 'กรุณากรอกรหัสแปลง';
+    if (codes.some((c, j) => j !== i && c.trim() === trimmed)) return 'รหัสซ้ำกัน';
+    if (takenCodes.has(trimmed)) return 'มีรหัสนี้ในเลเยอร์แล้ว';
+    return null;
+  };
+  const valid = codes.every((code, i) => !codeError(code, i));
+
+  const title = mode === EDIT_OP.SPLIT ? `✂️ แบ่งแปลง ${sources[0].code || ''}` : `🔗 รวม ${sources.length} แปลง`;
+
+  return (
+    <div className="absolute top-20 right-4 z-30 bg-white rounded-xl shadow-2xl border border-blue-300 w-80 max-h-[75vh] flex flex-col overflow-hidden">
+      <div className="px-4 py-3 bg-blue-50 border-b border-blue-200">
+        <p className="text-sm font-semibold text-blue-800">{title}</p>
+        <p className="text-[10px] text-blue-600">
+          {mode === EDIT_OP.SPLIT ? `เนื้อที่เดิม ${sources[0].area} → ${parts.length} แปลง` : `${sources.map((s) => s.code || '?').join(', ')} → 1 แปลง`}
+        </p>
+      </div>
+
+      <div className="p-4 space-y-3 overflow-y-auto flex-1">
+        {parts.map((part, i) => {
+          const error = codeError(codes[i], i);
+          return (
+            <div key={i} className="flex items-start gap-2">
+              <span className="mt-2 w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: SUBDIVISION_PART_COLORS[i % SUBDIVISION_PART_COLORS.length] }} />
+              <div className="flex-1 min-w-0">
+                <input type="text" value={codes[i]} onChange={(e) => setCodes((prev) => prev.map((c, j) => (j === i ? e.target.value : c)))}
+                  className={`w-full px-2 py-1.5 border rounded-lg text-sm font-mono ${error ? 'border-red-400' : 'border-gray-300'}`}
+                  placeholder="รหัสแปลงใหม่" autoFocus={i === 0} />
+                <p className="text-[10px] text-gray-500 mt-0.5">
+                  เนื้อที่ {part.area}{mode === EDIT_OP.SPLIT && ` (${Math.round(part.share * 100)}%)`}
+                  {error && <span className="ml-1 text-red-500">• {error}</span>}
+                </p>
+                {hasLandUse && transfer === LAND_USE_TRANSFER.CARRY && (
+                  <p className="text-[10px] text-gray-600 truncate" title={formatLandUse(landUses[i])}>{formatLandUse(landUses[i])}</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+
+        {hasLandUse && (
+          <div className="border-t border-gray-100 pt-3 space-y-1 text-xs text-gray-700">
+            <p className="text-[10px] text-gray-500">การใช้ที่ดินของแปลงเดิม</p>
+            <label className="flex items-start gap-2">
+              <input type="radio" checked={transfer === LAND_USE_TRANSFER.CARRY} onChange={() => setTransfer(LAND_USE_TRANSFER.CARRY)} className="mt-0.5" />
+              {mode === EDIT_OP.SPLIT ? 'ใช้ต่อ แบ่งเนื้อที่ตามสัดส่วนแปลงใหม่' : 'รวมเนื้อที่แต่ละประเภทจากทุกแปลง'}
+            </label>
+            <label className="flex items-start gap-2">
+              <input type="radio" checked={transfer === LAND_USE_TRANSFER.NONE} onChange={() => setTransfer(LAND_USE_TRANSFER.NONE)} className="mt-0.5" />
+              ไม่กำหนด (สำรวจใหม่)
+            </label>
+            <p className="text-[10px] text-gray-400">รหัสเดิมที่ไม่ได้ใช้ต่อจะถูกล้างการใช้ที่ดินเมื่อบันทึกการแก้ไข</p>
+          </div>
+        )}
+      </div>
+
+      <div className="px-4 py-3 border-t border-gray-100 flex items-center gap-2 bg-gray-50">
+        <button onClick={() => onConfirm({ codes: codes.map((c) => c.trim()), landUses: transfer === LAND_USE_TRANSFER.CARRY ? landUses : parts.map(() => null) })} disabled={!valid}
+          className="flex-1 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors shadow disabled:opacity-50">
+          ✓ {mode === EDIT_OP.SPLIT ? 'แบ่งแปลง' : 'รวมแปลง'}
+        </button>
+        <button onClick={onCancel}
+          className="px-4 py-2 bg-gray-400 text-white text-sm font-medium rounded-lg hover:bg-gray-500 transition-colors shadow">
+          ยกเลิก
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ParcelSubdivisionForm;
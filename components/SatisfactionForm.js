@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import Swal from "sweetalert2";
 import { z } from "zod";
+import { isDoneStatus } from "@/utils/complaintStatus";
 
 const SatisfactionForm = ({ onSubmit, complaintId, status }) => {
   const [rating, setRating] = useState(0);
@@ -84,7 +85,7 @@ const SatisfactionForm = ({ onSubmit, complaintId, status }) => {
   };
 
   // ตรวจสอบสถานะก่อนแสดงฟอร์ม
-  if (status !== "ดำเนินการเสร็จสิ้น") {
+  if (!isDoneStatus(status)) {
     return (
       <div className="text-center p-4 text-gray-500">
         <p>ไม่สามารถประเมินความพึงพอใจได้</p>
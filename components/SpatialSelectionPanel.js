@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import {
+  BUFFER_SELECT_MODES,
+  MAX_BUFFER_METERS,
+  SPATIAL_SELECT_MODE,
+  SPATIAL_SELECT_MODE_LABELS,
+  featureTitle,
+} from '@/utils/spatialSelection';
+
+const MODE_HINTS = {
+  [SPATIAL_SELECT_MODE.RECTANGLE]: 'คลิกมุมแรก แล้วคลิกมุมตรงข้ามของกรอบ',
+  [SPATIAL_SELECT_MODE.LASSO]: 'กดเมาส์ค้างแล้วลากรอบแปลงที่ต้องการ',
+  [SPATIAL_SELECT_MODE.POLYGON]: 'คลิกวางจุดมุม ดับเบิลคลิกเพื่อปิดรูป',
+  [SPATIAL_SELECT_MODE.LINE]: 'คลิกวางจุดตามแนวเส้น (เช่น แนวถนน) ดับเบิลคลิกเพื่อจบ',
+  [SPATIAL_SELECT_MODE.POINT]: 'คลิกตำแหน่งบนแผนที่',
+  [SPATIAL_SELECT_MODE.LAYER]: 'เลือกรูปจากเลเยอร์อื่น เช่น โซนจาก zone.shp.geojson',
+};
+
+/**
+ * Spatial selection on the map for `layer`: the mode, buffer distance and,
+ * for SPATIAL_SELECT_MODE.LAYER, the feature of another layer to select
+ * with. The drawing itself happens on the map; `result` is what
+ * selectFeatures found ({ indexes, codes }) or `{ error }`. The selection is
+ * shown in the AttributeTable for bulk land-use assign and export.
+ *
+ * @param {{ layer: object, layers: object[], selection: object, result: object|null, onChange: Function, onRedraw: Function, onZoom: Function, onClose: Function }} props
+ */
+const SpatialSelectionPanel = ({ layer, layers, selection, result, onChange, onRedraw, onZoom, onClose }) => {
+  const { mode, distance, sourceLayerId, sourceIndex, drawn } = selection;
+  // แก้ระยะในช่องก่อน แล้วค่อยเลือกใหม่เมื่อกด Enter หรือออกจากช่อง
+  const [distanceInput, setDistanceInput] = useState(String(distance));
+  useEffect(() => { setDistanceInput(String(distance)); }, [distance]);
+
+  const sourceLayers = layers.filter((l) => l.id !== layer.id);
+  const sourceLayer = sourceLayers.find((l) => l.id === sourceLayerId) || null;
+  const sourceFeatures = sourceLayer?.data?.features || [];
+  const usesDistance = BUFFER_SELECT_MODES.includes(mode);
+
+  const commitDistance = () => {
+    const value = Number(distanceInput);
+    if (!Number.isFinite(value) || value < 0) { setDistanceInput(String(distance)); return; }
+    if (value !== distance) onChange({ distance: Math.min(value, MAX_BUFFER_METERS) });
+  };
+
+  return (
+    <div className="absolute top-4 left-14 z-10 bg-white rounded-lg shadow-lg border border-violet-200 w-80 max-h-[70vh] flex flex-col">
+      <div className="px-3 py-2 border-b border-gray-100 flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <h4 className="text-xs font-semibold text-violet-700">🎯 เลือกแปลงบนแผนที่</h4>
+          <p className="text-[10px] text-gray-400 truncate" title={layer.name}>{layer.name}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-sm flex-shrink-0">&times;</button>
+      </div>
+
+      <div className="p-3 space-y-3 overflow-y-auto flex-1 text-xs">
+        <div className="flex flex-wrap gap-1">
+          {Object.values(SPATIAL_SELECT_MODE).map((m) => (
+            <button key={m} onClick={() => m !== mode && onChange({ mode: m, drawn: null })}
+              disabled={m === SPATIAL_SELECT_MODE.LAYER && sourceLayers.length === 0}
+              className={`px-1.5 py-0.5 rounded text-[10px] border disabled:opacity-40 ${mode === m ? 'bg-violet-600 text-white border-violet-600' : 'bg-white border-gray-300 hover:bg-gray-50'}`}>
+              {SPATIAL_SELECT_MODE_LABELS[m]}
+            </button>
+          ))}
+        </div>
+        <p className="text-[10px] text-gray-500">{MODE_HINTS[mode]}</p>
+
+        {mode === SPATIAL_SELECT_MODE.LAYER && (
+          <div className="space-y-2">
+            <select value={sourceLayerId ?? ''} onChange={(e) => onChange({ sourceLayerId: e.target.value ? Number(e.target.value) : null, sourceIndex: 0 })}
+              className="w-full px-2 py-1.5 border border-gray-300 rounded-lg">
+              <option value="">— เลือกเลเยอร์ —</option>
+              {sourceLayers.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+            </select>
+            {sourceLayer && (
+              <select value={sourceIndex} onChange={(e) => onChange({ sourceIndex: Number(e.target.value) })}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-lg">
+                {sourceFeatures.map((f, i) => <option key={i} value={i}>{featureTitle(f.properties, i)}</option>)}
+              </select>
+            )}
+          </div>
+        )}
+
+        {usesDistance && (
+          <label className="flex items-center gap-2">
+            <span className="text-gray-600">ระยะ</span>
+            <input type="number" min="0" max={MAX_BUFFER_METERS} step="1" value={distanceInput}
+              onChange={(e) => setDistanceInput(e.target.value)} onBlur={commitDistance}
+              onKeyDown={(e) => { if (e.key === 'Enter') commitDistance(); }}
+              className="w-24 px-2 py-1 border border-gray-300 rounded-lg text-right" />
+            <span className="text-gray-600">เมตร</span>
+            {mode === SPATIAL_SELECT_MODE.LAYER && <span className="text-[10px] text-gray-400">(0 = เฉพาะที่ซ้อนทับ)</span>}
+          </label>
+        )}
+
+        {result?.error && <p className="text-red-500">{result.error}</p>}
+        {result && !result.error && (
+          <div className="rounded-lg bg-violet-50 border border-violet-200 px-3 py-2">
+            <p className="font-semibold text-violet-800">พบ {result.indexes.length} รายการ{result.codes.length !== result.indexes.length && ` (${result.codes.length} รหัสแปลง)`}</p>
+            <p className="text-[10px] text-violet-600">แสดงในตารางข้อมูล ใช้กำหนดการใช้ที่ดินหรือส่งออกได้</p>
+          </div>
+        )}
+      </div>
+
+      <div className="px-3 py-2 border-t border-gray-100 flex items-center gap-2">
+        {mode !== SPATIAL_SELECT_MODE.LAYER && drawn && (
+          <button onClick={onRedraw} className="px-2 py-1 text-xs text-violet-700 border border-violet-300 rounded-md hover:bg-violet-50">↻ วาดใหม่</button>
+        )}
+        {result && !result.error && (
+          <button onClick={onZoom} className="px-2 py-1 text-xs text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50">🔍 ซูมไปที่พื้นที่</button>
+        )}
+        <div className="flex-1" />
+        <button onClick={onClose} className="px-2 py-1 text-xs text-gray-500 hover:text-gray-700">ล้างการเลือก</button>
+      </div>
+    </div>
+  );
+};
+
+export default SpatialSelectionPanel;
@@ -0,0 +1,60 @@
+import { getStatusMeta } from '@/utils/complaintStatus';
+
+const formatDateTime = (value) => {
+  if (!value) return 'ไม่ระบุ';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return 'ไม่ระบุ';
+  return date.toLocaleDateString('th-TH', {
+    year: '2-digit',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+/**
+ * Vertical timeline of a complaint's statusHistory (newest first)
+ * showActor – show who made each change (admin views only)
+ */
+export default function StatusTimeline({ history, showActor = false }) {
+  const entries = Array.isArray(history)
+    ? [...history].sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt))
+    : [];
+
+  if (entries.length === 0) {
+    return (
+      <div className="bg-gray-50 p-3 rounded-lg text-sm text-gray-500">
+        ยังไม่มีประวัติการเปลี่ยนสถานะ
+      </div>
+    );
+  }
+
+  return (
+    <ul className="space-y-3">
+      {entries.map((entry, index) => {
+        const meta = getStatusMeta(entry.to);
+        return (
+          <li key={entry._id || index} className="flex gap-3">
+            <div className="flex flex-col items-center">
+              <span className="text-lg leading-none">{meta.icon}</span>
+              {index < entries.length - 1 && <span className="flex-1 w-px bg-gray-300 mt-1" />}
+            </div>
+            <div className="flex-1 pb-1">
+              <div className="flex items-center gap-2 flex-wrap">
+                <span className={`badge badge-sm ${meta.badge}`}>{meta.text}</span>
+                <span className="text-xs text-gray-500">{formatDateTime(entry.changedAt)}</span>
+              </div>
+              {showActor && (entry.changedByName || entry.changedBy) && (
+                <p className="text-xs text-gray-600 mt-1">โดย: {entry.changedByName || entry.changedBy}</p>
+              )}
+              {entry.note && (
+                <p className="text-sm text-gray-700 mt-1">{entry.note}</p>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { formatLandUse } from '@/utils/landUse';
+import { EDIT_STATUS } from '@/utils/surveyOffline';
+
+const formatTime = (date) =>
+  date ? new Date(date).toLocaleString('th-TH', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }) : '-';
+
+/**
+ * Survey sync bar for the tax map: connection state, queued land-use edits,
+ * the sync button and per-parcel conflict resolution.
+ */
+const SurveySyncPanel = ({ online, usingCache, edits, syncing, onSync, onResolve, onZoomToParcel }) => {
+  const [showConflicts, setShowConflicts] = useState(false);
+  const pending = edits.filter((e) => e.status === EDIT_STATUS.PENDING);
+  const conflicts = edits.filter((e) => e.status === EDIT_STATUS.CONFLICT);
+
+  return (
+    <>
+      <div className="absolute bottom-16 left-1/2 -translate-x-1/2 z-10 bg-white rounded-lg shadow-lg border border-gray-200 px-3 py-2 flex flex-wrap items-center gap-2 text-xs">
+        <span className={`inline-block w-2 h-2 rounded-full ${online ? 'bg-green-500' : 'bg-gray-400'}`} />
+        <span className="font-medium text-gray-700">{online ? 'ออนไลน์' : 'ออฟไลน์'}</span>
+        {usingCache && <span className="text-amber-600">• ใช้ข้อมูลที่บันทึกในเครื่อง</span>}
+        {pending.length > 0 && <span className="text-blue-700">• รอซิงก์ {pending.length} แปลง</span>}
+        {conflicts.length > 0 && (
+          <button onClick={() => setShowConflicts(true)} className="px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700">
+            ⚠️ ชนกัน {conflicts.length} แปลง
+          </button>
+        )}
+        <button
+          onClick={onSync}
+          disabled={!online || syncing || pending.length === 0}
+          className="px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {syncing ? '⏳ กำลังซิงก์...' : '🔄 ซิงก์'}
+        </button>
+      </div>
+
+      {showConflicts && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={() => setShowConflicts(false)}>
+          <div className="bg-white rounded-xl shadow-2xl p-5 max-w-2xl w-full mx-4 max-h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">ข้อมูลสำรวจที่ชนกัน</h3>
+            <p className="text-xs text-gray-500 mb-3">
+              แปลงเหล่านี้ถูกแก้ไขบนเซิร์ฟเวอร์หลังจากที่ดาวน์โหลดไว้ เลือกว่าจะใช้ข้อมูลของคุณหรือข้อมูลบนเซิร์ฟเวอร์
+            </p>
+            {conflicts.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4 text-center">ไม่มีข้อมูลที่ชนกันแล้ว</p>
+            ) : (
+              <div className="overflow-y-auto space-y-2">
+                {conflicts.map((edit) => (
+                  <div key={edit.parcelCode} className="border border-gray-200 rounded-lg p-3 text-xs">
+                    <div className="flex items-center justify-between mb-2">
+                      <button onClick={() => onZoomToParcel(edit.parcelCode)} className="font-semibold text-blue-700 hover:underline">
+                        📍 {edit.parcelCode}
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 mb-2">
+                      <div className="bg-blue-50 rounded p-2">
+                        <p className="font-medium text-blue-800">ของคุณ • {formatTime(edit.editedAt)}</p>
+                        <p className="text-gray-700">{formatLandUse(edit.landUse)}</p>
+                      </div>
+                      <div className="bg-amber-50 rounded p-2">
+                        <p className="font-medium text-amber-800">บนเซิร์ฟเวอร์ • {formatTime(edit.server?.updatedAt)}</p>
+                        <p className="text-gray-700">{formatLandUse(edit.server?.landUse)}</p>
+                      </div>
+                    </div>
+                    <div className="flex justify-end gap-2">
+                      <button onClick={() => onResolve(edit, 'server')} className="px-3 py-1 bg-white border border-amber-400 text-amber-700 rounded hover:bg-amber-50">
+                        ใช้ข้อมูลบนเซิร์ฟเวอร์
+                      </button>
+                      <button onClick={() => onResolve(edit, 'mine')} disabled={!online} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50">
+                        ใช้ข้อมูลของฉัน
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-end mt-3">
+              <button onClick={() => setShowConflicts(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm font-medium">
+                ปิด
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SurveySyncPanel;
@@ -5,6 +5,66 @@ import '@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css';
 import L from 'leaflet';
 import '@geoman-io/leaflet-geoman-free';
 import area from '@turf/area';
+import {
+  LAND_USE_CHANGE_SOURCE,
+  LAND_USE_TYPES,
+  LAND_USE_MAP,
+  SQM_PER_WAH,
+  getBlockId,
+  getParcelArea,
+  getParcelCode,
+  landUseAreaWah,
+  matchesLandUseFilter,
+  normalizeLandUse,
+  parseAreaToWah,
+  wahToAreaStr,
+} from '@/utils/landUse';
+import { APPRAISAL_SOURCE_LABELS, calculateParcelTax, formatBaht } from '@/utils/tax';
+import { LABEL_MIN_ZOOMS, featureLabel, featureStyle, normalizeLayerStyle } from '@/utils/layerStyle';
+import {
+  EDIT_OP,
+  addEdit,
+  attributeEdit,
+  createEditSession,
+  deleteEdit,
+  describeEdit,
+  formatEditSummary,
+  geometryEdit,
+  hasEdits,
+  pendingLandUse,
+  pushEdit,
+  redoEdit,
+  replaceEdit,
+  summarizeEdits,
+  undoEdit,
+} from '@/utils/editSession';
+import { mergeParcels, parcelAreaStr, splitParcelByLine, subdividedProperties, suggestParcelCodes } from '@/utils/parcelSubdivision';
+import { BUFFER_SELECT_MODES, DEFAULT_BUFFER_METERS, SPATIAL_SELECT_MODE, selectFeatures, selectionArea } from '@/utils/spatialSelection';
+import {
+  applyLandUseEdits,
+  cacheLandUseSnapshot,
+  cacheSurveyLayers,
+  discardLandUseEdits,
+  EDIT_STATUS,
+  getCachedLandUseSnapshot,
+  getCachedSurveyLayers,
+  isSurveyOfflineSupported,
+  listLandUseEdits,
+  queueLandUseEdit,
+  resolveLandUseConflict,
+  syncLandUseEdits,
+} from '@/utils/surveyOffline';
+import SurveySyncPanel from './SurveySyncPanel';
+import LayerImportPreview from './LayerImportPreview';
+import LayerExportModal from './LayerExportModal';
+import TaxReportModal from './TaxReportModal';
+import LandUseTimeline from './LandUseTimeline';
+import LandUseComparePanel from './LandUseComparePanel';
+import LayerStyleEditor from './LayerStyleEditor';
+import TopologyValidationPanel from './TopologyValidationPanel';
+import ParcelSubdivisionForm, { SUBDIVISION_PART_COLORS } from './ParcelSubdivisionForm';
+import SpatialSelectionPanel from './SpatialSelectionPanel';
+import LayerStyleLegend from './LayerStyleLegend';
 
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -20,44 +80,8 @@ const LAYER_COLORS = [
   '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#6366f1',
 ];
 
-const LAND_USE_TYPES = [
-  { key: 'agriculture', label: 'เกษตรกรรม', icon: '🌾', color: '#22c55e', fillColor: '#86efac' },
-  { key: 'residential', label: 'ที่อยู่อาศัย', icon: '🏠', color: '#3b82f6', fillColor: '#93c5fd' },
-  { key: 'commercial', label: 'พาณิชยกรรม', icon: '🏪', color: '#f59e0b', fillColor: '#fcd34d' },
-  { key: 'industrial', label: 'อุตสาหกรรม', icon: '🏭', color: '#8b5cf6', fillColor: '#c4b5fd' },
-  { key: 'government', label: 'สถานที่ราชการ', icon: '🏛️', color: '#06b6d4', fillColor: '#67e8f9' },
-  { key: 'religious', label: 'ศาสนสถาน', icon: '⛪', color: '#ec4899', fillColor: '#f9a8d4' },
-  { key: 'vacant', label: 'รกร้างว่างเปล่า', icon: '🏜️', color: '#9ca3af', fillColor: '#d1d5db' },
-  { key: 'other', label: 'อื่นๆ', icon: '📌', color: '#78716c', fillColor: '#d6d3d1' },
-];
-
-const LAND_USE_MAP = Object.fromEntries(LAND_USE_TYPES.map((t) => [t.key, t]));
-
-/* ─── Thai land units (Engineering Spec: 1 ตร.วา = 4 ตร.ม.) ─── */
-const SQM_PER_WAH = 4;
-const WAH_PER_NGAN = 100;
-const WAH_PER_RAI = 400;
-
 /* ─── Area helpers (ไร่-งาน-ตารางวา) ─── */
 
-const parseAreaToWah = (str) => {
-  if (!str || typeof str !== 'string') return 0;
-  const parts = str.split('-').map((s) => parseFloat(s) || 0);
-  const rai = parts[0] || 0;
-  const ngan = parts[1] || 0;
-  const wah = parts[2] || 0;
-  return rai * WAH_PER_RAI + ngan * WAH_PER_NGAN + wah;
-};
-
-const wahToAreaStr = (totalWah) => {
-  if (!totalWah || totalWah <= 0) return '0-0-0';
-  const rai = Math.floor(totalWah / WAH_PER_RAI);
-  const remain = totalWah - rai * WAH_PER_RAI;
-  const ngan = Math.floor(remain / WAH_PER_NGAN);
-  const wah = Math.round((remain - ngan * WAH_PER_NGAN) * 100) / 100;
-  return `${rai}-${ngan}-${wah}`;
-};
-
 const parseAreaParts = (str) => {
   if (!str || typeof str !== 'string') return { rai: '', ngan: '', wah: '' };
   const parts = str.split('-');
@@ -85,22 +109,13 @@ const normalizeAreaStr = (str) => {
   return `${r}-${n}-${w}`;
 };
 
-/**
- * Normalize assignment value from any old/new format → { types: string[], areas: Record<string,string> }
- * Supports: string, array, { types, areas }
- */
-const normalizeLUFull = (val) => {
-  if (!val) return { types: [], areas: {} };
-  if (typeof val === 'string') return { types: [val], areas: {} };
-  if (Array.isArray(val)) return { types: val, areas: {} };
-  if (val.types) return { types: val.types || [], areas: val.areas || {} };
-  return { types: [], areas: {} };
-};
-
-const normalizeLU = (val) => normalizeLUFull(val).types;
+const normalizeLU = (val) => normalizeLandUse(val).types;
 
 const PAGE_SIZE_OPTIONS = [50, 100, 200, 500];
 
+// แปลงบนเซิร์ฟเวอร์ผ่าน /api/geojson/convert
+const IMPORT_EXTENSIONS = ['.geojson', '.json', '.zip', '.kml', '.kmz', '.csv'];
+
 /* ─── Geodesic area (sq meters, WGS84 ellipsoid via Turf.js) ─── */
 const geodesicArea = (latLngs) => {
   if (!latLngs || latLngs.length < 3) return 0;
@@ -131,6 +146,21 @@ const MapController = ({ onMapReady }) => {
   return null;
 };
 
+// class label-zoom-{z} บนแผนที่ทุกระดับ z ที่ซูมถึงแล้ว ป้ายชื่อเลเยอร์ (layer-label-z{z}) แสดงตามนี้ใน globals.css
+const LabelZoomClasses = () => {
+  const map = useMap();
+  useEffect(() => {
+    const update = () => {
+      const zoom = map.getZoom();
+      LABEL_MIN_ZOOMS.forEach((z) => map.getContainer().classList.toggle(`label-zoom-${z}`, zoom >= z));
+    };
+    update();
+    map.on('zoomend', update);
+    return () => { map.off('zoomend', update); };
+  }, [map]);
+  return null;
+};
+
 const FitBoundsToGeoJSON = ({ geojsonData }) => {
   const map = useMap();
   useEffect(() => {
@@ -260,6 +290,127 @@ const DrawNewFeature = ({ onCreated }) => {
   return null;
 };
 
+/* ─── Split Line Tool: เส้นแบ่งแปลง ─── */
+
+const DrawSplitLine = ({ onCreated }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!map) return;
+
+    map.pm.setGlobalOptions({
+      allowSelfIntersection: false,
+      snappable: true,
+      snapDistance: 15,
+      templineStyle: { color: '#dc2626', weight: 3 },
+      hintlineStyle: { color: '#dc2626', dashArray: '5,5', weight: 2 },
+      pathOptions: { color: '#dc2626', weight: 3 },
+    });
+
+    map.pm.enableDraw('Line', { finishOn: 'dblclick' });
+
+    const handleCreate = (e) => {
+      const coords = e.layer.toGeoJSON().geometry.coordinates;
+      map.pm.disableDraw();
+      try { map.removeLayer(e.layer); } catch { /* ignore */ }
+      onCreated(coords);
+    };
+
+    map.on('pm:create', handleCreate);
+
+    return () => {
+      map.pm.disableDraw();
+      map.off('pm:create', handleCreate);
+    };
+  }, [map, onCreated]);
+
+  return null;
+};
+
+/* ─── Spatial Select Tool: วาดรูปเพื่อเลือกแปลง ─── */
+
+const SPATIAL_DRAW_SHAPES = {
+  [SPATIAL_SELECT_MODE.RECTANGLE]: 'Rectangle',
+  [SPATIAL_SELECT_MODE.POLYGON]: 'Polygon',
+  [SPATIAL_SELECT_MODE.LINE]: 'Line',
+  [SPATIAL_SELECT_MODE.POINT]: 'CircleMarker',
+};
+
+const SpatialSelectTool = ({ mode, onCreated }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!map) return;
+    map.closePopup();
+    // คลิกระหว่างวาดไม่ต้องเปิด popup ของแปลง
+    const closePopup = () => map.closePopup();
+    map.on('popupopen', closePopup);
+
+    if (mode === SPATIAL_SELECT_MODE.LASSO) {
+      const container = map.getContainer();
+      const trace = L.polyline([], { color: '#7c3aed', weight: 2, dashArray: '4,4', interactive: false }).addTo(map);
+      const wasDraggable = map.dragging.enabled();
+      let points = null;
+      map.dragging.disable();
+      container.style.cursor = 'crosshair';
+
+      const handleDown = (e) => { points = [e.latlng]; trace.setLatLngs(points); };
+      const handleMove = (e) => {
+        if (!points) return;
+        points.push(e.latlng);
+        trace.setLatLngs(points);
+      };
+      const handleUp = () => {
+        if (!points) return;
+        const ring = points.map((p) => [p.lng, p.lat]);
+        points = null;
+        trace.setLatLngs([]);
+        if (ring.length >= 3) onCreated({ type: 'Polygon', coordinates: [[...ring, ring[0]]] });
+      };
+
+      map.on('mousedown', handleDown);
+      map.on('mousemove', handleMove);
+      map.on('mouseup', handleUp);
+      return () => {
+        map.off('popupopen', closePopup);
+        map.off('mousedown', handleDown);
+        map.off('mousemove', handleMove);
+        map.off('mouseup', handleUp);
+        map.removeLayer(trace);
+        container.style.cursor = '';
+        if (wasDraggable) map.dragging.enable();
+      };
+    }
+
+    map.pm.setGlobalOptions({
+      allowSelfIntersection: false,
+      snappable: false,
+      templineStyle: { color: '#7c3aed', weight: 2 },
+      hintlineStyle: { color: '#7c3aed', dashArray: '5,5', weight: 2 },
+      pathOptions: { color: '#7c3aed', weight: 2, fillColor: '#ddd6fe', fillOpacity: 0.2 },
+    });
+    const shape = SPATIAL_DRAW_SHAPES[mode];
+    map.pm.enableDraw(shape, shape === 'Polygon' || shape === 'Line' ? { finishOn: 'dblclick' } : {});
+
+    const handleCreate = (e) => {
+      const { geometry } = e.layer.toGeoJSON();
+      map.pm.disableDraw();
+      try { map.removeLayer(e.layer); } catch { /* ignore */ }
+      onCreated(geometry);
+    };
+
+    map.on('pm:create', handleCreate);
+
+    return () => {
+      map.off('popupopen', closePopup);
+      map.pm.disableDraw();
+      map.off('pm:create', handleCreate);
+    };
+  }, [map, mode, onCreated]);
+
+  return null;
+};
+
 /* ─── Measure Area Tool ─── */
 
 const MeasureAreaTool = ({ onUpdate }) => {
@@ -435,12 +586,6 @@ const NewFeaturePropsForm = ({ onSave, onCancel }) => {
   );
 };
 
-const getParcelCode = (props) =>
-  props?.parcel_cod || props?.PARCEL_COD || props?.Parcel_cod || null;
-
-const getParcelArea = (props) =>
-  props?.Area || props?.area || props?.AREA || null;
-
 const VALID_GEOM_TYPES = new Set([
   'Point', 'MultiPoint', 'LineString', 'MultiLineString',
   'Polygon', 'MultiPolygon', 'GeometryCollection',
@@ -538,6 +683,7 @@ const AreaInput = ({ label, icon, color, value, onChange, onAutoFill, remainWah
 const LandUsePopup = ({ parcelCode, currentTypes, currentAreas, totalArea, position, onAssign, onClose }) => {
   const [selected, setSelected] = useState(currentTypes || []);
   const [areas, setAreas] = useState(currentAreas || {});
+  const [tab, setTab] = useState('assign');
 
   useEffect(() => {
     setSelected(currentTypes || []);
@@ -612,85 +758,101 @@ const LandUsePopup = ({ parcelCode, currentTypes, currentAreas, totalArea, posit
         <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-lg leading-none">&times;</button>
       </div>
 
-      {/* Primary badges */}
-      {selected.length > 0 && (
-        <div className="px-3 py-1.5 border-b border-gray-100 bg-gray-50">
-          <p className="text-[10px] text-gray-500 mb-1">ประเภทหลัก (สีแผนที่) — คลิกเพื่อเปลี่ยน</p>
-          <div className="flex flex-wrap gap-1">
-            {selected.map((key, i) => {
-              const t = LAND_USE_MAP[key];
-              if (!t) return null;
+      {/* Tabs */}
+      <div className="flex border-b border-gray-100 text-xs">
+        {[{ key: 'assign', label: 'กำหนดการใช้ที่ดิน' }, { key: 'history', label: '🕓 ประวัติ' }].map((t) => (
+          <button key={t.key} onClick={() => setTab(t.key)}
+            className={`flex-1 py-1.5 font-medium border-b-2 transition-colors ${tab === t.key ? 'border-green-600 text-green-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`}>
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'history' ? (
+        <LandUseTimeline parcelCode={parcelCode} />
+      ) : (
+        <>
+          {/* Primary badges */}
+          {selected.length > 0 && (
+            <div className="px-3 py-1.5 border-b border-gray-100 bg-gray-50">
+              <p className="text-[10px] text-gray-500 mb-1">ประเภทหลัก (สีแผนที่) — คลิกเพื่อเปลี่ยน</p>
+              <div className="flex flex-wrap gap-1">
+                {selected.map((key, i) => {
+                  const t = LAND_USE_MAP[key];
+                  if (!t) return null;
+                  return (
+                    <button key={key} onClick={() => setPrimary(key)}
+                      className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-medium transition-all ${i === 0 ? 'ring-2 ring-offset-1' : 'opacity-70 hover:opacity-100'}`}
+                      style={{ backgroundColor: t.fillColor, color: t.color, ringColor: i === 0 ? t.color : undefined }}
+                      title={i === 0 ? 'ประเภทหลัก' : 'คลิกเพื่อตั้งเป็นหลัก'}>
+                      {t.icon} {t.label}{i === 0 && <span className="text-[8px]">★</span>}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Type selection grid */}
+          <div className="p-2 grid grid-cols-2 gap-1">
+            {LAND_USE_TYPES.map((type) => {
+              const isSelected = selected.includes(type.key);
               return (
-                <button key={key} onClick={() => setPrimary(key)}
-                  className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-medium transition-all ${i === 0 ? 'ring-2 ring-offset-1' : 'opacity-70 hover:opacity-100'}`}
-                  style={{ backgroundColor: t.fillColor, color: t.color, ringColor: i === 0 ? t.color : undefined }}
-                  title={i === 0 ? 'ประเภทหลัก' : 'คลิกเพื่อตั้งเป็นหลัก'}>
-                  {t.icon} {t.label}{i === 0 && <span className="text-[8px]">★</span>}
+                <button key={type.key} onClick={() => toggle(type.key)}
+                  className={`flex items-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium transition-all border ${isSelected ? 'border-current shadow-sm' : 'border-transparent hover:bg-gray-50'}`}
+                  style={{ backgroundColor: isSelected ? type.fillColor : undefined, color: isSelected ? type.color : undefined }}>
+                  <span>{type.icon}</span>
+                  <span className="truncate">{type.label}</span>
+                  {isSelected && <span className="ml-auto text-[10px]">✓</span>}
                 </button>
               );
             })}
           </div>
-        </div>
-      )}
-
-      {/* Type selection grid */}
-      <div className="p-2 grid grid-cols-2 gap-1">
-        {LAND_USE_TYPES.map((type) => {
-          const isSelected = selected.includes(type.key);
-          return (
-            <button key={type.key} onClick={() => toggle(type.key)}
-              className={`flex items-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium transition-all border ${isSelected ? 'border-current shadow-sm' : 'border-transparent hover:bg-gray-50'}`}
-              style={{ backgroundColor: isSelected ? type.fillColor : undefined, color: isSelected ? type.color : undefined }}>
-              <span>{type.icon}</span>
-              <span className="truncate">{type.label}</span>
-              {isSelected && <span className="ml-auto text-[10px]">✓</span>}
-            </button>
-          );
-        })}
-      </div>
 
-      {/* Area allocation */}
-      {selected.length > 0 && (
-        <div className="px-3 py-2 border-t border-gray-100">
-          <p className="text-[10px] text-gray-500 mb-1 font-medium">เนื้อที่แต่ละประเภท (ไร่-งาน-ตร.วา)</p>
-          {selected.map((key) => {
-            const t = LAND_USE_MAP[key];
-            if (!t) return null;
-            const otherUsed = selected.reduce((sum, k) => k === key ? sum : sum + parseAreaToWah(areas[k]), 0);
-            return (
-              <AreaInput key={key} label={t.label} icon={t.icon} color={t.color}
-                value={areas[key] || ''} onChange={(v) => handleAreaChange(key, v)}
-                onAutoFill={totalWah > 0 ? () => autoFillRemain(key) : undefined}
-                remainWah={totalWah > 0 ? totalWah - otherUsed : 0} />
-            );
-          })}
+          {/* Area allocation */}
+          {selected.length > 0 && (
+            <div className="px-3 py-2 border-t border-gray-100">
+              <p className="text-[10px] text-gray-500 mb-1 font-medium">เนื้อที่แต่ละประเภท (ไร่-งาน-ตร.วา)</p>
+              {selected.map((key) => {
+                const t = LAND_USE_MAP[key];
+                if (!t) return null;
+                const otherUsed = selected.reduce((sum, k) => k === key ? sum : sum + parseAreaToWah(areas[k]), 0);
+                return (
+                  <AreaInput key={key} label={t.label} icon={t.icon} color={t.color}
+                    value={areas[key] || ''} onChange={(v) => handleAreaChange(key, v)}
+                    onAutoFill={totalWah > 0 ? () => autoFillRemain(key) : undefined}
+                    remainWah={totalWah > 0 ? totalWah - otherUsed : 0} />
+                );
+              })}
 
-          {/* Summary bar */}
-          {totalWah > 0 && (
-            <div className={`mt-1 p-1.5 rounded text-[10px] ${isOverLimit ? 'bg-red-50 text-red-600' : 'bg-gray-50 text-gray-600'}`}>
-              <div className="flex justify-between">
-                <span>ใช้ไป: <b>{wahToAreaStr(usedWah)}</b></span>
-                <span>คงเหลือ: <b className={isOverLimit ? 'text-red-600' : 'text-green-600'}>{wahToAreaStr(Math.max(0, remainWah))}</b></span>
-              </div>
-              {isOverLimit && <p className="mt-0.5 font-medium">⚠️ เกินเนื้อที่รวม {wahToAreaStr(usedWah - totalWah)}</p>}
-              <div className="mt-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
-                <div className="h-full rounded-full transition-all" style={{ width: `${Math.min(100, (usedWah / totalWah) * 100)}%`, backgroundColor: isOverLimit ? '#ef4444' : '#22c55e' }} />
-              </div>
+              {/* Summary bar */}
+              {totalWah > 0 && (
+                <div className={`mt-1 p-1.5 rounded text-[10px] ${isOverLimit ? 'bg-red-50 text-red-600' : 'bg-gray-50 text-gray-600'}`}>
+                  <div className="flex justify-between">
+                    <span>ใช้ไป: <b>{wahToAreaStr(usedWah)}</b></span>
+                    <span>คงเหลือ: <b className={isOverLimit ? 'text-red-600' : 'text-green-600'}>{wahToAreaStr(Math.max(0, remainWah))}</b></span>
+                  </div>
+                  {isOverLimit && <p className="mt-0.5 font-medium">⚠️ เกินเนื้อที่รวม {wahToAreaStr(usedWah - totalWah)}</p>}
+                  <div className="mt-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full rounded-full transition-all" style={{ width: `${Math.min(100, (usedWah / totalWah) * 100)}%`, backgroundColor: isOverLimit ? '#ef4444' : '#22c55e' }} />
+                  </div>
+                </div>
+              )}
             </div>
           )}
-        </div>
-      )}
 
-      {/* Actions */}
-      <div className="px-3 py-2 border-t border-gray-100 flex items-center gap-2 sticky bottom-0 bg-white rounded-b-xl">
-        <button onClick={handleSave} disabled={isOverLimit}
-          className="flex-1 px-3 py-1.5 bg-green-600 text-white text-xs font-medium rounded-lg hover:bg-green-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
-          {primaryType ? `บันทึก (${primaryType.icon} ${selected.length > 1 ? `+${selected.length - 1}` : primaryType.label})` : 'บันทึก'}
-        </button>
-        {selected.length > 0 && (
-          <button onClick={handleClear} className="px-2 py-1.5 text-xs text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg transition-colors">ล้าง</button>
-        )}
-      </div>
+          {/* Actions */}
+          <div className="px-3 py-2 border-t border-gray-100 flex items-center gap-2 sticky bottom-0 bg-white rounded-b-xl">
+            <button onClick={handleSave} disabled={isOverLimit}
+              className="flex-1 px-3 py-1.5 bg-green-600 text-white text-xs font-medium rounded-lg hover:bg-green-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
+              {primaryType ? `บันทึก (${primaryType.icon} ${selected.length > 1 ? `+${selected.length - 1}` : primaryType.label})` : 'บันทึก'}
+            </button>
+            {selected.length > 0 && (
+              <button onClick={handleClear} className="px-2 py-1.5 text-xs text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg transition-colors">ล้าง</button>
+            )}
+          </div>
+        </>
+      )}
     </div>
   );
 };
@@ -709,27 +871,21 @@ const LandUseLegend = ({ assignments, allParcelCodes, parcelAreaMap, onClose, on
     let assigned = 0;
 
     Object.entries(assignments).forEach(([code, val]) => {
-      const { types, areas } = normalizeLUFull(val);
+      const { types, areas } = normalizeLandUse(val);
       if (types.length === 0) return;
       assigned++;
 
-      const hasExplicitArea = Object.values(areas).some((a) => parseAreaToWah(a) > 0);
-      const parcelTotalArea = parcelAreaMap?.[code] || null;
+      const parcelAreaWah = landUseAreaWah({ types, areas }, parcelAreaMap?.[code] || null);
 
-      types.forEach((v, i) => {
+      types.forEach((v) => {
         if (counts[v] === undefined) return;
         counts[v]++;
-
-        if (hasExplicitArea) {
-          areaWah[v] += parseAreaToWah(areas[v]);
-        } else if (i === 0 && parcelTotalArea) {
-          areaWah[v] += parseAreaToWah(parcelTotalArea);
-        }
+        areaWah[v] += parcelAreaWah[v] || 0;
       });
     });
 
     const total = allParcelCodes.length;
-    const unassigned = allParcelCodes.filter((c) => !assignments[c] || normalizeLUFull(assignments[c]).types.length === 0);
+    const unassigned = allParcelCodes.filter((c) => !assignments[c] || normalizeLandUse(assignments[c]).types.length === 0);
     return { counts, areaWah, assigned, total, unassigned };
   }, [assignments, allParcelCodes, parcelAreaMap]);
 
@@ -831,7 +987,7 @@ const LandUseLegend = ({ assignments, allParcelCodes, parcelAreaMap, onClose, on
 
 /* ─────────────── Attribute Table ─────────────── */
 
-const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAssignments, onUpdateFeature, onDeleteFeature, onBulkAssign }) => {
+const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAssignments, taxConfig, onUpdateFeature, onDeleteFeature, onBulkAssign, onExport, spatialSelection, onSpatialSelect, onClearSpatialSelection }) => {
   const [search, setSearch] = useState('');
   const [page, setPage] = useState(0);
   const [selectedRow, setSelectedRow] = useState(null);
@@ -856,17 +1012,25 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
   const blockIdOptions = useMemo(() => {
     const ids = new Set();
     features.forEach((f) => {
-      const v = f.properties?.block_id ?? f.properties?.Block_id ?? f.properties?.BLOCK_ID;
+      const v = getBlockId(f.properties);
       if (v !== null && v !== undefined && v !== '') ids.add(String(v));
     });
     return Array.from(ids).sort((a, b) => a.localeCompare(b, 'th', { numeric: true }));
   }, [features]);
 
+  const spatialIndexes = useMemo(() => (spatialSelection ? new Set(spatialSelection.indexes) : null), [spatialSelection]);
+
+  // แปลงที่เลือกบนแผนที่ถูกติ๊กไว้ให้กำหนดการใช้ที่ดินได้ทันที
+  useEffect(() => {
+    setCheckedCodes(new Set(spatialSelection?.codes || []));
+  }, [spatialSelection]);
+
   const filtered = useMemo(() => {
     let result = features;
+    if (spatialIndexes) result = result.filter((f, i) => spatialIndexes.has(i));
     if (filterBlockId !== 'all') {
       result = result.filter((f) => {
-        const v = f.properties?.block_id ?? f.properties?.Block_id ?? f.properties?.BLOCK_ID;
+        const v = getBlockId(f.properties);
         return String(v ?? '') === filterBlockId;
       });
     }
@@ -880,13 +1044,11 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
     if (surveyMode && filterLandUse !== 'all') {
       result = result.filter((f) => {
         const code = getParcelCode(f.properties);
-        const arr = normalizeLU(code ? landUseAssignments[code] : null);
-        if (filterLandUse === 'unassigned') return arr.length === 0;
-        return arr.includes(filterLandUse);
+        return matchesLandUseFilter(code ? landUseAssignments[code] : null, filterLandUse);
       });
     }
     return result;
-  }, [features, search, filterBlockId, surveyMode, filterLandUse, landUseAssignments]);
+  }, [features, spatialIndexes, search, filterBlockId, surveyMode, filterLandUse, landUseAssignments]);
 
   const sorted = useMemo(() => {
     if (!sortCol) return filtered;
@@ -902,7 +1064,7 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
   const totalPages = Math.max(1, Math.ceil(sorted.length / pageSize));
   const paged = sorted.slice(page * pageSize, (page + 1) * pageSize);
 
-  useEffect(() => { setPage(0); setSelectedRow(null); }, [search, sortCol, sortAsc, filterLandUse, filterBlockId]);
+  useEffect(() => { setPage(0); setSelectedRow(null); }, [search, sortCol, sortAsc, filterLandUse, filterBlockId, spatialIndexes]);
 
   const handleSort = (col) => {
     if (sortCol === col) setSortAsc((prev) => !prev);
@@ -1004,6 +1166,14 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
           {onUpdateFeature && <span className="text-[10px] text-blue-400">ดับเบิลคลิกเพื่อแก้ไข</span>}
         </div>
         <div className="flex items-center gap-2">
+          {spatialSelection ? (
+            <span className="inline-flex items-center gap-1 px-2 py-1 text-xs text-violet-700 bg-violet-50 border border-violet-200 rounded-md">
+              🎯 เลือกบนแผนที่ {spatialSelection.indexes.length}
+              {onClearSpatialSelection && <button onClick={onClearSpatialSelection} className="ml-1 text-violet-400 hover:text-violet-700" title="ล้างการเลือกบนแผนที่">✕</button>}
+            </span>
+          ) : onSpatialSelect && (
+            <button onClick={onSpatialSelect} className="px-2 py-1 text-xs text-violet-700 border border-violet-200 rounded-md hover:bg-violet-50" title="เลือกแปลงด้วยกรอบ รูปวาด ระยะจากเส้น/จุด หรือเลเยอร์อื่น">🎯 เลือกบนแผนที่</button>
+          )}
           {blockIdOptions.length > 0 && (
             <select value={filterBlockId} onChange={(e) => setFilterBlockId(e.target.value)} className="text-xs border border-gray-300 rounded-md py-1 px-2 focus:outline-none focus:ring-1 focus:ring-blue-500">
               <option value="all">block_id: ทั้งหมด</option>
@@ -1021,6 +1191,9 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
             <input type="text" placeholder="ค้นหา..." value={search} onChange={(e) => setSearch(e.target.value)} className="pl-7 pr-3 py-1 text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 w-40" />
             <span className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400 text-xs">🔍</span>
           </div>
+          {onExport && layer.savedOnServer && (
+            <button onClick={() => onExport({ blockId: filterBlockId, landUse: surveyMode ? filterLandUse : 'all', parcelCodes: spatialSelection?.codes || null })} className="px-2 py-1 text-xs text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50" title="ส่งออกตามตัวกรอง">⬇️ ส่งออก</button>
+          )}
           <button onClick={onClose} className="px-2 py-1 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded text-sm" title="ปิดตาราง">✕</button>
         </div>
       </div>
@@ -1040,6 +1213,7 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
                 )}
                 <th className="px-3 py-2 text-left font-semibold text-gray-600 border-b border-r border-gray-200 w-10">#</th>
                 {surveyMode && <th className="px-3 py-2 text-left font-semibold text-gray-600 border-b border-r border-gray-200 min-w-[180px]">การใช้ที่ดิน / เนื้อที่</th>}
+                {surveyMode && <th className="px-3 py-2 text-right font-semibold text-gray-600 border-b border-r border-gray-200 whitespace-nowrap" title="ภาษีที่ดินประมาณการต่อปี (ไม่รวมสิ่งปลูกสร้าง)">ภาษีประมาณการ (บาท)</th>}
                 {columns.map((col) => (
                   <th key={col} onClick={() => handleSort(col)} className="px-3 py-2 text-left font-semibold text-gray-600 border-b border-r border-gray-200 cursor-pointer hover:bg-gray-200 whitespace-nowrap select-none">
                     {col}{sortCol === col && <span className="ml-1 text-blue-500">{sortAsc ? '▲' : '▼'}</span>}
@@ -1054,7 +1228,8 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
                 const globalIdx = page * pageSize + idx;
                 const isSelected = selectedRow === globalIdx;
                 const code = getParcelCode(feature.properties);
-                const luData = normalizeLUFull(code ? landUseAssignments[code] : null);
+                const luData = normalizeLandUse(code ? landUseAssignments[code] : null);
+                const tax = surveyMode && code ? calculateParcelTax(feature.properties, luData, taxConfig) : null;
 
                 return (
                   <tr key={globalIdx} onClick={() => handleRowClick(feature, idx)}
@@ -1091,6 +1266,14 @@ const AttributeTable = ({ layer, onClose, onZoomToFeature, surveyMode, landUseAs
                         )}
                       </td>
                     )}
+                    {surveyMode && (
+                      <td className="px-3 py-1.5 border-r border-gray-100 text-right whitespace-nowrap"
+                        title={tax && !tax.missing ? `มูลค่า ${formatBaht(tax.value)} บาท • ${APPRAISAL_SOURCE_LABELS[tax.priceSource]} ${formatBaht(tax.pricePerWah)} บาท/ตร.วา` : undefined}>
+                        {!tax ? <span className="text-gray-300">—</span>
+                          : tax.missing ? <span className="text-gray-300 text-[10px]">{tax.missing}</span>
+                            : <span className="font-mono">{formatBaht(tax.tax)}</span>}
+                      </td>
+                    )}
                     {columns.map((col) => {
                       const realIdx = features.indexOf(feature);
                       const val = feature.properties?.[col];
@@ -1224,6 +1407,14 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
   const [initialBounds, setInitialBounds] = useState(null);
   const [fitTarget, setFitTarget] = useState(null);
   const [tableLayerId, setTableLayerId] = useState(null);
+  const [exportTarget, setExportTarget] = useState(null);
+  const [styleLayerId, setStyleLayerId] = useState(null);
+  const [topologyLayerId, setTopologyLayerId] = useState(null);
+  const [taxConfig, setTaxConfig] = useState(null);
+  const [showTaxReport, setShowTaxReport] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [compareChanges, setCompareChanges] = useState(null);
+  const [compareVersion, setCompareVersion] = useState(0);
   const [selectedFeature, setSelectedFeature] = useState(null);
   const [highlightKey, setHighlightKey] = useState(0);
 
@@ -1232,13 +1423,39 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
   const [showLegend, setShowLegend] = useState(false);
   const [popupInfo, setPopupInfo] = useState(null);
 
+  const [online, setOnline] = useState(true);
+  const [usingCache, setUsingCache] = useState(false);
+  const [parcelUpdatedAt, setParcelUpdatedAt] = useState({});
+  // ให้ callback ที่ผูกครั้งเดียว (bulkAssignLandUse) อ่าน updatedAt ล่าสุดได้
+  const parcelUpdatedAtRef = useRef({});
+  parcelUpdatedAtRef.current = parcelUpdatedAt;
+  const [pendingEdits, setPendingEdits] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  // ตัวฟัง online ผูกครั้งเดียว จึงเรียก runSync ล่าสุดผ่าน ref
+  const runSyncRef = useRef(null);
+
   const [editingLayerId, setEditingLayerId] = useState(null);
   const [editFeatureIdx, setEditFeatureIdx] = useState(null);
   const [editSaving, setEditSaving] = useState(false);
+  // กัน Ctrl+S ซ้ำระหว่างบันทึก (state ยังไม่อัปเดตจนกว่าจะ render ใหม่)
+  const editSavingRef = useRef(false);
+  const [editSession, setEditSession] = useState(null);
+  const [confirmEndSession, setConfirmEndSession] = useState(false);
   const editCollectRef = useRef(null);
 
   const [isDrawing, setIsDrawing] = useState(false);
   const [drawnFeature, setDrawnFeature] = useState(null);
+  // แบ่ง/รวมแปลง: { mode: EDIT_OP.SPLIT|MERGE, step: 'pick'|'draw'|'confirm', indexes, parts }
+  const [subdivision, setSubdivision] = useState(null);
+  const [splitAttempt, setSplitAttempt] = useState(0);
+
+  // เลือกแปลงเชิงพื้นที่ของเลเยอร์ในตาราง: { layerId, mode, distance, sourceLayerId, sourceIndex, drawn }
+  const [spatialSelect, setSpatialSelect] = useState(null);
+  // ผลการเลือก: { geometry, indexes, codes } หรือ { error }
+  const [spatialResult, setSpatialResult] = useState(null);
+  const [spatialKey, setSpatialKey] = useState(0);
+  const spatialDrawingRef = useRef(false);
 
   const [isMeasuring, setIsMeasuring] = useState(false);
   const [measureResult, setMeasureResult] = useState(null);
@@ -1247,6 +1464,8 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
   const [measureSaving, setMeasureSaving] = useState(false);
   const [colorPickerLayerId, setColorPickerLayerId] = useState(null);
   const [layerToDelete, setLayerToDelete] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importBusy, setImportBusy] = useState(false);
   const measuringRef = useRef(false);
 
   const MEASUREMENTS_FILENAME = 'measurements.geojson';
@@ -1254,10 +1473,24 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
   const defaultCenter = [13.7563, 100.5018];
   const defaultZoom = 12;
   const tableLayer = geojsonLayers.find((l) => l.id === tableLayerId) || null;
+  const exportLayer = exportTarget ? geojsonLayers.find((l) => l.id === exportTarget.layerId) || null : null;
+  const styleLayer = styleLayerId !== null ? geojsonLayers.find((l) => l.id === styleLayerId) || null : null;
+  const topologyLayer = topologyLayerId !== null ? geojsonLayers.find((l) => l.id === topologyLayerId) || null : null;
+  const spatialLayerData = spatialSelect ? geojsonLayers.find((l) => l.id === spatialSelect.layerId)?.data || null : null;
+  const spatialDrawing = Boolean(spatialSelect && !editingLayerId && spatialSelect.mode !== SPATIAL_SELECT_MODE.LAYER && !spatialSelect.drawn);
+  spatialDrawingRef.current = spatialDrawing;
 
   useEffect(() => { onLayerCountChange?.(geojsonLayers.length); }, [geojsonLayers.length, onLayerCountChange]);
   useEffect(() => { loadLandUseData(); }, []);
-  useEffect(() => { if (surveyMode) setShowLegend(true); else { setShowLegend(false); setPopupInfo(null); } }, [surveyMode]);
+
+  // อัตราภาษี/ราคาประเมินสำหรับคอลัมน์ภาษีประมาณการและรายงานภาษี
+  useEffect(() => {
+    fetch('/api/tax-rates')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => { if (data?.data) setTaxConfig(data.data); })
+      .catch(() => { /* ใช้อัตราเริ่มต้น */ });
+  }, []);
+  useEffect(() => { if (surveyMode) setShowLegend(true); else { setShowLegend(false); setPopupInfo(null); setShowCompare(false); setCompareChanges(null); } }, [surveyMode]);
   useEffect(() => { measuringRef.current = isMeasuring; }, [isMeasuring]);
   useEffect(() => {
     if (!colorPickerLayerId) return;
@@ -1266,15 +1499,63 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
     return () => { clearTimeout(t); document.removeEventListener('click', close); };
   }, [colorPickerLayerId]);
 
+  const refreshPendingEdits = async () => {
+    const edits = await listLandUseEdits().catch(() => []);
+    setPendingEdits(edits);
+    return edits;
+  };
+
   const loadLandUseData = async () => {
+    let snapshot = null;
     try {
       const res = await fetch('/api/land-use');
-      if (!res.ok) return;
-      const data = await res.json();
-      setLandUseAssignments(data.assignments || {});
-    } catch { /* ignore */ }
+      if (res.ok) {
+        const data = await res.json();
+        snapshot = { assignments: data.assignments || {}, parcelUpdatedAt: data.parcelUpdatedAt || {} };
+        if (isSurveyOfflineSupported()) cacheLandUseSnapshot(snapshot).catch(() => {});
+      }
+    } catch { /* offline */ }
+
+    if (!snapshot && isSurveyOfflineSupported()) {
+      snapshot = await getCachedLandUseSnapshot().catch(() => null);
+      if (snapshot) setUsingCache(true);
+    }
+
+    // แสดงค่าที่สำรวจไว้แต่ยังไม่ได้ซิงก์ทับข้อมูลจากเซิร์ฟเวอร์
+    const edits = await refreshPendingEdits();
+    setLandUseAssignments(applyLandUseEdits(snapshot?.assignments || {}, edits));
+    setParcelUpdatedAt(snapshot?.parcelUpdatedAt || {});
+    setLandUseVersion((prev) => prev + 1);
+    if (navigator.onLine && edits.some((e) => e.status === EDIT_STATUS.PENDING)) runSync();
   };
 
+  const applySyncSnapshot = (snapshot) => {
+    if (!snapshot) return;
+    setParcelUpdatedAt(snapshot.parcelUpdatedAt || {});
+    if (isSurveyOfflineSupported()) cacheLandUseSnapshot(snapshot).catch(() => {});
+  };
+
+  const runSync = async () => {
+    if (syncingRef.current || !isSurveyOfflineSupported()) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const result = await syncLandUseEdits();
+      applySyncSnapshot(result.snapshot);
+      await refreshPendingEdits();
+      if (result.conflicts > 0) showToast(`พบข้อมูลชนกัน ${result.conflicts} แปลง กรุณาเลือกข้อมูลที่ต้องการใช้`, 'error');
+      else if (result.failed.length > 0) showToast(`ซิงก์ไม่สำเร็จ ${result.failed.length} แปลง: ${result.failed[0].error}`, 'error');
+      else if (result.offline) showToast('ยังไม่มีสัญญาณ ข้อมูลจะถูกซิงก์เมื่อกลับมาออนไลน์', 'error');
+      else if (result.saved > 0) showToast(`ซิงก์ข้อมูลสำรวจแล้ว ${result.saved} แปลง`, 'success');
+    } catch (err) {
+      console.error('Land-use sync failed:', err);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  };
+  runSyncRef.current = runSync;
+
   const assignLandUse = async (parcelCode, luData) => {
     const normalized = (typeof luData === 'object' && !Array.isArray(luData) && luData.types)
       ? luData
@@ -1286,18 +1567,46 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
       else copy[parcelCode] = normalized;
       return copy;
     });
-
-    try {
-      await fetch('/api/land-use', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ parcelCode, landUse: normalized.types.length === 0 ? '' : normalized }),
-      });
-    } catch { /* ignore */ }
-
     setPopupInfo(null);
     setSelectedFeature(null);
     setLandUseVersion((prev) => prev + 1);
+
+    if (!isSurveyOfflineSupported()) {
+      try {
+        await fetch('/api/land-use', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ parcelCode, landUse: normalized.types.length === 0 ? '' : normalized }),
+        });
+      } catch { /* ignore */ }
+      return;
+    }
+
+    await queueLandUseEdit(parcelCode, normalized, parcelUpdatedAt[parcelCode] ?? null);
+    if (navigator.onLine) {
+      await runSync();
+    } else {
+      await refreshPendingEdits();
+      showToast('บันทึกไว้ในเครื่องแล้ว จะซิงก์เมื่อกลับมาออนไลน์', 'success');
+    }
+  };
+
+  const resolveConflict = async (edit, choice) => {
+    await resolveLandUseConflict(edit.parcelCode, choice);
+    if (choice === 'server') {
+      const serverLandUse = normalizeLandUse(edit.server?.landUse);
+      setLandUseAssignments((prev) => {
+        const copy = { ...prev };
+        if (serverLandUse.types.length === 0) delete copy[edit.parcelCode];
+        else copy[edit.parcelCode] = serverLandUse;
+        return copy;
+      });
+      setParcelUpdatedAt((prev) => ({ ...prev, [edit.parcelCode]: edit.server?.updatedAt ?? null }));
+      setLandUseVersion((prev) => prev + 1);
+      await refreshPendingEdits();
+    } else {
+      await runSync();
+    }
   };
 
   const allParcelCodes = useMemo(() => {
@@ -1332,26 +1641,106 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
     setLandUseAssignments((prev) => ({ ...prev, ...bulkAssignments }));
     setLandUseVersion((prev) => prev + 1);
 
+    // กำหนดแบบกลุ่มเป็นการเขียนทับโดยตั้งใจ ไม่ตรวจการชนกัน แต่ถ้าออฟไลน์จะเข้าคิวรายแปลง
+    // คิวส่ง baseUpdatedAt เสมอ จึงต้องใส่ค่าที่รู้ไว้ ไม่อย่างนั้นแปลงที่มีข้อมูลแล้วจะชนกันทุกแปลง
+    const queueOffline = async () => {
+      if (!isSurveyOfflineSupported()) return;
+      await Promise.all(parcelCodes.map((code) => queueLandUseEdit(code, bulkAssignments[code], parcelUpdatedAtRef.current[code] ?? null)));
+      setPendingEdits(await listLandUseEdits());
+    };
+
+    if (typeof navigator !== 'undefined' && !navigator.onLine) { await queueOffline(); return; }
+
     try {
-      await fetch('/api/land-use', {
+      const res = await fetch('/api/land-use', {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ assignments: bulkAssignments }),
       });
-    } catch { /* ignore */ }
+      if (!res.ok || !isSurveyOfflineSupported()) return;
+      const data = await res.json();
+      await discardLandUseEdits(parcelCodes);
+      setPendingEdits(await listLandUseEdits());
+      setParcelUpdatedAt(data.parcelUpdatedAt || {});
+      cacheLandUseSnapshot({ assignments: data.assignments || {}, parcelUpdatedAt: data.parcelUpdatedAt || {} }).catch(() => {});
+    } catch {
+      await queueOffline();
+    }
   }, []);
 
+  // การใช้ที่ดินที่โอนจากแปลงเดิมเมื่อแบ่ง/รวมแปลง เขียนหลังบันทึกเลเยอร์แล้ว
+  // ถ้าส่งไม่ถึงเซิร์ฟเวอร์จะเข้าคิวรายแปลงเพื่อซิงก์ภายหลัง
+  const saveSubdivisionLandUse = async (landUses) => {
+    setLandUseAssignments((prev) => {
+      const next = { ...prev };
+      Object.entries(landUses).forEach(([code, lu]) => { if (lu.types.length > 0) next[code] = lu; else delete next[code]; });
+      return next;
+    });
+    setLandUseVersion((prev) => prev + 1);
+
+    let res;
+    try {
+      res = await fetch('/api/land-use', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ assignments: landUses, source: LAND_USE_CHANGE_SOURCE.SUBDIVISION }),
+      });
+    } catch {
+      if (!isSurveyOfflineSupported()) return;
+      // แปลงเดิมส่ง updatedAt ที่รู้ไว้ให้ตรวจชนกันได้ แปลงที่เพิ่งสร้างยังไม่มีจึงเป็น null
+      await Promise.all(Object.entries(landUses).map(([code, lu]) => queueLandUseEdit(code, lu, parcelUpdatedAt[code] ?? null)));
+      setPendingEdits(await listLandUseEdits());
+      return;
+    }
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      showToast(`บันทึกการใช้ที่ดินของแปลงใหม่ไม่สำเร็จ: ${data.error || res.statusText}`, 'error');
+      return;
+    }
+    const data = await res.json();
+    setParcelUpdatedAt(data.parcelUpdatedAt || {});
+    if (isSurveyOfflineSupported()) cacheLandUseSnapshot({ assignments: data.assignments || {}, parcelUpdatedAt: data.parcelUpdatedAt || {} }).catch(() => {});
+  };
+
   const handleMapReady = useCallback((map) => {
     setTimeout(() => { if (map && !map._removed) { map._loaded = true; setMapInstance(map); } }, 100);
   }, []);
 
   useEffect(() => { loadSavedFiles(); }, []);
 
+  useEffect(() => {
+    setOnline(navigator.onLine);
+    const handleOnline = () => { setOnline(true); runSyncRef.current(); };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  const showLoadedLayers = (layers) => {
+    setGeojsonLayers(layers); setShowPanel(true);
+    const combined = buildCombinedGeoJSON(layers);
+    if (combined) setInitialBounds(combined);
+    setMapKey((prev) => prev + 1);
+  };
+
+  const loadCachedLayers = async () => {
+    if (!isSurveyOfflineSupported()) return false;
+    const cached = await getCachedSurveyLayers().catch(() => null);
+    if (!cached?.layers?.length) return false;
+    showLoadedLayers(cached.layers.map((ly, i) => ({ ...ly, id: Date.now() + i, visible: true, featureCount: ly.data.features?.length || 1, savedOnServer: true })));
+    setUsingCache(true);
+    return true;
+  };
+
   const loadSavedFiles = async () => {
     try {
       setLoadingFiles(true);
       const [filesRes, configRes] = await Promise.all([fetch('/api/geojson'), fetch('/api/geojson-config')]);
-      if (!filesRes.ok) return;
+      if (!filesRes.ok) { await loadCachedLayers(); return; }
       const files = await filesRes.json();
       const colorConfig = configRes.ok ? await configRes.json() : {};
       if (files.length === 0) { setLoadingFiles(false); return; }
@@ -1363,19 +1752,24 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           const data = await dataRes.json();
           const savedColor = colorConfig[files[i].filename];
           const color = savedColor && LAYER_COLORS.includes(savedColor) ? savedColor : LAYER_COLORS[i % LAYER_COLORS.length];
-          layers.push({ id: Date.now() + i, name: files[i].filename, data, color, visible: true, featureCount: data.features?.length || 1, savedOnServer: true });
+          layers.push({ id: Date.now() + i, name: files[i].filename, data, color, style: files[i].style || {}, visible: true, featureCount: data.features?.length || 1, savedOnServer: true });
         } catch { /* skip */ }
       }
       if (layers.length > 0) {
-        setGeojsonLayers(layers); setShowPanel(true);
-        const combined = buildCombinedGeoJSON(layers);
-        if (combined) setInitialBounds(combined);
-        setMapKey((prev) => prev + 1);
+        showLoadedLayers(layers);
+        if (isSurveyOfflineSupported()) cacheSurveyLayers(layers.map(({ name, data, color, style }) => ({ name, data, color, style }))).catch(() => {});
       }
-    } catch (err) { console.error('Error loading saved files:', err); } finally { setLoadingFiles(false); }
+    } catch (err) {
+      // ไม่มีสัญญาณ → ใช้เลเยอร์ที่ดาวน์โหลดไว้ครั้งล่าสุด
+      if (!(await loadCachedLayers())) console.error('Error loading saved files:', err);
+    } finally { setLoadingFiles(false); }
   };
 
   const startEdit = (layerId) => {
+    if (editSession && editSession.layerId !== layerId) {
+      showToast('กรุณาบันทึกหรือยกเลิกการแก้ไขเลเยอร์อื่นก่อน', 'error');
+      return;
+    }
     setEditingLayerId(layerId);
     setEditFeatureIdx(null);
     setTableLayerId(null);
@@ -1384,118 +1778,255 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
   };
 
   const selectFeatureForEdit = (featureIdx) => {
+    if (subdivision) {
+      if (subdivision.step === 'pick') pickSubdivisionFeature(featureIdx);
+      return;
+    }
     setEditFeatureIdx(featureIdx);
   };
+  const selectFeatureRef = useRef(null);
+  selectFeatureRef.current = selectFeatureForEdit;
 
   const cancelEditFeature = () => {
     setEditFeatureIdx(null);
     editCollectRef.current = null;
   };
 
-  const exitEditMode = () => {
+  const closeEditMode = () => {
     setEditingLayerId(null);
     setEditFeatureIdx(null);
     setIsDrawing(false);
     setDrawnFeature(null);
+    setSubdivision(null);
     editCollectRef.current = null;
     setMapKey((prev) => prev + 1);
   };
 
-  const startDrawing = () => {
-    setEditFeatureIdx(null);
-    setIsDrawing(true);
-    setDrawnFeature(null);
+  // ออกจากโหมดแก้ไขรูปแปลง: ถ้ายังมีการแก้ไขค้างอยู่ ให้เลือกบันทึกหรือยกเลิกก่อน
+  const exitEditMode = () => {
+    if (hasEdits(editSession)) { setConfirmEndSession(true); return; }
+    setEditSession(null);
+    closeEditMode();
   };
 
-  const handleDrawCreated = useCallback((geoFeature) => {
-    setIsDrawing(false);
-    setDrawnFeature(geoFeature);
-  }, []);
+  /* ── Edit session: แก้ไขบนสำเนาของเลเยอร์ เลิกทำ/ทำซ้ำได้ จนกว่าจะบันทึกครั้งเดียวหรือยกเลิก ── */
 
-  const saveNewFeature = async (props) => {
-    const ly = geojsonLayers.find((l) => l.id === editingLayerId);
-    if (!ly || !drawnFeature) { setDrawnFeature(null); return; }
+  const applySession = (next, redraw = true) => {
+    setEditSession(next);
+    setGeojsonLayers((prev) => prev.map((l) => (l.id === next.layerId ? { ...l, data: next.data, featureCount: next.data.features?.length || 1 } : l)));
+    if (redraw) setMapKey((prev) => prev + 1);
+  };
 
-    const cleanProps = {};
-    Object.entries(props).forEach(([k, v]) => { if (v !== undefined && v !== '') cleanProps[k] = v; });
+  // แก้ไขได้ครั้งละหนึ่งเลเยอร์ session เริ่มเองเมื่อแก้ไขครั้งแรก
+  const recordEdit = (layerId, buildOp, redraw = true) => {
+    const ly = geojsonLayers.find((l) => l.id === layerId);
+    if (!ly) return false;
+    if (editSession && editSession.layerId !== layerId) {
+      const current = geojsonLayers.find((l) => l.id === editSession.layerId);
+      showToast(`กรุณาบันทึกหรือยกเลิกการแก้ไข "${current?.name || ''}" ก่อน`, 'error');
+      return false;
+    }
+    const session = editSession || createEditSession(layerId, ly.data);
+    applySession(pushEdit(session, buildOp(session.data)), redraw);
+    return true;
+  };
 
-    const newFeature = { ...drawnFeature, properties: cleanProps };
-    const updatedData = {
-      ...ly.data,
-      features: [...(ly.data.features || []), newFeature],
-    };
+  const undoSessionEdit = () => {
+    if (!editSession?.undo.length) return;
+    const op = editSession.undo[editSession.undo.length - 1];
+    setEditFeatureIdx(null);
+    setSubdivision(null);
+    editCollectRef.current = null;
+    applySession(undoEdit(editSession), op.type !== EDIT_OP.ATTRIBUTE);
+    showToast(`เลิกทำ: ${describeEdit(op)}`, 'success');
+  };
+
+  const redoSessionEdit = () => {
+    if (!editSession?.redo.length) return;
+    const op = editSession.redo[editSession.redo.length - 1];
+    setEditFeatureIdx(null);
+    setSubdivision(null);
+    editCollectRef.current = null;
+    applySession(redoEdit(editSession), op.type !== EDIT_OP.ATTRIBUTE);
+    showToast(`ทำซ้ำ: ${describeEdit(op)}`, 'success');
+  };
+
+  const commitEditSession = async () => {
+    if (!editSession || editSavingRef.current) return;
+    const ly = geojsonLayers.find((l) => l.id === editSession.layerId);
+    if (!ly || !hasEdits(editSession)) { setEditSession(null); setConfirmEndSession(false); if (editingLayerId) closeEditMode(); return; }
 
+    const counts = summarizeEdits(editSession);
+    editSavingRef.current = true;
     setEditSaving(true);
     try {
       const saveRes = await fetch('/api/geojson', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename: ly.name, data: updatedData }),
+        body: JSON.stringify({ filename: ly.name, data: editSession.data, changeSummary: counts }),
       });
       if (!saveRes.ok) {
         showToast('บันทึกไม่สำเร็จ', 'error');
-        setEditSaving(false);
         return;
       }
-      setGeojsonLayers((prev) =>
-        prev.map((l) => l.id === editingLayerId
-          ? { ...l, data: updatedData, featureCount: updatedData.features?.length || 1 }
-          : l
-        )
-      );
-      setDrawnFeature(null);
-      setMapKey((prev) => prev + 1);
-      showToast('เพิ่มแปลงใหม่สำเร็จ', 'success');
+      // เลเยอร์บันทึกแล้ว ปิด session ก่อนเขียนการใช้ที่ดิน เพื่อไม่ให้ลองใหม่แล้วบันทึกเลเยอร์ซ้ำ
+      const landUses = pendingLandUse(editSession);
+      setEditSession(null);
+      setConfirmEndSession(false);
+      if (editingLayerId) closeEditMode();
+      showToast(`บันทึก "${ly.name}" สำเร็จ: ${formatEditSummary(counts)}`, 'success');
+      if (Object.keys(landUses).length > 0) {
+        await saveSubdivisionLandUse(landUses).catch(() => showToast('บันทึกเลเยอร์แล้ว แต่บันทึกการใช้ที่ดินของแปลงใหม่ไม่สำเร็จ', 'error'));
+      }
     } catch {
       showToast('เกิดข้อผิดพลาดในการบันทึก', 'error');
     } finally {
+      editSavingRef.current = false;
       setEditSaving(false);
     }
   };
 
+  const discardEditSession = () => {
+    if (!editSession) return;
+    const { layerId, original } = editSession;
+    setGeojsonLayers((prev) => prev.map((l) => (l.id === layerId ? { ...l, data: original, featureCount: original.features?.length || 1 } : l)));
+    setEditSession(null);
+    setConfirmEndSession(false);
+    setSelectedFeature(null);
+    setHighlightKey((k) => k + 1);
+    if (editingLayerId) closeEditMode();
+    else setMapKey((prev) => prev + 1);
+    showToast('ยกเลิกการแก้ไขทั้งหมดแล้ว', 'success');
+  };
+
+  // Ctrl/⌘+Z เลิกทำ, Ctrl+Y หรือ Ctrl+Shift+Z ทำซ้ำ, Ctrl+S บันทึก (ยกเว้นขณะพิมพ์ในช่องกรอก)
+  const sessionKeysRef = useRef(null);
+  sessionKeysRef.current = { undo: undoSessionEdit, redo: redoSessionEdit, commit: commitEditSession, active: hasEdits(editSession) };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+      const keys = sessionKeysRef.current;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); keys.undo(); }
+      else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); keys.redo(); }
+      else if (key === 's' && keys.active) { e.preventDefault(); keys.commit(); }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // เตือนก่อนปิด/โหลดหน้าใหม่เมื่อยังไม่ได้บันทึก
+  const sessionDirty = hasEdits(editSession);
+  useEffect(() => {
+    if (!sessionDirty) return;
+    const onBeforeUnload = (e) => { e.preventDefault(); e.returnValue = ''; };
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [sessionDirty]);
+
+  const startDrawing = () => {
+    setEditFeatureIdx(null);
+    setSubdivision(null);
+    setIsDrawing(true);
+    setDrawnFeature(null);
+  };
+
+  const handleDrawCreated = useCallback((geoFeature) => {
+    setIsDrawing(false);
+    setDrawnFeature(geoFeature);
+  }, []);
+
+  const saveNewFeature = (props) => {
+    if (!drawnFeature) return;
+    const cleanProps = {};
+    Object.entries(props).forEach(([k, v]) => { if (v !== undefined && v !== '') cleanProps[k] = v; });
+
+    if (recordEdit(editingLayerId, (data) => addEdit(data, { ...drawnFeature, properties: cleanProps }))) {
+      setDrawnFeature(null);
+    }
+  };
+
   const cancelNewFeature = () => {
     setDrawnFeature(null);
     setMapKey((prev) => prev + 1);
   };
 
-  const saveEditFeature = async () => {
+  const applyEditFeature = () => {
     if (!editCollectRef.current) return;
     const result = editCollectRef.current();
     if (!result || !result.feature) { cancelEditFeature(); return; }
 
-    const ly = geojsonLayers.find((l) => l.id === editingLayerId);
-    if (!ly) { cancelEditFeature(); return; }
-
-    const updatedFeatures = [...(ly.data.features || [])];
-    updatedFeatures[result.featureIndex] = result.feature;
-    const updatedData = { ...ly.data, features: updatedFeatures };
-
-    setEditSaving(true);
-    try {
-      const saveRes = await fetch('/api/geojson', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename: ly.name, data: updatedData }),
-      });
-      if (!saveRes.ok) {
-        showToast('บันทึกไม่สำเร็จ', 'error');
-        setEditSaving(false);
-        return;
-      }
-      setGeojsonLayers((prev) =>
-        prev.map((l) => l.id === editingLayerId
-          ? { ...l, data: updatedData, featureCount: updatedData.features?.length || 1 }
-          : l
-        )
-      );
+    if (recordEdit(editingLayerId, (data) => geometryEdit(data, result.featureIndex, result.feature.geometry))) {
       setEditFeatureIdx(null);
       editCollectRef.current = null;
-      setMapKey((prev) => prev + 1);
-      showToast('บันทึกรูปแปลงสำเร็จ', 'success');
-    } catch {
-      showToast('เกิดข้อผิดพลาดในการบันทึก', 'error');
-    } finally {
-      setEditSaving(false);
+    }
+  };
+
+  /* ── แบ่งแปลงด้วยเส้น / รวมแปลงที่ติดกัน: แทนที่แปลงเดิมในครั้งเดียว (เลิกทำได้) ── */
+
+  const editLayerFeatures = () => geojsonLayers.find((l) => l.id === editingLayerId)?.data?.features || [];
+
+  const startSubdivision = (mode) => {
+    setEditFeatureIdx(null);
+    editCollectRef.current = null;
+    setSubdivision({ mode, step: 'pick', indexes: [], parts: [] });
+  };
+
+  const pickSubdivisionFeature = (featureIdx) => {
+    if (subdivision.mode === EDIT_OP.SPLIT) {
+      setSubdivision({ ...subdivision, step: 'draw', indexes: [featureIdx] });
+      return;
+    }
+    const indexes = subdivision.indexes.includes(featureIdx)
+      ? subdivision.indexes.filter((i) => i !== featureIdx)
+      : [...subdivision.indexes, featureIdx];
+    setSubdivision({ ...subdivision, indexes });
+  };
+
+  const splitLineRef = useRef(null);
+  splitLineRef.current = (line) => {
+    const feature = editLayerFeatures()[subdivision?.indexes[0]];
+    if (!feature) return;
+    const result = splitParcelByLine(feature, line);
+    if (!result.success) {
+      showToast(result.error, 'error');
+      setSplitAttempt((n) => n + 1);
+      return;
+    }
+    setSubdivision({ ...subdivision, step: 'confirm', parts: result.parts });
+  };
+  const handleSplitLine = useCallback((line) => splitLineRef.current(line), []);
+
+  const prepareMerge = () => {
+    const features = editLayerFeatures();
+    const result = mergeParcels(subdivision.indexes.map((i) => features[i]));
+    if (!result.success) { showToast(result.error, 'error'); return; }
+    setSubdivision({ ...subdivision, step: 'confirm', parts: [result.geometry] });
+  };
+
+  // แปลงใหม่ได้คุณลักษณะของแปลงเดิม (รวมแปลง: แปลงแรกที่เลือก) พร้อมรหัสและเนื้อที่ใหม่
+  // รหัสเดิมที่ไม่ได้ใช้ต่อถูกล้างการใช้ที่ดิน ทั้งหมดบันทึกเมื่อบันทึก session
+  const applySubdivision = ({ codes, landUses }) => {
+    const { mode, indexes, parts } = subdivision;
+    const features = editLayerFeatures();
+    const sources = indexes.map((i) => features[i]);
+    const newFeatures = parts.map((geometry, i) => ({
+      type: 'Feature',
+      properties: subdividedProperties(sources[0].properties, codes[i], parcelAreaStr(geometry)),
+      geometry,
+    }));
+    const landUse = {};
+    sources.forEach((f) => {
+      const code = getParcelCode(f.properties);
+      if (code) landUse[code] = { types: [], areas: {} };
+    });
+    codes.forEach((code, i) => { landUse[code] = landUses[i] || { types: [], areas: {} }; });
+
+    if (recordEdit(editingLayerId, (data) => replaceEdit(mode, data, indexes, newFeatures, landUse))) {
+      setSubdivision(null);
+      showToast(`${mode === EDIT_OP.SPLIT ? 'แบ่ง' : 'รวม'}แปลงแล้ว: ${codes.join(', ')} — บันทึกการแก้ไขเพื่อยืนยัน`, 'success');
     }
   };
 
@@ -1514,74 +2045,25 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
     else setUploadError(msg);
   };
 
-  const savePropTimerRef = useRef(null);
-
-  const updateFeatureProperty = useCallback((featureIdx, col, newValue) => {
+  const updateFeatureProperty = (featureIdx, col, newValue) => {
     const ly = geojsonLayers.find((l) => l.id === tableLayerId);
-    if (!ly) return;
-
-    const updatedFeatures = [...(ly.data.features || [])];
-    const feat = updatedFeatures[featureIdx];
-    if (!feat) return;
+    if (!ly?.data?.features?.[featureIdx]) return;
 
     const numVal = Number(newValue);
     const finalVal = newValue === '' ? null : (!isNaN(numVal) && newValue.trim() !== '' && !/^0\d/.test(newValue.trim())) ? numVal : newValue;
+    recordEdit(tableLayerId, (data) => attributeEdit(data, featureIdx, col, finalVal), false);
+  };
 
-    updatedFeatures[featureIdx] = {
-      ...feat,
-      properties: { ...feat.properties, [col]: finalVal },
-    };
-    const updatedData = { ...ly.data, features: updatedFeatures };
-
-    setGeojsonLayers((prev) =>
-      prev.map((l) => l.id === tableLayerId ? { ...l, data: updatedData } : l)
-    );
-
-    if (savePropTimerRef.current) clearTimeout(savePropTimerRef.current);
-    savePropTimerRef.current = setTimeout(async () => {
-      try {
-        const freshLy = geojsonLayers.find((l) => l.id === tableLayerId);
-        const dataToSave = freshLy ? { ...freshLy.data, features: updatedFeatures } : updatedData;
-        await fetch('/api/geojson', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ filename: ly.name, data: dataToSave }),
-        });
-      } catch { /* ignore */ }
-    }, 1500);
-  }, [geojsonLayers, tableLayerId]);
-
-  const deleteFeature = useCallback(async (featureIdx) => {
+  const deleteFeature = (featureIdx) => {
     const ly = geojsonLayers.find((l) => l.id === tableLayerId);
-    if (!ly) return;
-
-    const updatedFeatures = [...(ly.data.features || [])];
-    if (featureIdx < 0 || featureIdx >= updatedFeatures.length) return;
+    if (!ly || featureIdx < 0 || featureIdx >= (ly.data.features || []).length) return;
 
-    updatedFeatures.splice(featureIdx, 1);
-    const updatedData = { ...ly.data, features: updatedFeatures };
-
-    setGeojsonLayers((prev) =>
-      prev.map((l) => l.id === tableLayerId
-        ? { ...l, data: updatedData, featureCount: updatedFeatures.length }
-        : l
-      )
-    );
-    setSelectedFeature(null);
-    setHighlightKey((k) => k + 1);
-    setMapKey((prev) => prev + 1);
-
-    try {
-      await fetch('/api/geojson', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename: ly.name, data: updatedData }),
-      });
-      showToast('ลบแปลงสำเร็จ', 'success');
-    } catch {
-      showToast('เกิดข้อผิดพลาดในการลบ', 'error');
+    if (recordEdit(tableLayerId, (data) => deleteEdit(data, featureIdx))) {
+      setSelectedFeature(null);
+      setHighlightKey((k) => k + 1);
+      showToast('ลบแปลงแล้ว — เลิกทำได้ด้วย Ctrl+Z จนกว่าจะบันทึก', 'success');
     }
-  }, [geojsonLayers, tableLayerId]);
+  };
 
   const zoomToFeature = useCallback((feature) => {
     setSelectedFeature(feature); setHighlightKey((k) => k + 1);
@@ -1589,29 +2071,117 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
     try { const gl = L.geoJSON(feature); const b = gl.getBounds(); if (b.isValid()) mapInstance.fitBounds(b, { padding: [60, 60], maxZoom: 19, animate: true, duration: 0.8 }); } catch { /* ignore */ }
   }, [mapInstance]);
 
+  const zoomToParcel = (parcelCode) => {
+    for (const ly of geojsonLayers) {
+      const feature = (ly.data?.features || []).find((f) => getParcelCode(f.properties) === parcelCode);
+      if (feature) { zoomToFeature(feature); return; }
+    }
+    showToast(`ไม่พบแปลง ${parcelCode} บนแผนที่`, 'error');
+  };
+
+  // ไฮไลต์แปลงที่เกี่ยวข้องพร้อมส่วนที่เป็นปัญหา (ส่วนซ้อนทับ/ช่องว่าง/จุดตัด) แล้วซูมไปที่ปัญหา
+  const zoomToIssue = (layerId, issue) => {
+    const features = (geojsonLayers.find((l) => l.id === layerId)?.data?.features || []);
+    const highlight = issue.featureIndexes.map((i) => features[i]).filter(Boolean);
+    if (issue.geometry) highlight.push({ type: 'Feature', properties: {}, geometry: issue.geometry });
+    setSelectedFeature({ type: 'FeatureCollection', features: highlight }); setHighlightKey((k) => k + 1);
+    if (!mapInstance || mapInstance._removed) return;
+    const [west, south, east, north] = issue.bbox;
+    try { mapInstance.fitBounds([[south, west], [north, east]], { padding: [80, 80], maxZoom: 20, animate: true, duration: 0.8 }); } catch { /* ignore */ }
+  };
+
+  const spatialShape = (sel) => {
+    if (sel.mode !== SPATIAL_SELECT_MODE.LAYER) return sel.drawn;
+    return geojsonLayers.find((l) => l.id === sel.sourceLayerId)?.data?.features?.[sel.sourceIndex]?.geometry || null;
+  };
+
+  // เลือกใหม่ทุกครั้งที่รูป ระยะ หรือข้อมูลของเลเยอร์เปลี่ยน
+  const runSpatialSelect = (sel) => {
+    setSpatialKey((k) => k + 1);
+    const shape = sel && spatialShape(sel);
+    if (!shape) { setSpatialResult(null); return; }
+    const selArea = selectionArea(shape, BUFFER_SELECT_MODES.includes(sel.mode) ? sel.distance : 0);
+    if (!selArea.success) { setSpatialResult({ error: selArea.error }); return; }
+    const features = geojsonLayers.find((l) => l.id === sel.layerId)?.data?.features || [];
+    setSpatialResult({ geometry: selArea.geometry, ...selectFeatures(features, selArea.geometry) });
+  };
+  const runSpatialSelectRef = useRef(null);
+  runSpatialSelectRef.current = () => runSpatialSelect(spatialSelect);
+
+  const updateSpatialSelect = (patch) => {
+    const next = { ...spatialSelect, ...patch };
+    setSpatialSelect(next);
+    runSpatialSelect(next);
+  };
+
+  const startSpatialSelect = () => {
+    if (!tableLayer) return;
+    setSpatialSelect({ layerId: tableLayer.id, mode: SPATIAL_SELECT_MODE.RECTANGLE, distance: DEFAULT_BUFFER_METERS, sourceLayerId: null, sourceIndex: 0, drawn: null });
+    setSpatialResult(null); setPopupInfo(null); setTopologyLayerId(null);
+    if (showCompare) { setShowCompare(false); showCompareResult(null); }
+  };
+
+  const closeSpatialSelect = () => { setSpatialSelect(null); setSpatialResult(null); };
+
+  const spatialDrawnRef = useRef(null);
+  spatialDrawnRef.current = (geometry) => updateSpatialSelect({ drawn: geometry });
+  const handleSpatialDrawn = useCallback((geometry) => spatialDrawnRef.current(geometry), []);
+
+  // ผลการเลือกตามข้อมูลล่าสุดของเลเยอร์ (หลังแก้ไข แบ่ง หรือรวมแปลง)
+  useEffect(() => { runSpatialSelectRef.current(); }, [spatialLayerData]);
+  // การเลือกผูกกับเลเยอร์ที่เปิดตารางอยู่
+  useEffect(() => { setSpatialSelect(null); setSpatialResult(null); }, [tableLayerId]);
+
+  const zoomToSpatialSelection = () => {
+    if (!spatialResult?.geometry || !mapInstance || mapInstance._removed) return;
+    try { const b = L.geoJSON(spatialResult.geometry).getBounds(); if (b.isValid()) mapInstance.fitBounds(b, { padding: [60, 60], maxZoom: 19, animate: true, duration: 0.8 }); } catch { /* ignore */ }
+  };
+
+  const saveUploadedLayer = async (filename, data, sourceCrs) => {
+    const saveRes = await fetch('/api/geojson', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ filename, data, sourceCrs }) });
+    const saveData = await saveRes.json();
+    if (!saveRes.ok) throw new Error(saveData.error || 'บันทึกไม่สำเร็จ');
+    setGeojsonLayers((prev) => [...prev.filter((l) => l.name !== saveData.filename), { id: Date.now() + prev.length, name: saveData.filename, data, color: LAYER_COLORS[prev.length % LAYER_COLORS.length], style: {}, visible: true, featureCount: data.features?.length || 1, savedOnServer: true }]);
+    return saveData.filename;
+  };
+
+  // แปลงบนเซิร์ฟเวอร์ (ระบบพิกัด, Z, รูปแบบไฟล์) แล้วแสดงตัวอย่างก่อนบันทึก
+  const convertUpload = async (file, options = {}) => {
+    const query = Object.fromEntries(Object.entries({ ...options, keepZ: options.keepZ ? '1' : '' }).filter(([, v]) => v));
+    const params = new URLSearchParams({ filename: file.name, ...query });
+    const res = await fetch(`/api/geojson/convert?${params}`, { method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: file });
+    const data = await res.json();
+    if (!res.ok) { showToast(`แปลงไฟล์ไม่สำเร็จ: ${data.error}`, 'error'); return; }
+    setImportPreview({ file, options, sourceName: file.name, format: data.format, layers: data.layers });
+  };
+
+  const reconvertImport = async (options) => {
+    if (!importPreview) return;
+    setImportBusy(true);
+    try { await convertUpload(importPreview.file, { ...importPreview.options, ...options }); } catch { showToast('แปลงไฟล์ไม่สำเร็จ', 'error'); } finally { setImportBusy(false); }
+  };
+
+  const saveImportedLayers = async (layers) => {
+    setImportBusy(true);
+    try {
+      const saved = [];
+      for (const ly of layers) saved.push(await saveUploadedLayer(ly.filename, ly.data, ly.sourceCrs));
+      setImportPreview(null);
+      setShowPanel(true); setFitTarget({ type: 'FeatureCollection', features: layers.flatMap((ly) => ly.data.features) }); setMapKey((prev) => prev + 1);
+      showToast(`บันทึก ${saved.map((n) => `"${n}"`).join(', ')} สำเร็จ`, 'success');
+    } catch (err) { showToast(`บันทึกไม่สำเร็จ: ${err.message}`, 'error'); } finally { setImportBusy(false); }
+  };
+
   useImperativeHandle(ref, () => ({
     handleFileUpload: async (file) => {
       if (!file) return;
       setUploadError(null);
-      if (!file.name.toLowerCase().endsWith('.geojson') && !file.name.toLowerCase().endsWith('.json')) { showToast('กรุณาเลือกไฟล์ .geojson หรือ .json', 'error'); return; }
-      const reader = new FileReader();
-      reader.onload = async (event) => {
-        try {
-          const parsed = JSON.parse(event.target.result);
-          if (!parsed.type || !['FeatureCollection','Feature','Point','MultiPoint','LineString','MultiLineString','Polygon','MultiPolygon','GeometryCollection'].includes(parsed.type)) { showToast('ไฟล์ไม่ใช่ GeoJSON ที่ถูกต้อง', 'error'); return; }
-          setSaving(true);
-          try {
-            const saveRes = await fetch('/api/geojson', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ filename: file.name, data: parsed }) });
-            const saveData = await saveRes.json();
-            if (!saveRes.ok) { showToast(`บันทึกไม่สำเร็จ: ${saveData.error}`, 'error'); return; }
-            setGeojsonLayers((prev) => [...prev, { id: Date.now(), name: saveData.filename, data: parsed, color: LAYER_COLORS[prev.length % LAYER_COLORS.length], visible: true, featureCount: parsed.features?.length || 1, savedOnServer: true }]);
-            setShowPanel(true); setFitTarget(parsed); setMapKey((prev) => prev + 1);
-            showToast(`บันทึก "${saveData.filename}" สำเร็จ`, 'success');
-          } catch { showToast('เกิดข้อผิดพลาดในการบันทึก', 'error'); } finally { setSaving(false); }
-        } catch { showToast('ไม่สามารถอ่านไฟล์ได้', 'error'); }
-      };
-      reader.readAsText(file);
+      const lowerName = file.name.toLowerCase();
+      if (!IMPORT_EXTENSIONS.some((ext) => lowerName.endsWith(ext))) { showToast('กรุณาเลือกไฟล์ .geojson, .json, .zip (Shapefile), .kml, .kmz หรือ .csv', 'error'); return; }
+      setSaving(true);
+      try { await convertUpload(file); } catch { showToast('แปลงไฟล์ไม่สำเร็จ', 'error'); } finally { setSaving(false); }
     },
+    openTaxReport: () => setShowTaxReport(true),
     saving,
   }));
 
@@ -1627,6 +2197,9 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
     remaining.forEach((l) => { config[l.name] = l.color; });
     try { await fetch('/api/geojson-config', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ config }) }); } catch { /* ignore */ }
     if (tableLayerId === id) { setTableLayerId(null); setSelectedFeature(null); }
+    if (topologyLayerId === id) setTopologyLayerId(null);
+    if (spatialSelect?.sourceLayerId === id) closeSpatialSelect();
+    if (editSession?.layerId === id) setEditSession(null);
     setGeojsonLayers(remaining); setMapKey((prev) => prev + 1);
   };
 
@@ -1651,6 +2224,21 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
     } catch { /* ignore */ }
   }, [geojsonLayers]);
 
+  const saveLayerStyle = async (id, style) => {
+    const ly = geojsonLayers.find((l) => l.id === id);
+    if (!ly) return;
+    const res = await fetch(`/api/geojson/${encodeURIComponent(ly.name)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ style }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || 'บันทึกไม่สำเร็จ');
+    setGeojsonLayers((prev) => prev.map((l) => (l.id === id ? { ...l, style: { ...l.style, ...style } } : l)));
+    setMapKey((prev) => prev + 1);
+    showToast('บันทึกรูปแบบการแสดงผลสำเร็จ', 'success');
+  };
+
   const moveLayer = (id, direction) => {
     setGeojsonLayers((prev) => {
       const idx = prev.findIndex((l) => l.id === id); if (idx === -1) return prev;
@@ -1703,17 +2291,46 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
     }
   }, [measureResult, measureNote, geojsonLayers]);
 
+  // ผลเทียบรอบสำรวจ: { [parcelCode]: { before, after, ... } } หรือ null เมื่อไม่ได้เทียบ
+  const showCompareResult = (changes) => {
+    setCompareChanges(changes ? Object.fromEntries(changes.map((c) => [c.parcelCode, c])) : null);
+    setCompareVersion((v) => v + 1);
+  };
+
   const getLandUseStyle = useCallback((feature) => {
     const code = getParcelCode(feature.properties);
+    if (compareChanges) {
+      const change = code ? compareChanges[code] : null;
+      if (!change) return { color: '#9ca3af', weight: 1, fillColor: '#e5e7eb', fillOpacity: 0.1 };
+      const after = LAND_USE_MAP[normalizeLandUse(change.after).types[0]];
+      return { color: '#c026d3', weight: 3, fillColor: after?.fillColor || '#f5d0fe', fillOpacity: 0.7 };
+    }
     const arr = normalizeLU(code ? landUseAssignments[code] : null);
     const luType = arr[0] ? LAND_USE_MAP[arr[0]] : null;
     if (luType) return { color: luType.color, weight: 2, fillColor: luType.fillColor, fillOpacity: 0.5 };
     return { color: '#6b7280', weight: 1, fillColor: '#e5e7eb', fillOpacity: 0.15 };
-  }, [landUseAssignments]);
-
-  const geoJsonStyle = useCallback((color) => () => ({ color, weight: 2, fillColor: color, fillOpacity: 0.2 }), []);
+  }, [landUseAssignments, compareChanges]);
+
+  const layerStyle = useCallback((ly) => (feature) => featureStyle(feature, ly.style, { baseColor: ly.color, landUseAssignments }), [landUseAssignments]);
+
+  // ป้ายชื่อตามรูปแบบการแสดงผลของเลเยอร์ (ซ่อนตามระดับซูมด้วย LabelZoomClasses)
+  const withLayerLabel = (onEach, ly) => {
+    const { label, labelMinZoom } = normalizeLayerStyle(ly.style);
+    if (!label) return onEach;
+    return (feature, layer) => {
+      onEach(feature, layer);
+      const text = featureLabel(feature, label, landUseAssignments);
+      if (!text) return;
+      const el = document.createElement('span');
+      el.textContent = text;
+      layer.bindTooltip(el, { permanent: true, direction: 'center', className: `layer-label layer-label-z${labelMinZoom}` });
+    };
+  };
   const editSelectStyle = useCallback(() => ({ color: '#f59e0b', weight: 2, fillColor: '#fef3c7', fillOpacity: 0.15, dashArray: '4,4' }), []);
   const highlightStyle = { color: '#ef4444', weight: 4, fillColor: '#fbbf24', fillOpacity: 0.45 };
+  const subdivisionSourceStyle = { color: '#2563eb', weight: 3, fillColor: '#93c5fd', fillOpacity: 0.4 };
+  const spatialAreaStyle = { color: '#7c3aed', weight: 2, dashArray: '6,4', fillColor: '#ddd6fe', fillOpacity: 0.15 };
+  const spatialSelectedStyle = { color: '#7c3aed', weight: 3, fillColor: '#a78bfa', fillOpacity: 0.45 };
 
   const editingLayerRef = useRef(null);
   editingLayerRef.current = geojsonLayers.find((l) => l.id === editingLayerId) || null;
@@ -1734,7 +2351,7 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
       const ly = editingLayerRef.current;
       if (!ly?.data?.features) return;
       const idx = ly.data.features.findIndex((f) => f === feature);
-      if (idx !== -1) selectFeatureForEdit(idx);
+      if (idx !== -1) selectFeatureRef.current(idx);
     });
 
     layer.on('mouseover', () => {
@@ -1748,7 +2365,7 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
   const onEachFeatureSurvey = useCallback((feature, layer) => {
     if (feature.properties) {
       const code = getParcelCode(feature.properties);
-      const luData = normalizeLUFull(code ? landUseAssignments[code] : null);
+      const luData = normalizeLandUse(code ? landUseAssignments[code] : null);
 
       const entries = Object.entries(feature.properties).filter(([, v]) => v !== null && v !== undefined && v !== '');
       let html = entries.length > 0 ? entries.slice(0, 8).map(([k, v]) => `<b>${k}:</b> ${v}`).join('<br/>') : '';
@@ -1763,7 +2380,7 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
       if (html) layer.bindPopup(`<div class="text-xs leading-relaxed">${html}</div>`, { maxWidth: 360 });
 
       layer.on('click', (e) => {
-        if (measuringRef.current) return;
+        if (measuringRef.current || spatialDrawingRef.current) return;
         if (!code) return;
         const cp = e.containerPoint || { x: 200, y: 200 };
         setPopupInfo({
@@ -1784,6 +2401,7 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
       <div className={`relative w-full ${showTable ? 'h-1/2' : 'h-full'} transition-all duration-300`}>
         <MapContainer key={mapKey} center={defaultCenter} zoom={defaultZoom} className="w-full rounded-t-lg" style={{ zIndex: 1, height: '100%' }} scrollWheelZoom zoomControl>
           <MapController onMapReady={handleMapReady} />
+          <LabelZoomClasses />
           {initialBounds && <FitBoundsToGeoJSON geojsonData={initialBounds} />}
           {fitTarget && <FitBoundsToGeoJSON geojsonData={fitTarget} />}
           <LayersControl position="bottomleft">
@@ -1794,12 +2412,12 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           {geojsonLayers.filter((l) => l.visible && (l.id !== editingLayerId || editFeatureIdx !== null)).map((ly) => {
             const isEditLayer = ly.id === editingLayerId && editFeatureIdx !== null;
             return (
-              <SafeGeoJSON key={`geojson-${ly.id}-${mapKey}-${surveyMode ? `survey-${landUseVersion}` : 'normal'}`}
+              <SafeGeoJSON key={`geojson-${ly.id}-${mapKey}-${surveyMode ? `survey-${landUseVersion}-${compareVersion}` : 'normal'}`}
                 data={ly.data}
                 style={isEditLayer ? () => ({ color: '#9ca3af', weight: 1, fillColor: '#e5e7eb', fillOpacity: 0.1 })
-                  : surveyMode ? getLandUseStyle : geoJsonStyle(ly.color)}
-                onEachFeature={isEditLayer ? () => {} : surveyMode ? onEachFeatureSurvey : onEachFeature}
-                pointToLayer={(f, ll) => L.circleMarker(ll, { radius: 6, fillColor: ly.color, color: '#fff', weight: 2, fillOpacity: 0.8 })} />
+                  : surveyMode ? getLandUseStyle : layerStyle(ly)}
+                onEachFeature={isEditLayer ? () => {} : withLayerLabel(surveyMode ? onEachFeatureSurvey : onEachFeature, ly)}
+                pointToLayer={(f, ll) => L.circleMarker(ll, { radius: 6, fillColor: surveyMode ? ly.color : layerStyle(ly)(f).fillColor, color: '#fff', weight: 2, fillOpacity: 0.8 })} />
             );
           })}
 
@@ -1825,6 +2443,41 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
             <DrawNewFeature onCreated={handleDrawCreated} />
           )}
 
+          {editingLayerId && subdivision && subdivision.step !== 'confirm' && subdivision.indexes.length > 0 && (
+            <SafeGeoJSON key={`subdivision-source-${subdivision.indexes.join('-')}`}
+              data={{ type: 'FeatureCollection', features: subdivision.indexes.map((i) => editLayerFeatures()[i]).filter(Boolean) }}
+              style={() => subdivisionSourceStyle} interactive={false} />
+          )}
+
+          {editingLayerId && subdivision?.step === 'draw' && (
+            <DrawSplitLine key={`split-${splitAttempt}`} onCreated={handleSplitLine} />
+          )}
+
+          {editingLayerId && subdivision?.step === 'confirm' && (
+            <SafeGeoJSON key={`subdivision-parts-${subdivision.indexes.join('-')}`}
+              data={{ type: 'FeatureCollection', features: subdivision.parts.map((geometry, i) => ({ type: 'Feature', properties: { part: i }, geometry })) }}
+              style={(f) => {
+                const color = SUBDIVISION_PART_COLORS[f.properties.part % SUBDIVISION_PART_COLORS.length];
+                return { color, weight: 3, fillColor: color, fillOpacity: 0.35 };
+              }}
+              interactive={false} />
+          )}
+
+          {spatialDrawing && (
+            <SpatialSelectTool key={`spatial-tool-${spatialKey}`} mode={spatialSelect.mode} onCreated={handleSpatialDrawn} />
+          )}
+
+          {spatialSelect && !editingLayerId && spatialResult?.geometry && (
+            <>
+              <SafeGeoJSON key={`spatial-area-${spatialKey}`} data={{ type: 'Feature', properties: {}, geometry: spatialResult.geometry }}
+                style={() => spatialAreaStyle} interactive={false} />
+              <SafeGeoJSON key={`spatial-selected-${spatialKey}`}
+                data={{ type: 'FeatureCollection', features: spatialResult.indexes.map((i) => spatialLayerData?.features?.[i]).filter(Boolean) }}
+                style={() => spatialSelectedStyle} interactive={false}
+                pointToLayer={(f, ll) => L.circleMarker(ll, { radius: 8, fillColor: '#a78bfa', color: '#7c3aed', weight: 2, fillOpacity: 0.8, interactive: false })} />
+            </>
+          )}
+
           {isMeasuring && <MeasureAreaTool key={`measure-${measureKey}`} onUpdate={setMeasureResult} />}
 
           {selectedFeature && (
@@ -1837,12 +2490,12 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           <div className="absolute inset-0 bg-white/60 z-20 flex items-center justify-center rounded-lg">
             <div className="flex flex-col items-center gap-2">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" />
-              <span className="text-sm text-gray-600">{editSaving ? 'กำลังบันทึกรูปแปลง...' : saving ? 'กำลังบันทึก...' : 'กำลังโหลด...'}</span>
+              <span className="text-sm text-gray-600">{editSaving ? 'กำลังบันทึกการแก้ไข...' : saving ? 'กำลังบันทึก...' : 'กำลังโหลด...'}</span>
             </div>
           </div>
         )}
 
-        {editingLayerId && editFeatureIdx === null && !isDrawing && !drawnFeature && (
+        {editingLayerId && editFeatureIdx === null && !isDrawing && !drawnFeature && !subdivision && (
           <div className="absolute top-4 left-1/2 -translate-x-1/2 z-20 bg-amber-50 border-2 border-amber-400 rounded-xl shadow-lg px-5 py-3 flex items-center gap-4">
             <div className="flex items-center gap-2">
               <span className="text-amber-600 text-lg">✏️</span>
@@ -1856,6 +2509,14 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
                 className="px-4 py-1.5 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors shadow">
                 ➕ วาดแปลงใหม่
               </button>
+              <button onClick={() => startSubdivision(EDIT_OP.SPLIT)}
+                className="px-3 py-1.5 bg-white text-blue-700 text-sm font-medium rounded-lg hover:bg-blue-50 transition-colors shadow border border-blue-300">
+                ✂️ แบ่งแปลง
+              </button>
+              <button onClick={() => startSubdivision(EDIT_OP.MERGE)}
+                className="px-3 py-1.5 bg-white text-blue-700 text-sm font-medium rounded-lg hover:bg-blue-50 transition-colors shadow border border-blue-300">
+                🔗 รวมแปลง
+              </button>
               <button onClick={exitEditMode}
                 className="px-4 py-1.5 bg-gray-500 text-white text-sm font-medium rounded-lg hover:bg-gray-600 transition-colors shadow">
                 ✕ ออก
@@ -1864,6 +2525,46 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           </div>
         )}
 
+        {editingLayerId && subdivision && subdivision.step !== 'confirm' && (() => {
+          const isSplit = subdivision.mode === EDIT_OP.SPLIT;
+          const splitCode = isSplit && subdivision.indexes.length > 0 ? getParcelCode(editLayerFeatures()[subdivision.indexes[0]]?.properties) : null;
+          const title = isSplit
+            ? (subdivision.step === 'draw' ? `ลากเส้นแบ่งผ่านแปลง${splitCode ? ` ${splitCode}` : ''}` : 'เลือกแปลงที่ต้องการแบ่ง')
+            : `เลือกแปลงที่อยู่ติดกัน (${subdivision.indexes.length} แปลง)`;
+          const hint = isSplit
+            ? (subdivision.step === 'draw' ? 'เริ่มและจบนอกแปลง — คลิกเพื่อวางจุด ดับเบิลคลิกเพื่อจบ' : 'คลิกที่แปลงบนแผนที่')
+            : 'คลิกแปลงเพื่อเลือก คลิกซ้ำเพื่อยกเลิกการเลือก';
+          return (
+            <div className="absolute top-4 left-1/2 -translate-x-1/2 z-20 bg-blue-50 border-2 border-blue-400 rounded-xl shadow-lg px-5 py-3 flex items-center gap-4">
+              <div className="flex items-center gap-2">
+                <span className="text-blue-600 text-lg">{isSplit ? '✂️' : '🔗'}</span>
+                <div>
+                  <p className="text-sm font-semibold text-blue-800">{title}</p>
+                  <p className="text-[10px] text-blue-600">{hint}</p>
+                </div>
+              </div>
+              <div className="flex items-center gap-2 ml-2">
+                {isSplit && subdivision.step === 'draw' && (
+                  <button onClick={() => startSubdivision(EDIT_OP.SPLIT)}
+                    className="px-3 py-1.5 bg-white text-blue-700 text-sm font-medium rounded-lg hover:bg-blue-100 transition-colors shadow border border-blue-300">
+                    ↩ เลือกแปลงอื่น
+                  </button>
+                )}
+                {!isSplit && (
+                  <button onClick={prepareMerge} disabled={subdivision.indexes.length < 2}
+                    className="px-4 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors shadow disabled:opacity-50">
+                    🔗 รวม {subdivision.indexes.length} แปลง
+                  </button>
+                )}
+                <button onClick={() => setSubdivision(null)}
+                  className="px-4 py-1.5 bg-gray-500 text-white text-sm font-medium rounded-lg hover:bg-gray-600 transition-colors shadow">
+                  ✕ ยกเลิก
+                </button>
+              </div>
+            </div>
+          );
+        })()}
+
         {editingLayerId && isDrawing && !drawnFeature && (
           <div className="absolute top-4 left-1/2 -translate-x-1/2 z-20 bg-green-50 border-2 border-green-400 rounded-xl shadow-lg px-5 py-3 flex items-center gap-4">
             <div className="flex items-center gap-2">
@@ -1894,9 +2595,9 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
                 </div>
               </div>
               <div className="flex items-center gap-2 ml-2">
-                <button onClick={saveEditFeature} disabled={editSaving}
+                <button onClick={applyEditFeature} disabled={editSaving}
                   className="px-4 py-1.5 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 shadow">
-                  {editSaving ? '⏳ กำลังบันทึก...' : '💾 บันทึก'}
+                  ✓ ใช้รูปแปลงนี้
                 </button>
                 <button onClick={cancelEditFeature} disabled={editSaving}
                   className="px-4 py-1.5 bg-white text-amber-700 text-sm font-medium rounded-lg hover:bg-amber-100 transition-colors disabled:opacity-50 shadow border border-amber-300">
@@ -1911,10 +2612,45 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           );
         })()}
 
+        {editSession && (() => {
+          const sessionLy = geojsonLayers.find((l) => l.id === editSession.layerId);
+          const summary = formatEditSummary(summarizeEdits(editSession));
+          const lastUndo = editSession.undo[editSession.undo.length - 1];
+          const lastRedo = editSession.redo[editSession.redo.length - 1];
+          return (
+            <div className="absolute top-24 left-1/2 -translate-x-1/2 z-20 bg-white border-2 border-blue-400 rounded-xl shadow-lg px-4 py-2 flex items-center gap-3 text-sm max-w-[90%]">
+              <div className="min-w-0">
+                <p className="font-semibold text-blue-800 truncate">📝 แก้ไข {sessionLy?.name}</p>
+                <p className="text-[10px] text-blue-600 truncate">{summary || 'ยังไม่มีการเปลี่ยนแปลง'} • ยังไม่บันทึก</p>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button onClick={undoSessionEdit} disabled={!lastUndo || editSaving} title={lastUndo ? `เลิกทำ: ${describeEdit(lastUndo)} (Ctrl+Z)` : 'เลิกทำ (Ctrl+Z)'}
+                  className="px-2 py-1 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-40">↶</button>
+                <button onClick={redoSessionEdit} disabled={!lastRedo || editSaving} title={lastRedo ? `ทำซ้ำ: ${describeEdit(lastRedo)} (Ctrl+Y)` : 'ทำซ้ำ (Ctrl+Y)'}
+                  className="px-2 py-1 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-40">↷</button>
+                <button onClick={commitEditSession} disabled={!summary || editSaving} title="บันทึกทั้งหมด (Ctrl+S)"
+                  className="px-3 py-1 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 disabled:opacity-50">
+                  {editSaving ? '⏳' : '💾 บันทึก'}
+                </button>
+                <button onClick={discardEditSession} disabled={editSaving}
+                  className="px-3 py-1 bg-gray-500 text-white font-medium rounded-lg hover:bg-gray-600 disabled:opacity-50">
+                  ✕ ยกเลิก
+                </button>
+              </div>
+            </div>
+          );
+        })()}
+
         <div className="absolute top-4 right-4 z-10 flex flex-col gap-2">
           {!editingLayerId && <button onClick={handleResetView} className="px-3 py-2 bg-white text-gray-700 text-sm font-medium rounded-lg shadow-lg hover:bg-gray-50 transition-colors border border-gray-200">🗺️ จัดกึ่งกลาง</button>}
           {!editingLayerId && geojsonLayers.length > 0 && <button onClick={() => setShowPanel(!showPanel)} className="px-3 py-2 bg-white text-gray-700 text-sm font-medium rounded-lg shadow-lg hover:bg-gray-50 transition-colors border border-gray-200">📋 เลเยอร์ ({geojsonLayers.length})</button>}
           {!editingLayerId && surveyMode && <button onClick={() => setShowLegend(!showLegend)} className="px-3 py-2 bg-green-600 text-white text-sm font-medium rounded-lg shadow-lg hover:bg-green-700 transition-colors">📊 สรุปสำรวจ</button>}
+          {!editingLayerId && surveyMode && (
+            <button onClick={() => { if (showCompare) { setShowCompare(false); showCompareResult(null); } else { setShowCompare(true); setShowPanel(false); setTopologyLayerId(null); closeSpatialSelect(); } }}
+              className={`px-3 py-2 text-sm font-medium rounded-lg shadow-lg transition-colors border ${showCompare ? 'bg-fuchsia-600 text-white border-fuchsia-600 hover:bg-fuchsia-700' : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-50'}`}>
+              🕓 เทียบรอบสำรวจ
+            </button>
+          )}
           {!editingLayerId && (
             <button
               onClick={() => {
@@ -2003,6 +2739,50 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           />
         )}
 
+        {surveyMode && (
+          <SurveySyncPanel
+            online={online}
+            usingCache={usingCache}
+            edits={pendingEdits}
+            syncing={syncing}
+            onSync={runSync}
+            onResolve={resolveConflict}
+            onZoomToParcel={zoomToParcel}
+          />
+        )}
+
+        {!surveyMode && !editingLayerId && <LayerStyleLegend layers={geojsonLayers} />}
+
+        {topologyLayer && (
+          <TopologyValidationPanel
+            layer={topologyLayer}
+            unsaved={editSession?.layerId === topologyLayer.id && hasEdits(editSession)}
+            onZoomToIssue={(issue) => zoomToIssue(topologyLayer.id, issue)}
+            onClose={() => { setTopologyLayerId(null); setSelectedFeature(null); setHighlightKey((k) => k + 1); }}
+          />
+        )}
+
+        {spatialSelect && !editingLayerId && tableLayer && (
+          <SpatialSelectionPanel
+            layer={tableLayer}
+            layers={geojsonLayers}
+            selection={spatialSelect}
+            result={spatialResult}
+            onChange={updateSpatialSelect}
+            onRedraw={() => updateSpatialSelect({ drawn: null })}
+            onZoom={zoomToSpatialSelection}
+            onClose={closeSpatialSelect}
+          />
+        )}
+
+        {surveyMode && showCompare && (
+          <LandUseComparePanel
+            onResult={showCompareResult}
+            onZoomToParcel={zoomToParcel}
+            onClose={() => setShowCompare(false)}
+          />
+        )}
+
         {surveyMode && showLegend && (
           <LandUseLegend
             assignments={landUseAssignments}
@@ -2013,6 +2793,40 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           />
         )}
 
+        {importPreview && (
+          <LayerImportPreview
+            key={`${importPreview.sourceName}-${importPreview.layers.map((ly) => ly.filename).join('|')}`}
+            preview={importPreview}
+            busy={importBusy}
+            onSave={saveImportedLayers}
+            onReconvert={reconvertImport}
+            onClose={() => setImportPreview(null)}
+          />
+        )}
+
+        {editingLayerId && subdivision?.step === 'confirm' && (() => {
+          const features = editLayerFeatures();
+          const sources = subdivision.indexes.map((i) => {
+            const f = features[i];
+            const code = getParcelCode(f.properties);
+            return { code, area: getParcelArea(f.properties) || parcelAreaStr(f.geometry), landUse: (code && landUseAssignments[code]) || null };
+          });
+          const sourceCodes = sources.map((src) => src.code).filter(Boolean);
+          const takenCodes = new Set(features.map((f) => getParcelCode(f.properties)).filter((code) => code && !sourceCodes.includes(code)));
+          const totalSqm = subdivision.parts.reduce((sum, g) => sum + area(g), 0);
+          const parts = subdivision.parts.map((g) => ({ area: parcelAreaStr(g), share: area(g) / totalSqm }));
+          // แบ่ง: แปลงที่ใหญ่ที่สุดคงรหัสเดิม แปลงอื่นได้เลขถัดไป / รวม: ใช้รหัสที่น้อยที่สุดของแปลงเดิม
+          const allCodes = features.map((f) => getParcelCode(f.properties)).filter(Boolean);
+          const defaultCodes = subdivision.mode === EDIT_OP.SPLIT
+            ? (sources[0].code ? [sources[0].code, ...suggestParcelCodes(sources[0].code, parts.length - 1, allCodes)] : suggestParcelCodes(null, parts.length, allCodes))
+            : [sourceCodes.length ? [...sourceCodes].sort()[0] : suggestParcelCodes(null, 1, allCodes)[0]];
+          return (
+            <ParcelSubdivisionForm key={subdivision.indexes.join('-')} mode={subdivision.mode} sources={sources} parts={parts}
+              defaultCodes={defaultCodes} takenCodes={takenCodes}
+              onConfirm={applySubdivision} onCancel={() => setSubdivision(null)} />
+          );
+        })()}
+
         {drawnFeature && (
           <NewFeaturePropsForm
             onSave={saveNewFeature}
@@ -2020,6 +2834,26 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
           />
         )}
 
+        {confirmEndSession && editSession && (
+          <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={() => setConfirmEndSession(false)}>
+            <div className="bg-white rounded-xl shadow-2xl p-6 max-w-sm w-full mx-4" onClick={(e) => e.stopPropagation()}>
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">ยังไม่ได้บันทึกการแก้ไข</h3>
+              <p className="text-sm text-gray-600 mb-6">{formatEditSummary(summarizeEdits(editSession))}</p>
+              <div className="flex gap-2 justify-end">
+                <button onClick={() => setConfirmEndSession(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm font-medium">
+                  กลับไปแก้ไข
+                </button>
+                <button onClick={discardEditSession} disabled={editSaving} className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium disabled:opacity-50">
+                  ทิ้งการแก้ไข
+                </button>
+                <button onClick={commitEditSession} disabled={editSaving} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium disabled:opacity-50">
+                  💾 บันทึก
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {layerToDelete && (
           <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={() => setLayerToDelete(null)}>
             <div className="bg-white rounded-xl shadow-2xl p-6 max-w-sm w-full mx-4" onClick={(e) => e.stopPropagation()}>
@@ -2079,6 +2913,9 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
                     <p className="text-gray-500">{ly.featureCount} features{ly.savedOnServer && <span className="ml-1 text-green-600">• บันทึกแล้ว</span>}</p>
                   </div>
                   <button onClick={() => { setTableLayerId((prev) => (prev === ly.id ? null : ly.id)); setSelectedFeature(null); setHighlightKey((k) => k + 1); }} className={`flex-shrink-0 ${tableLayerId === ly.id ? 'text-blue-600' : 'text-gray-400 hover:text-blue-600'}`} title="ตาราง">📊</button>
+                  {ly.savedOnServer && <button onClick={() => setStyleLayerId(ly.id)} className="text-gray-400 hover:text-blue-600 flex-shrink-0" title="รูปแบบการแสดงผล">🎨</button>}
+                  {ly.savedOnServer && <button onClick={() => { setTopologyLayerId(ly.id); setShowPanel(false); closeSpatialSelect(); if (showCompare) { setShowCompare(false); showCompareResult(null); } }} className={`flex-shrink-0 ${topologyLayerId === ly.id ? 'text-blue-600' : 'text-gray-400 hover:text-blue-600'}`} title="ตรวจสอบโทโพโลยี">🧩</button>}
+                  {ly.savedOnServer && <button onClick={() => setExportTarget({ layerId: ly.id })} className="text-gray-400 hover:text-blue-600 flex-shrink-0" title="ส่งออก">⬇️</button>}
                   <button onClick={() => startEdit(ly.id)} className={`flex-shrink-0 ${editingLayerId === ly.id ? 'text-amber-600' : 'text-gray-400 hover:text-amber-600'}`} title="แก้ไขรูปแปลง" disabled={!!editingLayerId}>✏️</button>
                   <button onClick={() => toggleLayerVisibility(ly.id)} className="text-gray-400 hover:text-blue-600 flex-shrink-0" title={ly.visible ? 'ซ่อน' : 'แสดง'}>{ly.visible ? '👁️' : '🙈'}</button>
                   <button onClick={(e) => { e.stopPropagation(); setLayerToDelete({ id: ly.id, name: ly.name }); }} className="text-gray-400 hover:text-red-600 flex-shrink-0" title="ลบ" disabled={!!editingLayerId}>🗑️</button>
@@ -2095,11 +2932,35 @@ const TaxMapView = forwardRef(({ onLayerCountChange, surveyMode }, ref) => {
             onClose={() => { setTableLayerId(null); setSelectedFeature(null); setHighlightKey((k) => k + 1); }}
             onZoomToFeature={zoomToFeature} surveyMode={surveyMode}
             landUseAssignments={landUseAssignments}
+            taxConfig={taxConfig}
             onUpdateFeature={updateFeatureProperty}
             onDeleteFeature={deleteFeature}
-            onBulkAssign={bulkAssignLandUse} />
+            onBulkAssign={bulkAssignLandUse}
+            onExport={(filters) => setExportTarget({ layerId: tableLayer.id, ...filters })}
+            spatialSelection={spatialSelect?.layerId === tableLayer.id && spatialResult && !spatialResult.error ? spatialResult : null}
+            onSpatialSelect={editingLayerId ? undefined : startSpatialSelect}
+            onClearSpatialSelection={closeSpatialSelect} />
         </div>
       )}
+
+      {exportLayer && (
+        <LayerExportModal layer={exportLayer} landUseAssignments={landUseAssignments}
+          initialBlockId={exportTarget.blockId} initialLandUse={exportTarget.landUse} parcelCodes={exportTarget.parcelCodes}
+          onClose={() => setExportTarget(null)} onToast={showToast} />
+      )}
+
+      {styleLayer && (
+        <LayerStyleEditor layer={styleLayer} landUseAssignments={landUseAssignments}
+          onSave={(style) => saveLayerStyle(styleLayer.id, style)}
+          onClose={() => setStyleLayerId(null)} />
+      )}
+
+      {showTaxReport && (
+        <TaxReportModal layers={geojsonLayers} initialLayerId={tableLayerId}
+          landUseAssignments={landUseAssignments} taxConfig={taxConfig}
+          onZoomToParcel={(code) => { setShowTaxReport(false); zoomToParcel(code); }}
+          onClose={() => setShowTaxReport(false)} />
+      )}
     </div>
   );
 });
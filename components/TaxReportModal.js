@@ -0,0 +1,196 @@
+import { useMemo, useState } from 'react';
+import Link from 'next/link';
+import { LAND_USE_MAP, LAND_USE_TYPES, wahToAreaStr } from '@/utils/landUse';
+import { APPRAISAL_SOURCE_LABELS, buildTaxReport, formatBaht } from '@/utils/tax';
+
+const MAX_ROWS = 300;
+
+const TABS = [
+  { key: 'parcel', label: 'รายแปลง' },
+  { key: 'block', label: 'ราย block' },
+];
+
+const downloadCsv = (filename, headers, rows) => {
+  const escape = (cell) => `"${String(cell ?? '').replace(/"/g, '""')}"`;
+  const csv = [headers, ...rows].map((row) => row.map(escape).join(',')).join('\n');
+  const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const typeLabel = (key) => (LAND_USE_MAP[key] ? `${LAND_USE_MAP[key].icon} ${LAND_USE_MAP[key].label}` : key);
+
+/**
+ * Estimated land tax of a layer's parcels from surveyed land use, per parcel
+ * and per block_id, with CSV download. Rates come from /api/tax-rates.
+ */
+const TaxReportModal = ({ layers, initialLayerId, landUseAssignments, taxConfig, onZoomToParcel, onClose }) => {
+  const [layerId, setLayerId] = useState(initialLayerId ?? layers[0]?.id);
+  const [tab, setTab] = useState('parcel');
+
+  const layer = layers.find((ly) => ly.id === layerId) || layers[0];
+
+  const report = useMemo(
+    () => buildTaxReport(layer?.data?.features || [], landUseAssignments, taxConfig),
+    [layer, landUseAssignments, taxConfig]
+  );
+
+  const baseName = (layer?.name || 'layer').replace(/\.(geojson|json)$/i, '');
+
+  const exportParcels = () => downloadCsv(
+    `ภาษีรายแปลง_${baseName}.csv`,
+    ['รหัสแปลง', 'block_id', 'การใช้ที่ดิน', 'เนื้อที่ (ไร่-งาน-วา)', 'ราคาประเมิน (บาท/ตร.วา)', 'แหล่งราคา', 'มูลค่า (บาท)', 'ภาษีประมาณการ (บาท)', 'หมายเหตุ'],
+    report.parcels.map((p) => [
+      p.parcelCode,
+      p.blockId ?? '',
+      p.lines.map((l) => `${LAND_USE_MAP[l.type]?.label || l.type} ${wahToAreaStr(l.wah)}`).join(', '),
+      p.totalWah ? wahToAreaStr(p.totalWah) : '',
+      p.pricePerWah || '',
+      APPRAISAL_SOURCE_LABELS[p.priceSource] || '',
+      p.missing ? '' : p.value.toFixed(2),
+      p.missing ? '' : p.tax.toFixed(2),
+      p.missing || '',
+    ])
+  );
+
+  const exportBlocks = () => downloadCsv(
+    `ภาษีราย-block_${baseName}.csv`,
+    ['block_id', 'จำนวนแปลง', 'ประมาณการได้', 'เนื้อที่ (ไร่-งาน-วา)', 'มูลค่า (บาท)', 'ภาษีประมาณการ (บาท)', ...LAND_USE_TYPES.map((t) => `ภาษี${t.label}`)],
+    report.blocks.map((b) => [
+      b.blockId,
+      b.parcels,
+      b.estimated,
+      wahToAreaStr(b.totalWah),
+      b.value.toFixed(2),
+      b.tax.toFixed(2),
+      ...LAND_USE_TYPES.map((t) => (b.byType[t.key] || 0).toFixed(2)),
+    ])
+  );
+
+  const th = 'px-2 py-1.5 text-left font-semibold text-gray-600 border-b whitespace-nowrap';
+  const td = 'px-2 py-1 border-b border-gray-100 whitespace-nowrap';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl p-5 max-w-5xl w-full mx-4 max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-3 gap-3">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">💰 ประมาณการภาษีที่ดิน</h3>
+            <p className="text-xs text-gray-500">
+              จากผลสำรวจการใช้ที่ดิน • ไม่รวมสิ่งปลูกสร้าง •{' '}
+              <Link href="/admin/tax-rates" className="text-blue-600 underline">ตั้งค่าอัตราภาษี/ราคาประเมิน</Link>
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl leading-none">&times;</button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+          {layers.length > 1 && (
+            <select value={layer?.id} onChange={(e) => setLayerId(layers.find((ly) => String(ly.id) === e.target.value)?.id)}
+              className="px-2 py-1 border border-gray-300 rounded-md">
+              {layers.map((ly) => <option key={ly.id} value={ly.id}>{ly.name}</option>)}
+            </select>
+          )}
+          {TABS.map((t) => (
+            <button key={t.key} onClick={() => setTab(t.key)}
+              className={`px-3 py-1 rounded-full border ${tab === t.key ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}>
+              {t.label}
+            </button>
+          ))}
+          <span className="ml-auto text-gray-600">
+            ประมาณการได้ {report.total.estimated} / {report.total.parcels} แปลง • มูลค่ารวม {formatBaht(report.total.value)} บาท •
+            ภาษีรวม <span className="font-semibold text-gray-800">{formatBaht(report.total.tax)}</span> บาท/ปี
+          </span>
+        </div>
+
+        {!taxConfig && <p className="text-xs text-amber-600 mb-2">โหลดอัตราภาษีไม่สำเร็จ ใช้อัตราเริ่มต้นและไม่มีราคากลาง</p>}
+
+        <div className="overflow-auto border border-gray-200 rounded-lg flex-1 min-h-[120px]">
+          {report.parcels.length === 0 ? (
+            <p className="text-xs text-gray-400 p-6 text-center">ชั้นข้อมูลนี้ไม่มีรหัสแปลง (parcel_cod)</p>
+          ) : tab === 'parcel' ? (
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-gray-50">
+                <tr>
+                  <th className={th}>รหัสแปลง</th>
+                  <th className={th}>block_id</th>
+                  <th className={th}>การใช้ที่ดิน / เนื้อที่</th>
+                  <th className={`${th} text-right`}>ราคาประเมิน</th>
+                  <th className={`${th} text-right`}>มูลค่า (บาท)</th>
+                  <th className={`${th} text-right`}>ภาษี (บาท)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.parcels.slice(0, MAX_ROWS).map((p, i) => (
+                  <tr key={`${p.parcelCode}-${i}`} className="hover:bg-blue-50 cursor-pointer" onClick={() => onZoomToParcel?.(p.parcelCode)}>
+                    <td className={`${td} font-mono`}>{p.parcelCode}</td>
+                    <td className={td}>{p.blockId ?? '-'}</td>
+                    <td className={td}>
+                      {p.lines.length > 0
+                        ? p.lines.map((l) => `${typeLabel(l.type)} ${wahToAreaStr(l.wah)}`).join(', ')
+                        : <span className="text-gray-400">{p.missing}</span>}
+                    </td>
+                    <td className={`${td} text-right`} title={APPRAISAL_SOURCE_LABELS[p.priceSource] || ''}>
+                      {p.pricePerWah ? formatBaht(p.pricePerWah) : '-'}
+                    </td>
+                    <td className={`${td} text-right`}>{p.missing ? '-' : formatBaht(p.value)}</td>
+                    <td className={`${td} text-right font-medium`}>
+                      {p.missing ? <span className="text-amber-600 font-normal">{p.missing}</span> : formatBaht(p.tax)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-gray-50">
+                <tr>
+                  <th className={th}>block_id</th>
+                  <th className={`${th} text-right`}>แปลง</th>
+                  <th className={`${th} text-right`}>ประมาณการได้</th>
+                  <th className={`${th} text-right`}>เนื้อที่</th>
+                  <th className={`${th} text-right`}>มูลค่า (บาท)</th>
+                  <th className={`${th} text-right`}>ภาษี (บาท)</th>
+                  <th className={th}>แยกตามประเภท</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.blocks.map((b) => (
+                  <tr key={b.blockId}>
+                    <td className={`${td} font-mono`}>{b.blockId}</td>
+                    <td className={`${td} text-right`}>{b.parcels}</td>
+                    <td className={`${td} text-right`}>{b.estimated}</td>
+                    <td className={`${td} text-right`}>{wahToAreaStr(b.totalWah)}</td>
+                    <td className={`${td} text-right`}>{formatBaht(b.value)}</td>
+                    <td className={`${td} text-right font-medium`}>{formatBaht(b.tax)}</td>
+                    <td className={td}>
+                      {Object.entries(b.byType).map(([key, tax]) => `${LAND_USE_MAP[key]?.icon || ''} ${formatBaht(tax)}`).join(' • ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-3 text-xs">
+          <span className="text-gray-400">
+            {tab === 'parcel' && report.parcels.length > MAX_ROWS && `แสดง ${MAX_ROWS} จาก ${report.parcels.length} แปลง (ไฟล์ CSV มีครบ)`}
+          </span>
+          <button onClick={tab === 'parcel' ? exportParcels : exportBlocks} disabled={report.parcels.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:opacity-50">
+            ⬇️ ดาวน์โหลด CSV
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaxReportModal;
@@ -2,6 +2,8 @@ import React from "react";
 import Image from "next/image";
 import { UserButton, useUser, SignInButton } from "@clerk/nextjs";
 import AdminDropdownMenu from "./AdminDropdownMenu";
+import Link from "next/link";
+import { ROLES, hasRole, isAdminRole } from "@/utils/roles";
 
 const TopNavbar = () => {
   const { isSignedIn, user } = useUser();
@@ -10,13 +12,18 @@ const TopNavbar = () => {
     <header className="w-full min-w-[320px] bg-white/30 backdrop-blur-md border-b border-white/40 shadow-md px-4 py-4 flex items-center justify-center sticky top-0 z-50">
       <div className="absolute left-4">
         <AdminDropdownMenu
-          show={user?.publicMetadata?.role === "admin" || user?.publicMetadata?.role === "superadmin"}
+          show={isAdminRole(user?.publicMetadata?.role)}
           links={[
             { path: "/admin", label: "🛠 ตั้งค่าหน้าจอ" },
             { path: "/admin/register-user", label: "👥 จัดการผู้ใช้งาน" },
             { path: "/admin/manage-complaints", label: "📋 จัดการเรื่องร้องเรียน" },
+            { path: "/admin/triage", label: "🚦 คิวคัดกรอง" },
             { path: "/admin/dashboard", label: "📊 แดชบอร์ด" },
+            { path: "/admin/sla-policies", label: "⏱️ นโยบาย SLA" },
+            { path: "/admin/webhooks", label: "🔗 Webhooks" },
             { path: "/admin/tax-map", label: "🗺️ แผนที่ภาษี" },
+            { path: "/admin/tax-rates", label: "💰 อัตราภาษีที่ดิน" },
+            { path: "/admin/pii-access-log", label: "🔒 บันทึกการเข้าถึงข้อมูลส่วนบุคคล" },
           ]}
         />
       </div>
@@ -32,6 +39,11 @@ const TopNavbar = () => {
                 <span className="text-green-600">{user?.publicMetadata?.role || "User"}</span>
               </div>
             )}
+            {hasRole(user?.publicMetadata?.role, ROLES.OFFICER) && (
+              <Link href="/officer" className="btn btn-sm btn-outline btn-primary">
+                📋 งานของฉัน
+              </Link>
+            )}
             <UserButton afterSignOutUrl="/" />
           </>
         ) : (
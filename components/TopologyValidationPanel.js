@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useState } from 'react';
+import { TOPOLOGY_ISSUE_LABELS, TOPOLOGY_SEVERITY } from '@/utils/topology';
+
+/**
+ * Topology check of a saved parcel layer (/api/geojson/validate): a list of
+ * overlaps, gaps, invalid rings, code and Z problems; clicking a row hands
+ * the issue to `onZoomToIssue` so the map zooms to it. `unsaved` warns that
+ * the result is of the last saved version, not the edits in progress.
+ */
+const TopologyValidationPanel = ({ layer, unsaved = false, onZoomToIssue, onClose }) => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  const runValidation = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    setActiveIndex(null);
+    try {
+      const res = await fetch(`/api/geojson/validate?filename=${encodeURIComponent(layer.name)}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || res.statusText);
+      setResult(data);
+    } catch (err) {
+      setError(navigator.onLine === false ? 'ตรวจสอบได้เมื่อออนไลน์' : err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [layer.name]);
+
+  useEffect(() => {
+    setResult(null);
+    setTypeFilter('');
+    runValidation();
+  }, [runValidation]);
+
+  const issues = (result?.issues || []).map((issue, index) => ({ ...issue, index }));
+  const shown = typeFilter ? issues.filter((issue) => issue.type === typeFilter) : issues;
+  const types = Object.entries(result?.summary?.byType || {}).filter(([, n]) => n > 0);
+
+  const handleClick = (issue) => {
+    setActiveIndex(issue.index);
+    onZoomToIssue(issue);
+  };
+
+  return (
+    <div className="absolute top-4 left-14 z-10 bg-white rounded-lg shadow-lg border border-gray-200 w-80 max-h-[70vh] flex flex-col">
+      <div className="px-3 py-2 border-b border-gray-100 flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <h4 className="text-xs font-semibold text-gray-700">🧩 ตรวจสอบโทโพโลยี</h4>
+          <p className="text-[10px] text-gray-400 truncate" title={layer.name}>{layer.name}</p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button onClick={runValidation} disabled={loading} className="text-xs text-blue-600 hover:underline disabled:opacity-50">
+            {loading ? '⏳' : '↻ ตรวจใหม่'}
+          </button>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-sm">&times;</button>
+        </div>
+      </div>
+
+      {unsaved && <p className="px-3 py-1 text-[10px] text-amber-700 bg-amber-50">ผลตรวจเป็นของข้อมูลที่บันทึกล่าสุด ยังไม่รวมการแก้ไขที่ยังไม่บันทึก</p>}
+      {error && <p className="px-3 py-2 text-xs text-red-500">{error}</p>}
+      {loading && !result && <p className="px-3 py-4 text-xs text-gray-400 text-center">⏳ กำลังตรวจสอบ...</p>}
+
+      {result && (
+        <>
+          <div className="px-3 py-2 text-xs text-gray-600 border-b border-gray-100">
+            {result.summary.polygonCount} แปลง •{' '}
+            <span className="font-semibold text-red-600">ผิดพลาด {result.summary.errors}</span> •{' '}
+            <span className="font-semibold text-amber-600">คำเตือน {result.summary.warnings}</span>
+            {types.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-1.5">
+                <button onClick={() => setTypeFilter('')}
+                  className={`px-1.5 py-0.5 rounded text-[10px] border ${typeFilter === '' ? 'bg-gray-700 text-white border-gray-700' : 'bg-white border-gray-300 hover:bg-gray-50'}`}>
+                  ทั้งหมด
+                </button>
+                {types.map(([type, n]) => (
+                  <button key={type} onClick={() => setTypeFilter(type)}
+                    className={`px-1.5 py-0.5 rounded text-[10px] border ${typeFilter === type ? 'bg-gray-700 text-white border-gray-700' : 'bg-white border-gray-300 hover:bg-gray-50'}`}>
+                    {TOPOLOGY_ISSUE_LABELS[type] || type} {n}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {issues.length === 0 && <p className="px-3 py-4 text-xs text-green-600 text-center">✅ ไม่พบปัญหาโทโพโลยี</p>}
+          <ul className="overflow-y-auto flex-1 divide-y divide-gray-100">
+            {shown.map((issue) => (
+              <li key={issue.index}>
+                <button onClick={() => handleClick(issue)}
+                  className={`w-full text-left px-3 py-1.5 text-[11px] hover:bg-blue-50 ${activeIndex === issue.index ? 'bg-blue-50' : ''}`}>
+                  <span className={`inline-block w-2 h-2 rounded-full mr-1.5 ${issue.severity === TOPOLOGY_SEVERITY.ERROR ? 'bg-red-500' : 'bg-amber-400'}`} />
+                  <span className="font-medium text-gray-800">{TOPOLOGY_ISSUE_LABELS[issue.type] || issue.type}</span>
+                  {issue.parcelCodes.length > 0 && (
+                    <span className="ml-1 font-mono text-gray-500">{[...new Set(issue.parcelCodes)].slice(0, 4).join(', ')}{issue.parcelCodes.length > 4 ? ' …' : ''}</span>
+                  )}
+                  <span className="block text-gray-500 pl-3.5">{issue.message}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          {result.truncated && <p className="px-3 py-1 text-[10px] text-gray-400">แสดง {issues.length} รายการแรก</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TopologyValidationPanel;
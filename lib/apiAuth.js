@@ -0,0 +1,64 @@
+// lib/apiAuth.js
+import { getAuth, clerkClient } from '@clerk/nextjs/server';
+import { ROLES, hasRole, normalizeRole } from '@/utils/roles';
+
+// ผู้ใช้ที่เข้าสู่ระบบแล้ว ไม่ว่าจะมีบทบาทใด (เช่น ลงทะเบียนเจ้าหน้าที่ครั้งแรก)
+export const AUTHENTICATED = 'authenticated';
+
+/**
+ * Resolve the caller's Clerk userId and role. The role is read from the
+ * session claims when the session token includes `metadata`, otherwise from
+ * the user's publicMetadata via the Clerk API.
+ *
+ * @returns {Promise<{ userId: string | null, role: string }>}
+ */
+export async function getRequestAuth(req) {
+  const { userId, sessionClaims } = getAuth(req);
+  if (!userId) return { userId: null, role: ROLES.PUBLIC };
+
+  let role = sessionClaims?.metadata?.role;
+  if (!role) {
+    try {
+      const client = await clerkClient();
+      const user = await client.users.getUser(userId);
+      role = user.publicMetadata?.role;
+    } catch (err) {
+      console.error('❌ Failed to resolve Clerk role:', err.message);
+    }
+  }
+
+  return { userId, role: normalizeRole(role) };
+}
+
+/**
+ * Wrap an API handler with a per-method role policy, e.g.
+ *
+ *   export default withRoles({ GET: ROLES.PUBLIC, DELETE: ROLES.ADMIN }, handler);
+ *
+ * Methods missing from the policy get 405, anonymous callers on a protected
+ * method get 401 and signed-in callers without the role get 403. The resolved
+ * `{ userId, role }` is available to the handler as `req.auth`.
+ */
+export function withRoles(policy, handler) {
+  const allowed = Object.keys(policy);
+
+  return async function guardedHandler(req, res) {
+    const required = policy[req.method];
+    if (!required) {
+      res.setHeader('Allow', allowed);
+      return res.status(405).json({ success: false, message: `Method ${req.method} Not Allowed` });
+    }
+
+    const auth = await getRequestAuth(req);
+    req.auth = auth;
+
+    if (required !== ROLES.PUBLIC && !auth.userId) {
+      return res.status(401).json({ success: false, message: 'กรุณาเข้าสู่ระบบ' });
+    }
+    if (required !== AUTHENTICATED && !hasRole(auth.role, required)) {
+      return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์เข้าถึงข้อมูลนี้' });
+    }
+
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,484 @@
+// lib/assignments.js
+// Officer assignments: lead/supporting officers, reassignment, workload and
+// the officer's own work queue (accept / start / progress / complete).
+import mongoose from 'mongoose';
+import dbConnect from './dbConnect';
+import Assignment from '@/models/Assignment';
+import SubmittedReport from '@/models/SubmittedReport';
+import { transitionComplaintStatus } from './complaintLifecycle';
+import { emitWebhookEvent } from './webhooks';
+import { withSla } from './slaPolicies';
+import { WEBHOOK_EVENTS } from '@/utils/webhookEvents';
+import {
+  ACTIVE_STATUSES,
+  ASSIGNABLE_STATUSES,
+  COMPLAINT_STATUS,
+  DONE_STATUSES,
+  getNextStatuses,
+  normalizeStatus,
+} from '@/utils/complaintStatus';
+import {
+  ASSIGNMENT_END_REASON,
+  ASSIGNMENT_ROLE,
+  isValidAssignmentRole,
+} from '@/utils/assignmentRoles';
+
+// เอกสารเก่าไม่มี active ถือว่ายังมีผลอยู่
+export const ACTIVE_ASSIGNMENT = { active: { $ne: false } };
+
+// role ว่าง (ข้อมูลเก่า) ถือเป็นผู้รับผิดชอบหลัก
+const LEAD_FILTER = { role: { $ne: ASSIGNMENT_ROLE.SUPPORT } };
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+function endAssignment(assignmentId, reason, { note = '', actor = {} } = {}) {
+  return Assignment.findOneAndUpdate(
+    { _id: assignmentId, ...ACTIVE_ASSIGNMENT },
+    {
+      $set: {
+        active: false,
+        endedAt: new Date(),
+        endedReason: reason,
+        endedNote: typeof note === 'string' ? note.trim() : '',
+        endedBy: actor.changedBy || null,
+        endedByName: actor.changedByName || null,
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Assign an officer to a complaint. Without `role` the first officer becomes
+ * the lead and later ones support. A complaint waiting for assignment moves
+ * to ASSIGNED; one already being worked on only gains the officer. Others
+ * (e.g. RECEIVED before triage, or finished) cannot be assigned.
+ *
+ * @returns {Promise<{ success: true, assignment: object } | { success: false, code: number, error: string }>}
+ */
+export async function assignOfficer(complaintId, userId, { role, actor = {}, fields = {} } = {}) {
+  if (role && !isValidAssignmentRole(role)) {
+    return { success: false, code: 400, error: `บทบาทไม่ถูกต้อง: ${role}` };
+  }
+  await dbConnect();
+
+  const complaint = await SubmittedReport.findById(complaintId).select('status').lean();
+  if (!complaint) {
+    return { success: false, code: 404, error: 'ไม่พบเรื่องร้องเรียนนี้' };
+  }
+  const status = normalizeStatus(complaint.status);
+  const needsTransition = ASSIGNABLE_STATUSES.includes(status);
+  if (!needsTransition && !ACTIVE_STATUSES.includes(status)) {
+    return { success: false, code: 409, error: `มอบหมายเจ้าหน้าที่ไม่ได้ในสถานะ "${status}" กรุณาคัดกรองเรื่องก่อน` };
+  }
+
+  const active = await Assignment.find({ complaintId, ...ACTIVE_ASSIGNMENT }).select('userId role').lean();
+  if (active.some((a) => String(a.userId) === String(userId))) {
+    return { success: false, code: 409, error: 'เจ้าหน้าที่คนนี้ได้รับมอบหมายเรื่องนี้อยู่แล้ว' };
+  }
+  const hasLead = active.some((a) => a.role !== ASSIGNMENT_ROLE.SUPPORT);
+  const assignRole = role || (hasLead ? ASSIGNMENT_ROLE.SUPPORT : ASSIGNMENT_ROLE.LEAD);
+  if (assignRole === ASSIGNMENT_ROLE.LEAD && hasLead) {
+    return { success: false, code: 409, error: 'เรื่องนี้มีผู้รับผิดชอบหลักแล้ว กรุณาใช้การโอนงาน' };
+  }
+
+  const assignment = await Assignment.create({
+    ...fields,
+    complaintId: toObjectId(complaintId),
+    userId: toObjectId(userId),
+    role: assignRole,
+    assignedBy: actor.changedBy || null,
+    assignedByName: actor.changedByName || null,
+  });
+
+  // มอบหมายแล้ว → เปลี่ยนสถานะเรื่องตาม lifecycle ถ้าเปลี่ยนไม่ได้ก็ไม่เก็บการมอบหมายไว้
+  if (needsTransition) {
+    const moved = await transitionComplaintStatus(complaintId, COMPLAINT_STATUS.ASSIGNED, {
+      note: 'มอบหมายเจ้าหน้าที่',
+      actor,
+    });
+    if (!moved.success) {
+      await Assignment.deleteOne({ _id: assignment._id });
+      return moved;
+    }
+  }
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.ASSIGNMENT_CREATED, { assignment });
+
+  return { success: true, assignment };
+}
+
+/**
+ * Hand an assignment over to another officer, keeping its role. The old
+ * assignment stays as history with the reason.
+ *
+ * @returns {Promise<{ success: true, assignment: object, previous: object } | { success: false, code: number, error: string }>}
+ */
+export async function reassignOfficer(assignmentId, toUserId, { reason, actor = {} } = {}) {
+  if (!reason?.trim()) {
+    return { success: false, code: 400, error: 'กรุณาระบุเหตุผลในการโอนงาน' };
+  }
+  await dbConnect();
+
+  const current = await Assignment.findOne({ _id: assignmentId, ...ACTIVE_ASSIGNMENT }).lean();
+  if (!current) {
+    return { success: false, code: 404, error: 'ไม่พบการมอบหมายที่ยังมีผลอยู่' };
+  }
+  if (String(current.userId) === String(toUserId)) {
+    return { success: false, code: 400, error: 'กรุณาเลือกเจ้าหน้าที่คนอื่น' };
+  }
+  const alreadyAssigned = await Assignment.exists({
+    complaintId: current.complaintId,
+    userId: toUserId,
+    ...ACTIVE_ASSIGNMENT,
+  });
+  if (alreadyAssigned) {
+    return { success: false, code: 409, error: 'เจ้าหน้าที่คนนี้ได้รับมอบหมายเรื่องนี้อยู่แล้ว' };
+  }
+
+  const previous = await endAssignment(assignmentId, ASSIGNMENT_END_REASON.REASSIGNED, { note: reason, actor });
+  if (!previous) {
+    return { success: false, code: 409, error: 'การมอบหมายถูกแก้ไขโดยผู้อื่นแล้ว กรุณาโหลดข้อมูลใหม่' };
+  }
+
+  const assignment = await Assignment.create({
+    complaintId: current.complaintId,
+    userId: toObjectId(toUserId),
+    role: current.role || ASSIGNMENT_ROLE.LEAD,
+    note: current.note,
+    reassignedFrom: current._id,
+    assignedBy: actor.changedBy || null,
+    assignedByName: actor.changedByName || null,
+  });
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.ASSIGNMENT_CREATED, { assignment, reassignedFrom: previous });
+
+  return { success: true, assignment, previous };
+}
+
+/**
+ * Remove an officer from a complaint. When the lead leaves, the earliest
+ * supporting officer becomes lead; when nobody is left on an ASSIGNED
+ * complaint it goes back to TRIAGED.
+ *
+ * @returns {Promise<{ success: true, assignment: object, promoted: object|null } | { success: false, code: number, error: string }>}
+ */
+export async function unassignOfficer(assignmentId, { reason, actor = {} } = {}) {
+  if (!reason?.trim()) {
+    return { success: false, code: 400, error: 'กรุณาระบุเหตุผลในการยกเลิกการมอบหมาย' };
+  }
+  await dbConnect();
+
+  const ended = await endAssignment(assignmentId, ASSIGNMENT_END_REASON.UNASSIGNED, { note: reason, actor });
+  if (!ended) {
+    return { success: false, code: 404, error: 'ไม่พบการมอบหมายที่ยังมีผลอยู่' };
+  }
+
+  let promoted = null;
+  if (ended.role !== ASSIGNMENT_ROLE.SUPPORT) {
+    const noLead = !(await Assignment.exists({ complaintId: ended.complaintId, ...ACTIVE_ASSIGNMENT, ...LEAD_FILTER }));
+    if (noLead) {
+      promoted = await Assignment.findOneAndUpdate(
+        { complaintId: ended.complaintId, ...ACTIVE_ASSIGNMENT, role: ASSIGNMENT_ROLE.SUPPORT },
+        { $set: { role: ASSIGNMENT_ROLE.LEAD } },
+        { sort: { assignedAt: 1 }, new: true }
+      );
+    }
+  }
+
+  const remaining = await Assignment.exists({ complaintId: ended.complaintId, ...ACTIVE_ASSIGNMENT });
+  if (!remaining) {
+    const complaint = await SubmittedReport.findById(ended.complaintId).select('status').lean();
+    if (normalizeStatus(complaint?.status) === COMPLAINT_STATUS.ASSIGNED) {
+      await transitionComplaintStatus(ended.complaintId, COMPLAINT_STATUS.TRIAGED, {
+        note: `ยกเลิกการมอบหมาย: ${reason.trim()}`,
+        actor,
+      });
+    }
+  }
+
+  return { success: true, assignment: ended, promoted };
+}
+
+/**
+ * Per-officer workload keyed by user _id:
+ * open assignments (complaint not finished, no completedAt), split by role,
+ * completed count and average hours from assignment to completion.
+ */
+export async function getOfficerWorkload() {
+  await dbConnect();
+
+  const rows = await Assignment.aggregate([
+    { $match: ACTIVE_ASSIGNMENT },
+    {
+      $lookup: {
+        from: 'submittedreports',
+        localField: 'complaintId',
+        foreignField: '_id',
+        as: 'complaint',
+      },
+    },
+    {
+      $project: {
+        userId: 1,
+        isLead: { $ne: ['$role', ASSIGNMENT_ROLE.SUPPORT] },
+        isCompleted: { $gt: ['$completedAt', null] },
+        isOpen: {
+          $and: [
+            { $not: [{ $gt: ['$completedAt', null] }] },
+            { $gt: [{ $size: '$complaint' }, 0] },
+            { $not: [{ $in: [{ $arrayElemAt: ['$complaint.status', 0] }, DONE_STATUSES] }] },
+          ],
+        },
+        resolutionMs: {
+          $cond: [{ $gt: ['$completedAt', null] }, { $subtract: ['$completedAt', '$assignedAt'] }, null],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$userId',
+        openCount: { $sum: { $cond: ['$isOpen', 1, 0] } },
+        openLeadCount: { $sum: { $cond: [{ $and: ['$isOpen', '$isLead'] }, 1, 0] } },
+        completedCount: { $sum: { $cond: ['$isCompleted', 1, 0] } },
+        avgResolutionMs: { $avg: '$resolutionMs' },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(
+    rows.map((r) => [
+      String(r._id),
+      {
+        openCount: r.openCount,
+        openLeadCount: r.openLeadCount,
+        openSupportCount: r.openCount - r.openLeadCount,
+        completedCount: r.completedCount,
+        avgResolutionHours: r.avgResolutionMs != null ? Math.round((r.avgResolutionMs / 3600000) * 10) / 10 : null,
+      },
+    ])
+  );
+}
+
+// ข้อมูลผู้แจ้งไม่จำเป็นต่อการลงพื้นที่ จึงไม่ส่งให้หน้างานของเจ้าหน้าที่
+const OFFICER_COMPLAINT_PROJECTION = { prefix: 0, fullName: 0, phone: 0, followers: 0, 'statusHistory.changedBy': 0 };
+
+/**
+ * The local `users` record of a Clerk user (officers are registered there)
+ */
+export async function getLocalUserByClerkId(clerkId) {
+  if (!clerkId) return null;
+  await dbConnect();
+  return mongoose.connection.db
+    .collection('users')
+    .findOne({ clerkId }, { projection: { name: 1, clerkId: 1 } });
+}
+
+/**
+ * Active assignments of one officer with their complaint (SLA attached).
+ * Finished complaints are left out unless `includeCompleted`.
+ *
+ * @returns {Promise<object[]>} `{ ...assignment, complaint }`
+ */
+export async function getOfficerQueue(userId, { includeCompleted = false } = {}) {
+  await dbConnect();
+
+  const assignments = await Assignment.find({ userId: toObjectId(userId), ...ACTIVE_ASSIGNMENT })
+    .sort({ assignedAt: 1 })
+    .lean();
+  if (!assignments.length) return [];
+
+  const complaints = await withSla(
+    await SubmittedReport.find(
+      { _id: { $in: assignments.map((a) => a.complaintId) } },
+      OFFICER_COMPLAINT_PROJECTION
+    ).lean()
+  );
+  const byId = new Map(complaints.map((c) => [String(c._id), c]));
+
+  return assignments
+    .map((a) => ({ ...a, complaint: byId.get(String(a.complaintId)) || null }))
+    .filter((a) => a.complaint && (includeCompleted || (!a.completedAt && !DONE_STATUSES.includes(a.complaint.status))));
+}
+
+// งานต้องเป็นของเจ้าหน้าที่ผู้เรียกและยังไม่ถูกโอน/ยกเลิก
+async function findOwnAssignment(assignmentId, userId) {
+  await dbConnect();
+  const assignment = await Assignment.findOne({ _id: assignmentId, ...ACTIVE_ASSIGNMENT }).lean();
+  if (!assignment) {
+    return { success: false, code: 404, error: 'ไม่พบงานที่ได้รับมอบหมาย หรืองานถูกโอนไปแล้ว' };
+  }
+  if (String(assignment.userId) !== String(userId)) {
+    return { success: false, code: 403, error: 'งานนี้ไม่ได้มอบหมายให้คุณ' };
+  }
+  return { success: true, assignment };
+}
+
+/**
+ * Officer acknowledges a new assignment
+ *
+ * @returns {Promise<{ success: true, assignment: object } | { success: false, code: number, error: string }>}
+ */
+export async function acceptAssignment(assignmentId, userId) {
+  const found = await findOwnAssignment(assignmentId, userId);
+  if (!found.success) return found;
+  if (found.assignment.acceptedAt) return found;
+
+  const assignment = await Assignment.findByIdAndUpdate(
+    assignmentId,
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+  return { success: true, assignment };
+}
+
+/**
+ * Officer starts working on site. The first officer to start moves the
+ * complaint to IN_PROGRESS; when that transition fails (e.g. the complaint
+ * was closed meanwhile) the assignment is left unstarted and the error is
+ * returned.
+ *
+ * @returns {Promise<{ success: true, assignment: object } | { success: false, code: number, error: string }>}
+ */
+export async function startAssignment(assignmentId, userId, { actor = {} } = {}) {
+  const found = await findOwnAssignment(assignmentId, userId);
+  if (!found.success) return found;
+  if (found.assignment.completedAt) {
+    return { success: false, code: 409, error: 'งานนี้ปิดไปแล้ว' };
+  }
+
+  const complaint = await SubmittedReport.findById(found.assignment.complaintId).select('status').lean();
+  if (complaint?.status !== COMPLAINT_STATUS.IN_PROGRESS) {
+    const moved = await transitionComplaintStatus(found.assignment.complaintId, COMPLAINT_STATUS.IN_PROGRESS, {
+      note: 'เจ้าหน้าที่เริ่มดำเนินการ',
+      actor,
+    });
+    if (!moved.success) return moved;
+  }
+
+  const now = new Date();
+  const assignment = await Assignment.findByIdAndUpdate(
+    assignmentId,
+    { $set: { acceptedAt: found.assignment.acceptedAt || now, startedAt: found.assignment.startedAt || now } },
+    { new: true }
+  );
+
+  return { success: true, assignment };
+}
+
+/**
+ * Append a progress note with optional photos
+ *
+ * @returns {Promise<{ success: true, assignment: object } | { success: false, code: number, error: string }>}
+ */
+export async function addAssignmentProgress(assignmentId, userId, { note, images, actor = {} } = {}) {
+  const text = typeof note === 'string' ? note.trim() : '';
+  const urls = Array.isArray(images) ? images.filter((url) => typeof url === 'string' && url) : [];
+  if (!text && !urls.length) {
+    return { success: false, code: 400, error: 'กรุณาระบุรายละเอียดหรือแนบรูปภาพ' };
+  }
+
+  const found = await findOwnAssignment(assignmentId, userId);
+  if (!found.success) return found;
+  if (found.assignment.completedAt) {
+    return { success: false, code: 409, error: 'งานนี้ปิดไปแล้ว' };
+  }
+
+  const assignment = await Assignment.findByIdAndUpdate(
+    assignmentId,
+    {
+      $push: {
+        progressNotes: {
+          note: text,
+          images: urls,
+          createdAt: new Date(),
+          createdBy: actor.changedBy || null,
+          createdByName: actor.changedByName || null,
+        },
+      },
+    },
+    { new: true }
+  );
+  return { success: true, assignment };
+}
+
+// ผู้รับผิดชอบหลักปิดงาน → RESOLVED (ผ่าน IN_PROGRESS ถ้ายังไม่เคยเริ่ม)
+async function resolveComplaint(complaintId, actor) {
+  const complaint = await SubmittedReport.findById(complaintId).select('status').lean();
+  if (getNextStatuses(complaint?.status).includes(COMPLAINT_STATUS.IN_PROGRESS)) {
+    const started = await transitionComplaintStatus(complaintId, COMPLAINT_STATUS.IN_PROGRESS, {
+      note: 'เจ้าหน้าที่เริ่มดำเนินการ',
+      actor,
+    });
+    if (!started.success) return started;
+  }
+  return transitionComplaintStatus(complaintId, COMPLAINT_STATUS.RESOLVED, {
+    note: 'เจ้าหน้าที่ผู้รับผิดชอบหลักปิดงาน',
+    actor,
+  });
+}
+
+/**
+ * Officer finishes their part. When the lead completes, the complaint is
+ * moved to RESOLVED (through IN_PROGRESS if work was never started); if that
+ * fails the completion is undone and the error returned.
+ *
+ * @returns {Promise<{ success: true, assignment: object } | { success: false, code: number, error: string }>}
+ */
+export async function completeAssignment(assignmentId, userId, { solution, solutionImages, note, actor = {} } = {}) {
+  const images = Array.isArray(solutionImages) ? solutionImages.filter((url) => typeof url === 'string' && url) : [];
+  if (!images.length) {
+    return { success: false, code: 400, error: 'กรุณาอัปโหลดภาพถ่ายอย่างน้อย 1 ภาพก่อนปิดงาน' };
+  }
+
+  const found = await findOwnAssignment(assignmentId, userId);
+  if (!found.success) return found;
+  if (found.assignment.completedAt) {
+    return { success: false, code: 409, error: 'งานนี้ปิดไปแล้ว' };
+  }
+
+  const now = new Date();
+  const assignment = await Assignment.findOneAndUpdate(
+    { _id: assignmentId, completedAt: null },
+    {
+      $set: {
+        solution: (Array.isArray(solution) ? solution : [solution]).filter(Boolean).map(String),
+        solutionImages: images,
+        note: typeof note === 'string' ? note.trim() : found.assignment.note,
+        acceptedAt: found.assignment.acceptedAt || now,
+        startedAt: found.assignment.startedAt || now,
+        completedAt: now,
+      },
+    },
+    { new: true }
+  );
+  if (!assignment) {
+    return { success: false, code: 409, error: 'งานนี้ปิดไปแล้ว' };
+  }
+
+  if (assignment.role !== ASSIGNMENT_ROLE.SUPPORT) {
+    const resolved = await resolveComplaint(assignment.complaintId, actor);
+    if (!resolved.success) {
+      // สถานะเรื่องไม่เปลี่ยน → คืนงานเป็นยังไม่ปิด
+      const { solution: prevSolution, solutionImages: prevImages, note: prevNote, acceptedAt, startedAt } = found.assignment;
+      await Assignment.updateOne(
+        { _id: assignmentId },
+        {
+          $set: {
+            solution: prevSolution || [],
+            solutionImages: prevImages || [],
+            note: prevNote,
+            acceptedAt: acceptedAt || null,
+            startedAt: startedAt || null,
+            completedAt: null,
+          },
+        }
+      );
+      return resolved;
+    }
+  }
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.ASSIGNMENT_COMPLETED, { assignment });
+
+  return { success: true, assignment };
+}
@@ -0,0 +1,99 @@
+// lib/complaintDuplicates.js
+// Find open complaints near a new report and let citizens follow them instead.
+import dbConnect from './dbConnect';
+import SubmittedReport from '@/models/SubmittedReport';
+import { DONE_STATUSES } from '@/utils/complaintStatus';
+import {
+  DEFAULT_DUPLICATE_RADIUS_METERS,
+  boundingBox,
+  distanceMeters,
+  isValidLocation,
+  sharesProblem,
+} from '@/utils/complaintDuplicates';
+
+const MAX_CANDIDATES = 5;
+
+// ข้อมูลที่แสดงให้ประชาชนเห็นได้ (ไม่มีข้อมูลผู้แจ้ง)
+const CANDIDATE_FIELDS = 'complaintId category problems detail images location status createdAt followerCount';
+
+export function getDuplicateRadius() {
+  const radius = Number(process.env.DUPLICATE_RADIUS_METERS);
+  return radius > 0 ? radius : DEFAULT_DUPLICATE_RADIUS_METERS;
+}
+
+/**
+ * Open, unmerged complaints with the same category that share a problem and
+ * lie within `radius` metres of `report.location`, nearest first.
+ *
+ * @param {{ category?: string, problems?: string[], location?: { lat: number, lng: number } }} report
+ * @param {{ radius?: number, excludeId?: any }} opts
+ */
+export async function findDuplicateCandidates(report, { radius = getDuplicateRadius(), excludeId } = {}) {
+  if (!report?.category || !report.problems?.length || !isValidLocation(report.location)) return [];
+  await dbConnect();
+
+  const box = boundingBox(report.location, radius);
+  const filter = {
+    category: report.category,
+    problems: { $in: report.problems },
+    status: { $nin: DONE_STATUSES },
+    mergedInto: null,
+    'location.lat': { $gte: box.minLat, $lte: box.maxLat },
+    'location.lng': { $gte: box.minLng, $lte: box.maxLng },
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const docs = await SubmittedReport.find(filter).select(CANDIDATE_FIELDS).lean();
+
+  return docs
+    .filter((doc) => sharesProblem(doc.problems, report.problems))
+    .map((doc) => ({
+      ...doc,
+      images: (doc.images || []).slice(0, 1),
+      distance: Math.round(distanceMeters(report.location, doc.location)),
+    }))
+    .filter((doc) => doc.distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Add a citizen as a follower of an existing open complaint. Following a
+ * merged duplicate follows its master complaint instead.
+ *
+ * @returns {Promise<{ success: true, complaint: object } | { success: false, code: number, error: string }>}
+ */
+export async function followComplaint(id, follower) {
+  await dbConnect();
+
+  let complaint = await SubmittedReport.findById(id).select('complaintId status mergedInto').lean();
+  if (complaint?.mergedInto) {
+    complaint = await SubmittedReport.findById(complaint.mergedInto).select('complaintId status mergedInto').lean();
+  }
+  if (!complaint) {
+    return { success: false, code: 404, error: 'ไม่พบเรื่องร้องเรียนนี้' };
+  }
+  if (DONE_STATUSES.includes(complaint.status)) {
+    return { success: false, code: 409, error: 'เรื่องนี้ดำเนินการเสร็จแล้ว กรุณาส่งเป็นเรื่องใหม่' };
+  }
+
+  const updated = await SubmittedReport.findByIdAndUpdate(
+    complaint._id,
+    {
+      $push: {
+        followers: {
+          prefix: follower.prefix,
+          fullName: follower.fullName,
+          phone: follower.phone,
+          detail: follower.detail,
+          images: Array.isArray(follower.images) ? follower.images : [],
+          followedAt: new Date(),
+        },
+      },
+      $inc: { followerCount: 1 },
+    },
+    { new: true }
+  ).select('complaintId followerCount');
+
+  return { success: true, complaint: updated };
+}
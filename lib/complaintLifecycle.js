@@ -0,0 +1,248 @@
+// lib/complaintLifecycle.js
+import mongoose from 'mongoose';
+import { getAuth } from '@clerk/nextjs/server';
+import dbConnect from './dbConnect';
+import SubmittedReport from '@/models/SubmittedReport';
+import Assignment from '@/models/Assignment';
+import {
+  COMPLAINT_STATUS,
+  DONE_STATUSES,
+  normalizeStatus,
+  validateStatusTransition,
+} from '@/utils/complaintStatus';
+import { ASSIGNMENT_END_REASON } from '@/utils/assignmentRoles';
+import { getPriorityMeta, getPriorityRank, isValidPriority } from '@/utils/complaintPriority';
+import { WEBHOOK_EVENTS } from '@/utils/webhookEvents';
+import { emitWebhookEvent } from './webhooks';
+import { ACTIVE_ASSIGNMENT } from './assignments';
+
+/**
+ * Resolve who is making the request: Clerk userId plus the display name
+ * from the local `users` collection (if the officer is registered there).
+ */
+export async function getActor(req) {
+  const { userId } = getAuth(req);
+  if (!userId) return { changedBy: null, changedByName: null };
+
+  await dbConnect();
+  const user = await mongoose.connection.db
+    .collection('users')
+    .findOne({ clerkId: userId }, { projection: { name: 1 } });
+
+  return { changedBy: userId, changedByName: user?.name || null };
+}
+
+/**
+ * Move a complaint to a new status, enforcing STATUS_TRANSITIONS and
+ * appending a statusHistory entry. The update only applies if the status
+ * has not changed since it was read, so concurrent transitions cannot skip
+ * a step.
+ *
+ * @returns {Promise<{ success: true, complaint: object } | { success: false, code: number, error: string }>}
+ */
+export async function transitionComplaintStatus(complaintId, to, { note = '', actor = {} } = {}) {
+  await dbConnect();
+
+  const complaint = await SubmittedReport.findById(complaintId).select('status').lean();
+  if (!complaint) {
+    return { success: false, code: 404, error: 'ไม่พบข้อมูล' };
+  }
+
+  const check = validateStatusTransition(complaint.status, to);
+  if (!check.valid) {
+    return { success: false, code: 409, error: check.error };
+  }
+
+  const now = new Date();
+  const updated = await SubmittedReport.findOneAndUpdate(
+    { _id: complaintId, status: complaint.status ?? null },
+    {
+      $set: { status: to, updatedAt: now },
+      $push: {
+        statusHistory: {
+          from: complaint.status ?? null,
+          to,
+          note: typeof note === 'string' ? note.trim() : '',
+          changedBy: actor.changedBy || null,
+          changedByName: actor.changedByName || null,
+          changedAt: now,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { success: false, code: 409, error: 'สถานะถูกเปลี่ยนโดยผู้อื่นแล้ว กรุณาโหลดข้อมูลใหม่' };
+  }
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.STATUS_CHANGED, {
+    complaint: updated,
+    from: complaint.status ?? null,
+    to,
+    changedByName: actor.changedByName || null,
+  });
+
+  return { success: true, complaint: updated };
+}
+
+/**
+ * Triage: set the complaint priority. A complaint still in RECEIVED moves to
+ * TRIAGED at the same time so the triage queue and the status agree.
+ *
+ * @returns {Promise<{ success: true, complaint: object } | { success: false, code: number, error: string }>}
+ */
+export async function setComplaintPriority(complaintId, priority, { note = '', actor = {} } = {}) {
+  if (!isValidPriority(priority)) {
+    return { success: false, code: 400, error: `ระดับความเร่งด่วนไม่ถูกต้อง: ${priority}` };
+  }
+  await dbConnect();
+
+  const now = new Date();
+  const updated = await SubmittedReport.findByIdAndUpdate(
+    complaintId,
+    {
+      $set: {
+        priority,
+        priorityRank: getPriorityRank(priority),
+        triagedAt: now,
+        triagedBy: actor.changedBy || null,
+        triagedByName: actor.changedByName || null,
+        updatedAt: now,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { success: false, code: 404, error: 'ไม่พบข้อมูล' };
+  }
+
+  if (normalizeStatus(updated.status) === COMPLAINT_STATUS.RECEIVED) {
+    const label = `กำหนดความเร่งด่วน: ${getPriorityMeta(priority).text}`;
+    const result = await transitionComplaintStatus(complaintId, COMPLAINT_STATUS.TRIAGED, {
+      note: note ? `${label} - ${note}` : label,
+      actor,
+    });
+    if (result.success) return result;
+  }
+
+  return { success: true, complaint: updated };
+}
+
+/**
+ * Merge a duplicate into a master complaint. The duplicate is closed and
+ * points at the master; its reporter and followers become followers of the
+ * master so they can track the case that is actually worked on. Only a
+ * duplicate that may move to CLOSED can be merged; its officers' active
+ * assignments end as MERGED.
+ *
+ * @returns {Promise<{ success: true, complaint: object, duplicate: object } | { success: false, code: number, error: string }>}
+ */
+export async function mergeComplaint(duplicateId, masterId, { note = '', actor = {} } = {}) {
+  if (String(duplicateId) === String(masterId)) {
+    return { success: false, code: 400, error: 'ไม่สามารถรวมเรื่องเข้ากับตัวเองได้' };
+  }
+  await dbConnect();
+
+  const [duplicate, master] = await Promise.all([
+    SubmittedReport.findById(duplicateId).lean(),
+    SubmittedReport.findById(masterId).select('complaintId status mergedInto').lean(),
+  ]);
+  if (!duplicate || !master) {
+    return { success: false, code: 404, error: 'ไม่พบข้อมูล' };
+  }
+  if (duplicate.mergedInto) {
+    return { success: false, code: 409, error: `เรื่องนี้ถูกรวมเข้ากับ ${duplicate.mergedIntoComplaintId} แล้ว` };
+  }
+  if (master.mergedInto) {
+    return { success: false, code: 409, error: 'เรื่องหลักถูกรวมเข้ากับเรื่องอื่นแล้ว กรุณาเลือกเรื่องหลักที่แท้จริง' };
+  }
+  if (DONE_STATUSES.includes(master.status)) {
+    return { success: false, code: 409, error: 'เรื่องหลักดำเนินการเสร็จแล้ว ไม่สามารถรวมเรื่องได้' };
+  }
+  // การรวมคือการปิดเรื่องซ้ำ จึงต้องเป็นสถานะที่ปิดได้ตาม STATUS_TRANSITIONS
+  if (!validateStatusTransition(duplicate.status, COMPLAINT_STATUS.CLOSED).valid) {
+    return { success: false, code: 409, error: `เรื่องซ้ำอยู่ในสถานะ "${normalizeStatus(duplicate.status)}" ซึ่งปิดเรื่องไม่ได้ จึงรวมเรื่องไม่ได้` };
+  }
+
+  const now = new Date();
+  const label = `รวมเข้ากับเรื่อง ${master.complaintId}`;
+  const closed = await SubmittedReport.findOneAndUpdate(
+    { _id: duplicateId, mergedInto: null, status: duplicate.status ?? null },
+    {
+      $set: {
+        status: COMPLAINT_STATUS.CLOSED,
+        mergedInto: master._id,
+        mergedIntoComplaintId: master.complaintId,
+        updatedAt: now,
+      },
+      $push: {
+        statusHistory: {
+          from: duplicate.status ?? null,
+          to: COMPLAINT_STATUS.CLOSED,
+          note: note?.trim() ? `${label} - ${note.trim()}` : label,
+          changedBy: actor.changedBy || null,
+          changedByName: actor.changedByName || null,
+          changedAt: now,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!closed) {
+    return { success: false, code: 409, error: 'เรื่องถูกแก้ไขโดยผู้อื่นแล้ว กรุณาโหลดข้อมูลใหม่' };
+  }
+
+  await Assignment.updateMany(
+    { complaintId: duplicate._id, ...ACTIVE_ASSIGNMENT },
+    {
+      $set: {
+        active: false,
+        endedAt: now,
+        endedReason: ASSIGNMENT_END_REASON.MERGED,
+        endedNote: label,
+        endedBy: actor.changedBy || null,
+        endedByName: actor.changedByName || null,
+      },
+    }
+  );
+
+  const followers = [
+    {
+      prefix: duplicate.prefix,
+      fullName: duplicate.fullName,
+      phone: duplicate.phone,
+      detail: duplicate.detail,
+      images: duplicate.images || [],
+      sourceComplaintId: duplicate.complaintId,
+      followedAt: duplicate.createdAt || now,
+    },
+    ...(duplicate.followers || []),
+  ];
+  const mergedIds = [duplicate._id, ...(duplicate.duplicates || [])];
+
+  // เรื่องที่เคยรวมเข้ากับเรื่องซ้ำนี้ ให้ชี้ไปที่เรื่องหลักแทน
+  await SubmittedReport.updateMany(
+    { mergedInto: duplicate._id },
+    { $set: { mergedInto: master._id, mergedIntoComplaintId: master.complaintId } }
+  );
+  const updatedMaster = await SubmittedReport.findByIdAndUpdate(
+    master._id,
+    {
+      $push: { followers: { $each: followers } },
+      $inc: { followerCount: followers.length },
+      $addToSet: { duplicates: { $each: mergedIds } },
+      $set: { updatedAt: now },
+    },
+    { new: true }
+  );
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.STATUS_CHANGED, {
+    complaint: closed,
+    from: duplicate.status ?? null,
+    to: COMPLAINT_STATUS.CLOSED,
+    changedByName: actor.changedByName || null,
+  });
+
+  return { success: true, complaint: updatedMaster, duplicate: closed };
+}
@@ -0,0 +1,105 @@
+// lib/complaintQuery.js
+// Translate /api/complaints query parameters into a Mongo filter, sort and page.
+
+export const SORT_FIELDS = ['updatedAt', 'createdAt', 'category', 'status', 'community', 'complaintId', 'priority'];
+// ?sort=priority เรียงด้วยตัวเลข (urgent 4 ... low 1) ไม่ใช่ตามตัวอักษร
+const SORT_KEYS = { priority: 'priorityRank' };
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const str = String(value);
+  const date = new Date(str);
+  if (isNaN(date.getTime())) return null;
+  // "2025-06-30" ใน `to` หมายถึงรวมทั้งวัน
+  if (endOfDay && DATE_ONLY_REGEX.test(str)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Build the Mongo filter for a complaints query.
+ * @param {object} query - req.query
+ * @param {object} opts
+ * @param {boolean} opts.isAdmin - allow free-text search over reporter name
+ * @param {string[]} opts.omit - parameters to ignore (used for facet counts)
+ */
+export function buildComplaintFilter(query, { isAdmin = false, omit = [] } = {}) {
+  const filter = {};
+  const has = (key) => !omit.includes(key) && query[key] !== undefined && query[key] !== '';
+
+  if (has('status')) {
+    // รองรับหลายสถานะ คั่นด้วย comma เช่น ?status=รับเรื่องแล้ว,มอบหมายแล้ว
+    const statuses = splitList(query.status);
+    filter.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+  }
+  if (has('category')) {
+    const categories = splitList(query.category);
+    filter.category = categories.length > 1 ? { $in: categories } : categories[0];
+  }
+  if (has('community')) {
+    const communities = splitList(query.community);
+    filter.community = communities.length > 1 ? { $in: communities } : communities[0];
+  }
+  if (has('priority')) {
+    // ?priority=none คือเรื่องที่ยังไม่คัดกรอง
+    const priorities = splitList(query.priority).map((p) => (p === 'none' ? null : p));
+    filter.priority = priorities.length > 1 ? { $in: priorities } : priorities[0];
+  }
+  if (has('complaintId')) {
+    filter._id = query.complaintId;
+  }
+
+  const from = has('from') ? parseDate(query.from) : null;
+  const to = has('to') ? parseDate(query.to, true) : null;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  if (has('q')) {
+    const regex = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+    const or = [{ detail: regex }, { problems: regex }, { complaintId: regex }];
+    if (isAdmin) or.push({ fullName: regex });
+    filter.$or = or;
+  }
+
+  return filter;
+}
+
+/**
+ * Sort spec from ?sort=<field>&order=asc|desc (defaults to newest update first)
+ */
+export function buildComplaintSort(query) {
+  const field = SORT_FIELDS.includes(query.sort) ? query.sort : 'updatedAt';
+  const order = query.order === 'asc' ? 1 : -1;
+  const key = SORT_KEYS[field] || field;
+  // ความเร่งด่วนเท่ากันให้เรื่องเก่าขึ้นก่อน
+  if (field === 'priority') return { [key]: order, createdAt: 1, _id: 1 };
+  // _id เป็นตัวตัดสินเมื่อค่าเท่ากัน เพื่อให้การแบ่งหน้าคงที่
+  return { [key]: order, _id: order };
+}
+
+/**
+ * Pagination from ?page=&limit=. `paginate` is false when neither is given so
+ * existing callers keep receiving a plain array.
+ */
+export function parsePagination(query) {
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+  return { paginate, page, limit, skip: (page - 1) * limit };
+}
@@ -0,0 +1,267 @@
+// lib/geoLayers.js
+// Tax map GeoJSON layers: metadata in the GeoLayer collection, file content
+// in lib/layerStorage. Layers are only served through the authenticated
+// /api/geojson/[filename] route.
+import fs from 'fs';
+import dbConnect from './dbConnect';
+import { archiveLegacyFile, findLegacyFile, listLegacyFiles } from './legacyFiles';
+import GeoLayer from '@/models/GeoLayer';
+import { getLayerStorage, readLayerBuffer } from './layerStorage';
+import { DEFAULT_LAYER_CRS, isLayerFilename, summarizeGeoJson, toLayerFilename } from '@/utils/geoLayer';
+import { CRS_SOURCE, detectLayerCrs, reprojectGeoJSON } from '@/utils/crs';
+import { validateLayerStyle } from '@/utils/layerStyle';
+import { formatEditSummary, parseEditCounts } from '@/utils/editSession';
+
+const LEGACY_CONFIG_FILENAME = '_layer-config.json';
+const MAX_EDIT_LOG = 100;
+
+export const layerUrl = (filename) => `/api/geojson/${encodeURIComponent(filename)}`;
+
+/**
+ * API shape of a layer; `filename`, `url`, `size` and `uploadedAt` are the
+ * fields the old file listing returned.
+ */
+export function serializeLayer(layer) {
+  return {
+    filename: layer.filename,
+    url: layerUrl(layer.filename),
+    size: layer.size,
+    uploadedAt: layer.updatedAt,
+    createdAt: layer.createdAt,
+    description: layer.description || '',
+    owner: layer.owner || null,
+    ownerName: layer.ownerName || null,
+    crs: layer.crs,
+    sourceCrs: layer.sourceCrs || layer.crs,
+    featureCount: layer.featureCount,
+    bbox: layer.bbox || null,
+    style: layer.style || {},
+    lastEdit: layer.editLog?.length ? layer.editLog[layer.editLog.length - 1] : null,
+  };
+}
+
+export async function listLayers() {
+  await dbConnect();
+  const layers = await GeoLayer.find().sort({ createdAt: 1 }).lean();
+  return layers.map(serializeLayer);
+}
+
+async function writeLayer(filename, data, { actor = {}, description, style, sourceCrs, createdAt, editCounts } = {}) {
+  const existing = await GeoLayer.findOne({ filename }).lean();
+  const storage = getLayerStorage();
+  const buffer = Buffer.from(JSON.stringify(data), 'utf-8');
+  await storage.write(filename, buffer);
+
+  // ย้ายไปเก็บที่ backend ใหม่ → ลบไฟล์จาก backend เดิม
+  if (existing && existing.storage?.backend !== storage.name) {
+    await getLayerStorage(existing.storage.backend).remove(existing.storage.key).catch(() => null);
+  }
+
+  const fields = {
+    ...summarizeGeoJson(data),
+    storage: { backend: storage.name, key: filename },
+    size: buffer.length,
+    updatedBy: actor.changedBy || null,
+    updatedByName: actor.changedByName || null,
+  };
+  if (typeof description === 'string') fields.description = description.trim();
+  if (style) fields.style = style;
+  if (sourceCrs) fields.sourceCrs = sourceCrs;
+  // นำเข้าไฟล์เดิม → คงเวลาของไฟล์ไว้แทน timestamps อัตโนมัติ
+  if (createdAt) fields.updatedAt = createdAt;
+
+  return GeoLayer.findOneAndUpdate(
+    { filename },
+    {
+      $set: fields,
+      $setOnInsert: {
+        owner: actor.changedBy || null,
+        ownerName: actor.changedByName || null,
+        ...(createdAt && { createdAt }),
+      },
+      ...(editCounts && {
+        $push: {
+          editLog: {
+            $each: [{
+              counts: editCounts,
+              summary: formatEditSummary(editCounts),
+              changedBy: actor.changedBy || null,
+              changedByName: actor.changedByName || null,
+              changedAt: new Date(),
+            }],
+            $slice: -MAX_EDIT_LOG,
+          },
+        },
+      }),
+    },
+    { upsert: true, new: true, lean: true, timestamps: !createdAt }
+  );
+}
+
+/**
+ * Create or replace a layer. The uploader becomes the owner of a new layer.
+ * Data normally arrives in WGS 84 from /api/geojson/convert (`sourceCrs`
+ * names the original CRS); a FeatureCollection that still declares another
+ * CRS is reprojected here, keeping its Z values. `changeSummary` (edit counts
+ * of a committed edit session) is added to the layer's editLog.
+ *
+ * @returns {Promise<{ success: true, layer: object } | { success: false, code: number, error: string }>}
+ */
+export async function saveLayer(filename, data, { actor = {}, description, sourceCrs, changeSummary } = {}) {
+  if (!filename || !data || typeof data !== 'object') {
+    return { success: false, code: 400, error: 'filename and data are required' };
+  }
+  const finalName = toLayerFilename(filename);
+  if (!isLayerFilename(finalName)) {
+    return { success: false, code: 400, error: 'Invalid filename' };
+  }
+  const editCounts = changeSummary === undefined ? null : parseEditCounts(changeSummary);
+  if (changeSummary !== undefined && !editCounts) {
+    return { success: false, code: 400, error: 'Invalid changeSummary' };
+  }
+
+  let layerData = data;
+  let originalCrs = typeof sourceCrs === 'string' ? sourceCrs : undefined;
+  if (data.type === 'FeatureCollection' && data.crs) {
+    const declared = detectLayerCrs(data);
+    if (declared.source === CRS_SOURCE.DECLARED && declared.crs !== DEFAULT_LAYER_CRS) {
+      layerData = reprojectGeoJSON(data, declared.crs, { keepZ: true });
+      originalCrs = originalCrs || declared.crs;
+    }
+  }
+
+  await dbConnect();
+  const layer = await writeLayer(finalName, layerData, { actor, description, sourceCrs: originalCrs, editCounts });
+  return { success: true, layer: serializeLayer(layer) };
+}
+
+/**
+ * @returns {Promise<{ success: true, layer: object, stream: import('stream').Readable } | { success: false, code: number, error: string }>}
+ */
+export async function openLayerDownload(filename) {
+  await dbConnect();
+  const layer = await GeoLayer.findOne({ filename }).lean();
+  if (!layer) return { success: false, code: 404, error: 'File not found' };
+
+  const stream = await getLayerStorage(layer.storage.backend).openReadStream(layer.storage.key);
+  if (!stream) return { success: false, code: 404, error: 'File content not found' };
+  return { success: true, layer: serializeLayer(layer), stream };
+}
+
+/**
+ * Parsed layer content for server-side processing (exports)
+ *
+ * @returns {Promise<{ success: true, layer: object, data: object } | { success: false, code: number, error: string }>}
+ */
+export async function readLayer(filename) {
+  await dbConnect();
+  const layer = await GeoLayer.findOne({ filename }).lean();
+  if (!layer) return { success: false, code: 404, error: 'File not found' };
+
+  const buffer = await readLayerBuffer(layer.storage.backend, layer.storage.key);
+  if (!buffer) return { success: false, code: 404, error: 'File content not found' };
+  return { success: true, layer: serializeLayer(layer), data: JSON.parse(buffer.toString('utf-8')) };
+}
+
+/**
+ * Edit description and/or style (merged into the current style; thematic
+ * keys are checked by validateLayerStyle)
+ */
+export async function updateLayerMeta(filename, { description, style } = {}, { actor = {} } = {}) {
+  if (style !== undefined && style !== null) {
+    const check = validateLayerStyle(style);
+    if (!check.valid) return { success: false, code: 400, error: check.error };
+  }
+
+  await dbConnect();
+  const set = { updatedBy: actor.changedBy || null, updatedByName: actor.changedByName || null };
+  if (typeof description === 'string') set.description = description.trim();
+  if (style) {
+    Object.entries(style).forEach(([key, value]) => { set[`style.${key}`] = value; });
+  }
+
+  const layer = await GeoLayer.findOneAndUpdate({ filename }, { $set: set }, { new: true, lean: true });
+  if (!layer) return { success: false, code: 404, error: 'File not found' };
+  return { success: true, layer: serializeLayer(layer) };
+}
+
+export async function deleteLayer(filename) {
+  await dbConnect();
+  const layer = await GeoLayer.findOne({ filename }).lean();
+  if (!layer) return { success: false, code: 404, error: 'File not found' };
+
+  await getLayerStorage(layer.storage.backend).remove(layer.storage.key);
+  await GeoLayer.deleteOne({ _id: layer._id });
+  return { success: true, deleted: filename };
+}
+
+/**
+ * { [filename]: color } — the shape /api/geojson-config has always used
+ */
+export async function getLayerColors() {
+  await dbConnect();
+  const layers = await GeoLayer.find({ 'style.color': { $exists: true } }, { filename: 1, style: 1 }).lean();
+  return Object.fromEntries(layers.map((layer) => [layer.filename, layer.style.color]));
+}
+
+export async function setLayerColors(config, { actor = {} } = {}) {
+  await dbConnect();
+  const entries = Object.entries(config).filter(([, color]) => typeof color === 'string');
+  if (entries.length === 0) return { success: true };
+
+  await GeoLayer.bulkWrite(
+    entries.map(([filename, color]) => ({
+      updateOne: {
+        filter: { filename },
+        update: { $set: { 'style.color': color, updatedBy: actor.changedBy || null, updatedByName: actor.changedByName || null } },
+      },
+    })),
+    { ordered: false }
+  );
+  return { success: true };
+}
+
+/**
+ * One-time import of layers saved in public/geojson (and their colours from
+ * _layer-config.json). Layers already in the collection are skipped. The
+ * originals are then moved out of public/geojson so they can only be
+ * downloaded through the authenticated API.
+ */
+export async function importLegacyLayers({ actor = {} } = {}) {
+  const files = listLegacyFiles(isLayerFilename);
+  const configFile = findLegacyFile(LEGACY_CONFIG_FILENAME);
+  if (files.length === 0 && !configFile) {
+    return { success: false, code: 404, error: 'ไม่พบเลเยอร์เดิมใน public/geojson' };
+  }
+
+  let colors = {};
+  try {
+    if (configFile) colors = JSON.parse(fs.readFileSync(configFile, 'utf-8')) || {};
+  } catch { /* ไม่มีสีก็ใช้สีเริ่มต้น */ }
+
+  await dbConnect();
+  const existing = new Set((await GeoLayer.find({ filename: { $in: files } }, { filename: 1 }).lean()).map((l) => l.filename));
+
+  const imported = [];
+  const failed = [];
+  for (const filename of files) {
+    if (existing.has(filename)) continue;
+    const filePath = findLegacyFile(filename);
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      await writeLayer(filename, data, {
+        actor,
+        style: colors[filename] ? { color: colors[filename] } : {},
+        createdAt: fs.statSync(filePath).mtime,
+      });
+      imported.push(filename);
+    } catch (err) {
+      failed.push({ filename, error: err.message });
+    }
+  }
+
+  // ที่นำเข้าไม่ได้ก็ย้ายด้วย การนำเข้าครั้งถัดไปยังหาไฟล์เจอในที่ใหม่
+  [...files, LEGACY_CONFIG_FILENAME].forEach(archiveLegacyFile);
+
+  return { success: true, total: files.length, imported, skipped: existing.size, failed };
+}
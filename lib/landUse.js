@@ -0,0 +1,334 @@
+// lib/landUse.js
+// Land-use survey assignments stored per parcel in MongoDB, with per-edit
+// history. Replaces public/geojson/_land-use-data.json; importLegacyLandUseFile
+// copies that file in once and moves it out of public/.
+import fs from 'fs';
+import dbConnect from './dbConnect';
+import { archiveLegacyFile, findLegacyFile } from './legacyFiles';
+import LandUseAssignment from '@/models/LandUseAssignment';
+import {
+  LAND_USE_CHANGE_SOURCE,
+  isLandUseChanged,
+  landUseAt,
+  landUseChangeTime,
+  normalizeLandUse,
+} from '@/utils/landUse';
+import { validateLandUseAssignment, validateParcelCode } from '@/utils/landUseValidation';
+
+export const LEGACY_LAND_USE_FILENAME = '_land-use-data.json';
+
+// การแก้ไขแปลงเดียวกันพร้อมกัน → ลองอ่านค่าล่าสุดใหม่ไม่เกินจำนวนนี้
+const MAX_WRITE_ATTEMPTS = 3;
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+const isEmptyLandUse = (landUse) =>
+  !landUse || landUse === '' || (Array.isArray(landUse) && landUse.length === 0);
+
+const sameLandUse = (a, b) =>
+  JSON.stringify([a.types, a.areas || {}]) === JSON.stringify([b.types, b.areas || {}]);
+
+/**
+ * Validate a request value (string, array or { types, areas }; empty clears
+ * the parcel) and normalize it to { types, areas }.
+ *
+ * @returns {{ valid: true, landUse: { types: string[], areas: object } } | { valid: false, error: string }}
+ */
+export function parseLandUseInput(landUse) {
+  if (isEmptyLandUse(landUse)) return { valid: true, landUse: { types: [], areas: {} } };
+  const normalized = normalizeLandUse(landUse);
+  const check = validateLandUseAssignment(normalized);
+  if (!check.valid) return check;
+  return { valid: true, landUse: normalized };
+}
+
+/**
+ * Same shape as the old JSON file: assignments of parcels with a land use,
+ * and the last edit time of every parcel ever assigned (also cleared ones, so
+ * offline edits can be checked against them).
+ */
+export async function getLandUseSnapshot() {
+  await dbConnect();
+  const docs = await LandUseAssignment.find({}, { parcelCode: 1, types: 1, areas: 1, updatedAt: 1 }).lean();
+
+  const assignments = {};
+  const parcelUpdatedAt = {};
+  let updatedAt = null;
+  docs.forEach((doc) => {
+    if (doc.types?.length) assignments[doc.parcelCode] = { types: doc.types, areas: doc.areas || {} };
+    parcelUpdatedAt[doc.parcelCode] = toIso(doc.updatedAt);
+    if (!updatedAt || doc.updatedAt > updatedAt) updatedAt = doc.updatedAt;
+  });
+  return { assignments, parcelUpdatedAt, updatedAt: toIso(updatedAt) };
+}
+
+const historyEntry = (current, landUse, { actor, source, editedAt, changedAt }) => ({
+  oldTypes: current?.types || [],
+  oldAreas: current?.areas || {},
+  newTypes: landUse.types,
+  newAreas: landUse.areas,
+  source,
+  changedBy: actor.changedBy || null,
+  changedByName: actor.changedByName || null,
+  changedAt,
+  editedAt: editedAt && !Number.isNaN(new Date(editedAt).getTime()) ? new Date(editedAt) : undefined,
+});
+
+const historyView = (entry) => ({
+  oldTypes: entry.oldTypes || [],
+  oldAreas: entry.oldAreas || {},
+  newTypes: entry.newTypes || [],
+  newAreas: entry.newAreas || {},
+  source: entry.source,
+  changedByName: entry.changedByName || null,
+  changedAt: toIso(entry.changedAt),
+  editedAt: toIso(entry.editedAt),
+});
+
+/**
+ * Every land-use change of one parcel, newest first.
+ *
+ * @returns {Promise<{ success: true, parcelCode: string, current: object|null, updatedAt: string|null, history: object[] } | { success: false, code: number, error: string }>}
+ */
+export async function getParcelLandUseHistory(parcelCode) {
+  const pcCheck = validateParcelCode(parcelCode);
+  if (!pcCheck.valid) return { success: false, code: 400, error: pcCheck.error };
+
+  await dbConnect();
+  const doc = await LandUseAssignment.findOne({ parcelCode }, { types: 1, areas: 1, updatedAt: 1, history: 1 }).lean();
+  const history = (doc?.history || [])
+    .map((entry, i) => ({ entry, i }))
+    .sort((a, b) => landUseChangeTime(b.entry) - landUseChangeTime(a.entry) || b.i - a.i)
+    .map(({ entry }) => historyView(entry));
+
+  return {
+    success: true,
+    parcelCode,
+    current: doc?.types?.length ? { types: doc.types, areas: doc.areas || {} } : null,
+    updatedAt: toIso(doc?.updatedAt),
+    history,
+  };
+}
+
+/**
+ * Parcels whose land-use types differ between two survey rounds: the value
+ * as of `from` against the value as of `to`, rebuilt from history.
+ *
+ * @returns {Promise<{ success: true, from: string, to: string, changes: Array<{ parcelCode: string, before: object|null, after: object|null, changeCount: number, lastChangedAt: string|null, lastChangedByName: string|null }> } | { success: false, code: number, error: string }>}
+ */
+export async function getLandUseChanges(from, to) {
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+  if (!from || !to || Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    return { success: false, code: 400, error: 'กรุณาระบุวันที่ให้ถูกต้อง' };
+  }
+  if (fromDate >= toDate) return { success: false, code: 400, error: 'วันที่เริ่มต้นต้องอยู่ก่อนวันที่สิ้นสุด' };
+
+  await dbConnect();
+  // แปลงที่ไม่มีการแก้ไขหลัง from ค่าไม่เปลี่ยนแน่นอน
+  const docs = await LandUseAssignment.find(
+    { $or: [{ 'history.changedAt': { $gt: fromDate } }, { 'history.editedAt': { $gt: fromDate } }] },
+    { parcelCode: 1, history: 1 }
+  ).lean();
+
+  const changes = [];
+  docs.forEach((doc) => {
+    const before = landUseAt(doc.history, fromDate);
+    const after = landUseAt(doc.history, toDate);
+    if (!isLandUseChanged(before, after)) return;
+
+    const inRange = doc.history.filter((entry) => {
+      const time = landUseChangeTime(entry);
+      return time > fromDate.getTime() && time <= toDate.getTime();
+    });
+    const last = inRange.reduce((a, b) => (!a || landUseChangeTime(b) >= landUseChangeTime(a) ? b : a), null);
+    changes.push({
+      parcelCode: doc.parcelCode,
+      before,
+      after,
+      changeCount: inRange.length,
+      lastChangedAt: last ? toIso(last.editedAt || last.changedAt) : null,
+      lastChangedByName: last?.changedByName || null,
+    });
+  });
+  changes.sort((a, b) => a.parcelCode.localeCompare(b.parcelCode, 'th', { numeric: true }));
+
+  return { success: true, from: toIso(fromDate), to: toIso(toDate), changes };
+}
+
+/**
+ * Set (or clear, with empty types) the land use of one parcel.
+ * With `baseUpdatedAt` (the parcel's updatedAt when the client downloaded
+ * it, null if it had none) the write is refused with `conflict` when the
+ * server copy changed since.
+ *
+ * @returns {Promise<{ success: true, changed: boolean } | { success: false, code: number, error: string, conflict?: boolean, server?: object }>}
+ */
+export async function setParcelLandUse(parcelCode, landUse, { actor = {}, baseUpdatedAt, editedAt } = {}) {
+  const pcCheck = validateParcelCode(parcelCode);
+  if (!pcCheck.valid) return { success: false, code: 400, error: pcCheck.error };
+
+  await dbConnect();
+  const checkBase = baseUpdatedAt !== undefined;
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const current = await LandUseAssignment.findOne({ parcelCode }, { types: 1, areas: 1, updatedAt: 1 }).lean();
+    const serverUpdatedAt = toIso(current?.updatedAt);
+
+    if (checkBase && (baseUpdatedAt || null) !== serverUpdatedAt) {
+      return {
+        success: false,
+        code: 409,
+        error: 'ข้อมูลแปลงนี้ถูกแก้ไขบนเซิร์ฟเวอร์หลังจากที่ดาวน์โหลดไว้',
+        conflict: true,
+        server: {
+          landUse: current?.types?.length ? { types: current.types, areas: current.areas || {} } : null,
+          updatedAt: serverUpdatedAt,
+        },
+      };
+    }
+    if (current && sameLandUse(current, landUse)) return { success: true, changed: false };
+    if (!current && landUse.types.length === 0) return { success: true, changed: false };
+
+    const now = new Date();
+    const entry = historyEntry(current, landUse, { actor, source: LAND_USE_CHANGE_SOURCE.SURVEY, editedAt, changedAt: now });
+    const fields = {
+      types: landUse.types,
+      areas: landUse.areas,
+      updatedAt: now,
+      updatedBy: actor.changedBy || null,
+      updatedByName: actor.changedByName || null,
+    };
+
+    // เขียนเฉพาะเมื่อยังเป็นค่าที่อ่านมา กันประวัติเก่า/ใหม่ผิดลำดับเมื่อมีผู้แก้ไขพร้อมกัน
+    const result = current
+      ? await LandUseAssignment.updateOne(
+          { _id: current._id, updatedAt: current.updatedAt },
+          { $set: fields, $push: { history: entry } }
+        )
+      : await LandUseAssignment.updateOne(
+          { parcelCode },
+          { $setOnInsert: { ...fields, history: [entry] } },
+          { upsert: true }
+        );
+    if (current ? result.modifiedCount === 1 : result.upsertedCount === 1) return { success: true, changed: true };
+  }
+
+  return { success: false, code: 409, error: 'มีการแก้ไขแปลงนี้พร้อมกัน กรุณาลองใหม่' };
+}
+
+/**
+ * Overwrite many parcels at once (bulk assign, or land use handed on when
+ * parcels are split/merged). No conflict check: this is an intentional
+ * overwrite by an admin.
+ *
+ * @param {Record<string, { types: string[], areas: object }>} landUses - already parsed
+ * @param {{ actor?: object, source?: string }} [options] - `source` is recorded in history
+ */
+export async function bulkSetLandUse(landUses, { actor = {}, source = LAND_USE_CHANGE_SOURCE.BULK } = {}) {
+  await dbConnect();
+  const codes = Object.keys(landUses);
+  const existing = await LandUseAssignment.find({ parcelCode: { $in: codes } }, { parcelCode: 1, types: 1, areas: 1 }).lean();
+  const byCode = Object.fromEntries(existing.map((doc) => [doc.parcelCode, doc]));
+
+  const now = new Date();
+  const ops = codes
+    .filter((code) => {
+      const current = byCode[code];
+      return current ? !sameLandUse(current, landUses[code]) : landUses[code].types.length > 0;
+    })
+    .map((code) => ({
+      updateOne: {
+        filter: { parcelCode: code },
+        update: {
+          $set: {
+            types: landUses[code].types,
+            areas: landUses[code].areas,
+            updatedAt: now,
+            updatedBy: actor.changedBy || null,
+            updatedByName: actor.changedByName || null,
+          },
+          $push: {
+            history: historyEntry(byCode[code], landUses[code], { actor, source, changedAt: now }),
+          },
+        },
+        upsert: true,
+      },
+    }));
+
+  if (ops.length > 0) await LandUseAssignment.bulkWrite(ops, { ordered: false });
+  return { success: true, changed: ops.length };
+}
+
+/**
+ * One-time import of the old JSON file. Parcels already in the collection
+ * are left alone, so running it again is harmless. Afterwards the file is
+ * moved out of public/geojson so it can no longer be downloaded.
+ *
+ * @returns {Promise<{ success: true, total: number, imported: number, skipped: number, invalid: Array<{ parcelCode: string, error: string }> } | { success: false, code: number, error: string }>}
+ */
+export async function importLegacyLandUseFile({ actor = {} } = {}) {
+  const file = findLegacyFile(LEGACY_LAND_USE_FILENAME);
+  if (!file) {
+    return { success: false, code: 404, error: 'ไม่พบไฟล์ข้อมูลการใช้ที่ดินเดิม' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return { success: false, code: 400, error: 'อ่านไฟล์ข้อมูลการใช้ที่ดินเดิมไม่ได้' };
+  }
+
+  const assignments = data.assignments || {};
+  const parcelUpdatedAt = data.parcelUpdatedAt || {};
+  const fallbackTime = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  const invalid = [];
+  const ops = [];
+
+  Object.entries(assignments).forEach(([parcelCode, value]) => {
+    const pcCheck = validateParcelCode(parcelCode);
+    const parsed = pcCheck.valid ? parseLandUseInput(value) : pcCheck;
+    if (!parsed.valid) {
+      invalid.push({ parcelCode, error: parsed.error });
+      return;
+    }
+    if (parsed.landUse.types.length === 0) return;
+
+    const updatedAt = parcelUpdatedAt[parcelCode] ? new Date(parcelUpdatedAt[parcelCode]) : fallbackTime;
+    ops.push({
+      updateOne: {
+        filter: { parcelCode },
+        update: {
+          $setOnInsert: {
+            types: parsed.landUse.types,
+            areas: parsed.landUse.areas,
+            updatedAt,
+            updatedBy: null,
+            updatedByName: null,
+            history: [
+              historyEntry(null, parsed.landUse, {
+                actor,
+                source: LAND_USE_CHANGE_SOURCE.IMPORT,
+                editedAt: updatedAt,
+                changedAt: new Date(),
+              }),
+            ],
+          },
+        },
+        upsert: true,
+      },
+    });
+  });
+
+  await dbConnect();
+  const result = ops.length > 0 ? await LandUseAssignment.bulkWrite(ops, { ordered: false }) : { upsertedCount: 0 };
+  archiveLegacyFile(LEGACY_LAND_USE_FILENAME);
+  return {
+    success: true,
+    total: Object.keys(assignments).length,
+    imported: result.upsertedCount,
+    skipped: ops.length - result.upsertedCount,
+    invalid,
+  };
+}
@@ -0,0 +1,172 @@
+// lib/layerExport.js
+// Export a tax map layer with the surveyed land use (lib/landUse) merged into
+// each parcel's properties, as GeoJSON, zipped Shapefile, KML or an
+// attribute-only CSV. Filters match the AttributeTable's block_id and
+// land-use selects.
+import Papa from 'papaparse';
+import { readLayer } from './geoLayers';
+import { getLandUseSnapshot } from './landUse';
+import { writeShapefileZip } from './shapefileWriter';
+import { LAYER_EXPORT_FORMATS } from '@/utils/geoLayer';
+import {
+  LAND_USE_MAP,
+  getBlockId,
+  getParcelCode,
+  landUseProperties,
+  matchesLandUseFilter,
+} from '@/utils/landUse';
+
+const CONTENT_TYPES = {
+  geojson: 'application/geo+json; charset=utf-8',
+  shapefile: 'application/zip',
+  kml: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+};
+
+const baseName = (filename) => filename.replace(/\.(geojson|json)$/i, '');
+
+const safePart = (value) => String(value).replace(/[^a-zA-Z0-9\-ก-๙]/g, '_');
+
+// ── KML ──────────────────────────────────────────────────────
+
+const escapeXml = (value) =>
+  String(value ?? '').replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+// #rrggbb → aabbggrr ของ KML
+const kmlColor = (hex, alpha) => `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+
+const kmlCoords = (positions) => positions.map((p) => p.join(',')).join(' ');
+
+const kmlRing = (ring) => `<LinearRing><coordinates>${kmlCoords(ring)}</coordinates></LinearRing>`;
+
+const kmlPolygon = (rings) =>
+  `<Polygon><outerBoundaryIs>${kmlRing(rings[0])}</outerBoundaryIs>${rings
+    .slice(1)
+    .map((ring) => `<innerBoundaryIs>${kmlRing(ring)}</innerBoundaryIs>`)
+    .join('')}</Polygon>`;
+
+function kmlGeometry(geometry) {
+  if (!geometry) return '';
+  const { type, coordinates } = geometry;
+  switch (type) {
+    case 'Point':
+      return `<Point><coordinates>${coordinates.join(',')}</coordinates></Point>`;
+    case 'LineString':
+      return `<LineString><coordinates>${kmlCoords(coordinates)}</coordinates></LineString>`;
+    case 'Polygon':
+      return kmlPolygon(coordinates);
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon': {
+      const single = type.replace('Multi', '');
+      return `<MultiGeometry>${coordinates.map((c) => kmlGeometry({ type: single, coordinates: c })).join('')}</MultiGeometry>`;
+    }
+    case 'GeometryCollection':
+      return `<MultiGeometry>${(geometry.geometries || []).map(kmlGeometry).join('')}</MultiGeometry>`;
+    default:
+      return '';
+  }
+}
+
+// สีตามการใช้ที่ดินหลัก เหมือนโหมดสำรวจบนแผนที่
+function kmlStyles() {
+  const styles = Object.values(LAND_USE_MAP).map((t) =>
+    `<Style id="lu-${t.key}"><LineStyle><color>${kmlColor(t.color, 'ff')}</color><width>1.5</width></LineStyle><PolyStyle><color>${kmlColor(t.fillColor, '99')}</color></PolyStyle></Style>`
+  );
+  styles.push('<Style id="lu-none"><LineStyle><color>ff808080</color><width>1</width></LineStyle><PolyStyle><color>33ffffff</color></PolyStyle></Style>');
+  return styles.join('');
+}
+
+function toKml(name, features) {
+  const placemarks = features.map((feature) => {
+    const props = feature.properties || {};
+    const data = Object.entries(props)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(typeof value === 'object' && value !== null ? JSON.stringify(value) : value)}</value></Data>`)
+      .join('');
+    const title = getParcelCode(props) ?? getBlockId(props) ?? '';
+    return `<Placemark><name>${escapeXml(title)}</name><styleUrl>#lu-${props.lu_main || 'none'}</styleUrl><ExtendedData>${data}</ExtendedData>${kmlGeometry(feature.geometry)}</Placemark>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${escapeXml(name)}</name>${kmlStyles()}${placemarks.join('\n')}</Document></kml>\n`;
+}
+
+// ── CSV ──────────────────────────────────────────────────────
+
+function toCsv(features) {
+  const rows = features.map((f) => f.properties || {});
+  const fields = Array.from(new Set(rows.flatMap((row) => Object.keys(row))));
+  const data = rows.map((row) => fields.map((key) => {
+    const value = row[key];
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }));
+  // BOM ให้ Excel อ่านภาษาไทยได้
+  return `\uFEFF${Papa.unparse({ fields, data })}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} filename - stored layer
+ * @param {{ format?: string, blockId?: string, landUse?: string, parcelCodes?: string[] }} options -
+ *   landUse is 'unassigned' or a LAND_USE_TYPES key; parcelCodes limits the
+ *   export to a selection (e.g. parcels selected on the map)
+ * @returns {Promise<{ success: true, body: Buffer, contentType: string, downloadName: string, count: number, skipped: number }
+ *   | { success: false, code: number, error: string }>}
+ */
+export async function exportLayer(filename, { format = 'geojson', blockId, landUse, parcelCodes } = {}) {
+  const target = LAYER_EXPORT_FORMATS.find((f) => f.key === format);
+  if (!target) return { success: false, code: 400, error: 'Invalid format' };
+  if (landUse && landUse !== 'all' && landUse !== 'unassigned' && !LAND_USE_MAP[landUse]) {
+    return { success: false, code: 400, error: 'Invalid landUse filter' };
+  }
+  if (parcelCodes !== undefined && !Array.isArray(parcelCodes)) {
+    return { success: false, code: 400, error: 'parcelCodes must be an array' };
+  }
+  const selected = parcelCodes ? new Set(parcelCodes.map(String)) : null;
+
+  const result = await readLayer(filename);
+  if (!result.success) return result;
+  const { assignments } = await getLandUseSnapshot();
+
+  const source = result.data?.type === 'FeatureCollection' ? result.data.features || [] : [result.data];
+  const features = source
+    .filter((f) => !blockId || blockId === 'all' || String(getBlockId(f?.properties) ?? '') === blockId)
+    .filter((f) => !selected || selected.has(String(getParcelCode(f?.properties) ?? '')))
+    .filter((f) => {
+      const code = getParcelCode(f?.properties);
+      return matchesLandUseFilter(code ? assignments[code] : null, landUse);
+    })
+    .map((f) => {
+      const code = getParcelCode(f.properties);
+      return { type: 'Feature', geometry: f.geometry, properties: { ...f.properties, ...landUseProperties(code ? assignments[code] : null) } };
+    });
+
+  if (features.length === 0) return { success: false, code: 404, error: 'ไม่มีข้อมูลตามเงื่อนไขที่เลือก' };
+
+  const name = [baseName(filename), blockId && blockId !== 'all' && `block-${blockId}`, landUse && landUse !== 'all' && landUse, selected && 'selection']
+    .filter(Boolean)
+    .map(safePart)
+    .join('_');
+
+  let body;
+  let skipped = 0;
+  if (format === 'shapefile') {
+    const shp = writeShapefileZip(name, features);
+    body = Buffer.from(shp.zip);
+    skipped = shp.skipped;
+  } else if (format === 'kml') {
+    body = Buffer.from(toKml(name, features), 'utf-8');
+  } else if (format === 'csv') {
+    body = Buffer.from(toCsv(features), 'utf-8');
+  } else {
+    body = Buffer.from(JSON.stringify({ type: 'FeatureCollection', features }), 'utf-8');
+  }
+
+  return {
+    success: true,
+    body,
+    contentType: CONTENT_TYPES[format],
+    downloadName: `${name}.${target.extension}`,
+    count: features.length,
+    skipped,
+  };
+}
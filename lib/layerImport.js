@@ -0,0 +1,257 @@
+// lib/layerImport.js
+// Convert uploaded GeoJSON, shapefiles (zip), KML/KMZ and CSV with lat/lng
+// columns into WGS 84 GeoJSON layers for the tax map, reprojecting from the
+// declared or likely CRS. Nothing is saved here: the client previews the
+// result and saves it through /api/geojson.
+import { unzipSync } from 'fflate';
+import { read as readShapefile } from 'shapefile';
+import { DOMParser } from '@xmldom/xmldom';
+import { kml as kmlToGeoJson } from '@tmcw/togeojson';
+import Papa from 'papaparse';
+import { DEFAULT_LAYER_CRS, toLayerFilename, validateGeometry } from '@/utils/geoLayer';
+import { detectLayerCrs, hasZ, reprojectGeoJSON } from '@/utils/crs';
+
+export const IMPORT_FORMAT = {
+  GEOJSON: 'geojson',
+  SHAPEFILE: 'shapefile',
+  KML: 'kml',
+  KMZ: 'kmz',
+  CSV: 'csv',
+};
+
+const FORMAT_BY_EXTENSION = {
+  geojson: IMPORT_FORMAT.GEOJSON,
+  json: IMPORT_FORMAT.GEOJSON,
+  zip: IMPORT_FORMAT.SHAPEFILE,
+  kml: IMPORT_FORMAT.KML,
+  kmz: IMPORT_FORMAT.KMZ,
+  csv: IMPORT_FORMAT.CSV,
+};
+
+const MAX_REPORTED_ERRORS = 200;
+const SAMPLE_SIZE = 10;
+
+const LAT_FIELDS = ['lat', 'latitude', 'y', 'ละติจูด', 'พิกัดy'];
+const LNG_FIELDS = ['lng', 'lon', 'long', 'longitude', 'x', 'ลองจิจูด', 'พิกัดx'];
+
+export function detectImportFormat(filename) {
+  const ext = String(filename || '').split('.').pop().toLowerCase();
+  return FORMAT_BY_EXTENSION[ext] || null;
+}
+
+const baseName = (name) => name.split('/').pop().replace(/\.[^.]+$/, '');
+
+// ไฟล์ไทยจาก Excel / ArcGIS รุ่นเก่ามักเป็น TIS-620 (windows-874) ถ้าไม่ใช่ UTF-8 ที่ถูกต้อง
+function guessEncoding(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return 'utf-8';
+  } catch {
+    return 'windows-874';
+  }
+}
+
+const decodeText = (bytes, encoding = guessEncoding(bytes)) =>
+  new TextDecoder(encoding).decode(bytes).replace(/^\uFEFF/, '');
+
+/**
+ * Keep features with a valid geometry; report the others by their 1-based
+ * position in the source file.
+ */
+function collectFeatures(features) {
+  const valid = [];
+  const errors = [];
+  let errorCount = 0;
+
+  features.forEach((feature, i) => {
+    const error = validateGeometry(feature?.geometry, { geographic: true });
+    if (!error) {
+      valid.push({ type: 'Feature', geometry: feature.geometry, properties: feature.properties || {} });
+      return;
+    }
+    errorCount += 1;
+    if (errors.length < MAX_REPORTED_ERRORS) {
+      errors.push({ index: i + 1, error, properties: feature?.properties || {} });
+    }
+  });
+
+  return { valid, errors, errorCount };
+}
+
+/**
+ * Reproject to WGS 84 (Z kept only with `keepZ`), then validate per feature.
+ * `crs` forces the source CRS; otherwise it comes from the .prj, the GeoJSON
+ * `crs` member or the coordinate range.
+ */
+function buildLayer(filename, collection, { crs, prj, keepZ = false, ...extra } = {}) {
+  const features = collection.features || [];
+  const detected = detectLayerCrs(collection, { crs, prj });
+  const projected = reprojectGeoJSON(collection, detected.crs || DEFAULT_LAYER_CRS, { keepZ });
+  const { valid, errors, errorCount } = collectFeatures(projected.features);
+  const fields = new Set();
+  valid.slice(0, 500).forEach((f) => Object.keys(f.properties).forEach((k) => fields.add(k)));
+
+  return {
+    filename: toLayerFilename(`${filename}.geojson`),
+    data: { type: 'FeatureCollection', features: valid },
+    featureCount: valid.length,
+    sourceCount: features.length,
+    fields: Array.from(fields),
+    sample: valid.slice(0, SAMPLE_SIZE).map((f) => f.properties),
+    errors,
+    errorCount,
+    // null = ไม่ทราบระบบพิกัด ให้ผู้ใช้เลือกเอง
+    sourceCrs: detected.crs,
+    crsSource: detected.source,
+    hasZ: hasZ(collection),
+    keepZ,
+    ...extra,
+  };
+}
+
+function unzip(buffer) {
+  try {
+    return unzipSync(new Uint8Array(buffer));
+  } catch {
+    return null;
+  }
+}
+
+// .cpg บอก encoding ของ .dbf เช่น "UTF-8", "65001", "CP874", "TIS-620"
+function dbfEncoding({ cpg, dbf }) {
+  const declared = cpg ? decodeText(cpg, 'utf-8').trim().toLowerCase() : '';
+  if (!declared) return guessEncoding(dbf);
+  if (declared === '65001' || declared.includes('utf')) return 'utf-8';
+  if (/874|tis|thai/.test(declared)) return 'windows-874';
+  return declared;
+}
+
+async function convertShapefileZip(buffer, options) {
+  const entries = unzip(buffer);
+  if (!entries) return { success: false, code: 400, error: 'ไฟล์ zip เสียหายหรือไม่ใช่ zip' };
+
+  const byName = {};
+  Object.entries(entries).forEach(([name, bytes]) => {
+    if (name.startsWith('__MACOSX/')) return;
+    const ext = name.split('.').pop().toLowerCase();
+    const key = name.replace(/\.[^.]+$/, '').toLowerCase();
+    byName[key] = { ...byName[key], [ext]: bytes, name: baseName(name) };
+  });
+
+  const sets = Object.values(byName).filter((set) => set.shp);
+  if (sets.length === 0) return { success: false, code: 400, error: 'ไม่พบไฟล์ .shp ใน zip' };
+
+  const layers = [];
+  for (const set of sets) {
+    if (!set.dbf) {
+      return { success: false, code: 400, error: `ไม่พบไฟล์ ${set.name}.dbf คู่กับ ${set.name}.shp` };
+    }
+    let collection;
+    try {
+      collection = await readShapefile(set.shp, set.dbf, { encoding: dbfEncoding(set) });
+    } catch (err) {
+      return { success: false, code: 400, error: `อ่าน ${set.name}.shp ไม่ได้: ${err.message}` };
+    }
+
+    const prj = set.prj ? decodeText(set.prj, 'utf-8').trim() : null;
+    layers.push(buildLayer(set.name, collection, { ...options, prj }));
+  }
+  return { success: true, layers };
+}
+
+function convertKmlText(text, name, options) {
+  const doc = new DOMParser({ onError: () => {} }).parseFromString(text, 'text/xml');
+  if (!doc?.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+    return { success: false, code: 400, error: 'ไฟล์ KML ไม่ถูกต้อง' };
+  }
+  const collection = kmlToGeoJson(doc);
+  if (!collection.features?.length) return { success: false, code: 400, error: 'ไม่พบ Placemark ในไฟล์ KML' };
+  // KML เป็น WGS 84 เสมอ
+  return { success: true, layers: [buildLayer(name, collection, { ...options, crs: DEFAULT_LAYER_CRS })] };
+}
+
+function convertKmz(buffer, name, options) {
+  const entries = unzip(buffer);
+  if (!entries) return { success: false, code: 400, error: 'ไฟล์ KMZ เสียหาย' };
+  const kmlName = Object.keys(entries).find((n) => n.toLowerCase() === 'doc.kml') ||
+    Object.keys(entries).find((n) => n.toLowerCase().endsWith('.kml'));
+  if (!kmlName) return { success: false, code: 400, error: 'ไม่พบไฟล์ .kml ใน KMZ' };
+  return convertKmlText(decodeText(entries[kmlName], 'utf-8'), name, options);
+}
+
+const findField = (fields, candidates) =>
+  fields.find((f) => candidates.includes(f.trim().toLowerCase().replace(/\s+/g, ''))) || null;
+
+function convertCsv(buffer, name, { latField, lngField, ...options } = {}) {
+  const { data: rows, meta } = Papa.parse(decodeText(new Uint8Array(buffer)), {
+    header: true,
+    skipEmptyLines: true,
+  });
+  const fields = meta.fields || [];
+  const lat = latField && fields.includes(latField) ? latField : findField(fields, LAT_FIELDS);
+  const lng = lngField && fields.includes(lngField) ? lngField : findField(fields, LNG_FIELDS);
+
+  // ยังหาคอลัมน์พิกัดไม่เจอ → ส่งรายชื่อคอลัมน์กลับไปให้เลือก
+  if (!lat || !lng) {
+    return {
+      success: true,
+      layers: [{ ...buildLayer(name, { type: 'FeatureCollection', features: [] }, options), fields, sample: rows.slice(0, SAMPLE_SIZE), sourceCount: rows.length, latField: lat, lngField: lng }],
+    };
+  }
+
+  const features = rows.map((row) => {
+    const y = Number(String(row[lat] ?? '').trim());
+    const x = Number(String(row[lng] ?? '').trim());
+    const hasCoords = String(row[lat] ?? '').trim() !== '' && String(row[lng] ?? '').trim() !== '';
+    return {
+      type: 'Feature',
+      geometry: hasCoords ? { type: 'Point', coordinates: [x, y] } : null,
+      properties: row,
+    };
+  });
+  return { success: true, layers: [buildLayer(name, { type: 'FeatureCollection', features }, { ...options, latField: lat, lngField: lng })] };
+}
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+function convertGeoJson(buffer, name, options) {
+  let data;
+  try {
+    data = JSON.parse(decodeText(new Uint8Array(buffer), 'utf-8'));
+  } catch {
+    return { success: false, code: 400, error: 'ไฟล์ไม่ใช่ JSON ที่ถูกต้อง' };
+  }
+
+  let collection;
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) collection = data;
+  else if (data?.type === 'Feature') collection = { type: 'FeatureCollection', crs: data.crs, features: [data] };
+  else if (GEOMETRY_TYPES.includes(data?.type)) collection = { type: 'FeatureCollection', crs: data.crs, features: [{ type: 'Feature', geometry: data, properties: {} }] };
+  else return { success: false, code: 400, error: 'ไฟล์ไม่ใช่ GeoJSON ที่ถูกต้อง' };
+
+  return { success: true, layers: [buildLayer(name, collection, options)] };
+}
+
+/**
+ * @param {Buffer} buffer - uploaded file
+ * @param {string} filename - original file name (format is taken from the extension)
+ * @param {{ latField?: string, lngField?: string, crs?: string, keepZ?: boolean }} options -
+ *   CSV coordinate columns, source CRS chosen by the user, keep Z values
+ * @returns {Promise<{ success: true, format: string, layers: object[] } | { success: false, code: number, error: string }>}
+ */
+export async function convertLayerFile(buffer, filename, options = {}) {
+  const format = detectImportFormat(filename);
+  if (!format) {
+    return { success: false, code: 400, error: 'รองรับเฉพาะไฟล์ .geojson, .json, .zip (Shapefile), .kml, .kmz และ .csv' };
+  }
+  if (!buffer?.length) return { success: false, code: 400, error: 'ไฟล์ว่างเปล่า' };
+
+  const name = baseName(filename);
+  let result;
+  if (format === IMPORT_FORMAT.GEOJSON) result = convertGeoJson(buffer, name, options);
+  else if (format === IMPORT_FORMAT.SHAPEFILE) result = await convertShapefileZip(buffer, options);
+  else if (format === IMPORT_FORMAT.KML) result = convertKmlText(decodeText(new Uint8Array(buffer), 'utf-8'), name, options);
+  else if (format === IMPORT_FORMAT.KMZ) result = convertKmz(buffer, name, options);
+  else result = convertCsv(buffer, name, options);
+
+  return result.success ? { ...result, format } : result;
+}
@@ -0,0 +1,109 @@
+// lib/layerStorage.js
+// Where GeoJSON layer files live. Two backends with the same interface:
+//   fs     — a private directory outside public/ (LAYER_STORAGE_DIR)
+//   gridfs — MongoDB GridFS, for read-only or multi-instance hosts
+// LAYER_STORAGE selects the backend for new writes (default gridfs); each
+// layer records its backend so files written earlier stay readable.
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import dbConnect from './dbConnect';
+
+export const STORAGE_BACKEND = {
+  FS: 'fs',
+  GRIDFS: 'gridfs',
+};
+
+const GRIDFS_BUCKET = 'geoLayers';
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+function createFsBackend(dir) {
+  const filePath = (key) => path.join(dir, path.basename(key));
+  const ensureDir = () => {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  };
+
+  return {
+    name: STORAGE_BACKEND.FS,
+    async write(key, buffer) {
+      ensureDir();
+      // เขียนไฟล์ชั่วคราวแล้วเปลี่ยนชื่อ ผู้อ่านจะไม่เห็นไฟล์ที่เขียนไม่ครบ
+      const tmp = `${filePath(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, filePath(key));
+    },
+    async openReadStream(key) {
+      if (!fs.existsSync(filePath(key))) return null;
+      return fs.createReadStream(filePath(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+function createGridFsBackend(bucketName) {
+  const getBucket = async () => {
+    await dbConnect();
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+  };
+  const findFiles = async (bucket, key) => bucket.find({ filename: key }).sort({ uploadDate: -1 }).toArray();
+
+  return {
+    name: STORAGE_BACKEND.GRIDFS,
+    async write(key, buffer) {
+      const bucket = await getBucket();
+      const previous = await findFiles(bucket, key);
+      await new Promise((resolve, reject) => {
+        Readable.from([buffer])
+          .pipe(bucket.openUploadStream(key, { contentType: 'application/geo+json' }))
+          .on('finish', resolve)
+          .on('error', reject);
+      });
+      // ลบรุ่นก่อนหน้าหลังจากเขียนรุ่นใหม่สำเร็จแล้ว
+      await Promise.all(previous.map((file) => bucket.delete(file._id).catch(() => null)));
+    },
+    async openReadStream(key) {
+      const bucket = await getBucket();
+      const [latest] = await findFiles(bucket, key);
+      return latest ? bucket.openDownloadStream(latest._id) : null;
+    },
+    async remove(key) {
+      const bucket = await getBucket();
+      const files = await findFiles(bucket, key);
+      await Promise.all(files.map((file) => bucket.delete(file._id)));
+    },
+  };
+}
+
+const backends = {
+  [STORAGE_BACKEND.FS]: createFsBackend(process.env.LAYER_STORAGE_DIR || path.join(process.cwd(), 'storage', 'geojson')),
+  [STORAGE_BACKEND.GRIDFS]: createGridFsBackend(GRIDFS_BUCKET),
+};
+
+/**
+ * Backend for new layer files
+ */
+export function getDefaultBackendName() {
+  return backends[process.env.LAYER_STORAGE] ? process.env.LAYER_STORAGE : STORAGE_BACKEND.GRIDFS;
+}
+
+/**
+ * @param {string} [name] - stored `storage.backend` of a layer; default backend when omitted
+ */
+export function getLayerStorage(name = getDefaultBackendName()) {
+  const backend = backends[name];
+  if (!backend) throw new Error(`Unknown layer storage backend: ${name}`);
+  return backend;
+}
+
+export async function readLayerBuffer(backendName, key) {
+  const stream = await getLayerStorage(backendName).openReadStream(key);
+  return stream ? streamToBuffer(stream) : null;
+}
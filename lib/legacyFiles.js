@@ -0,0 +1,45 @@
+// lib/legacyFiles.js
+// Data files the old app kept in public/geojson, where anyone could download
+// them without logging in. The repo's copies now live in data/legacy; files a
+// deployment still has in public/geojson are moved to a runtime folder outside
+// public/ once imported, where a repeated import still finds them.
+import fs from 'fs';
+import path from 'path';
+
+export const LEGACY_PUBLIC_DIR = path.join(process.cwd(), 'public', 'geojson');
+export const LEGACY_DATA_DIR = path.join(process.cwd(), 'data', 'legacy');
+export const LEGACY_ARCHIVE_DIR = process.env.LEGACY_ARCHIVE_DIR || path.join(process.cwd(), 'storage', 'legacy');
+
+// public ก่อน (ไฟล์ล่าสุดของ deployment เดิม) แล้วจึงที่ย้ายออกไปแล้ว และสำเนาใน repo
+const LEGACY_DIRS = [LEGACY_PUBLIC_DIR, LEGACY_ARCHIVE_DIR, LEGACY_DATA_DIR];
+
+/**
+ * Path of a legacy file, still in public/geojson, already moved out or in
+ * data/legacy; null when it is in none of them.
+ */
+export function findLegacyFile(name) {
+  return LEGACY_DIRS
+    .map((dir) => path.join(dir, name))
+    .find((filePath) => fs.existsSync(filePath)) || null;
+}
+
+/** Names of legacy files in any of the folders that pass `filter` */
+export function listLegacyFiles(filter = () => true) {
+  const names = LEGACY_DIRS
+    .filter((dir) => fs.existsSync(dir))
+    .flatMap((dir) => fs.readdirSync(dir));
+  return [...new Set(names)].filter(filter);
+}
+
+/**
+ * Move a legacy file out of public/geojson once it has been imported.
+ * Does nothing when it was already moved.
+ */
+export function archiveLegacyFile(name) {
+  const from = path.join(LEGACY_PUBLIC_DIR, name);
+  if (!fs.existsSync(from)) return;
+  fs.mkdirSync(LEGACY_ARCHIVE_DIR, { recursive: true });
+  // copy + unlink แทน rename เผื่อ storage อยู่คนละ filesystem
+  fs.copyFileSync(from, path.join(LEGACY_ARCHIVE_DIR, name));
+  fs.unlinkSync(from);
+}
@@ -0,0 +1,50 @@
+// lib/piiAudit.js
+import mongoose from 'mongoose';
+import dbConnect from './dbConnect';
+import PiiAccessLog from '@/models/PiiAccessLog';
+
+// ฟิลด์ข้อมูลส่วนบุคคลของผู้แจ้งที่ต้องบันทึกเมื่อมีการเปิดดู
+export const REPORTER_PII_FIELDS = ['prefix', 'fullName', 'phone'];
+
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.socket?.remoteAddress || null;
+};
+
+/**
+ * Record that the caller (req.auth from withRoles) viewed reporter PII of the
+ * given complaints. Callers should await this before responding so PII is
+ * never returned without an audit entry.
+ *
+ * @param {object} req
+ * @param {Array<{ _id: any, complaintId?: string }>} complaints
+ * @param {{ source: string, fields?: string[] }} opts
+ */
+export async function logPiiAccess(req, complaints, { source, fields = REPORTER_PII_FIELDS }) {
+  if (!complaints.length) return;
+  await dbConnect();
+
+  const { userId, role } = req.auth;
+  const viewer = await mongoose.connection.db
+    .collection('users')
+    .findOne({ clerkId: userId }, { projection: { name: 1 } });
+
+  const viewedAt = new Date();
+  const ip = getClientIp(req);
+
+  await PiiAccessLog.insertMany(
+    complaints.map((c) => ({
+      viewerId: userId,
+      viewerName: viewer?.name || null,
+      viewerRole: role,
+      complaint: c._id,
+      complaintId: c.complaintId || null,
+      fields,
+      source,
+      ip,
+      viewedAt,
+    })),
+    { ordered: false }
+  );
+}
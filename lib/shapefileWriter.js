@@ -0,0 +1,282 @@
+// lib/shapefileWriter.js
+// Minimal ESRI Shapefile writer for layer exports (2D, WGS 84). A shapefile
+// holds one geometry kind, so points, lines and polygons of a mixed layer go
+// to separate .shp/.shx/.dbf sets in the same zip. Attributes are written as
+// UTF-8 with a .cpg so Thai text survives in QGIS/ArcGIS.
+import { zipSync } from 'fflate';
+
+const SHAPE_TYPE = { NULL: 0, POINT: 1, POLYLINE: 3, POLYGON: 5, MULTIPOINT: 8 };
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const GEOMETRY_KIND = {
+  Point: 'point',
+  MultiPoint: 'point',
+  LineString: 'line',
+  MultiLineString: 'line',
+  Polygon: 'polygon',
+  MultiPolygon: 'polygon',
+};
+
+const encoder = new TextEncoder();
+
+// ── geometry → parts ─────────────────────────────────────────
+
+// shapefile: ขอบนอกตามเข็มนาฬิกา รูเจาะทวนเข็มนาฬิกา (กลับกับ GeoJSON)
+const signedArea = (ring) => {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+  return sum;
+};
+
+const orientRing = (ring, clockwise) => ((signedArea(ring) > 0) === clockwise ? ring : [...ring].reverse());
+
+function toParts(geometry) {
+  const { type, coordinates } = geometry;
+  if (type === 'Point') return [[coordinates]];
+  if (type === 'MultiPoint') return [coordinates];
+  if (type === 'LineString') return [coordinates];
+  if (type === 'MultiLineString') return coordinates;
+  const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+  return polygons.flatMap((rings) => rings.map((ring, i) => orientRing(ring, i === 0)));
+}
+
+function bboxOf(points) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  points.forEach(([x, y]) => {
+    box[0] = Math.min(box[0], x);
+    box[1] = Math.min(box[1], y);
+    box[2] = Math.max(box[2], x);
+    box[3] = Math.max(box[3], y);
+  });
+  return box;
+}
+
+// ── .shp / .shx ──────────────────────────────────────────────
+
+function encodeShape(shapeType, parts) {
+  const points = parts.flat();
+  if (shapeType === SHAPE_TYPE.POINT) {
+    const view = new DataView(new ArrayBuffer(20));
+    view.setInt32(0, shapeType, true);
+    view.setFloat64(4, points[0][0], true);
+    view.setFloat64(12, points[0][1], true);
+    return view.buffer;
+  }
+
+  const box = bboxOf(points);
+  if (shapeType === SHAPE_TYPE.MULTIPOINT) {
+    const view = new DataView(new ArrayBuffer(40 + 16 * points.length));
+    view.setInt32(0, shapeType, true);
+    box.forEach((v, i) => view.setFloat64(4 + i * 8, v, true));
+    view.setInt32(36, points.length, true);
+    points.forEach(([x, y], i) => {
+      view.setFloat64(40 + i * 16, x, true);
+      view.setFloat64(48 + i * 16, y, true);
+    });
+    return view.buffer;
+  }
+
+  const pointsOffset = 44 + 4 * parts.length;
+  const view = new DataView(new ArrayBuffer(pointsOffset + 16 * points.length));
+  view.setInt32(0, shapeType, true);
+  box.forEach((v, i) => view.setFloat64(4 + i * 8, v, true));
+  view.setInt32(36, parts.length, true);
+  view.setInt32(40, points.length, true);
+  let start = 0;
+  parts.forEach((part, i) => {
+    view.setInt32(44 + i * 4, start, true);
+    start += part.length;
+  });
+  points.forEach(([x, y], i) => {
+    view.setFloat64(pointsOffset + i * 16, x, true);
+    view.setFloat64(pointsOffset + 8 + i * 16, y, true);
+  });
+  return view.buffer;
+}
+
+function fileHeader(shapeType, byteLength, box) {
+  const view = new DataView(new ArrayBuffer(100));
+  view.setInt32(0, 9994, false);
+  view.setInt32(24, byteLength / 2, false);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, shapeType, true);
+  box.forEach((v, i) => view.setFloat64(36 + i * 8, v, true));
+  return new Uint8Array(view.buffer);
+}
+
+function concat(chunks, length) {
+  const out = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+}
+
+function writeShp(shapes) {
+  const records = shapes.map((content, i) => {
+    const header = new DataView(new ArrayBuffer(8));
+    header.setInt32(0, i + 1, false);
+    header.setInt32(4, content.byteLength / 2, false);
+    return [new Uint8Array(header.buffer), new Uint8Array(content)];
+  });
+
+  const shpLength = 100 + records.reduce((sum, [h, c]) => sum + h.length + c.length, 0);
+  const shxLength = 100 + records.length * 8;
+
+  const index = new DataView(new ArrayBuffer(records.length * 8));
+  let offset = 100;
+  records.forEach(([h, c], i) => {
+    index.setInt32(i * 8, offset / 2, false);
+    index.setInt32(i * 8 + 4, c.length / 2, false);
+    offset += h.length + c.length;
+  });
+
+  return { shpLength, shxLength, records, index: new Uint8Array(index.buffer) };
+}
+
+// ── .dbf ─────────────────────────────────────────────────────
+
+const MAX_CHAR_BYTES = 254;
+const MAX_NUMBER_LENGTH = 18;
+
+// ตัดข้อความ UTF-8 ไม่ให้เกินจำนวนไบต์โดยไม่ตัดกลางตัวอักษร
+function truncateBytes(text, maxBytes) {
+  let bytes = encoder.encode(text);
+  if (bytes.length <= maxBytes) return bytes;
+  let chars = Array.from(text);
+  while (bytes.length > maxBytes) {
+    chars = chars.slice(0, -1);
+    bytes = encoder.encode(chars.join(''));
+  }
+  return bytes;
+}
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const decimalsOf = (n) => {
+  const text = String(n);
+  return text.includes('e') ? 8 : (text.split('.')[1] || '').length;
+};
+
+function describeFields(keys, rows) {
+  const used = new Set();
+  return keys.map((key) => {
+    let name = new TextDecoder().decode(truncateBytes(key.replace(/[^\p{L}\p{M}\p{N}_]/gu, '_') || 'field', 10));
+    for (let i = 1; used.has(name.toLowerCase()); i++) {
+      name = `${new TextDecoder().decode(truncateBytes(name, 10 - String(i).length - 1))}_${i}`;
+    }
+    used.add(name.toLowerCase());
+
+    const values = rows.map((row) => row[key]).filter((v) => v !== null && v !== undefined && v !== '');
+    if (values.length > 0 && values.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+      const decimals = Math.min(8, values.reduce((max, v) => Math.max(max, decimalsOf(v)), 0));
+      const length = values.reduce((max, v) => Math.max(max, v.toFixed(decimals).length), 1);
+      if (length <= MAX_NUMBER_LENGTH) {
+        return { key, name, type: 'N', length, decimals, format: (v) => (typeof v === 'number' ? v.toFixed(decimals) : '') };
+      }
+    }
+    const length = Math.min(MAX_CHAR_BYTES, values.reduce((max, v) => Math.max(max, encoder.encode(toText(v)).length), 1));
+    return { key, name, type: 'C', length, decimals: 0, format: toText };
+  });
+}
+
+function writeDbf(rows) {
+  const keys = Array.from(new Set(rows.flatMap((row) => Object.keys(row))));
+  // dBase ต้องมีอย่างน้อยหนึ่ง field
+  const source = keys.length ? rows : rows.map((_, i) => ({ id: i + 1 }));
+  const fields = describeFields(keys.length ? keys : ['id'], source);
+
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+  const out = new Uint8Array(headerLength + recordLength * source.length + 1);
+  const view = new DataView(out.buffer);
+
+  const now = new Date();
+  out[0] = 0x03;
+  out[1] = now.getFullYear() - 1900;
+  out[2] = now.getMonth() + 1;
+  out[3] = now.getDate();
+  view.setUint32(4, source.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  fields.forEach((field, i) => {
+    const at = 32 + i * 32;
+    out.set(encoder.encode(field.name), at);
+    out[at + 11] = field.type.charCodeAt(0);
+    out[at + 16] = field.length;
+    out[at + 17] = field.decimals;
+  });
+  out[headerLength - 1] = 0x0d;
+
+  source.forEach((row, r) => {
+    let at = headerLength + r * recordLength;
+    out[at] = 0x20;
+    at += 1;
+    fields.forEach((field) => {
+      const bytes = truncateBytes(field.format(row[field.key]), field.length);
+      out.fill(0x20, at, at + field.length);
+      // ตัวเลขชิดขวา ข้อความชิดซ้าย
+      out.set(bytes, field.type === 'N' ? at + field.length - bytes.length : at);
+      at += field.length;
+    });
+  });
+  out[out.length - 1] = 0x1a;
+  return out;
+}
+
+// ── zip ──────────────────────────────────────────────────────
+
+function shapeTypeFor(kind, features) {
+  if (kind === 'line') return SHAPE_TYPE.POLYLINE;
+  if (kind === 'polygon') return SHAPE_TYPE.POLYGON;
+  return features.some((f) => f.geometry.type === 'MultiPoint') ? SHAPE_TYPE.MULTIPOINT : SHAPE_TYPE.POINT;
+}
+
+function writeSet(shapeType, features) {
+  const shapes = features.map((f) => encodeShape(shapeType, toParts(f.geometry)));
+  const { shpLength, shxLength, records, index } = writeShp(shapes);
+  const box = features.length ? bboxOf(features.flatMap((f) => toParts(f.geometry).flat())) : [0, 0, 0, 0];
+
+  return {
+    shp: concat([fileHeader(shapeType, shpLength, box), ...records.flat()], shpLength),
+    shx: concat([fileHeader(shapeType, shxLength, box), index], shxLength),
+    dbf: writeDbf(features.map((f) => f.properties || {})),
+    prj: encoder.encode(WGS84_PRJ),
+    cpg: encoder.encode('UTF-8'),
+  };
+}
+
+/**
+ * @param {string} name - base file name inside the zip
+ * @param {object[]} features - WGS 84 GeoJSON features; Z values are dropped
+ * @returns {{ zip: Uint8Array, skipped: number }} skipped = features without a
+ *   geometry a shapefile can hold (none, GeometryCollection)
+ */
+export function writeShapefileZip(name, features) {
+  const groups = {};
+  let skipped = 0;
+  features.forEach((feature) => {
+    const kind = GEOMETRY_KIND[feature?.geometry?.type];
+    if (!kind) {
+      skipped += 1;
+      return;
+    }
+    (groups[kind] = groups[kind] || []).push(feature);
+  });
+
+  const kinds = Object.keys(groups);
+  const files = {};
+  kinds.forEach((kind) => {
+    const setName = kinds.length > 1 ? `${name}_${kind}` : name;
+    const set = writeSet(shapeTypeFor(kind, groups[kind]), groups[kind]);
+    Object.entries(set).forEach(([ext, bytes]) => { files[`${setName}.${ext}`] = bytes; });
+  });
+  return { zip: zipSync(files), skipped };
+}
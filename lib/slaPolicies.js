@@ -0,0 +1,35 @@
+// lib/slaPolicies.js
+import dbConnect from './dbConnect';
+import SlaPolicy from '@/models/SlaPolicy';
+import { computeSla, resolveSlaPolicy } from '@/utils/sla';
+
+export async function loadSlaPolicies() {
+  await dbConnect();
+  return SlaPolicy.find({ active: true }).lean();
+}
+
+/**
+ * Attach `sla` (due dates, breach flags) to plain complaint objects
+ */
+export async function withSla(complaints, policies) {
+  const active = policies || (await loadSlaPolicies());
+  const now = new Date();
+  return complaints.map((complaint) => ({
+    ...complaint,
+    sla: computeSla(complaint, resolveSlaPolicy(active, complaint), now),
+  }));
+}
+
+/**
+ * Editable fields of an SLA policy from a request body
+ */
+export function parseSlaPolicyBody(body) {
+  return {
+    category: body.category || null,
+    priority: body.priority || null,
+    assignHours: Number(body.assignHours),
+    firstActionHours: Number(body.firstActionHours),
+    resolveHours: Number(body.resolveHours),
+    active: body.active !== false,
+  };
+}
@@ -0,0 +1,106 @@
+// lib/taxRates.js
+// Admin-configured land tax rates and appraisal source. Land-use types
+// without a saved rate use DEFAULT_TAX_RATES.
+import dbConnect from './dbConnect';
+import TaxRate from '@/models/TaxRate';
+import TaxAppraisal from '@/models/TaxAppraisal';
+import { LAND_USE_MAP } from '@/utils/landUse';
+import { DEFAULT_APPRAISAL, DEFAULT_TAX_RATES, validateAppraisal, validateTaxBrackets } from '@/utils/tax';
+
+const toNumberOrNull = (v) => (v === null || v === undefined || v === '' ? null : Number(v));
+
+/**
+ * @returns {Promise<{ rates: object, appraisal: object, customized: string[] }>}
+ *   customized = land-use keys with a saved rate
+ */
+export async function getTaxConfig() {
+  await dbConnect();
+  const [saved, appraisal] = await Promise.all([TaxRate.find({}).lean(), TaxAppraisal.findOne({}).lean()]);
+
+  const rates = { ...DEFAULT_TAX_RATES };
+  saved.forEach((doc) => {
+    if (doc.brackets?.length) rates[doc.landUse] = doc.brackets.map(({ upTo, rate }) => ({ upTo: upTo ?? null, rate }));
+  });
+  return {
+    rates,
+    appraisal: {
+      priceField: appraisal?.priceField ?? DEFAULT_APPRAISAL.priceField,
+      blockPrices: appraisal?.blockPrices || {},
+      defaultPricePerWah: appraisal?.defaultPricePerWah ?? DEFAULT_APPRAISAL.defaultPricePerWah,
+    },
+    customized: saved.map((doc) => doc.landUse),
+  };
+}
+
+// คำสั่ง bulkWrite ของอัตราที่ส่งมา ตรวจทุกรายการก่อนจึงไม่เขียนครึ่งตาราง
+function buildTaxRateOps(rates, actor) {
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    return { success: false, code: 400, error: 'rates must be an object' };
+  }
+
+  const ops = [];
+  for (const [landUse, brackets] of Object.entries(rates)) {
+    if (!LAND_USE_MAP[landUse]) return { success: false, code: 400, error: `Unknown land use: ${landUse}` };
+    if (brackets === null) {
+      ops.push({ deleteOne: { filter: { landUse } } });
+      continue;
+    }
+    const parsed = Array.isArray(brackets)
+      ? brackets.map((b) => ({ upTo: toNumberOrNull(b?.upTo), rate: Number(b?.rate) }))
+      : brackets;
+    const check = validateTaxBrackets(parsed);
+    if (!check.valid) return { success: false, code: 400, error: `${LAND_USE_MAP[landUse].label}: ${check.error}` };
+    ops.push({
+      updateOne: {
+        filter: { landUse },
+        update: { $set: { brackets: parsed, updatedBy: actor.changedBy || null, updatedByName: actor.changedByName || null, updatedAt: new Date() } },
+        upsert: true,
+      },
+    });
+  }
+  return { success: true, ops };
+}
+
+function parseTaxAppraisal(input) {
+  const blockPrices = {};
+  Object.entries(input?.blockPrices || {}).forEach(([blockId, price]) => {
+    if (String(blockId).trim() && price !== '' && price !== null) blockPrices[String(blockId).trim()] = Number(price);
+  });
+  const appraisal = {
+    priceField: typeof input?.priceField === 'string' ? input.priceField.trim() : '',
+    blockPrices,
+    defaultPricePerWah: Number(input?.defaultPricePerWah ?? 0),
+  };
+  const check = validateAppraisal(appraisal);
+  if (!check.valid) return { success: false, code: 400, error: check.error };
+  return { success: true, appraisal };
+}
+
+/**
+ * Save rates and/or the appraisal source. Everything is validated first and
+ * written in one transaction, so estimates never read a half-updated table.
+ * In `rates`, brackets replace those of the given land-use keys and `null`
+ * goes back to the default rate.
+ *
+ * @param {{ rates?: { [landUse: string]: object[]|null }, appraisal?: object }} input
+ * @returns {Promise<{ success: true } | { success: false, code: number, error: string }>}
+ */
+export async function saveTaxConfig({ rates, appraisal } = {}, { actor = {} } = {}) {
+  const rateOps = rates === undefined ? { success: true, ops: [] } : buildTaxRateOps(rates, actor);
+  if (!rateOps.success) return rateOps;
+  const parsedAppraisal = appraisal === undefined ? null : parseTaxAppraisal(appraisal);
+  if (parsedAppraisal && !parsedAppraisal.success) return parsedAppraisal;
+
+  const conn = await dbConnect();
+  await conn.connection.transaction(async (session) => {
+    if (rateOps.ops.length) await TaxRate.bulkWrite(rateOps.ops, { session });
+    if (parsedAppraisal) {
+      await TaxAppraisal.findOneAndUpdate(
+        {},
+        { $set: { ...parsedAppraisal.appraisal, updatedBy: actor.changedBy || null, updatedByName: actor.changedByName || null, updatedAt: new Date() } },
+        { upsert: true, session }
+      );
+    }
+  });
+  return { success: true };
+}
@@ -0,0 +1,208 @@
+// lib/webhooks.js
+// Outbound webhooks: queue deliveries in Mongo, sign with HMAC and retry with backoff.
+import crypto from 'crypto';
+import dbConnect from './dbConnect';
+import Webhook from '@/models/Webhook';
+import WebhookDelivery from '@/models/WebhookDelivery';
+import {
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_HEADERS,
+  WEBHOOK_PING_EVENT,
+} from '@/utils/webhookEvents';
+
+const S = WEBHOOK_DELIVERY_STATUS;
+
+export const MAX_ATTEMPTS = 6;
+// รอก่อนส่งซ้ำหลังล้มเหลวครั้งที่ 1, 2, 3, ... (วินาที)
+const BACKOFF_SECONDS = [30, 120, 600, 1800, 7200];
+const REQUEST_TIMEOUT_MS = 10000;
+// รายการที่ค้างสถานะ processing นานกว่านี้ถือว่าตัวส่งหยุดกลางคัน ให้ส่งใหม่
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_LENGTH = 2048;
+
+const PII_FIELDS = ['prefix', 'fullName', 'phone', 'followers'];
+
+export function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Value of the signature header. Receivers recompute it from the raw body and
+ * the timestamp header and compare in constant time.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+export function getRetryDelaySeconds(attempts) {
+  return BACKOFF_SECONDS[Math.min(attempts, BACKOFF_SECONDS.length) - 1];
+}
+
+// ตัดข้อมูลผู้แจ้งออกจาก complaint ใน payload สำหรับ webhook ที่ไม่ได้เปิด includePii
+function redactPii(data) {
+  if (!data?.complaint) return data;
+  const complaint = { ...data.complaint };
+  PII_FIELDS.forEach((field) => delete complaint[field]);
+  if (Array.isArray(complaint.statusHistory)) {
+    complaint.statusHistory = complaint.statusHistory.map((entry) => ({ ...entry, changedBy: undefined }));
+  }
+  return { ...data, complaint };
+}
+
+/**
+ * Queue `event` for every active webhook subscribed to it and start sending.
+ * Never throws: a broken receiver must not fail the request that emitted it.
+ *
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {object} data - event body; mongoose documents are serialized to JSON
+ */
+export async function emitWebhookEvent(event, data) {
+  try {
+    await dbConnect();
+    const webhooks = await Webhook.find({ active: true, events: event }).lean();
+    if (!webhooks.length) return;
+
+    const json = JSON.parse(JSON.stringify(data));
+    const occurredAt = new Date();
+
+    await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => ({
+        webhook: webhook._id,
+        event,
+        payload: { event, occurredAt, data: webhook.includePii ? json : redactPii(json) },
+      }))
+    );
+
+    processWebhookQueue().catch((err) => console.error('❌ Webhook queue error:', err));
+  } catch (err) {
+    console.error(`❌ Failed to queue webhook event ${event}:`, err);
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+  const now = new Date();
+
+  if (!webhook || !webhook.active) {
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { $set: { status: S.FAILED, lockedAt: null, lastError: 'webhook ถูกลบหรือปิดใช้งานแล้ว' } },
+      { new: true }
+    );
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  const attempt = { attemptedAt: now };
+  const started = Date.now();
+
+  try {
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'smart-saard-webhook/1.0',
+        [WEBHOOK_HEADERS.EVENT]: delivery.event,
+        [WEBHOOK_HEADERS.DELIVERY]: String(delivery._id),
+        [WEBHOOK_HEADERS.TIMESTAMP]: timestamp,
+        [WEBHOOK_HEADERS.SIGNATURE]: signWebhookPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    attempt.statusCode = res.status;
+    attempt.responseBody = (await res.text()).slice(0, MAX_RESPONSE_LENGTH);
+    if (!res.ok) attempt.error = `HTTP ${res.status}`;
+  } catch (err) {
+    attempt.error = err.name === 'TimeoutError' ? 'หมดเวลารอการตอบกลับ' : err.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attempts = delivery.attempts + 1;
+  const set = { attempts, lockedAt: null, lastError: attempt.error || null };
+
+  if (!attempt.error) {
+    set.status = S.SUCCESS;
+    set.deliveredAt = new Date();
+  } else if (attempts >= MAX_ATTEMPTS) {
+    set.status = S.FAILED;
+  } else {
+    set.status = S.PENDING;
+    set.nextAttemptAt = new Date(Date.now() + getRetryDelaySeconds(attempts) * 1000);
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $set: set, $push: { attemptLog: attempt } },
+    { new: true }
+  );
+}
+
+// จองรายการถัดไปที่ถึงเวลาส่ง (atomic) เพื่อไม่ให้ส่งซ้ำเมื่อมีหลาย instance
+function claimNextDelivery(extraFilter = {}) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      ...extraFilter,
+      $or: [
+        { status: S.PENDING, nextAttemptAt: { $lte: now } },
+        { status: S.PROCESSING, lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: S.PROCESSING, lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Send due deliveries one at a time
+ * @returns {Promise<number>} number of deliveries attempted
+ */
+export async function processWebhookQueue({ limit = 20 } = {}) {
+  await dbConnect();
+
+  let processed = 0;
+  while (processed < limit) {
+    const delivery = await claimNextDelivery();
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+    processed += 1;
+  }
+  return processed;
+}
+
+/**
+ * Put a delivery back in the queue with a fresh retry budget
+ */
+export async function retryWebhookDelivery(deliveryId) {
+  await dbConnect();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: { $ne: S.PROCESSING } },
+    { $set: { status: S.PENDING, attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const claimed = await claimNextDelivery({ _id: delivery._id });
+  return claimed ? attemptDelivery(claimed) : delivery;
+}
+
+/**
+ * Send a signed test event to one webhook right away
+ */
+export async function sendWebhookPing(webhookId) {
+  await dbConnect();
+  const delivery = await WebhookDelivery.create({
+    webhook: webhookId,
+    event: WEBHOOK_PING_EVENT,
+    payload: {
+      event: WEBHOOK_PING_EVENT,
+      occurredAt: new Date(),
+      data: { message: 'ทดสอบการเชื่อมต่อ webhook จาก smart-saard' },
+    },
+  });
+
+  const claimed = await claimNextDelivery({ _id: delivery._id });
+  return claimed ? attemptDelivery(claimed) : delivery;
+}
@@ -5,6 +5,7 @@ export default clerkMiddleware();
 export const config = {
   matcher: [
     "/admin/:path*",
+    "/officer/:path*",
     "/api/:path*",
   ],
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ASSIGNMENT_ROLE, ASSIGNMENT_END_REASON } from '@/utils/assignmentRoles';
 
 const AssignmentSchema = new mongoose.Schema({
   complaintId: {
@@ -11,6 +12,30 @@ const AssignmentSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  role: {
+    type: String,
+    enum: Object.values(ASSIGNMENT_ROLE),
+    default: ASSIGNMENT_ROLE.LEAD,
+  },
+  // false เมื่อถูกโอนงานหรือยกเลิกการมอบหมาย (เก็บไว้เป็นประวัติ)
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  assignedBy: String, // Clerk userId
+  assignedByName: String,
+  reassignedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+  },
+  endedAt: Date,
+  endedReason: {
+    type: String,
+    enum: Object.values(ASSIGNMENT_END_REASON),
+  },
+  endedNote: String,
+  endedBy: String,
+  endedByName: String,
   assignedAt: {
     type: Date,
     default: Date.now,
@@ -23,6 +48,22 @@ const AssignmentSchema = new mongoose.Schema({
     type: [String],
     default: [],
   },
+  // เจ้าหน้าที่กดรับงาน / เริ่มลงพื้นที่ จากหน้างานของฉัน (/officer)
+  acceptedAt: Date,
+  startedAt: Date,
+  progressNotes: {
+    type: [
+      {
+        note: { type: String, default: '' },
+        images: { type: [String], default: [] },
+        createdAt: { type: Date, default: Date.now },
+        createdBy: String, // Clerk userId
+        createdByName: String,
+        _id: false,
+      },
+    ],
+    default: [],
+  },
   completedAt: {
     type: Date,
   },
@@ -32,4 +73,7 @@ const AssignmentSchema = new mongoose.Schema({
   },
 });
 
+AssignmentSchema.index({ complaintId: 1, active: 1 });
+AssignmentSchema.index({ userId: 1, active: 1 });
+
 export default mongoose.models.Assignment || mongoose.model('Assignment', AssignmentSchema);
\ No newline at end of file
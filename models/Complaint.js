@@ -14,6 +14,34 @@ const SubmittedReportSchema = new mongoose.Schema({
   },
   complaintId : { type: String },
   status: { type: String },
+  statusHistory: [{
+    from: String,
+    to: String,
+    note: String,
+    changedBy: String,
+    changedByName: String,
+    changedAt: Date
+  }],
+  priority: { type: String, default: null },
+  priorityRank: { type: Number, default: 0 },
+  suggestedPriority: { type: String, default: null },
+  suggestedPriorityReasons: { type: [String], default: [] },
+  followers: [{
+    prefix: String,
+    fullName: String,
+    phone: String,
+    detail: String,
+    images: [String],
+    sourceComplaintId: String,
+    followedAt: Date
+  }],
+  followerCount: { type: Number, default: 0 },
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, default: null },
+  mergedIntoComplaintId: { type: String },
+  duplicates: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  triagedAt: { type: Date },
+  triagedBy: { type: String },
+  triagedByName: { type: String },
   officer: { type: String },
   updatedAt: { type: Date },
   timestamp: { type: Date }
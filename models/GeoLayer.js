@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { DEFAULT_LAYER_CRS } from '@/utils/geoLayer';
+
+// ข้อมูลกำกับเลเยอร์ GeoJSON ของแผนที่ภาษี ตัวไฟล์อยู่ใน lib/layerStorage (ระบบไฟล์หรือ GridFS)
+const GeoLayerSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    owner: String, // Clerk userId ผู้อัปโหลด
+    ownerName: String,
+    // ระบบพิกัดของข้อมูลที่เก็บ (แปลงเป็น WGS 84 ตอนนำเข้า) และของไฟล์ต้นฉบับ
+    crs: {
+      type: String,
+      default: DEFAULT_LAYER_CRS,
+    },
+    sourceCrs: String,
+    featureCount: {
+      type: Number,
+      default: 0,
+    },
+    bbox: {
+      type: [Number], // [minX, minY, maxX, maxY]
+      default: undefined,
+    },
+    // { color, mode, field, categories, breaks, label, ... } การแสดงผลของเลเยอร์ (ดู utils/layerStyle)
+    style: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // สรุปการแก้ไขแต่ละครั้งที่บันทึกจาก session แก้ไขบนแผนที่ (เก่าไปใหม่ เก็บไม่เกิน MAX_EDIT_LOG รายการ)
+    editLog: {
+      type: [
+        {
+          counts: {
+            geometry: Number,
+            attribute: Number,
+            add: Number,
+            delete: Number,
+            split: Number,
+            merge: Number,
+          },
+          summary: String,
+          changedBy: String,
+          changedByName: String,
+          changedAt: Date,
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    storage: {
+      backend: { type: String, required: true }, // 'fs' | 'gridfs'
+      key: { type: String, required: true },
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    updatedBy: String,
+    updatedByName: String,
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.GeoLayer || mongoose.model('GeoLayer', GeoLayerSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { LAND_USE_CHANGE_SOURCE } from '@/utils/landUse';
+
+const AreasType = { type: mongoose.Schema.Types.Mixed, default: {} };
+
+// การใช้ประโยชน์ที่ดินรายแปลง (ข้อมูลสำรวจภาษี) หนึ่งเอกสารต่อหนึ่งรหัสแปลง
+const LandUseAssignmentSchema = new mongoose.Schema(
+  {
+    parcelCode: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // ว่าง = ยกเลิกการกำหนดแล้ว (เก็บเอกสารไว้เพื่อประวัติ)
+    types: {
+      type: [String],
+      default: [],
+    },
+    areas: AreasType, // { [type]: 'ไร่-งาน-วา' }
+    // ตั้งเองแทน timestamps เพื่อให้ข้อมูลที่นำเข้าคงเวลาเดิม และใช้ตรวจการแก้ไขชนกัน
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedBy: String, // Clerk userId
+    updatedByName: String,
+    history: {
+      type: [
+        {
+          oldTypes: { type: [String], default: [] },
+          oldAreas: AreasType,
+          newTypes: { type: [String], default: [] },
+          newAreas: AreasType,
+          source: {
+            type: String,
+            enum: Object.values(LAND_USE_CHANGE_SOURCE),
+            default: LAND_USE_CHANGE_SOURCE.SURVEY,
+          },
+          changedBy: String,
+          changedByName: String,
+          changedAt: { type: Date, default: Date.now },
+          // เวลาที่ผู้สำรวจแก้ไขบนเครื่อง (ต่างจาก changedAt เมื่อซิงก์จากโหมดออฟไลน์)
+          editedAt: Date,
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+  },
+  { minimize: false }
+);
+
+export default mongoose.models.LandUseAssignment || mongoose.model('LandUseAssignment', LandUseAssignmentSchema);
@@ -0,0 +1,49 @@
+//models/PiiAccessLog.js
+import mongoose from 'mongoose';
+
+// บันทึกการเข้าดูข้อมูลส่วนบุคคลของผู้แจ้ง (PDPA) หนึ่งรายการต่อหนึ่งเรื่องร้องเรียน
+const PiiAccessLogSchema = new mongoose.Schema({
+  viewerId: {
+    type: String, // Clerk userId
+    required: true,
+  },
+  viewerName: {
+    type: String,
+    default: null,
+  },
+  viewerRole: {
+    type: String,
+    required: true,
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubmittedReport',
+    required: true,
+  },
+  complaintId: {
+    type: String, // เลขที่เรื่อง เช่น STS-680123
+    default: null,
+  },
+  fields: {
+    type: [String],
+    default: [],
+  },
+  source: {
+    type: String, // endpoint ที่เปิดเผยข้อมูล
+    required: true,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+PiiAccessLogSchema.index({ viewedAt: -1 });
+PiiAccessLogSchema.index({ complaint: 1, viewedAt: -1 });
+PiiAccessLogSchema.index({ viewerId: 1, viewedAt: -1 });
+
+export default mongoose.models.PiiAccessLog || mongoose.model('PiiAccessLog', PiiAccessLogSchema);
@@ -1,10 +1,18 @@
 import mongoose from "mongoose";
 
+// คำสำคัญในรายละเอียดที่ทำให้ระบบแนะนำระดับความเร่งด่วน เช่น "สายไฟขาด" → urgent
+const priorityKeywordSchema = new mongoose.Schema({
+  keyword: { type: String, required: true },
+  priority: { type: String, required: true },
+}, { _id: false });
+
 const problemOptionSchema = new mongoose.Schema({
   label: { type: String, required: true },
   iconUrl: { type: String, default: "" },
   category: { type: String, default: "" },
   active: { type: Boolean, default: true },
+  defaultPriority: { type: String, default: null },
+  priorityKeywords: { type: [priorityKeywordSchema], default: [] },
 }, { timestamps: true });
 
 export default mongoose.models.ProblemOption || mongoose.model("ProblemOption", problemOptionSchema);
\ No newline at end of file
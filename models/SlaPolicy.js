@@ -0,0 +1,44 @@
+//models/SlaPolicy.js
+import mongoose from 'mongoose';
+
+// เป้าหมายเวลาให้บริการ (ชั่วโมงนับจากวันที่แจ้ง) ต่อหมวดหมู่/ความสำคัญ
+// category หรือ priority เป็น null หมายถึงใช้กับทุกหมวดหมู่/ทุกระดับ
+const SlaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String, // MenuMain.Prob_name
+    default: null,
+  },
+  priority: {
+    type: String,
+    default: null,
+  },
+  assignHours: {
+    type: Number,
+    required: true,
+  },
+  firstActionHours: {
+    type: Number,
+    required: true,
+  },
+  resolveHours: {
+    type: Number,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: String, // Clerk userId
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SlaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+export default mongoose.models.SlaPolicy || mongoose.model('SlaPolicy', SlaPolicySchema);
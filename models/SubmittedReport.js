@@ -1,4 +1,31 @@
 import mongoose from 'mongoose';
+import { INITIAL_STATUS } from '@/utils/complaintStatus';
+
+const StatusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: { type: String, required: true },
+  note: { type: String, default: '' },
+  changedBy: String, // Clerk userId
+  changedByName: String,
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// ประชาชนที่แจ้งเรื่องเดียวกันและเลือก "ติดตามเรื่องนี้" แทนการเปิดเรื่องใหม่
+const FollowerSchema = new mongoose.Schema({
+  prefix: String,
+  fullName: String,
+  phone: String,
+  detail: String,
+  images: [String],
+  sourceComplaintId: String, // เลขที่เรื่องเดิมเมื่อมาจากการรวมเรื่อง
+  followedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const SubmittedReportSchema = new mongoose.Schema({
   prefix: String,
@@ -23,8 +50,52 @@ const SubmittedReportSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    default: 'อยู่ระหว่างดำเนินการ',
+    default: INITIAL_STATUS,
+  },
+  statusHistory: {
+    type: [StatusHistorySchema],
+    default: [],
+  },
+  // ความเร่งด่วนที่ผู้ดูแลกำหนดตอนคัดกรอง (null = ยังไม่คัดกรอง)
+  priority: {
+    type: String,
+    default: null,
+  },
+  // สำหรับเรียงลำดับ: urgent 4 ... low 1, ยังไม่คัดกรอง 0
+  priorityRank: {
+    type: Number,
+    default: 0,
+  },
+  // คำแนะนำจากคำสำคัญของ ProblemOption ตอนรับเรื่อง
+  suggestedPriority: {
+    type: String,
+    default: null,
+  },
+  suggestedPriorityReasons: {
+    type: [String],
+    default: [],
+  },
+  followers: {
+    type: [FollowerSchema],
+    default: [],
+  },
+  followerCount: {
+    type: Number,
+    default: 0,
+  },
+  // เรื่องซ้ำที่ถูกรวมแล้วชี้ไปยังเรื่องหลัก
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  mergedIntoComplaintId: String,
+  duplicates: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
   },
+  triagedAt: Date,
+  triagedBy: String, // Clerk userId
+  triagedByName: String,
   officer: {
     type: String,
     default: 'on',
@@ -0,0 +1,30 @@
+//models/TaxAppraisal.js
+import mongoose from 'mongoose';
+
+// แหล่งราคาประเมินที่ดิน (บาท/ตร.วา) สำหรับคำนวณภาษี มีเอกสารเดียว
+// ลำดับ: field ในชั้นข้อมูลแปลง → ราคาตาม block_id → ราคากลาง
+const TaxAppraisalSchema = new mongoose.Schema(
+  {
+    priceField: {
+      type: String,
+      default: 'price_wah',
+    },
+    blockPrices: {
+      type: mongoose.Schema.Types.Mixed, // { [block_id]: บาท/ตร.วา }
+      default: {},
+    },
+    defaultPricePerWah: {
+      type: Number,
+      default: 0,
+    },
+    updatedBy: String, // Clerk userId
+    updatedByName: String,
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { minimize: false }
+);
+
+export default mongoose.models.TaxAppraisal || mongoose.model('TaxAppraisal', TaxAppraisalSchema);
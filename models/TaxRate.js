@@ -0,0 +1,30 @@
+//models/TaxRate.js
+import mongoose from 'mongoose';
+
+// อัตราภาษีที่ดินแบบขั้นบันไดต่อประเภทการใช้ที่ดิน (คีย์ของ LAND_USE_TYPES)
+// ประเภทที่ไม่มีเอกสารใช้ DEFAULT_TAX_RATES ใน utils/tax.js
+const TaxRateSchema = new mongoose.Schema({
+  landUse: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  brackets: {
+    type: [
+      {
+        _id: false,
+        upTo: { type: Number, default: null }, // บาท, null = ไม่มีเพดาน
+        rate: { type: Number, required: true }, // ร้อยละต่อปี
+      },
+    ],
+    default: [],
+  },
+  updatedBy: String, // Clerk userId
+  updatedByName: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.models.TaxRate || mongoose.model('TaxRate', TaxRateSchema);
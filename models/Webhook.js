@@ -0,0 +1,43 @@
+//models/Webhook.js
+import mongoose from 'mongoose';
+
+const WebhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  // ใช้ลงลายมือชื่อ HMAC ไม่ส่งกลับในรายการ (select: false)
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  events: {
+    type: [String],
+    default: [],
+  },
+  // ส่งชื่อ/เบอร์โทรผู้แจ้งไปด้วย (ต้องเปิดเองตาม PDPA)
+  includePii: {
+    type: Boolean,
+    default: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: String, // Clerk userId
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.models.Webhook || mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,60 @@
+//models/WebhookDelivery.js
+import mongoose from 'mongoose';
+import { WEBHOOK_DELIVERY_STATUS } from '@/utils/webhookEvents';
+
+const DeliveryAttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  statusCode: Number,
+  responseBody: String, // ตัดเหลือไม่เกิน 2KB
+  error: String,
+  durationMs: Number,
+});
+
+// คิวการส่ง webhook หนึ่งรายการต่อหนึ่ง webhook ต่อหนึ่งเหตุการณ์
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+    default: WEBHOOK_DELIVERY_STATUS.PENDING,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date,
+  lastError: String,
+  attemptLog: {
+    type: [DeliveryAttemptSchema],
+    default: [],
+  },
+  deliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export default mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -10,7 +10,7 @@ function AppContent({ Component, pageProps }: AppProps) {
   const { userId, isLoaded } = useAuth();
   const router = useRouter();
 
-  const isProtected = ["/admin"].some((path) =>
+  const isProtected = ["/admin", "/officer"].some((path) =>
     router.pathname.startsWith(path)
   );
 
@@ -32,6 +32,14 @@ function AppContent({ Component, pageProps }: AppProps) {
 }
 
 export default function App(props: AppProps) {
+  // service worker: แคชหน้าแอปและส่งเรื่องที่ค้างขณะออฟไลน์ (ปิดใน dev เพื่อไม่ให้แคชทับ hot reload)
+  useEffect(() => {
+    if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+    navigator.serviceWorker
+      .register("/sw.js")
+      .catch((err) => console.error("Service worker registration failed:", err));
+  }, []);
+
   return (
     <ClerkProvider {...props.pageProps}>
       <AppContent {...props} />
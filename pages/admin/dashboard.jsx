@@ -14,6 +14,9 @@ import {
 } from '@heroicons/react/24/outline';
 import { createProblemAreaPolygons, createRectanglePolygon, createCommunityPolygon } from '@/utils/polygonUtils';
 import { loadGeoJSONFromFile, createCommunityPolygonsFromGeoJSON, createProblemAreaPolygonsFromGeoJSON } from '@/utils/geojsonUtils';
+import { COMPLAINT_STATUS, DONE_STATUSES, OPEN_STATUSES, isDoneStatus, isValidStatus } from '@/utils/complaintStatus';
+import { buildComplaintQueryString } from '@/stores/useComplaintStore';
+import { formatSlaHours } from '@/utils/sla';
 
 // Dynamic import for map component to avoid SSR issues
 const MapWithNoSSR = dynamic(() => import('@/components/AdminDashboardMap'), {
@@ -35,6 +38,7 @@ export default function AdminDashboard() {
     byCommunity: {}
   });
   const [complaints, setComplaints] = useState([]);
+  const [recentComplaints, setRecentComplaints] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedCategory, setSelectedCategory] = useState("ทั้งหมด");
   const [selectedStatus, setSelectedStatus] = useState("ทั้งหมด");
@@ -78,6 +82,12 @@ export default function AdminDashboard() {
     }
   }, [userId, dateRange]);
 
+  useEffect(() => {
+    if (userId) {
+      fetchFilteredComplaints();
+    }
+  }, [userId, dateRange, selectedCategory, selectedStatus]);
+
   // สร้าง polygons เมื่อ GeoJSON และ complaints พร้อม
   useEffect(() => {
     if (!geojsonLoading && geojsonData && complaints.length > 0) {
@@ -115,35 +125,44 @@ export default function AdminDashboard() {
     }
   };
 
+  // ช่วงวันที่ → ?from= สำหรับ /api/complaints
+  const getFromDate = (range) => {
+    const days = { "7d": 7, "30d": 30, "90d": 90 }[range];
+    if (!days) return undefined;
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  };
+
+  const getStatusParam = (status) => {
+    if (status === "in_progress") return OPEN_STATUSES.join(",");
+    if (status === "completed") return DONE_STATUSES.join(",");
+    return undefined;
+  };
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      
-      // Fetch complaints with role=admin to get all data
-      const complaintsRes = await fetch(`/api/complaints?role=admin`);
-      const complaintsData = await complaintsRes.json();
-      
-      // Fetch satisfaction data
-      const satisfactionRes = await fetch('/api/satisfaction/stats');
+      const from = getFromDate(dateRange);
+
+      // Counts only (facets by status/category/community) - no reporter PII needed
+      const statsQuery = buildComplaintQueryString({ from, limit: 1, facets: true });
+      // เรื่องที่ยังไม่เสร็จและเกินเป้าหมาย SLA (คำนวณฝั่งเซิร์ฟเวอร์)
+      const overdueQuery = buildComplaintQueryString({
+        from,
+        status: OPEN_STATUSES.join(","),
+        sla: "overdue",
+        limit: 1,
+      });
+
+      const [statsRes, overdueRes, satisfactionRes] = await Promise.all([
+        fetch(`/api/complaints?${statsQuery}`),
+        fetch(`/api/complaints?${overdueQuery}`),
+        fetch('/api/satisfaction/stats'),
+      ]);
+      const statsData = await statsRes.json();
+      const overdueData = await overdueRes.json();
       const satisfactionData = await satisfactionRes.json();
-      
-      // Process data based on date range
-      const filteredComplaints = filterComplaintsByDateRange(complaintsData, dateRange);
-      
-      // Filter complaints with valid location data for map
-      const complaintsWithLocation = filteredComplaints.filter(complaint => 
-        complaint.location && 
-        typeof complaint.location.lat === 'number' && 
-        typeof complaint.location.lng === 'number' &&
-        !isNaN(complaint.location.lat) && 
-        !isNaN(complaint.location.lng)
-      );
-      
-      // Calculate statistics
-      const calculatedStats = calculateStats(filteredComplaints, satisfactionData);
-      
-      setComplaints(filteredComplaints);
-      setStats(calculatedStats);
+
+      setStats(calculateStats(statsData, overdueData.total || 0, satisfactionData));
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -151,103 +170,59 @@ export default function AdminDashboard() {
     }
   };
 
-  const filterComplaintsByDateRange = (complaints, range) => {
-    const now = new Date();
-    const filtered = complaints.filter(complaint => {
-      const complaintDate = new Date(complaint.timestamp || complaint.createdAt);
-      
-      switch (range) {
-        case "7d":
-          return (now - complaintDate) <= 7 * 24 * 60 * 60 * 1000;
-        case "30d":
-          return (now - complaintDate) <= 30 * 24 * 60 * 60 * 1000;
-        case "90d":
-          return (now - complaintDate) <= 90 * 24 * 60 * 60 * 1000;
-        case "all":
-        default:
-          return true;
-      }
-    });
-    
-    return filtered;
+  // Complaints for the map and the recent table follow the category/status filters.
+  // Only the recent table shows the reporter, so only it asks for (and audits) PII.
+  const fetchFilteredComplaints = async () => {
+    try {
+      const filters = {
+        from: getFromDate(dateRange),
+        category: selectedCategory === "ทั้งหมด" ? undefined : selectedCategory,
+        status: getStatusParam(selectedStatus),
+      };
+
+      const [mapRes, recentRes] = await Promise.all([
+        fetch(`/api/complaints?${buildComplaintQueryString({ ...filters, sort: "createdAt" })}`),
+        fetch(`/api/complaints?${buildComplaintQueryString({ ...filters, role: "admin", sort: "createdAt", order: "desc", limit: 10 })}`),
+      ]);
+      const mapData = await mapRes.json();
+      const recentData = await recentRes.json();
+
+      setComplaints(Array.isArray(mapData) ? mapData : []);
+      setRecentComplaints(recentData.data || []);
+    } catch (error) {
+      console.error('Error fetching complaints:', error);
+    }
   };
 
-  const calculateStats = (complaints, satisfactionData) => {
-    const stats = {
-      total: complaints.length,
-      inProgress: 0,
-      completed: 0,
-      overdue: 0,
+  const calculateStats = (statsData, overdue, satisfactionData) => {
+    const facets = statsData.facets || { status: {}, category: {}, community: {} };
+    const completed = DONE_STATUSES.reduce((sum, s) => sum + (facets.status[s] || 0), 0);
+
+    return {
+      total: statsData.total || 0,
+      // anything not resolved/closed counts as in progress
+      inProgress: (statsData.total || 0) - completed,
+      completed,
+      overdue,
       satisfaction: satisfactionData.averageRating || 0,
-      byCategory: {},
-      byCommunity: {}
+      byCategory: facets.category,
+      byCommunity: facets.community
     };
-
-    complaints.forEach(complaint => {
-      // Count by status
-      switch (complaint.status) {
-        case 'in_progress':
-        case 'อยู่ระหว่างดำเนินการ':
-          stats.inProgress++;
-          break;
-        case 'completed':
-        case 'ดำเนินการเสร็จสิ้น':
-          stats.completed++;
-          break;
-        default:
-          stats.inProgress++; // Default to in progress
-      }
-
-      // Check for overdue complaints (more than 7 days old)
-      const complaintDate = new Date(complaint.timestamp || complaint.createdAt);
-      const daysSince = (new Date() - complaintDate) / (1000 * 60 * 60 * 24);
-      if (daysSince > 7 && complaint.status !== 'completed' && complaint.status !== 'ดำเนินการเสร็จสิ้น') {
-        stats.overdue++;
-      }
-
-      // Count by category
-      const category = complaint.category || 'ไม่ระบุ';
-      stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
-
-      // Count by community
-      const community = complaint.community || 'ไม่ระบุ';
-      stats.byCommunity[community] = (stats.byCommunity[community] || 0) + 1;
-    });
-
-    return stats;
   };
 
   const getStatusColor = (status) => {
-    switch (status) {
-      case 'in_progress':
-      case 'อยู่ระหว่างดำเนินการ':
-        return 'bg-blue-100 text-blue-800';
-      case 'completed':
-      case 'ดำเนินการเสร็จสิ้น':
-        return 'bg-green-100 text-green-800';
-      default: return 'bg-blue-100 text-blue-800'; // Default to in progress
-    }
+    if (status === 'completed' || isDoneStatus(status)) return 'bg-green-100 text-green-800';
+    return 'bg-blue-100 text-blue-800'; // Default to in progress
   };
 
   const getStatusText = (status) => {
-    switch (status) {
-      case 'in_progress':
-      case 'อยู่ระหว่างดำเนินการ':
-        return 'อยู่ระหว่างดำเนินการ';
-      case 'completed':
-      case 'ดำเนินการเสร็จสิ้น':
-        return 'ดำเนินการเสร็จสิ้น';
-      default: return 'อยู่ระหว่างดำเนินการ'; // Default to in progress
-    }
+    if (status === 'completed') return COMPLAINT_STATUS.RESOLVED;
+    if (status === 'in_progress' || !isValidStatus(status)) return COMPLAINT_STATUS.IN_PROGRESS;
+    return status;
   };
 
-  const filteredComplaints = complaints.filter(complaint => {
-    const categoryMatch = selectedCategory === "ทั้งหมด" || complaint.category === selectedCategory;
-    const statusMatch = selectedStatus === "ทั้งหมด" || 
-      (selectedStatus === "in_progress" && (complaint.status === "in_progress" || complaint.status === "อยู่ระหว่างดำเนินการ")) ||
-      (selectedStatus === "completed" && (complaint.status === "completed" || complaint.status === "ดำเนินการเสร็จสิ้น"));
-    return categoryMatch && statusMatch;
-  });
+  // complaints are already filtered by category/status on the server
+  const filteredComplaints = complaints;
 
   if (!isLoaded || !userId) {
     return <div className="text-center p-8">กำลังโหลด...</div>;
@@ -350,7 +325,7 @@ export default function AdminDashboard() {
               <ExclamationTriangleIcon className="h-6 w-6 text-red-600" />
             </div>
             <div className="ml-4">
-              <p className="text-sm font-medium text-gray-600">เกินกำหนด</p>
+              <p className="text-sm font-medium text-gray-600">เกินกำหนด SLA</p>
               <p className="text-2xl font-bold text-gray-900">{stats.overdue}</p>
             </div>
           </div>
@@ -518,7 +493,7 @@ export default function AdminDashboard() {
           <h3 className="text-lg font-semibold">รายการปัญหาล่าสุด</h3>
         </div>
         <div className="overflow-x-auto">
-          {filteredComplaints.length === 0 ? (
+          {recentComplaints.length === 0 ? (
             <div className="p-8 text-center">
               <p className="text-gray-500">ไม่มีข้อมูลในกรอบเวลาที่เลือก</p>
             </div>
@@ -544,7 +519,7 @@ export default function AdminDashboard() {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {filteredComplaints.slice(0, 10).map((complaint) => (
+                {recentComplaints.map((complaint) => (
                   <tr key={complaint._id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-medium text-gray-900">
@@ -573,6 +548,11 @@ export default function AdminDashboard() {
                       <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(complaint.status)}`}>
                         {getStatusText(complaint.status)}
                       </span>
+                      {complaint.sla?.overdue && (
+                        <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                          เกิน SLA {formatSlaHours(complaint.sla.overdueHours)}
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {new Date(complaint.timestamp || complaint.createdAt).toLocaleDateString('th-TH')}
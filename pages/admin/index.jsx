@@ -5,6 +5,7 @@ import { useRouter } from "next/router";
 import { useMenuStore } from "@/stores/useMenuStore";
 import { useProblemOptionStore } from "@/stores/useProblemOptionStore";
 import { useAdminOptionsStore } from "@/stores/useAdminOptionsStore";
+import { PRIORITY, PRIORITY_ORDER, getPriorityMeta } from "@/utils/complaintPriority";
 
 export default function AdminPage() {
   const { userId, isLoaded } = useAuth();
@@ -23,6 +24,11 @@ export default function AdminPage() {
   const [label, setLabel] = useState("");
   const [iconUrl, setIconUrl] = useState("");
   const [category, setCategory] = useState("");
+  // กฎแนะนำความเร่งด่วน (เฉพาะรายการแจ้งปัญหา)
+  const [defaultPriority, setDefaultPriority] = useState("");
+  const [priorityKeywords, setPriorityKeywords] = useState([]);
+  const [newKeyword, setNewKeyword] = useState("");
+  const [newKeywordPriority, setNewKeywordPriority] = useState(PRIORITY.URGENT);
   const [filterCategory, setFilterCategory] = useState("ทั้งหมด");
   const isAdminTab = activeTab === "admin";
   const [isEditing, setIsEditing] = useState(false);
@@ -48,6 +54,9 @@ export default function AdminPage() {
     setLabel("");
     setIconUrl("");
     setCategory("");
+    setDefaultPriority("");
+    setPriorityKeywords([]);
+    setNewKeyword("");
     setIsEditing(false);
     setEditingId(null);
   };
@@ -64,10 +73,31 @@ export default function AdminPage() {
     setIconUrl(isAdminTab ? item.icon_url : item.iconUrl);
     // สำหรับ admin options ใช้ menu_category, สำหรับ problem options ใช้ category
     setCategory(isAdminTab ? item.menu_category : item.category);
+    if (!isAdminTab) {
+      setDefaultPriority(item.defaultPriority || "");
+      setPriorityKeywords(item.priorityKeywords || []);
+    }
     setIsEditing(true);
     setEditingId(item._id); // เก็บ ID ของรายการที่กำลังแก้ไข
   };
 
+  const handleAddKeyword = () => {
+    const keyword = newKeyword.trim();
+    if (!keyword || priorityKeywords.some((k) => k.keyword === keyword)) return;
+    setPriorityKeywords([...priorityKeywords, { keyword, priority: newKeywordPriority }]);
+    setNewKeyword("");
+  };
+
+  // บันทึกกฎความเร่งด่วนผ่าน API ภายใน (backend กลางไม่รู้จัก field เหล่านี้)
+  const savePriorityRules = async (id) => {
+    const res = await fetch(`/api/problemoptions/${id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ defaultPriority: defaultPriority || null, priorityKeywords }),
+    });
+    if (!res.ok) throw new Error("Failed to save priority rules");
+  };
+
   const handleDelete = async (id) => {
     if (!confirm("คุณแน่ใจหรือว่าต้องการลบรายการนี้?")) return;
 
@@ -125,6 +155,12 @@ export default function AdminPage() {
         throw new Error("Failed to submit");
       }
 
+      if (!isAdminTab) {
+        const saved = await res.json().catch(() => null);
+        const id = editingId || saved?._id || saved?.data?._id;
+        if (id) await savePriorityRules(id);
+      }
+
       alert(isEditing ? "✅ อัปเดตข้อมูลสำเร็จ" : "✅ บันทึกข้อมูลสำเร็จ");
       resetForm(); // ใช้ resetForm แทนการ reset แยก
 
@@ -248,6 +284,68 @@ export default function AdminPage() {
               </div>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium mb-2">ความเร่งด่วนเริ่มต้น (แนะนำตอนคัดกรอง)</label>
+              <select
+                value={defaultPriority}
+                onChange={(e) => setDefaultPriority(e.target.value)}
+                className="select select-bordered select-primary w-full"
+              >
+                <option value="">ไม่กำหนด</option>
+                {PRIORITY_ORDER.map((priority) => (
+                  <option key={priority} value={priority}>{getPriorityMeta(priority).text}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                คำสำคัญในรายละเอียด (พบคำนี้จะแนะนำระดับที่เลือก)
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newKeyword}
+                  onChange={(e) => setNewKeyword(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") {
+                      e.preventDefault();
+                      handleAddKeyword();
+                    }
+                  }}
+                  className="input input-bordered flex-1"
+                  placeholder="เช่น สายไฟขาด"
+                />
+                <select
+                  value={newKeywordPriority}
+                  onChange={(e) => setNewKeywordPriority(e.target.value)}
+                  className="select select-bordered"
+                >
+                  {PRIORITY_ORDER.map((priority) => (
+                    <option key={priority} value={priority}>{getPriorityMeta(priority).text}</option>
+                  ))}
+                </select>
+                <button type="button" className="btn btn-outline" onClick={handleAddKeyword}>
+                  เพิ่ม
+                </button>
+              </div>
+              {priorityKeywords.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {priorityKeywords.map((rule) => (
+                    <span key={rule.keyword} className={`badge gap-1 ${getPriorityMeta(rule.priority).badge}`}>
+                      {rule.keyword} → {getPriorityMeta(rule.priority).text}
+                      <button
+                        type="button"
+                        onClick={() => setPriorityKeywords(priorityKeywords.filter((k) => k.keyword !== rule.keyword))}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
             <div className="flex justify-end">
               <button
                 type="button"
@@ -323,6 +421,7 @@ export default function AdminPage() {
                   <th className="text-center">Label</th>
                   <th className="text-center">Icon</th>
                   <th className="text-center w-40">Category</th>
+                  <th className="text-center">ความเร่งด่วน</th>
                   <th className="text-center">Active</th>
                   <th className="text-center">Actions</th>
                 </tr>
@@ -342,6 +441,16 @@ export default function AdminPage() {
                         <img src={item.iconUrl} alt="icon" className="h-8 w-8" />
                       </td>
                       <td className="w-40">{item.category}</td>
+                      <td className="text-center text-xs">
+                        {item.defaultPriority && (
+                          <span className={`badge badge-sm ${getPriorityMeta(item.defaultPriority).badge}`}>
+                            {getPriorityMeta(item.defaultPriority).text}
+                          </span>
+                        )}
+                        {item.priorityKeywords?.length > 0 && (
+                          <div className="text-gray-500">{item.priorityKeywords.length} คำสำคัญ</div>
+                        )}
+                      </td>
                       <td className="text-center align-middle">{item.active ? "✅" : "❌"}</td>
                       <td className="space-x-2">
                         <div className="flex gap-2">
@@ -1,8 +1,9 @@
 import dynamic from "next/dynamic";
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import { useUser } from "@clerk/nextjs";
 import { useAuth } from "@clerk/nextjs";
 import Head from "next/head";
+import Link from "next/link";
 import useComplaintStore from "@/stores/useComplaintStore";
 import { useMenuStore } from "@/stores/useMenuStore";
 import UpdateAssignmentModal from "@/components/UpdateAssignmentModal";
@@ -11,13 +12,26 @@ import ComplaintStats from "@/components/ComplaintStats";
 import OverdueComplaintsAlert from "@/components/OverdueComplaintsAlert";
 import ComplaintDetailModal from "@/components/ComplaintDetailModal";
 import ExportComplaints from "@/components/ExportComplaints";
+import MergeComplaintModal from "@/components/MergeComplaintModal";
+import AssignOfficersModal from "@/components/AssignOfficersModal";
+import OfficerWorkload from "@/components/OfficerWorkload";
+import {
+  COMPLAINT_STATUS,
+  getNextStatuses,
+  getStatusMeta,
+  isDoneStatus,
+  normalizeStatus,
+  OPEN_STATUSES,
+} from "@/utils/complaintStatus";
+import { PRIORITY_ORDER, getPriorityMeta } from "@/utils/complaintPriority";
+import { getAssignmentRoleMeta, getComplaintAssignments, getLeadAssignment } from "@/utils/assignmentRoles";
 
 const LocationPickerModal = dynamic(() => import("@/components/LocationPickerModal"), {
   ssr: false,
 });
 
 export default function ManageComplaintsPage() {
-  const { complaints, fetchComplaints } = useComplaintStore();
+  const { complaints, total, totalPages, facets, fetchComplaintsPage } = useComplaintStore();
   const { menu, fetchMenu } = useMenuStore();
   const { user } = useUser();
   const { getToken, userId } = useAuth();
@@ -34,15 +48,54 @@ export default function ManageComplaintsPage() {
   
   // New state for enhanced filtering and search
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [statusFilter, setStatusFilter] = useState("all");
   const [categoryFilter, setCategoryFilter] = useState("all");
+  const [priorityFilter, setPriorityFilter] = useState("all");
   const [sortBy, setSortBy] = useState("updatedAt");
   const [sortOrder, setSortOrder] = useState("desc");
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(10);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [complaintToDelete, setComplaintToDelete] = useState(null);
+  const [complaintToMerge, setComplaintToMerge] = useState(null);
+  const [complaintToAssign, setComplaintToAssign] = useState(null);
+  const [officers, setOfficers] = useState([]);
+  const [officersLoading, setOfficersLoading] = useState(false);
+  const [showWorkload, setShowWorkload] = useState(false);
   const [showExportOptions, setShowExportOptions] = useState(false);
+  const [openComplaints, setOpenComplaints] = useState([]);
+
+  // ค้นหา กรอง เรียงลำดับ และแบ่งหน้าที่ฝั่งเซิร์ฟเวอร์
+  const fetchComplaints = useCallback(() => {
+    return fetchComplaintsPage({
+      page: currentPage,
+      limit: itemsPerPage,
+      q: debouncedSearch,
+      status: statusFilter,
+      category: categoryFilter,
+      priority: priorityFilter,
+      sort: sortBy,
+      order: sortOrder,
+      facets: true,
+    });
+  }, [fetchComplaintsPage, currentPage, itemsPerPage, debouncedSearch, statusFilter, categoryFilter, priorityFilter, sortBy, sortOrder]);
+
+  // เรื่องที่ยังไม่เสร็จและเกินกำหนด SLA สำหรับแจ้งเตือนเรื่องค้าง
+  const fetchOpenComplaints = async () => {
+    try {
+      const res = await fetch(`/api/complaints?status=${encodeURIComponent(OPEN_STATUSES.join(","))}&sla=overdue`);
+      const data = await res.json();
+      if (res.ok && Array.isArray(data)) setOpenComplaints(data);
+    } catch (error) {
+      console.error("Error fetching open complaints:", error);
+    }
+  };
+
+  const refreshComplaints = () => {
+    fetchComplaints();
+    fetchOpenComplaints();
+  };
 
   const fetchAssignments = async () => {
     try {
@@ -71,11 +124,40 @@ export default function ManageComplaintsPage() {
     }
   };
 
+  // เจ้าหน้าที่พร้อมจำนวนงานค้าง/เวลาปิดงานเฉลี่ย สำหรับกระจายงาน
+  const fetchOfficers = async () => {
+    setOfficersLoading(true);
+    try {
+      const res = await fetch("/api/users/get-all-users-local?workload=1");
+      const data = await res.json();
+      if (res.ok && data.success) setOfficers(data.users);
+    } catch (error) {
+      console.error("Error fetching officer workload:", error);
+    } finally {
+      setOfficersLoading(false);
+    }
+  };
+
   useEffect(() => {
-    fetchComplaints();
     fetchMenu();
     fetchAssignments();
-  }, [fetchComplaints, fetchMenu]);
+    fetchOpenComplaints();
+    fetchOfficers();
+  }, [fetchMenu]);
+
+  useEffect(() => {
+    fetchComplaints();
+  }, [fetchComplaints]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const term = searchTerm.trim();
+      if (term === debouncedSearch) return;
+      setDebouncedSearch(term);
+      setCurrentPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchTerm, debouncedSearch]);
 
   useEffect(() => {
     const checkUser = async () => {
@@ -101,48 +183,11 @@ export default function ManageComplaintsPage() {
     checkUser();
   }, [userId, getToken]);
 
-  // Enhanced filtering and search logic
-  const filteredComplaints = complaints
-    .filter((complaint) => {
-      const matchesSearch = complaint.detail?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           complaint.category?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           complaint.fullName?.toLowerCase().includes(searchTerm.toLowerCase());
-      
-      const matchesStatus = statusFilter === "all" || complaint.status === statusFilter;
-      const matchesCategory = categoryFilter === "all" || complaint.category === categoryFilter;
-      
-      return matchesSearch && matchesStatus && matchesCategory;
-    })
-    .sort((a, b) => {
-      let comparison = 0;
-      switch (sortBy) {
-        case "updatedAt":
-          comparison = new Date(b.updatedAt) - new Date(a.updatedAt);
-          break;
-        case "createdAt":
-          comparison = new Date(b.createdAt) - new Date(a.createdAt);
-          break;
-        case "category":
-          comparison = (a.category || "").localeCompare(b.category || "");
-          break;
-        case "status":
-          comparison = (a.status || "").localeCompare(b.status || "");
-          break;
-        default:
-          comparison = 0;
-      }
-      return sortOrder === "desc" ? comparison : -comparison;
-    });
+  const statusCounts = facets?.status || {};
+  const allCount = Object.values(statusCounts).reduce((sum, n) => sum + n, 0);
 
-  // Pagination
-  const totalPages = Math.ceil(filteredComplaints.length / itemsPerPage);
-  const paginatedComplaints = filteredComplaints.slice(
-    (currentPage - 1) * itemsPerPage,
-    currentPage * itemsPerPage
-  );
-
-  // Get unique categories for filter
-  const uniqueCategories = [...new Set(complaints.map(c => c.category))].filter(Boolean);
+  // Categories for filter (facet counts ignore the category filter itself)
+  const uniqueCategories = Object.keys(facets?.category || {}).filter((c) => c !== "ไม่ระบุ");
 
   const handleAssign = async (complaintId) => {
     try {
@@ -155,36 +200,60 @@ export default function ManageComplaintsPage() {
         }),
       });
 
-      if (!res.ok) throw new Error("Failed to assign complaint");
       const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to assign complaint");
       console.log("Assignment created:", result);
       setAssignmentCreated(true);
       alert("รับงานสำเร็จ");
       fetchAssignments();
+      fetchOfficers();
     } catch (error) {
       console.error("❌ Error assigning complaint:", error);
-      alert("เกิดข้อผิดพลาดในการรับงาน");
+      alert(error.message || "เกิดข้อผิดพลาดในการรับงาน");
     }
   };
 
-  const handleCloseComplaint = async (complaintId) => {
-    const assignment = assignments.find((a) => a.complaintId === complaintId);
-    if (!assignment?.completedAt) {
-      alert("ไม่สามารถปิดเรื่องได้: กรุณาระบุวันที่ดำเนินการเสร็จสิ้นในแบบฟอร์มอัปเดต");
-      return;
+  const handleChangeStatus = async (complaintId, status, note = "") => {
+    if (status === COMPLAINT_STATUS.RESOLVED) {
+      const assignment = getLeadAssignment(assignments, complaintId);
+      if (!assignment?.completedAt) {
+        alert("ไม่สามารถปิดงานได้: กรุณาระบุวันที่ดำเนินการเสร็จสิ้นในแบบฟอร์มอัปเดต");
+        return null;
+      }
     }
     try {
       const res = await fetch(`/api/submittedreports/update-status`, {
         method: "PUT",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ complaintId, status: "ดำเนินการเสร็จสิ้น" }),
+        body: JSON.stringify({ complaintId, status, note }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to update status");
+      alert(`เปลี่ยนสถานะเป็น "${getStatusMeta(status).text}" เรียบร้อยแล้ว`);
+      refreshComplaints();
+      return data;
+    } catch (error) {
+      console.error("❌ Error updating status:", error);
+      alert(error.message || "เกิดข้อผิดพลาดในการเปลี่ยนสถานะ");
+      return null;
+    }
+  };
+
+  const handleSetPriority = async (complaintId, priority) => {
+    try {
+      const res = await fetch("/api/submittedreports/priority", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ complaintId, priority }),
       });
-      if (!res.ok) throw new Error("Failed to close complaint");
-      alert("ปิดเรื่องเรียบร้อยแล้ว");
-      fetchComplaints();
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to update priority");
+      refreshComplaints();
+      return data;
     } catch (error) {
-      console.error("❌ Error closing complaint:", error);
-      alert("เกิดข้อผิดพลาดในการปิดเรื่อง");
+      console.error("❌ Error updating priority:", error);
+      alert(error.message || "เกิดข้อผิดพลาดในการกำหนดความเร่งด่วน");
+      return null;
     }
   };
 
@@ -214,7 +283,7 @@ export default function ManageComplaintsPage() {
       }
       
       alert("ลบเรื่องสำเร็จ");
-      fetchComplaints();
+      refreshComplaints();
       setShowDeleteConfirm(false);
       setComplaintToDelete(null);
     } catch (err) {
@@ -229,21 +298,14 @@ export default function ManageComplaintsPage() {
   };
 
   const handleOpenUpdateFromDetail = (assignment) => {
-    const complaint = complaints.find((c) => c._id === assignment.complaintId);
-    const assignmentWithCategory = { ...assignment, category: complaint?.category };
+    const assignmentWithCategory = { ...assignment, category: selectedComplaint?.category };
     setSelectedAssignment(assignmentWithCategory);
     setShowUpdateModal(true);
   };
 
   const getStatusBadge = (status) => {
-    const statusConfig = {
-      "อยู่ระหว่างดำเนินการ": { color: "badge-warning", text: "กำลังดำเนินการ" },
-      "ดำเนินการเสร็จสิ้น": { color: "badge-success", text: "เสร็จสิ้น" },
-      "รอการมอบหมาย": { color: "badge-info", text: "รอการมอบหมาย" }
-    };
-    
-    const config = statusConfig[status] || { color: "badge-neutral", text: status };
-    return <span className={`badge ${config.color}`}>{config.text}</span>;
+    const meta = getStatusMeta(status);
+    return <span className={`badge ${meta.badge}`}>{meta.text}</span>;
   };
 
   const getDaysSinceUpdate = (updatedAt) => {
@@ -263,22 +325,25 @@ export default function ManageComplaintsPage() {
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-3xl font-bold text-gray-800">จัดการเรื่องร้องเรียน</h1>
           <div className="text-sm text-gray-600">
-            รวม {complaints.length} เรื่อง • 
+            <Link href="/admin/triage" className="btn btn-sm btn-outline btn-primary mr-3">
+              🚦 คิวคัดกรอง
+            </Link>
+            รวม {allCount} เรื่อง • 
             <span className="text-blue-600 ml-1">
-              {complaints.filter(c => c.status === "อยู่ระหว่างดำเนินการ").length} กำลังดำเนินการ
+              {statusCounts[COMPLAINT_STATUS.IN_PROGRESS] || 0} กำลังดำเนินการ
             </span>
           </div>
         </div>
 
         {/* Statistics Dashboard */}
-        <ComplaintStats complaints={complaints} assignments={assignments} />
+        <ComplaintStats statusCounts={statusCounts} />
 
         {/* Overdue Complaints Alert and Export Section - Side by side on wide screens */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
           {/* Overdue Complaints Alert */}
           <div>
             <OverdueComplaintsAlert 
-              complaints={complaints} 
+              complaints={openComplaints} 
               assignments={assignments} 
               onComplaintClick={handleOverdueComplaintClick}
             />
@@ -296,20 +361,34 @@ export default function ManageComplaintsPage() {
             </div>
             
             {showExportOptions && (
-              <ExportComplaints complaints={complaints} assignments={assignments} />
+              <ExportComplaints statusCounts={statusCounts} assignments={assignments} />
+            )}
+
+            <div className="flex justify-end mt-4 mb-2">
+              <button
+                onClick={() => setShowWorkload(!showWorkload)}
+                className="btn btn-sm btn-outline btn-ghost"
+              >
+                {showWorkload ? 'ซ่อน' : 'แสดง'} ภาระงานเจ้าหน้าที่
+              </button>
+            </div>
+            {showWorkload && (
+              <div className="bg-white rounded-lg shadow-sm border p-2">
+                <OfficerWorkload users={officers} loading={officersLoading} />
+              </div>
             )}
           </div>
         </div>
 
         {/* Enhanced Filter and Search Section */}
         <div className="bg-white rounded-lg shadow-sm border p-4 mb-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
             {/* Search */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">ค้นหา</label>
               <input
                 type="text"
-                placeholder="ค้นหาจากหัวข้อ, หมวดหมู่, ชื่อผู้แจ้ง..."
+                placeholder="ค้นหาจากรายละเอียด, ปัญหา, เลขที่เรื่อง..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="input input-bordered w-full"
@@ -321,13 +400,16 @@ export default function ManageComplaintsPage() {
               <label className="block text-sm font-medium text-gray-700 mb-2">สถานะ</label>
               <select
                 value={statusFilter}
-                onChange={(e) => setStatusFilter(e.target.value)}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
                 className="select select-bordered w-full"
               >
                 <option value="all">ทั้งหมด</option>
-                <option value="รอการมอบหมาย">รอการมอบหมาย</option>
-                <option value="อยู่ระหว่างดำเนินการ">กำลังดำเนินการ</option>
-                <option value="ดำเนินการเสร็จสิ้น">เสร็จสิ้น</option>
+                {Object.values(COMPLAINT_STATUS).map((status) => (
+                  <option key={status} value={status}>{getStatusMeta(status).text}</option>
+                ))}
               </select>
             </div>
 
@@ -336,7 +418,10 @@ export default function ManageComplaintsPage() {
               <label className="block text-sm font-medium text-gray-700 mb-2">หมวดหมู่</label>
               <select
                 value={categoryFilter}
-                onChange={(e) => setCategoryFilter(e.target.value)}
+                onChange={(e) => {
+                  setCategoryFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
                 className="select select-bordered w-full"
               >
                 <option value="all">ทั้งหมด</option>
@@ -346,6 +431,25 @@ export default function ManageComplaintsPage() {
               </select>
             </div>
 
+            {/* Priority Filter */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">ความเร่งด่วน</label>
+              <select
+                value={priorityFilter}
+                onChange={(e) => {
+                  setPriorityFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="select select-bordered w-full"
+              >
+                <option value="all">ทั้งหมด</option>
+                {PRIORITY_ORDER.map((priority) => (
+                  <option key={priority} value={priority}>{getPriorityMeta(priority).text}</option>
+                ))}
+                <option value="none">ยังไม่คัดกรอง</option>
+              </select>
+            </div>
+
             {/* Sort */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">เรียงลำดับ</label>
@@ -355,9 +459,11 @@ export default function ManageComplaintsPage() {
                   const [field, order] = e.target.value.split('-');
                   setSortBy(field);
                   setSortOrder(order);
+                  setCurrentPage(1);
                 }}
                 className="select select-bordered w-full"
               >
+                <option value="priority-desc">ความเร่งด่วน (มาก-น้อย)</option>
                 <option value="updatedAt-desc">อัปเดตล่าสุด (ใหม่-เก่า)</option>
                 <option value="updatedAt-asc">อัปเดตล่าสุด (เก่า-ใหม่)</option>
                 <option value="createdAt-desc">วันที่สร้าง (ใหม่-เก่า)</option>
@@ -371,11 +477,11 @@ export default function ManageComplaintsPage() {
 
         {/* Results Summary */}
         <div className="mb-4 text-sm text-gray-600">
-          แสดง {paginatedComplaints.length} จาก {filteredComplaints.length} เรื่อง
-          {searchTerm && ` สำหรับ "${searchTerm}"`}
+          แสดง {complaints.length} จาก {total} เรื่อง
+          {debouncedSearch && ` สำหรับ "${debouncedSearch}"`}
         </div>
 
-        {filteredComplaints.length === 0 ? (
+        {complaints.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-gray-400 text-6xl mb-4">📋</div>
             <h3 className="text-lg font-medium text-gray-900 mb-2">ไม่พบข้อมูล</h3>
@@ -389,6 +495,7 @@ export default function ManageComplaintsPage() {
                   <tr>
                     <th className="text-center">ลำดับ</th>
                     <th className="text-center">สถานะ</th>
+                    <th className="text-center">ความเร่งด่วน</th>
                     <th className="text-center">หมวดหมู่</th>
                     <th className="text-center">ภาพปัญหา</th>
                     <th>หัวข้อ</th>
@@ -398,12 +505,16 @@ export default function ManageComplaintsPage() {
                   </tr>
                 </thead>
                 <tbody>
-                  {paginatedComplaints.map((complaint, index) => {
-                    const isAssigned = assignments.some(
-                      (a) => a.complaintId === complaint._id
+                  {complaints.map((complaint, index) => {
+                    const complaintAssignments = getComplaintAssignments(assignments, complaint._id);
+                    const isAssigned = complaintAssignments.length > 0;
+                    const isClosed = isDoneStatus(complaint.status);
+                    // ผู้รับผิดชอบหลักเป็นผู้บันทึกความคืบหน้า
+                    const assignment = complaintAssignments[0];
+                    // การมอบหมายทำผ่านปุ่ม "รับเรื่อง" เพื่อสร้าง assignment พร้อมกัน
+                    const nextStatuses = getNextStatuses(complaint.status).filter(
+                      (s) => s !== COMPLAINT_STATUS.ASSIGNED || isAssigned
                     );
-                    const isClosed = complaint.status === "ดำเนินการเสร็จสิ้น";
-                    const assignment = assignments.find((a) => a.complaintId === complaint._id);
                     
                     return (
                       <tr key={complaint._id} className="hover:bg-gray-50">
@@ -413,6 +524,25 @@ export default function ManageComplaintsPage() {
                         <td className="text-center">
                           {getStatusBadge(complaint.status)}
                         </td>
+                        <td className="text-center">
+                          <select
+                            className={`select select-xs select-bordered ${complaint.priority ? "" : "text-gray-400"}`}
+                            value={complaint.priority || ""}
+                            onChange={(e) => handleSetPriority(complaint._id, e.target.value)}
+                            title={complaint.suggestedPriority ? `ระบบแนะนำ: ${getPriorityMeta(complaint.suggestedPriority).text}` : undefined}
+                          >
+                            <option value="" disabled>
+                              {complaint.suggestedPriority
+                                ? `แนะนำ: ${getPriorityMeta(complaint.suggestedPriority).text}`
+                                : "ยังไม่คัดกรอง"}
+                            </option>
+                            {PRIORITY_ORDER.map((priority) => (
+                              <option key={priority} value={priority}>
+                                {getPriorityMeta(priority).icon} {getPriorityMeta(priority).text}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
                         <td className="text-center text-sm">
                           <div className="flex flex-col items-center justify-center">
                             {menu.find((m) => m.Prob_name === complaint.category)?.Prob_pic && (
@@ -448,24 +578,34 @@ export default function ManageComplaintsPage() {
                           </div>
                           <div className="text-xs text-gray-500 mt-1">
                             {getDaysSinceUpdate(complaint.updatedAt)}
+                            {complaint.followerCount > 0 && (
+                              <span className="badge badge-xs badge-outline ml-1" title="ผู้แจ้งซ้ำที่ติดตามเรื่องนี้">
+                                👥 {complaint.followerCount}
+                              </span>
+                            )}
+                            {complaint.mergedIntoComplaintId && (
+                              <span className="badge badge-xs badge-ghost ml-1">
+                                รวมเข้ากับ {complaint.mergedIntoComplaintId}
+                              </span>
+                            )}
                           </div>
                         </td>
                         <td className="text-center text-sm">
                           {isAssigned ? (
-                            <div className="text-xs">
-                              {assignedUsers[assignment?.userId] ? (
-                                <>
-                                  <div className="font-medium text-blue-600">
-                                    {assignedUsers[assignment.userId].name}
-                                  </div>
-                                  {assignedUsers[assignment.userId].position && (
-                                    <div className="text-gray-500">
-                                      {assignedUsers[assignment.userId].position}
+                            <div className="text-xs space-y-1">
+                              {complaintAssignments.map((a) =>
+                                assignedUsers[a.userId] ? (
+                                  <div key={a._id}>
+                                    <div className="font-medium text-blue-600">
+                                      {assignedUsers[a.userId].name}
                                     </div>
-                                  )}
-                                </>
-                              ) : (
-                                <div className="text-gray-500">กำลังโหลด...</div>
+                                    <span className={`badge badge-xs ${getAssignmentRoleMeta(a).badge}`}>
+                                      {getAssignmentRoleMeta(a).text}
+                                    </span>
+                                  </div>
+                                ) : (
+                                  <div key={a._id} className="text-gray-500">กำลังโหลด...</div>
+                                )
                               )}
                             </div>
                           ) : (
@@ -505,15 +645,8 @@ export default function ManageComplaintsPage() {
                                   >
                                     แก้ไขผู้แจ้ง
                                   </button>
-                                  <button
-                                    className="btn btn-success btn-xs"
-                                    onClick={() => handleCloseComplaint(complaint._id)}
-                                    title="ปิดเรื่อง"
-                                  >
-                                    ปิดเรื่อง
-                                  </button>
                                 </>
-                              ) : (
+                              ) : normalizeStatus(complaint.status) !== COMPLAINT_STATUS.RECEIVED && (
                                 <button
                                   className="btn btn-primary btn-xs"
                                   onClick={() => handleAssign(complaint._id)}
@@ -532,6 +665,34 @@ export default function ManageComplaintsPage() {
                                 ลบเรื่อง
                               </button>
                             )}
+                            {!isClosed && normalizeStatus(complaint.status) !== COMPLAINT_STATUS.RECEIVED && (
+                              <button
+                                className="btn btn-outline btn-primary btn-xs"
+                                onClick={() => setComplaintToAssign(complaint)}
+                                title="มอบหมาย โอนงาน หรือยกเลิกเจ้าหน้าที่"
+                              >
+                                เจ้าหน้าที่
+                              </button>
+                            )}
+                            {getNextStatuses(complaint.status).includes(COMPLAINT_STATUS.CLOSED) && !complaint.mergedInto && (
+                              <button
+                                className="btn btn-outline btn-warning btn-xs"
+                                onClick={() => setComplaintToMerge(complaint)}
+                                title="รวมเข้ากับเรื่องหลักที่ซ้ำกัน"
+                              >
+                                รวมเรื่องซ้ำ
+                              </button>
+                            )}
+                            {nextStatuses.map((status) => (
+                              <button
+                                key={status}
+                                className="btn btn-outline btn-xs"
+                                onClick={() => handleChangeStatus(complaint._id, status)}
+                                title={`เปลี่ยนสถานะเป็น ${getStatusMeta(status).text}`}
+                              >
+                                {getStatusMeta(status).icon} {getStatusMeta(status).action}
+                              </button>
+                            ))}
                           </div>
                         </td>
                       </tr>
@@ -624,6 +785,33 @@ export default function ManageComplaintsPage() {
         </dialog>
       )}
 
+      {complaintToAssign && (
+        <AssignOfficersModal
+          complaint={complaintToAssign}
+          assignments={getComplaintAssignments(assignments, complaintToAssign._id)}
+          officers={officers}
+          officersLoading={officersLoading}
+          onClose={() => setComplaintToAssign(null)}
+          onChanged={() => {
+            fetchAssignments();
+            fetchOfficers();
+            refreshComplaints();
+          }}
+        />
+      )}
+
+      {complaintToMerge && (
+        <MergeComplaintModal
+          complaint={complaintToMerge}
+          onClose={() => setComplaintToMerge(null)}
+          onMerged={({ complaint }) => {
+            alert(`รวมเรื่อง ${complaintToMerge.complaintId} เข้ากับ ${complaint.complaintId} เรียบร้อยแล้ว`);
+            setComplaintToMerge(null);
+            refreshComplaints();
+          }}
+        />
+      )}
+
       {/* Complaint Detail Modal */}
       {showDetailModal && selectedComplaint && (
         <ComplaintDetailModal
@@ -637,6 +825,11 @@ export default function ManageComplaintsPage() {
           menu={menu}
           assignedUsers={assignedUsers}
           onOpenUpdateModal={handleOpenUpdateFromDetail}
+          onChangeStatus={async (status, note) => {
+            const updated = await handleChangeStatus(selectedComplaint._id, status, note);
+            if (updated) setSelectedComplaint({ ...selectedComplaint, ...updated });
+            return updated;
+          }}
         />
       )}
     </>
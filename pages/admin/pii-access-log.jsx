@@ -0,0 +1,239 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth, useUser } from "@clerk/nextjs";
+import { useRouter } from "next/router";
+import Head from "next/head";
+import { isAdminRole } from "@/utils/roles";
+
+const SOURCE_LABELS = {
+  "personal-info": "รายละเอียดผู้แจ้ง",
+  complaints: "รายการเรื่องร้องเรียน / Export",
+};
+
+const FIELD_LABELS = {
+  prefix: "คำนำหน้า",
+  fullName: "ชื่อ-นามสกุล",
+  phone: "เบอร์โทร",
+};
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("th-TH", {
+    year: "2-digit",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+export default function PiiAccessLogPage() {
+  const { userId, isLoaded } = useAuth();
+  const { user } = useUser();
+  const router = useRouter();
+  const isAdmin = isAdminRole(user?.publicMetadata?.role);
+
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({ complaintId: "", viewer: "", from: "", to: "" });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+
+  useEffect(() => {
+    if (isLoaded && !userId) router.replace("/");
+  }, [isLoaded, userId, router]);
+
+  useEffect(() => {
+    if (isLoaded && user && !isAdmin) router.replace("/");
+  }, [isLoaded, user, isAdmin, router]);
+
+  const fetchLogs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: String(currentPage), limit: "20" });
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value.trim());
+      });
+      const res = await fetch(`/api/pii-access-logs?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || data.error);
+      setLogs(data.data);
+      setTotal(data.total);
+      setTotalPages(data.totalPages);
+    } catch (err) {
+      console.error("Error fetching PII access logs:", err);
+      setLogs([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, appliedFilters]);
+
+  useEffect(() => {
+    if (isAdmin) fetchLogs();
+  }, [isAdmin, fetchLogs]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleReset = () => {
+    const empty = { complaintId: "", viewer: "", from: "", to: "" };
+    setFilters(empty);
+    setAppliedFilters(empty);
+    setCurrentPage(1);
+  };
+
+  if (!isLoaded || !userId) {
+    return <div className="text-center p-8">กำลังโหลด...</div>;
+  }
+
+  if (!isAdmin) {
+    return <div className="text-center p-8">ไม่มีสิทธิ์เข้าถึงหน้านี้</div>;
+  }
+
+  return (
+    <>
+      <Head>
+        <title>บันทึกการเข้าถึงข้อมูลส่วนบุคคล - Admin</title>
+      </Head>
+
+      <div className="p-6 max-w-full mx-auto">
+        <div className="flex justify-between items-center mb-2">
+          <h1 className="text-3xl font-bold text-gray-800">บันทึกการเข้าถึงข้อมูลส่วนบุคคล</h1>
+          <div className="text-sm text-gray-600">รวม {total} รายการ</div>
+        </div>
+        <p className="text-sm text-gray-500 mb-6">
+          ประวัติการเปิดดูชื่อและเบอร์โทรของผู้แจ้ง ตามพระราชบัญญัติคุ้มครองข้อมูลส่วนบุคคล (PDPA)
+        </p>
+
+        {/* Filters */}
+        <form onSubmit={handleSearch} className="bg-white rounded-lg shadow-sm border p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">เลขที่เรื่อง</label>
+              <input
+                type="text"
+                placeholder="STS-68xxxx"
+                value={filters.complaintId}
+                onChange={(e) => setFilters({ ...filters, complaintId: e.target.value })}
+                className="input input-bordered w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">ผู้เข้าดู</label>
+              <input
+                type="text"
+                placeholder="ชื่อหรือ Clerk ID"
+                value={filters.viewer}
+                onChange={(e) => setFilters({ ...filters, viewer: e.target.value })}
+                className="input input-bordered w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">ตั้งแต่วันที่</label>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+                className="input input-bordered w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">ถึงวันที่</label>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+                className="input input-bordered w-full"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-2 mt-4">
+            <button type="button" className="btn btn-sm btn-ghost" onClick={handleReset}>
+              ล้างตัวกรอง
+            </button>
+            <button type="submit" className="btn btn-sm btn-primary">
+              ค้นหา
+            </button>
+          </div>
+        </form>
+
+        {/* Log table */}
+        <div className="bg-white rounded-lg shadow-sm border overflow-x-auto">
+          <table className="table table-zebra w-full">
+            <thead>
+              <tr>
+                <th>วันเวลา</th>
+                <th>ผู้เข้าดู</th>
+                <th>บทบาท</th>
+                <th>เลขที่เรื่อง</th>
+                <th>ข้อมูลที่เปิดดู</th>
+                <th>ช่องทาง</th>
+                <th>IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={7} className="text-center text-gray-500 py-8">กำลังโหลดข้อมูล...</td>
+                </tr>
+              ) : logs.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="text-center text-gray-500 py-8">ไม่พบบันทึกการเข้าถึง</td>
+                </tr>
+              ) : (
+                logs.map((log) => (
+                  <tr key={log._id}>
+                    <td className="whitespace-nowrap text-sm">{formatDateTime(log.viewedAt)}</td>
+                    <td>
+                      <div className="text-sm font-medium">{log.viewerName || "-"}</div>
+                      <div className="text-xs text-gray-400 font-mono">{log.viewerId}</div>
+                    </td>
+                    <td className="text-sm">{log.viewerRole}</td>
+                    <td className="text-sm font-mono">{log.complaintId || log.complaint}</td>
+                    <td>
+                      <div className="flex flex-wrap gap-1">
+                        {log.fields.map((field) => (
+                          <span key={field} className="badge badge-outline badge-sm">
+                            {FIELD_LABELS[field] || field}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="text-sm">{SOURCE_LABELS[log.source] || log.source}</td>
+                    <td className="text-xs font-mono text-gray-500">{log.ip || "-"}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-6">
+            <button
+              className="btn btn-sm"
+              onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+              disabled={currentPage === 1}
+            >
+              «
+            </button>
+            <span className="text-sm text-gray-600">
+              หน้า {currentPage} / {totalPages}
+            </span>
+            <button
+              className="btn btn-sm"
+              onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+              disabled={currentPage === totalPages}
+            >
+              »
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,301 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth, useUser } from "@clerk/nextjs";
+import { useRouter } from "next/router";
+import Head from "next/head";
+import Swal from "sweetalert2";
+import { useMenuStore } from "@/stores/useMenuStore";
+import { isAdminRole } from "@/utils/roles";
+import { PRIORITY_ORDER, getPriorityMeta } from "@/utils/complaintPriority";
+import { SLA_TARGETS, SLA_TARGET_META, formatSlaHours, validateSlaPolicy } from "@/utils/sla";
+
+const EMPTY_FORM = {
+  category: "",
+  priority: "",
+  assignHours: "",
+  firstActionHours: "",
+  resolveHours: "",
+  active: true,
+};
+
+export default function SlaPoliciesPage() {
+  const { userId, isLoaded } = useAuth();
+  const { user } = useUser();
+  const router = useRouter();
+  const isAdmin = isAdminRole(user?.publicMetadata?.role);
+  const { menu, fetchMenu } = useMenuStore();
+
+  const [policies, setPolicies] = useState([]);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isLoaded && !userId) router.replace("/");
+  }, [isLoaded, userId, router]);
+
+  useEffect(() => {
+    if (isLoaded && user && !isAdmin) router.replace("/");
+  }, [isLoaded, user, isAdmin, router]);
+
+  const fetchPolicies = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/sla-policies");
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+      setPolicies(data.data);
+      setDefaults(data.defaults);
+    } catch (err) {
+      console.error("Error fetching SLA policies:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    fetchMenu();
+    fetchPolicies();
+  }, [isAdmin, fetchMenu, fetchPolicies]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (policy) => {
+    setForm({
+      category: policy.category || "",
+      priority: policy.priority || "",
+      assignHours: String(policy.assignHours),
+      firstActionHours: String(policy.firstActionHours),
+      resolveHours: String(policy.resolveHours),
+      active: policy.active,
+    });
+    setEditingId(policy._id);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      assignHours: Number(form.assignHours),
+      firstActionHours: Number(form.firstActionHours),
+      resolveHours: Number(form.resolveHours),
+    };
+
+    const check = validateSlaPolicy(payload);
+    if (!check.valid) {
+      Swal.fire({ icon: "error", title: "ข้อมูลไม่ถูกต้อง", text: check.error, confirmButtonText: "ตกลง" });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await fetch(editingId ? `/api/sla-policies/${editingId}` : "/api/sla-policies", {
+        method: editingId ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+
+      Swal.fire({ icon: "success", title: "บันทึกนโยบาย SLA แล้ว", timer: 1500, showConfirmButton: false });
+      resetForm();
+      fetchPolicies();
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "บันทึกไม่สำเร็จ", text: err.message, confirmButtonText: "ตกลง" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    const result = await Swal.fire({
+      icon: "warning",
+      title: "ลบนโยบาย SLA นี้?",
+      text: "เรื่องร้องเรียนในหมวดนี้จะใช้นโยบายที่กว้างกว่าแทน",
+      showCancelButton: true,
+      confirmButtonText: "ลบ",
+      cancelButtonText: "ยกเลิก",
+      confirmButtonColor: "#dc3545",
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      const res = await fetch(`/api/sla-policies/${policy._id}`, { method: "DELETE" });
+      if (!res.ok) throw new Error("Failed to delete");
+      if (editingId === policy._id) resetForm();
+      fetchPolicies();
+    } catch (err) {
+      console.error("Error deleting SLA policy:", err);
+      Swal.fire({ icon: "error", title: "ลบไม่สำเร็จ", confirmButtonText: "ตกลง" });
+    }
+  };
+
+  if (!isLoaded || !userId) {
+    return <div className="text-center p-8">กำลังโหลด...</div>;
+  }
+
+  if (!isAdmin) {
+    return <div className="text-center p-8">ไม่มีสิทธิ์เข้าถึงหน้านี้</div>;
+  }
+
+  return (
+    <>
+      <Head>
+        <title>นโยบาย SLA - Admin</title>
+      </Head>
+
+      <div className="p-6 max-w-5xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">นโยบายระยะเวลาให้บริการ (SLA)</h1>
+        <p className="text-sm text-gray-500 mb-6">
+          กำหนดเวลาเป้าหมาย (ชั่วโมงนับจากวันที่แจ้ง) ต่อหมวดหมู่และระดับความสำคัญ
+          ระบบจะใช้นโยบายที่ตรงที่สุด: หมวดหมู่ + ความสำคัญ → หมวดหมู่ → ความสำคัญ → ทุกเรื่อง
+        </p>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border p-4 mb-6">
+          <h2 className="font-semibold mb-4">{editingId ? "แก้ไขนโยบาย" : "เพิ่มนโยบาย"}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">หมวดหมู่</label>
+              <select
+                value={form.category}
+                onChange={(e) => setForm({ ...form, category: e.target.value })}
+                className="select select-bordered w-full"
+              >
+                <option value="">ทุกหมวดหมู่</option>
+                {menu.map((item) => (
+                  <option key={item._id} value={item.Prob_name}>
+                    {item.Prob_name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">ระดับความสำคัญ</label>
+              <select
+                value={form.priority}
+                onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                className="select select-bordered w-full"
+              >
+                <option value="">ทุกระดับ</option>
+                {PRIORITY_ORDER.map((p) => (
+                  <option key={p} value={p}>
+                    {getPriorityMeta(p).text}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {SLA_TARGETS.map((target) => {
+              const field = SLA_TARGET_META[target].field;
+              return (
+                <div key={target}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {SLA_TARGET_META[target].text} ภายใน (ชั่วโมง)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={form[field]}
+                    onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                    placeholder={defaults ? String(defaults[field]) : ""}
+                    className="input input-bordered w-full"
+                  />
+                  {Number(form[field]) > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">≈ {formatSlaHours(Number(form[field]))}</p>
+                  )}
+                </div>
+              );
+            })}
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={form.active}
+                onChange={(e) => setForm({ ...form, active: e.target.checked })}
+              />
+              <span className="text-sm">เปิดใช้งาน</span>
+            </label>
+          </div>
+          <div className="flex justify-end gap-2 mt-4">
+            {editingId && (
+              <button type="button" className="btn btn-sm btn-ghost" onClick={resetForm}>
+                ยกเลิก
+              </button>
+            )}
+            <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+              {saving ? "กำลังบันทึก..." : editingId ? "อัปเดต" : "เพิ่ม"}
+            </button>
+          </div>
+        </form>
+
+        {/* Policy table */}
+        <div className="bg-white rounded-lg shadow-sm border overflow-x-auto">
+          <table className="table w-full">
+            <thead>
+              <tr>
+                <th>หมวดหมู่</th>
+                <th>ความสำคัญ</th>
+                {SLA_TARGETS.map((target) => (
+                  <th key={target}>{SLA_TARGET_META[target].text}</th>
+                ))}
+                <th>สถานะ</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={7} className="text-center text-gray-500 py-8">กำลังโหลดข้อมูล...</td>
+                </tr>
+              ) : (
+                <>
+                  {policies.map((policy) => (
+                    <tr key={policy._id} className={policy.active ? "" : "opacity-50"}>
+                      <td>{policy.category || "ทุกหมวดหมู่"}</td>
+                      <td>
+                        {policy.priority ? (
+                          <span className={`badge badge-sm ${getPriorityMeta(policy.priority).badge}`}>
+                            {getPriorityMeta(policy.priority).text}
+                          </span>
+                        ) : (
+                          "ทุกระดับ"
+                        )}
+                      </td>
+                      {SLA_TARGETS.map((target) => (
+                        <td key={target}>{formatSlaHours(policy[SLA_TARGET_META[target].field])}</td>
+                      ))}
+                      <td>{policy.active ? "ใช้งาน" : "ปิดใช้งาน"}</td>
+                      <td className="whitespace-nowrap">
+                        <button className="btn btn-xs btn-outline mr-1" onClick={() => handleEdit(policy)}>
+                          แก้ไข
+                        </button>
+                        <button className="btn btn-xs btn-error btn-outline" onClick={() => handleDelete(policy)}>
+                          ลบ
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  {defaults && (
+                    <tr className="text-gray-500 italic">
+                      <td colSpan={2}>ค่าเริ่มต้นของระบบ (เมื่อไม่มีนโยบายตรง)</td>
+                      {SLA_TARGETS.map((target) => (
+                        <td key={target}>{formatSlaHours(defaults[SLA_TARGET_META[target].field])}</td>
+                      ))}
+                      <td colSpan={2}></td>
+                    </tr>
+                  )}
+                </>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+}
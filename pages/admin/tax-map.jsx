@@ -3,6 +3,7 @@ import { useAuth, useUser } from "@clerk/nextjs";
 import { useRouter } from "next/router";
 import dynamic from "next/dynamic";
 import { MapPinIcon } from "@heroicons/react/24/outline";
+import { isAdminRole } from "@/utils/roles";
 
 const TaxMapWithNoSSR = dynamic(() => import("@/components/TaxMapView"), {
   ssr: false,
@@ -29,8 +30,7 @@ export default function TaxMapPage() {
 
   useEffect(() => {
     if (isLoaded && user) {
-      const role = user?.publicMetadata?.role;
-      if (role !== "admin" && role !== "superadmin") router.replace("/");
+      if (!isAdminRole(user?.publicMetadata?.role)) router.replace("/");
     }
   }, [isLoaded, user, router]);
 
@@ -50,8 +50,7 @@ export default function TaxMapPage() {
     return <div className="text-center p-8">กำลังโหลด...</div>;
   }
 
-  const role = user?.publicMetadata?.role;
-  if (role !== "admin" && role !== "superadmin") {
+  if (!isAdminRole(user?.publicMetadata?.role)) {
     return <div className="text-center p-8">ไม่มีสิทธิ์เข้าถึงหน้านี้</div>;
   }
 
@@ -85,6 +84,14 @@ export default function TaxMapPage() {
             {surveyMode ? "🌍 โหมดสำรวจ: เปิด" : "🌍 สำรวจการใช้ที่ดิน"}
           </button>
 
+          <button
+            onClick={() => mapRef.current?.openTaxReport()}
+            disabled={layerCount === 0}
+            className="px-4 py-2 text-sm font-medium rounded-lg bg-white text-gray-700 border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+          >
+            💰 รายงานภาษี
+          </button>
+
           <button
             onClick={handleUploadClick}
             disabled={uploading}
@@ -92,12 +99,12 @@ export default function TaxMapPage() {
               uploading ? "bg-blue-400 cursor-wait" : "bg-blue-600 hover:bg-blue-700"
             }`}
           >
-            {uploading ? "⏳ กำลังบันทึก..." : "📂 อัปโหลด GeoJSON"}
+            {uploading ? "⏳ กำลังบันทึก..." : "📂 นำเข้าชั้นข้อมูล"}
           </button>
           <input
             ref={fileInputRef}
             type="file"
-            accept=".geojson,.json"
+            accept=".geojson,.json,.zip,.kml,.kmz,.csv"
             onChange={handleFileChange}
             className="hidden"
             disabled={uploading}
@@ -0,0 +1,342 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth, useUser } from "@clerk/nextjs";
+import { useRouter } from "next/router";
+import Head from "next/head";
+import Swal from "sweetalert2";
+import { isAdminRole } from "@/utils/roles";
+import { LAND_USE_TYPES, parseAreaToWah } from "@/utils/landUse";
+import { bracketTax, formatBaht, validateAppraisal, validateTaxBrackets } from "@/utils/tax";
+
+const MILLION = 1000000;
+
+// ฟอร์มแสดงเพดานมูลค่าเป็นล้านบาท
+const toForm = (brackets) =>
+  brackets.map((b) => ({ upTo: b.upTo == null ? "" : String(b.upTo / MILLION), rate: String(b.rate) }));
+
+const fromForm = (rows) =>
+  rows.map((row, i) => ({
+    upTo: i === rows.length - 1 || row.upTo === "" ? null : Number(row.upTo) * MILLION,
+    rate: Number(row.rate),
+  }));
+
+const describeBracket = (brackets, i) => {
+  const lower = i === 0 ? 0 : brackets[i - 1].upTo;
+  const { upTo } = brackets[i];
+  if (upTo == null) return `เกิน ${formatBaht(lower / MILLION)} ล้านบาท`;
+  return `${formatBaht(lower / MILLION)} – ${formatBaht(upTo / MILLION)} ล้านบาท`;
+};
+
+export default function TaxRatesPage() {
+  const { userId, isLoaded } = useAuth();
+  const { user } = useUser();
+  const router = useRouter();
+  const isAdmin = isAdminRole(user?.publicMetadata?.role);
+
+  const [config, setConfig] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [editingType, setEditingType] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [appraisalForm, setAppraisalForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [trial, setTrial] = useState({ type: "residential", area: "1-0-0", price: "" });
+
+  useEffect(() => {
+    if (isLoaded && !userId) router.replace("/");
+  }, [isLoaded, userId, router]);
+
+  useEffect(() => {
+    if (isLoaded && user && !isAdmin) router.replace("/");
+  }, [isLoaded, user, isAdmin, router]);
+
+  const applyConfig = (data) => {
+    setConfig(data);
+    setAppraisalForm({
+      priceField: data.appraisal.priceField,
+      defaultPricePerWah: String(data.appraisal.defaultPricePerWah || ""),
+      blocks: Object.entries(data.appraisal.blockPrices).map(([blockId, price]) => ({ blockId, price: String(price) })),
+    });
+  };
+
+  const fetchConfig = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/tax-rates");
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+      applyConfig(data.data);
+      setDefaults(data.defaults);
+    } catch (err) {
+      console.error("Error fetching tax rates:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    fetchConfig();
+  }, [isAdmin, fetchConfig]);
+
+  const save = async (payload, successTitle) => {
+    setSaving(true);
+    try {
+      const res = await fetch("/api/tax-rates", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+      applyConfig(data.data);
+      Swal.fire({ icon: "success", title: successTitle, timer: 1500, showConfirmButton: false });
+      return true;
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "บันทึกไม่สำเร็จ", text: err.message, confirmButtonText: "ตกลง" });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEdit = (key) => {
+    setEditingType(key);
+    setRows(toForm(config.rates[key]));
+  };
+
+  const saveRates = async () => {
+    const brackets = fromForm(rows);
+    const check = validateTaxBrackets(brackets);
+    if (!check.valid) {
+      Swal.fire({ icon: "error", title: "ข้อมูลไม่ถูกต้อง", text: check.error, confirmButtonText: "ตกลง" });
+      return;
+    }
+    if (await save({ rates: { [editingType]: brackets } }, "บันทึกอัตราภาษีแล้ว")) setEditingType(null);
+  };
+
+  const resetRates = async (key) => {
+    const result = await Swal.fire({
+      icon: "warning",
+      title: "กลับไปใช้อัตราเริ่มต้น?",
+      showCancelButton: true,
+      confirmButtonText: "ใช้อัตราเริ่มต้น",
+      cancelButtonText: "ยกเลิก",
+    });
+    if (!result.isConfirmed) return;
+    if (await save({ rates: { [key]: null } }, "ใช้อัตราเริ่มต้นแล้ว") && editingType === key) setEditingType(null);
+  };
+
+  const saveAppraisal = async (e) => {
+    e.preventDefault();
+    const appraisal = {
+      priceField: appraisalForm.priceField.trim(),
+      defaultPricePerWah: Number(appraisalForm.defaultPricePerWah || 0),
+      blockPrices: Object.fromEntries(
+        appraisalForm.blocks.filter((b) => b.blockId.trim() && b.price !== "").map((b) => [b.blockId.trim(), Number(b.price)])
+      ),
+    };
+    const check = validateAppraisal(appraisal);
+    if (!check.valid) {
+      Swal.fire({ icon: "error", title: "ข้อมูลไม่ถูกต้อง", text: check.error, confirmButtonText: "ตกลง" });
+      return;
+    }
+    await save({ appraisal }, "บันทึกราคาประเมินแล้ว");
+  };
+
+  const updateBlock = (i, field, value) =>
+    setAppraisalForm((prev) => ({ ...prev, blocks: prev.blocks.map((b, j) => (j === i ? { ...b, [field]: value } : b)) }));
+
+  if (!isLoaded || !userId) {
+    return <div className="text-center p-8">กำลังโหลด...</div>;
+  }
+
+  if (!isAdmin) {
+    return <div className="text-center p-8">ไม่มีสิทธิ์เข้าถึงหน้านี้</div>;
+  }
+
+  const trialValue = parseAreaToWah(trial.area) * Number(trial.price || 0);
+  const trialTax = config ? bracketTax(trialValue, config.rates[trial.type]) : 0;
+
+  return (
+    <>
+      <Head>
+        <title>อัตราภาษีที่ดิน - Admin</title>
+      </Head>
+
+      <div className="p-6 max-w-5xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">อัตราภาษีที่ดินและราคาประเมิน</h1>
+        <p className="text-sm text-gray-500 mb-6">
+          ใช้ประมาณการภาษีที่ดินและสิ่งปลูกสร้างจากผลสำรวจการใช้ที่ดินบนแผนที่ภาษี
+          มูลค่า = เนื้อที่ (ตร.วา) × ราคาประเมิน (บาท/ตร.วา) แล้วคิดภาษีแบบขั้นบันไดตามประเภทการใช้ที่ดิน
+          (ยังไม่รวมมูลค่าสิ่งปลูกสร้าง)
+        </p>
+
+        {loading || !config ? (
+          <div className="text-center text-gray-500 py-8">กำลังโหลดข้อมูล...</div>
+        ) : (
+          <>
+            {/* Appraisal source */}
+            <form onSubmit={saveAppraisal} className="bg-white rounded-lg shadow-sm border p-4 mb-6">
+              <h2 className="font-semibold mb-1">แหล่งราคาประเมินที่ดิน</h2>
+              <p className="text-xs text-gray-500 mb-4">
+                ลำดับการใช้ราคา: field ราคาประเมินในชั้นข้อมูลแปลง → ราคาตาม block_id → ราคากลาง
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">ชื่อ field ราคาประเมินรายแปลง (บาท/ตร.วา)</label>
+                  <input
+                    value={appraisalForm.priceField}
+                    onChange={(e) => setAppraisalForm({ ...appraisalForm, priceField: e.target.value })}
+                    placeholder={defaults?.appraisal.priceField}
+                    className="input input-bordered w-full"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">ราคากลาง (บาท/ตร.วา)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={appraisalForm.defaultPricePerWah}
+                    onChange={(e) => setAppraisalForm({ ...appraisalForm, defaultPricePerWah: e.target.value })}
+                    className="input input-bordered w-full"
+                  />
+                </div>
+              </div>
+
+              <h3 className="text-sm font-medium text-gray-700 mt-4 mb-2">ราคาประเมินตาม block_id</h3>
+              <div className="space-y-2">
+                {appraisalForm.blocks.map((b, i) => (
+                  <div key={i} className="flex gap-2">
+                    <input value={b.blockId} onChange={(e) => updateBlock(i, "blockId", e.target.value)} placeholder="block_id" className="input input-bordered input-sm w-40" />
+                    <input type="number" min="0" step="any" value={b.price} onChange={(e) => updateBlock(i, "price", e.target.value)} placeholder="บาท/ตร.วา" className="input input-bordered input-sm flex-1" />
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-ghost text-red-600"
+                      onClick={() => setAppraisalForm((prev) => ({ ...prev, blocks: prev.blocks.filter((_, j) => j !== i) }))}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="btn btn-xs btn-outline"
+                  onClick={() => setAppraisalForm((prev) => ({ ...prev, blocks: [...prev.blocks, { blockId: "", price: "" }] }))}
+                >
+                  + เพิ่ม block
+                </button>
+              </div>
+              <div className="flex justify-end mt-4">
+                <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+                  {saving ? "กำลังบันทึก..." : "บันทึกราคาประเมิน"}
+                </button>
+              </div>
+            </form>
+
+            {/* Rate table */}
+            <div className="bg-white rounded-lg shadow-sm border overflow-x-auto mb-6">
+              <table className="table w-full">
+                <thead>
+                  <tr>
+                    <th>ประเภทการใช้ที่ดิน</th>
+                    <th>อัตราภาษี (ร้อยละต่อปี ตามมูลค่า)</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {LAND_USE_TYPES.map((type) => {
+                    const brackets = config.rates[type.key];
+                    const customized = config.customized.includes(type.key);
+                    return (
+                      <tr key={type.key} className="align-top">
+                        <td className="whitespace-nowrap">
+                          {type.icon} {type.label}
+                          {!customized && <span className="block text-xs text-gray-400">อัตราเริ่มต้น</span>}
+                        </td>
+                        <td>
+                          {editingType === type.key ? (
+                            <div className="space-y-2">
+                              {rows.map((row, i) => (
+                                <div key={i} className="flex items-center gap-2 text-sm">
+                                  {i < rows.length - 1 ? (
+                                    <>
+                                      <span className="text-gray-500">ถึง</span>
+                                      <input type="number" min="0" step="any" value={row.upTo}
+                                        onChange={(e) => setRows((prev) => prev.map((r, j) => (j === i ? { ...r, upTo: e.target.value } : r)))}
+                                        className="input input-bordered input-xs w-28" />
+                                      <span className="text-gray-500">ล้านบาท</span>
+                                    </>
+                                  ) : (
+                                    <span className="text-gray-500 w-[12.5rem]">ส่วนที่เหลือ</span>
+                                  )}
+                                  <input type="number" min="0" max="100" step="any" value={row.rate}
+                                    onChange={(e) => setRows((prev) => prev.map((r, j) => (j === i ? { ...r, rate: e.target.value } : r)))}
+                                    className="input input-bordered input-xs w-20" />
+                                  <span className="text-gray-500">%</span>
+                                  {rows.length > 1 && (
+                                    <button type="button" className="btn btn-xs btn-ghost text-red-600" onClick={() => setRows((prev) => prev.filter((_, j) => j !== i))}>✕</button>
+                                  )}
+                                </div>
+                              ))}
+                              <button type="button" className="btn btn-xs btn-outline"
+                                onClick={() => setRows((prev) => [...prev.slice(0, -1), { upTo: "", rate: prev[prev.length - 1]?.rate || "0" }, prev[prev.length - 1] || { upTo: "", rate: "0" }])}>
+                                + เพิ่มขั้น
+                              </button>
+                            </div>
+                          ) : (
+                            <ul className="text-sm space-y-0.5">
+                              {brackets.map((b, i) => (
+                                <li key={i}>
+                                  <span className="text-gray-500">{describeBracket(brackets, i)}:</span> {b.rate}%
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                        <td className="whitespace-nowrap">
+                          {editingType === type.key ? (
+                            <>
+                              <button className="btn btn-xs btn-ghost mr-1" onClick={() => setEditingType(null)}>ยกเลิก</button>
+                              <button className="btn btn-xs btn-primary" onClick={saveRates} disabled={saving}>บันทึก</button>
+                            </>
+                          ) : (
+                            <>
+                              <button className="btn btn-xs btn-outline mr-1" onClick={() => startEdit(type.key)} disabled={!!editingType}>แก้ไข</button>
+                              {customized && (
+                                <button className="btn btn-xs btn-outline" onClick={() => resetRates(type.key)} disabled={saving}>ค่าเริ่มต้น</button>
+                              )}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Calculator */}
+            <div className="bg-white rounded-lg shadow-sm border p-4">
+              <h2 className="font-semibold mb-4">ทดลองคำนวณ</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <select value={trial.type} onChange={(e) => setTrial({ ...trial, type: e.target.value })} className="select select-bordered w-full">
+                  {LAND_USE_TYPES.map((t) => (
+                    <option key={t.key} value={t.key}>{t.icon} {t.label}</option>
+                  ))}
+                </select>
+                <input value={trial.area} onChange={(e) => setTrial({ ...trial, area: e.target.value })} placeholder="ไร่-งาน-วา" className="input input-bordered w-full" />
+                <input type="number" min="0" step="any" value={trial.price} onChange={(e) => setTrial({ ...trial, price: e.target.value })}
+                  placeholder={`ราคาประเมิน บาท/ตร.วา${config.appraisal.defaultPricePerWah ? ` (ราคากลาง ${config.appraisal.defaultPricePerWah})` : ""}`}
+                  className="input input-bordered w-full" />
+              </div>
+              <p className="text-sm text-gray-700 mt-3">
+                มูลค่า {formatBaht(trialValue)} บาท • ภาษีประมาณการ <span className="font-semibold">{formatBaht(trialTax)}</span> บาท/ปี
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
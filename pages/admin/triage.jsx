@@ -0,0 +1,204 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth, useUser } from "@clerk/nextjs";
+import { useRouter } from "next/router";
+import Head from "next/head";
+import Link from "next/link";
+import Swal from "sweetalert2";
+import { useMenuStore } from "@/stores/useMenuStore";
+import { isAdminRole } from "@/utils/roles";
+import { PRIORITY_ORDER, getPriorityMeta } from "@/utils/complaintPriority";
+import { getStatusMeta } from "@/utils/complaintStatus";
+import { formatSlaHours } from "@/utils/sla";
+
+const getWaitingText = (createdAt) => {
+  const hours = Math.floor((Date.now() - new Date(createdAt)) / (1000 * 60 * 60));
+  if (hours < 1) return "ไม่ถึง 1 ชั่วโมง";
+  if (hours < 24) return `${hours} ชั่วโมง`;
+  return `${Math.floor(hours / 24)} วัน`;
+};
+
+export default function TriageQueuePage() {
+  const { userId, isLoaded } = useAuth();
+  const { user } = useUser();
+  const router = useRouter();
+  const isAdmin = isAdminRole(user?.publicMetadata?.role);
+  const { menu, fetchMenu } = useMenuStore();
+
+  const [complaints, setComplaints] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [notes, setNotes] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    if (isLoaded && !userId) router.replace("/");
+  }, [isLoaded, userId, router]);
+
+  useEffect(() => {
+    if (isLoaded && user && !isAdmin) router.replace("/");
+  }, [isLoaded, user, isAdmin, router]);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/complaints/triage");
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+      setComplaints(data.data);
+    } catch (err) {
+      console.error("Error fetching triage queue:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    fetchMenu();
+    fetchQueue();
+  }, [isAdmin, fetchMenu, fetchQueue]);
+
+  const handleSetPriority = async (complaint, priority) => {
+    setSavingId(complaint._id);
+    try {
+      const res = await fetch("/api/submittedreports/priority", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ complaintId: complaint._id, priority, note: notes[complaint._id] || "" }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+
+      // คัดกรองแล้วออกจากคิว
+      setComplaints((prev) => prev.filter((c) => c._id !== complaint._id));
+      Swal.fire({
+        icon: "success",
+        title: `กำหนดเป็น "${getPriorityMeta(priority).text}" แล้ว`,
+        timer: 1200,
+        showConfirmButton: false,
+      });
+    } catch (err) {
+      Swal.fire("เกิดข้อผิดพลาด", err.message || "ไม่สามารถบันทึกความเร่งด่วนได้", "error");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!isLoaded || !userId || !isAdmin) {
+    return <div className="text-center p-8">กำลังโหลด...</div>;
+  }
+
+  return (
+    <>
+      <Head>
+        <title>คิวคัดกรองเรื่องร้องเรียน - Admin</title>
+      </Head>
+
+      <div className="p-6 max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-2">
+          <h1 className="text-3xl font-bold text-gray-800">คิวคัดกรอง</h1>
+          <Link href="/admin/manage-complaints" className="btn btn-sm btn-ghost">
+            ← จัดการเรื่องร้องเรียน
+          </Link>
+        </div>
+        <p className="text-sm text-gray-600 mb-6">
+          เรื่องที่ยังไม่กำหนดความเร่งด่วนและยังไม่มีเจ้าหน้าที่รับเรื่อง ({complaints.length} เรื่อง)
+          เรียงตามคำแนะนำของระบบ แล้วตามเวลาที่รอนานที่สุด
+        </p>
+
+        {loading ? (
+          <div className="text-center py-12">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : complaints.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="text-gray-400 text-6xl mb-4">✅</div>
+            <h3 className="text-lg font-medium text-gray-900">ไม่มีเรื่องรอคัดกรอง</h3>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {complaints.map((complaint) => {
+              const suggested = complaint.suggestedPriority;
+              const categoryIcon = menu.find((m) => m.Prob_name === complaint.category)?.Prob_pic;
+              return (
+                <div key={complaint._id} className="card bg-base-100 shadow-sm border">
+                  <div className="card-body p-4">
+                    <div className="flex flex-col md:flex-row gap-4">
+                      {complaint.images?.[0] && (
+                        <img
+                          src={complaint.images[0]}
+                          alt="ภาพปัญหา"
+                          className="w-full md:w-32 h-32 object-cover rounded cursor-pointer"
+                          onClick={() => window.open(complaint.images[0], "_blank")}
+                        />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <div className="flex flex-wrap items-center gap-2 mb-1">
+                          {categoryIcon && <img src={categoryIcon} alt="" className="w-5 h-5" />}
+                          <span className="font-semibold">{complaint.category || "ไม่ระบุประเภท"}</span>
+                          <span className="text-xs text-gray-500">#{complaint.complaintId}</span>
+                          <span className={`badge badge-sm ${getStatusMeta(complaint.status).badge}`}>
+                            {getStatusMeta(complaint.status).text}
+                          </span>
+                          {complaint.sla?.overdue && (
+                            <span className="badge badge-sm badge-error">
+                              เกิน SLA {formatSlaHours(complaint.sla.overdueHours)}
+                            </span>
+                          )}
+                        </div>
+                        {complaint.problems?.length > 0 && (
+                          <div className="text-sm text-gray-700">{complaint.problems.join(", ")}</div>
+                        )}
+                        <p className="text-sm text-gray-600 mt-1 break-words">{complaint.detail}</p>
+                        <div className="text-xs text-gray-500 mt-1">
+                          {complaint.community || "ไม่ระบุชุมชน"} • รอ {getWaitingText(complaint.createdAt)}
+                        </div>
+                        {suggested && (
+                          <div className="text-xs mt-2">
+                            <span className="font-medium">ระบบแนะนำ: </span>
+                            <span className={`badge badge-sm ${getPriorityMeta(suggested).badge}`}>
+                              {getPriorityMeta(suggested).icon} {getPriorityMeta(suggested).text}
+                            </span>
+                            {complaint.suggestedPriorityReasons?.length > 0 && (
+                              <span className="text-gray-500 ml-1">
+                                ({complaint.suggestedPriorityReasons.join(", ")})
+                              </span>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+
+                    <div className="flex flex-col md:flex-row gap-2 mt-3">
+                      <input
+                        type="text"
+                        className="input input-bordered input-sm flex-1"
+                        placeholder="หมายเหตุการคัดกรอง (ถ้ามี)"
+                        value={notes[complaint._id] || ""}
+                        onChange={(e) => setNotes({ ...notes, [complaint._id]: e.target.value })}
+                      />
+                      <div className="flex flex-wrap gap-1">
+                        {PRIORITY_ORDER.map((priority) => {
+                          const meta = getPriorityMeta(priority);
+                          return (
+                            <button
+                              key={priority}
+                              className={`btn btn-sm ${priority === suggested ? "btn-primary" : "btn-outline"}`}
+                              disabled={savingId === complaint._id}
+                              onClick={() => handleSetPriority(complaint, priority)}
+                            >
+                              {meta.icon} {meta.text}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,578 @@
+import { Fragment, useCallback, useEffect, useState } from "react";
+import { useAuth, useUser } from "@clerk/nextjs";
+import { useRouter } from "next/router";
+import Head from "next/head";
+import Swal from "sweetalert2";
+import { isAdminRole } from "@/utils/roles";
+import {
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_META,
+  validateWebhook,
+} from "@/utils/webhookEvents";
+
+const EMPTY_FORM = { name: "", url: "", events: [], includePii: false, active: true };
+
+const DELIVERY_STATUS_META = {
+  [WEBHOOK_DELIVERY_STATUS.PENDING]: { text: "รอส่ง", badge: "badge-info" },
+  [WEBHOOK_DELIVERY_STATUS.PROCESSING]: { text: "กำลังส่ง", badge: "badge-warning" },
+  [WEBHOOK_DELIVERY_STATUS.SUCCESS]: { text: "สำเร็จ", badge: "badge-success" },
+  [WEBHOOK_DELIVERY_STATUS.FAILED]: { text: "ล้มเหลว", badge: "badge-error" },
+};
+
+const formatDateTime = (value) =>
+  value
+    ? new Date(value).toLocaleString("th-TH", { dateStyle: "short", timeStyle: "medium" })
+    : "-";
+
+const showSecret = (secret) =>
+  Swal.fire({
+    icon: "info",
+    title: "Secret สำหรับตรวจสอบลายมือชื่อ",
+    html: `<p class="text-sm mb-2">คัดลอกเก็บไว้ ระบบจะไม่แสดงอีก</p><code class="break-all">${secret}</code>`,
+    confirmButtonText: "คัดลอกแล้ว",
+  });
+
+export default function WebhooksPage() {
+  const { userId, isLoaded } = useAuth();
+  const { user } = useUser();
+  const router = useRouter();
+  const isAdmin = isAdminRole(user?.publicMetadata?.role);
+
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryPages, setDeliveryPages] = useState(1);
+  const [deliveryFilter, setDeliveryFilter] = useState({ webhook: "", status: "" });
+  const [expandedId, setExpandedId] = useState(null);
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    if (isLoaded && !userId) router.replace("/");
+  }, [isLoaded, userId, router]);
+
+  useEffect(() => {
+    if (isLoaded && user && !isAdmin) router.replace("/");
+  }, [isLoaded, user, isAdmin, router]);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const res = await fetch("/api/webhooks");
+      const data = await res.json();
+      if (res.ok) setWebhooks(data.data);
+    } catch (err) {
+      console.error("Error fetching webhooks:", err);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ page: String(deliveryPage), limit: "20" });
+      if (deliveryFilter.webhook) params.set("webhook", deliveryFilter.webhook);
+      if (deliveryFilter.status) params.set("status", deliveryFilter.status);
+      const res = await fetch(`/api/webhooks/deliveries?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setDeliveries(data.data);
+        setDeliveryPages(data.totalPages);
+      }
+    } catch (err) {
+      console.error("Error fetching webhook deliveries:", err);
+    }
+  }, [deliveryPage, deliveryFilter]);
+
+  useEffect(() => {
+    if (isAdmin) fetchWebhooks();
+  }, [isAdmin, fetchWebhooks]);
+
+  useEffect(() => {
+    if (isAdmin) fetchDeliveries();
+  }, [isAdmin, fetchDeliveries]);
+
+  const refreshAll = () => {
+    fetchWebhooks();
+    fetchDeliveries();
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const toggleEvent = (event) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter((e) => e !== event)
+        : [...prev.events, event],
+    }));
+  };
+
+  const handleEdit = (webhook) => {
+    setForm({
+      name: webhook.name,
+      url: webhook.url,
+      events: webhook.events,
+      includePii: webhook.includePii,
+      active: webhook.active,
+    });
+    setEditingId(webhook._id);
+  };
+
+  const saveWebhook = async (payload, id = editingId) => {
+    const res = await fetch(id ? `/api/webhooks/${id}` : "/api/webhooks", {
+      method: id ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || data.message);
+    return data.data;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const check = validateWebhook(form);
+    if (!check.valid) {
+      Swal.fire({ icon: "error", title: "ข้อมูลไม่ถูกต้อง", text: check.error, confirmButtonText: "ตกลง" });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveWebhook(form);
+      if (saved.secret) {
+        await showSecret(saved.secret);
+      } else {
+        Swal.fire({ icon: "success", title: "บันทึกแล้ว", timer: 1500, showConfirmButton: false });
+      }
+      resetForm();
+      fetchWebhooks();
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "บันทึกไม่สำเร็จ", text: err.message, confirmButtonText: "ตกลง" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerateSecret = async (webhook) => {
+    const result = await Swal.fire({
+      icon: "warning",
+      title: "สร้าง secret ใหม่?",
+      text: "ปลายทางต้องอัปเดต secret ก่อนจึงจะตรวจสอบลายมือชื่อได้",
+      showCancelButton: true,
+      confirmButtonText: "สร้างใหม่",
+      cancelButtonText: "ยกเลิก",
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      const { name, url, events, includePii, active } = webhook;
+      const saved = await saveWebhook({ name, url, events, includePii, active, regenerateSecret: true }, webhook._id);
+      await showSecret(saved.secret);
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "ไม่สำเร็จ", text: err.message, confirmButtonText: "ตกลง" });
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    const result = await Swal.fire({
+      icon: "warning",
+      title: `ลบ webhook "${webhook.name}"?`,
+      text: "ประวัติการส่งยังคงอยู่ รายการที่ค้างในคิวจะไม่ถูกส่ง",
+      showCancelButton: true,
+      confirmButtonText: "ลบ",
+      cancelButtonText: "ยกเลิก",
+      confirmButtonColor: "#dc3545",
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      const res = await fetch(`/api/webhooks/${webhook._id}`, { method: "DELETE" });
+      if (!res.ok) throw new Error("Failed to delete");
+      if (editingId === webhook._id) resetForm();
+      fetchWebhooks();
+    } catch (err) {
+      console.error("Error deleting webhook:", err);
+      Swal.fire({ icon: "error", title: "ลบไม่สำเร็จ", confirmButtonText: "ตกลง" });
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    try {
+      const res = await fetch(`/api/webhooks/${webhook._id}/test`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+
+      const delivery = data.data;
+      const ok = delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCESS;
+      Swal.fire({
+        icon: ok ? "success" : "error",
+        title: ok ? "ปลายทางตอบรับแล้ว" : "ส่งไม่สำเร็จ",
+        text: ok ? `HTTP ${delivery.attemptLog.at(-1)?.statusCode}` : delivery.lastError,
+        confirmButtonText: "ตกลง",
+      });
+      refreshAll();
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "ส่งไม่สำเร็จ", text: err.message, confirmButtonText: "ตกลง" });
+    }
+  };
+
+  const handleRetry = async (delivery) => {
+    try {
+      const res = await fetch(`/api/webhooks/deliveries/${delivery._id}/retry`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+      refreshAll();
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "ส่งซ้ำไม่สำเร็จ", text: err.message, confirmButtonText: "ตกลง" });
+    }
+  };
+
+  const handleProcessQueue = async () => {
+    setProcessing(true);
+    try {
+      const res = await fetch("/api/webhooks/process", { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || data.message);
+      Swal.fire({
+        icon: "success",
+        title: `ส่งแล้ว ${data.processed} รายการ`,
+        timer: 1500,
+        showConfirmButton: false,
+      });
+      refreshAll();
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "ไม่สำเร็จ", text: err.message, confirmButtonText: "ตกลง" });
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (!isLoaded || !userId) {
+    return <div className="text-center p-8">กำลังโหลด...</div>;
+  }
+
+  if (!isAdmin) {
+    return <div className="text-center p-8">ไม่มีสิทธิ์เข้าถึงหน้านี้</div>;
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Webhooks - Admin</title>
+      </Head>
+
+      <div className="p-6 max-w-6xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Webhooks</h1>
+          <p className="text-sm text-gray-500">
+            ส่งเหตุการณ์ของระบบไปยังระบบภายนอก (เช่น n8n) ทุกคำขอลงลายมือชื่อ HMAC-SHA256
+            และส่งซ้ำอัตโนมัติเมื่อปลายทางไม่ตอบรับ
+          </p>
+        </div>
+
+        {/* Registry form */}
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border p-4">
+          <h2 className="font-semibold mb-4">{editingId ? "แก้ไข webhook" : "เพิ่ม webhook"}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">ชื่อ</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="เช่น n8n แจ้งเตือน LINE"
+                className="input input-bordered w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">URL ปลายทาง</label>
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://..."
+                className="input input-bordered w-full"
+              />
+            </div>
+          </div>
+          <div className="mt-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">เหตุการณ์</p>
+            <div className="flex flex-wrap gap-4">
+              {Object.values(WEBHOOK_EVENTS).map((event) => (
+                <label key={event} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm"
+                    checked={form.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                  />
+                  <span className="text-sm">
+                    {WEBHOOK_EVENT_META[event].text} <code className="text-xs text-gray-400">{event}</code>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-6 mt-4">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={form.active}
+                onChange={(e) => setForm({ ...form, active: e.target.checked })}
+              />
+              <span className="text-sm">เปิดใช้งาน</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm checkbox-warning"
+                checked={form.includePii}
+                onChange={(e) => setForm({ ...form, includePii: e.target.checked })}
+              />
+              <span className="text-sm">ส่งชื่อและเบอร์โทรผู้แจ้งด้วย (ข้อมูลส่วนบุคคล)</span>
+            </label>
+          </div>
+          <div className="flex justify-end gap-2 mt-4">
+            {editingId && (
+              <button type="button" className="btn btn-sm btn-ghost" onClick={resetForm}>
+                ยกเลิก
+              </button>
+            )}
+            <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+              {saving ? "กำลังบันทึก..." : editingId ? "อัปเดต" : "เพิ่ม"}
+            </button>
+          </div>
+        </form>
+
+        {/* Registry */}
+        <div className="bg-white rounded-lg shadow-sm border overflow-x-auto">
+          <table className="table w-full">
+            <thead>
+              <tr>
+                <th>ชื่อ / URL</th>
+                <th>เหตุการณ์</th>
+                <th>การส่ง</th>
+                <th>สถานะ</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className="text-center text-gray-500 py-8">ยังไม่มี webhook</td>
+                </tr>
+              ) : (
+                webhooks.map((webhook) => (
+                  <tr key={webhook._id} className={webhook.active ? "" : "opacity-50"}>
+                    <td>
+                      <div className="font-medium">{webhook.name}</div>
+                      <div className="text-xs text-gray-500 break-all">{webhook.url}</div>
+                      {webhook.includePii && <span className="badge badge-warning badge-xs mt-1">PII</span>}
+                    </td>
+                    <td>
+                      <div className="flex flex-wrap gap-1">
+                        {webhook.events.map((event) => (
+                          <span key={event} className="badge badge-outline badge-sm">{event}</span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="text-xs whitespace-nowrap">
+                      <div className="text-green-700">สำเร็จ {webhook.stats.success || 0}</div>
+                      <div className="text-blue-700">รอส่ง {webhook.stats.pending || 0}</div>
+                      <div className="text-red-700">ล้มเหลว {webhook.stats.failed || 0}</div>
+                    </td>
+                    <td>{webhook.active ? "ใช้งาน" : "ปิดใช้งาน"}</td>
+                    <td>
+                      <div className="flex flex-wrap gap-1 justify-end">
+                        <button className="btn btn-xs btn-outline btn-info" onClick={() => handleTest(webhook)}>
+                          ทดสอบ
+                        </button>
+                        <button className="btn btn-xs btn-outline" onClick={() => handleEdit(webhook)}>
+                          แก้ไข
+                        </button>
+                        <button className="btn btn-xs btn-outline" onClick={() => handleRegenerateSecret(webhook)}>
+                          secret ใหม่
+                        </button>
+                        <button className="btn btn-xs btn-outline btn-error" onClick={() => handleDelete(webhook)}>
+                          ลบ
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Delivery log */}
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 className="font-semibold">ประวัติการส่ง</h2>
+            <div className="flex flex-wrap gap-2">
+              <select
+                className="select select-bordered select-sm"
+                value={deliveryFilter.webhook}
+                onChange={(e) => {
+                  setDeliveryPage(1);
+                  setDeliveryFilter({ ...deliveryFilter, webhook: e.target.value });
+                }}
+              >
+                <option value="">ทุก webhook</option>
+                {webhooks.map((w) => (
+                  <option key={w._id} value={w._id}>{w.name}</option>
+                ))}
+              </select>
+              <select
+                className="select select-bordered select-sm"
+                value={deliveryFilter.status}
+                onChange={(e) => {
+                  setDeliveryPage(1);
+                  setDeliveryFilter({ ...deliveryFilter, status: e.target.value });
+                }}
+              >
+                <option value="">ทุกสถานะ</option>
+                {Object.entries(DELIVERY_STATUS_META).map(([status, meta]) => (
+                  <option key={status} value={status}>{meta.text}</option>
+                ))}
+              </select>
+              <button className="btn btn-sm btn-outline" onClick={handleProcessQueue} disabled={processing}>
+                {processing ? "กำลังส่ง..." : "ส่งรายการที่ถึงกำหนดตอนนี้"}
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="table table-sm w-full">
+              <thead>
+                <tr>
+                  <th>เวลา</th>
+                  <th>Webhook</th>
+                  <th>เหตุการณ์</th>
+                  <th>สถานะ</th>
+                  <th>ครั้งที่ส่ง</th>
+                  <th>ส่งครั้งถัดไป / ข้อผิดพลาด</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="text-center text-gray-500 py-8">ไม่มีประวัติการส่ง</td>
+                  </tr>
+                ) : (
+                  deliveries.map((delivery) => {
+                    const meta = DELIVERY_STATUS_META[delivery.status];
+                    const expanded = expandedId === delivery._id;
+                    return (
+                      <Fragment key={delivery._id}>
+                        <tr
+                          className="cursor-pointer hover:bg-gray-50"
+                          onClick={() => setExpandedId(expanded ? null : delivery._id)}
+                        >
+                          <td className="whitespace-nowrap text-xs">{formatDateTime(delivery.createdAt)}</td>
+                          <td className="text-sm">{delivery.webhook?.name || "(ถูกลบแล้ว)"}</td>
+                          <td><code className="text-xs">{delivery.event}</code></td>
+                          <td><span className={`badge badge-sm ${meta.badge}`}>{meta.text}</span></td>
+                          <td className="text-sm">{delivery.attempts}</td>
+                          <td className="text-xs">
+                            {delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING && (
+                              <div>{formatDateTime(delivery.nextAttemptAt)}</div>
+                            )}
+                            {delivery.lastError && <div className="text-red-600">{delivery.lastError}</div>}
+                          </td>
+                          <td>
+                            {(delivery.status === WEBHOOK_DELIVERY_STATUS.FAILED ||
+                              delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING) && (
+                              <button
+                                className="btn btn-xs btn-outline"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleRetry(delivery);
+                                }}
+                              >
+                                ส่งซ้ำ
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                        {expanded && (
+                          <tr>
+                            <td colSpan={7} className="bg-gray-50">
+                              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-xs">
+                                <div>
+                                  <p className="font-medium mb-1">Payload</p>
+                                  <pre className="bg-white border rounded p-2 max-h-64 overflow-auto">
+                                    {JSON.stringify(delivery.payload, null, 2)}
+                                  </pre>
+                                </div>
+                                <div>
+                                  <p className="font-medium mb-1">การส่งแต่ละครั้ง</p>
+                                  {delivery.attemptLog.length === 0 ? (
+                                    <p className="text-gray-500">ยังไม่ได้ส่ง</p>
+                                  ) : (
+                                    <ul className="space-y-2">
+                                      {delivery.attemptLog.map((attempt, idx) => (
+                                        <li key={idx} className="bg-white border rounded p-2">
+                                          <div className="flex justify-between">
+                                            <span>#{idx + 1} {formatDateTime(attempt.attemptedAt)}</span>
+                                            <span>
+                                              {attempt.statusCode ? `HTTP ${attempt.statusCode}` : "-"} • {attempt.durationMs} ms
+                                            </span>
+                                          </div>
+                                          {attempt.error && <div className="text-red-600">{attempt.error}</div>}
+                                          {attempt.responseBody && (
+                                            <pre className="mt-1 text-gray-600 whitespace-pre-wrap break-all">
+                                              {attempt.responseBody}
+                                            </pre>
+                                          )}
+                                        </li>
+                                      ))}
+                                    </ul>
+                                  )}
+                                </div>
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {deliveryPages > 1 && (
+            <div className="flex justify-center items-center gap-4 mt-4">
+              <button
+                className="btn btn-sm"
+                onClick={() => setDeliveryPage(Math.max(1, deliveryPage - 1))}
+                disabled={deliveryPage === 1}
+              >
+                «
+              </button>
+              <span className="text-sm text-gray-600">
+                หน้า {deliveryPage} / {deliveryPages}
+              </span>
+              <button
+                className="btn btn-sm"
+                onClick={() => setDeliveryPage(Math.min(deliveryPages, deliveryPage + 1))}
+                disabled={deliveryPage === deliveryPages}
+              >
+                »
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,7 +1,9 @@
 import dbConnect from "@/lib/dbConnect";
 import AdminOption from "@/models/AdminOption";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   await dbConnect();
 
   const { method } = req;
@@ -38,3 +40,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: error.message });
   }
 }
+
+export default withRoles({ GET: ROLES.PUBLIC, PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN }, handler);
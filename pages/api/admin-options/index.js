@@ -1,7 +1,9 @@
 import dbConnect from "@/lib/dbConnect";
 import AdminOption from "@/models/AdminOption";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   await dbConnect();
 
   const { method } = req;
@@ -31,4 +33,6 @@ export default async function handler(req, res) {
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.PUBLIC, POST: ROLES.ADMIN, PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN }, handler);
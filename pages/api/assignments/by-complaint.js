@@ -1,7 +1,10 @@
 import dbConnect from "@/lib/dbConnect";
 import Assignment from "@/models/Assignment";
+import { ACTIVE_ASSIGNMENT } from "@/lib/assignments";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const {
     query: { complaintId },
     method,
@@ -14,7 +17,9 @@ export default async function handler(req, res) {
   }
 
   try {
-    const assignments = await Assignment.find({ complaintId }).lean();
+    const filter = req.query.includeEnded ? { complaintId } : { complaintId, ...ACTIVE_ASSIGNMENT };
+    // ผู้รับผิดชอบหลักอยู่ลำดับแรก (role ว่างของข้อมูลเก่าเรียงก่อน "lead")
+    const assignments = await Assignment.find(filter).sort({ role: 1, assignedAt: 1 }).lean();
     if (!assignments) {
       return res.status(404).json({ success: false, message: "No assignments found" });
     }
@@ -22,4 +27,6 @@ export default async function handler(req, res) {
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.PUBLIC }, handler);
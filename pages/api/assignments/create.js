@@ -1,32 +1,36 @@
-import dbConnect from '@/lib/dbConnect';
-import Assignment from '@/models/Assignment';
-import mongoose from 'mongoose';
+import { assignOfficer } from '@/lib/assignments';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ message: 'Method not allowed' });
   }
 
   try {
-    await dbConnect();
-    const { complaintId, userId, solutionDetails, solutionImages, completedAt, remarks } = req.body;
+    const { complaintId, userId, role, solutionDetails, solutionImages, completedAt, remarks } = req.body;
 
     if (!complaintId || !userId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const newAssignment = await Assignment.create({
-      complaintId: new mongoose.Types.ObjectId(complaintId),
-      userId: new mongoose.Types.ObjectId(userId),
-      solutionDetails,
-      solutionImages,
-      completedAt,
-      remarks,
+    const actor = await getActor(req);
+    // role: lead | support (ไม่ระบุ = คนแรกเป็นผู้รับผิดชอบหลัก คนถัดไปเป็นผู้ช่วย)
+    const result = await assignOfficer(complaintId, userId, {
+      role,
+      actor,
+      fields: { solutionDetails, solutionImages, completedAt, remarks },
     });
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
 
-    res.status(201).json({ message: 'Assignment created successfully', assignment: newAssignment });
+    res.status(201).json({ message: 'Assignment created successfully', assignment: result.assignment });
   } catch (error) {
     console.error('Error creating assignment:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
@@ -1,12 +1,18 @@
 import dbConnect from "@/lib/dbConnect";
 import Assignment from "@/models/Assignment";
+import { ACTIVE_ASSIGNMENT } from "@/lib/assignments";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   await dbConnect();
 
   if (req.method === "GET") {
     try {
-      const assignments = await Assignment.find({});
+      // ค่าเริ่มต้นเฉพาะการมอบหมายที่ยังมีผล ผู้รับผิดชอบหลักขึ้นก่อน
+      // ?includeEnded=1 รวมประวัติที่ถูกโอน/ยกเลิกแล้ว
+      const filter = req.query.includeEnded ? {} : ACTIVE_ASSIGNMENT;
+      const assignments = await Assignment.find(filter).sort({ role: 1, assignedAt: 1 });
       res.status(200).json(assignments);
     } catch {
       res.status(500).json({ error: "Failed to fetch assignments" });
@@ -14,4 +20,6 @@ export default async function handler(req, res) {
   } else {
     res.status(405).json({ error: "Method not allowed" });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.PUBLIC }, handler);
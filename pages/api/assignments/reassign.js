@@ -0,0 +1,31 @@
+import { reassignOfficer } from '@/lib/assignments';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// โอนงานให้เจ้าหน้าที่คนอื่นโดยคงบทบาทเดิม ต้องระบุเหตุผล
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { assignmentId, userId, reason } = req.body;
+  if (!assignmentId || !userId) {
+    return res.status(400).json({ message: 'assignmentId และ userId จำเป็นต้องระบุ' });
+  }
+
+  try {
+    const actor = await getActor(req);
+    const result = await reassignOfficer(assignmentId, userId, { reason, actor });
+    if (!result.success) {
+      return res.status(result.code).json({ message: result.error });
+    }
+
+    res.status(200).json({ assignment: result.assignment, previous: result.previous });
+  } catch (error) {
+    console.error('Error reassigning:', error);
+    res.status(500).json({ message: 'เกิดข้อผิดพลาด', error: error.message });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
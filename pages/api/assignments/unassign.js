@@ -0,0 +1,30 @@
+import { unassignOfficer } from '@/lib/assignments';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { assignmentId, reason } = req.body;
+  if (!assignmentId) {
+    return res.status(400).json({ message: 'assignmentId จำเป็นต้องระบุ' });
+  }
+
+  try {
+    const actor = await getActor(req);
+    const result = await unassignOfficer(assignmentId, { reason, actor });
+    if (!result.success) {
+      return res.status(result.code).json({ message: result.error });
+    }
+
+    res.status(200).json({ assignment: result.assignment, promoted: result.promoted });
+  } catch (error) {
+    console.error('Error unassigning:', error);
+    res.status(500).json({ message: 'เกิดข้อผิดพลาด', error: error.message });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
@@ -2,8 +2,12 @@
 
 import dbConnect from "@/lib/dbConnect"; // ถ้าใช้ MongoDB
 import Assignment from "@/models/Assignment"; // ตรวจสอบ path ให้ตรงกับโครงสร้างของคุณ
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+import { emitWebhookEvent } from "@/lib/webhooks";
+import { WEBHOOK_EVENTS } from "@/utils/webhookEvents";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "PUT") {
     return res.status(405).json({ error: "Method not allowed" });
   }
@@ -14,6 +18,8 @@ export default async function handler(req, res) {
     const { assignmentId, note, solution, solutionImages, completedAt } =
       req.body;
 
+    const previous = await Assignment.findById(assignmentId).select("completedAt").lean();
+
     const updated = await Assignment.findByIdAndUpdate(
       assignmentId,
       {
@@ -31,6 +37,11 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: "Assignment not found" });
     }
 
+    // เพิ่งปิดงาน (ยังไม่เคยมี completedAt มาก่อน)
+    if (updated.completedAt && !previous?.completedAt) {
+      await emitWebhookEvent(WEBHOOK_EVENTS.ASSIGNMENT_COMPLETED, { assignment: updated });
+    }
+
     return res
       .status(200)
       .json({ message: "Assignment updated", assignment: updated });
@@ -39,3 +50,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: "Internal server error" });
   }
 }
+
+export default withRoles({ PUT: ROLES.OFFICER }, handler);
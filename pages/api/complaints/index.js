@@ -1,26 +1,86 @@
 //api/complaints/index.js
 import dbConnect from '@/lib/dbConnect';
 import Complaint from '@/models/Complaint';
+import { buildComplaintFilter, buildComplaintSort, parsePagination } from '@/lib/complaintQuery';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES, isAdminRole } from '@/utils/roles';
+import { logPiiAccess } from '@/lib/piiAudit';
+import { withSla } from '@/lib/slaPolicies';
 
-export default async function handler(req, res) {
+const SLA_FILTERS = ['overdue', 'breached'];
+
+// นับจำนวนแยกตาม field โดยไม่ใช้ตัวกรองของ field นั้นเอง (faceted counts)
+async function countBy(field, query, isAdmin) {
+  const filter = buildComplaintFilter(query, { isAdmin, omit: [field] });
+  const rows = await Complaint.aggregate([
+    { $match: filter },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id ?? 'ไม่ระบุ', r.count]));
+}
+
+async function handler(req, res) {
   await dbConnect();
 
   if (req.method === 'GET') {
     try {
+      // ?role=admin ขอข้อมูลผู้แจ้งด้วย ต้องเป็นผู้ดูแลระบบจริงจาก Clerk เท่านั้น
       const isAdmin = req.query.role === 'admin';
-      const projection = isAdmin ? {} : { fullName: 0, phone: 0 };
-      
-      let query = {};
-      if (req.query.status) {
-        query.status = req.query.status;
+      if (isAdmin && !req.auth.userId) {
+        return res.status(401).json({ success: false, message: 'กรุณาเข้าสู่ระบบ' });
+      }
+      if (isAdmin && !isAdminRole(req.auth.role)) {
+        return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์เข้าถึงข้อมูลผู้แจ้ง' });
       }
-      if (req.query.complaintId) {
-        query._id = req.query.complaintId;
+      const projection = isAdmin ? {} : { prefix: 0, fullName: 0, phone: 0, followers: 0, 'statusHistory.changedBy': 0 };
+
+      const query = buildComplaintFilter(req.query, { isAdmin });
+      const sort = buildComplaintSort(req.query);
+      const { paginate, page, limit, skip } = parsePagination(req.query);
+
+      // ?sla=overdue|breached กรองตามผล SLA ที่คำนวณฝั่งเซิร์ฟเวอร์ (กรองในหน่วยความจำ)
+      const slaFilter = SLA_FILTERS.includes(req.query.sla) ? req.query.sla : null;
+
+      let complaints;
+      let total;
+      if (!paginate || slaFilter) {
+        const all = await withSla(await Complaint.find(query, projection).sort(sort).lean());
+        const matched = slaFilter ? all.filter((c) => c.sla?.[slaFilter]) : all;
+
+        if (!paginate) {
+          if (isAdmin) await logPiiAccess(req, matched, { source: 'complaints' });
+          return res.status(200).json(matched);
+        }
+        complaints = matched.slice(skip, skip + limit);
+        total = matched.length;
+      } else {
+        const [docs, count] = await Promise.all([
+          Complaint.find(query, projection).sort(sort).skip(skip).limit(limit).lean(),
+          Complaint.countDocuments(query),
+        ]);
+        complaints = await withSla(docs);
+        total = count;
       }
-      
-      const complaints = await Complaint.find(query, projection);
 
-      return res.status(200).json(complaints);
+      const facets = req.query.facets
+        ? await Promise.all([
+            countBy('status', req.query, isAdmin),
+            countBy('category', req.query, isAdmin),
+            countBy('community', req.query, isAdmin),
+          ]).then(([status, category, community]) => ({ status, category, community }))
+        : null;
+
+      if (isAdmin) await logPiiAccess(req, complaints, { source: 'complaints' });
+
+      return res.status(200).json({
+        success: true,
+        data: complaints,
+        total,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        ...(facets && { facets }),
+      });
     } catch (err) {
       console.error('❌ Failed to fetch complaints:', err);
       return res.status(500).json({ success: false, error: 'Failed to fetch complaints' });
@@ -28,4 +88,6 @@ export default async function handler(req, res) {
   } else {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.PUBLIC }, handler);
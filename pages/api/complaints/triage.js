@@ -0,0 +1,49 @@
+//api/complaints/triage.js
+import dbConnect from '@/lib/dbConnect';
+import Complaint from '@/models/Complaint';
+import Assignment from '@/models/Assignment';
+import { ACTIVE_ASSIGNMENT } from '@/lib/assignments';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { withSla } from '@/lib/slaPolicies';
+import { DONE_STATUSES } from '@/utils/complaintStatus';
+import { getPriorityRank } from '@/utils/complaintPriority';
+
+// คิวคัดกรอง: เรื่องที่ยังเปิดอยู่ ยังไม่กำหนดความเร่งด่วน และยังไม่มีเจ้าหน้าที่รับเรื่อง
+async function handler(req, res) {
+  await dbConnect();
+
+  if (req.method === 'GET') {
+    try {
+      const assignedIds = await Assignment.distinct('complaintId', ACTIVE_ASSIGNMENT);
+      const docs = await Complaint.find(
+        {
+          $and: [
+            // สถานะเก่าที่ไม่รู้จักถือว่ายังเปิดอยู่ (เหมือน isOpenStatus)
+            { status: { $nin: DONE_STATUSES } },
+            { $or: [{ priority: null }, { priority: '' }] },
+            { _id: { $nin: assignedIds } },
+          ],
+        },
+        { prefix: 0, fullName: 0, phone: 0, followers: 0, 'statusHistory.changedBy': 0 }
+      ).lean();
+
+      // เรื่องที่ระบบแนะนำว่าเร่งด่วนขึ้นก่อน แล้วเรียงตามเวลาที่รอนานที่สุด
+      docs.sort(
+        (a, b) =>
+          getPriorityRank(b.suggestedPriority) - getPriorityRank(a.suggestedPriority) ||
+          new Date(a.createdAt) - new Date(b.createdAt)
+      );
+
+      const complaints = await withSla(docs);
+      return res.status(200).json({ success: true, data: complaints, total: complaints.length });
+    } catch (err) {
+      console.error('❌ Failed to fetch triage queue:', err);
+      return res.status(500).json({ success: false, error: 'Failed to fetch triage queue' });
+    }
+  } else {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
@@ -1,32 +1,13 @@
-import fs from 'fs';
-import path from 'path';
-
-const GEOJSON_DIR = path.join(process.cwd(), 'public', 'geojson');
-const CONFIG_FILE = path.join(GEOJSON_DIR, '_layer-config.json');
-
-function ensureDir() {
-  if (!fs.existsSync(GEOJSON_DIR)) {
-    fs.mkdirSync(GEOJSON_DIR, { recursive: true });
-  }
-}
-
-function readConfig() {
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const raw = fs.readFileSync(CONFIG_FILE, 'utf-8');
-      const data = JSON.parse(raw);
-      return typeof data === 'object' && data !== null ? data : {};
-    }
-  } catch { /* ignore */ }
-  return {};
-}
-
-export default function handler(req, res) {
-  ensureDir();
+import { getLayerColors, setLayerColors } from '@/lib/geoLayers';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
 
+// สีของเลเยอร์ { [filename]: color } เก็บใน style.color ของ GeoLayer
+async function handler(req, res) {
   if (req.method === 'GET') {
     try {
-      const config = readConfig();
+      const config = await getLayerColors();
       return res.status(200).json(config);
     } catch (err) {
       console.error('Error reading layer config:', err);
@@ -40,7 +21,7 @@ export default function handler(req, res) {
       if (!config || typeof config !== 'object') {
         return res.status(400).json({ error: 'config object is required' });
       }
-      fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf-8');
+      await setLayerColors(config, { actor: await getActor(req) });
       return res.status(200).json({ success: true });
     } catch (err) {
       console.error('Error saving layer config:', err);
@@ -50,3 +31,5 @@ export default function handler(req, res) {
 
   return res.status(405).json({ method: 'Method not allowed' });
 }
+
+export default withRoles({ GET: ROLES.ADMIN, POST: ROLES.ADMIN }, handler);
@@ -0,0 +1,62 @@
+import { openLayerDownload, updateLayerMeta } from '@/lib/geoLayers';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '1mb',
+    },
+    // เลเยอร์ขนาดใหญ่ส่งแบบ stream
+    responseLimit: false,
+  },
+};
+
+// GET /api/geojson/{filename}            — ดาวน์โหลดเลเยอร์ (ต้องเข้าสู่ระบบ) ?download=1 เพื่อบันทึกเป็นไฟล์
+// PUT /api/geojson/{filename} { description?, style? } — แก้ไขข้อมูลกำกับเลเยอร์ (style รวมเข้ากับค่าเดิมทีละ key)
+async function handler(req, res) {
+  const { filename } = req.query;
+
+  if (req.method === 'GET') {
+    try {
+      const result = await openLayerDownload(filename);
+      if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+      }
+
+      res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+      res.setHeader('Cache-Control', 'private, no-store');
+      if (req.query.download) {
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+      }
+      result.stream.on('error', (err) => {
+        console.error('Error streaming geojson file:', err);
+        res.destroy(err);
+      });
+      result.stream.pipe(res);
+      return;
+    } catch (err) {
+      console.error('Error reading geojson file:', err);
+      return res.status(500).json({ error: 'Failed to read file' });
+    }
+  }
+
+  if (req.method === 'PUT') {
+    try {
+      const { description, style } = req.body;
+      const result = await updateLayerMeta(filename, { description, style }, { actor: await getActor(req) });
+      if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+      }
+      return res.status(200).json({ success: true, layer: result.layer });
+    } catch (err) {
+      console.error('Error updating layer metadata:', err);
+      return res.status(500).json({ error: 'Failed to update layer' });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+export default withRoles({ GET: ROLES.ADMIN, PUT: ROLES.ADMIN }, handler);
@@ -0,0 +1,51 @@
+import { convertLayerFile } from '@/lib/layerImport';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// รับไฟล์ดิบ (ไม่ใช่ JSON) เพื่อรองรับ zip/kmz
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: false,
+  },
+};
+
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// POST /api/geojson/convert?filename=parcel.zip[&latField=&lngField=&crs=EPSG:32647&keepZ=1]
+// แปลง GeoJSON, Shapefile (zip), KML/KMZ, CSV เป็น GeoJSON WGS 84 ให้ดูตัวอย่างก่อนบันทึกผ่าน /api/geojson
+async function handler(req, res) {
+  const { filename, latField, lngField, crs, keepZ } = req.query;
+  if (!filename) {
+    return res.status(400).json({ error: 'filename is required' });
+  }
+
+  try {
+    const buffer = await readBody(req);
+    if (!buffer) {
+      return res.status(413).json({ error: 'ไฟล์ใหญ่เกิน 50MB' });
+    }
+
+    const result = await convertLayerFile(buffer, filename, { latField, lngField, crs, keepZ: keepZ === '1' });
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Error converting layer file:', err);
+    return res.status(500).json({ error: 'Failed to convert file' });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
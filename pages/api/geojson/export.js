@@ -0,0 +1,41 @@
+import { exportLayer } from '@/lib/layerExport';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+// GET /api/geojson/export?filename=parcel.geojson&format=geojson|shapefile|kml|csv[&blockId=&landUse=]
+// POST /api/geojson/export { filename, format, blockId?, landUse?, parcelCodes } — เฉพาะแปลงที่เลือกบนแผนที่
+// ส่งออกเลเยอร์พร้อมการใช้ที่ดินที่สำรวจ (lu_main, lu_types, lu_labels, lu_areas)
+async function handler(req, res) {
+  const { filename, format, blockId, landUse, parcelCodes } = req.method === 'POST' ? req.body || {} : req.query;
+  if (!filename) {
+    return res.status(400).json({ error: 'filename is required' });
+  }
+  if (req.method === 'POST' && !Array.isArray(parcelCodes)) {
+    return res.status(400).json({ error: 'parcelCodes must be an array' });
+  }
+
+  try {
+    const result = await exportLayer(filename, { format, blockId, landUse, parcelCodes: req.method === 'POST' ? parcelCodes : undefined });
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(result.downloadName)}`);
+    res.setHeader('X-Feature-Count', String(result.count));
+    res.setHeader('X-Skipped-Count', String(result.skipped));
+    return res.status(200).send(result.body);
+  } catch (err) {
+    console.error('Error exporting layer:', err);
+    return res.status(500).json({ error: 'Failed to export layer' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN, POST: ROLES.ADMIN }, handler);
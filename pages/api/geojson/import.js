@@ -0,0 +1,21 @@
+import { importLegacyLayers } from '@/lib/geoLayers';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// POST /api/geojson/import — ย้ายเลเยอร์เดิมใน public/geojson (และสีใน _layer-config.json) เข้าที่เก็บเลเยอร์ แล้วย้ายไฟล์เดิมออกจาก public/
+// เลเยอร์ที่มีอยู่แล้วจะถูกข้าม จึงเรียกซ้ำได้
+async function handler(req, res) {
+  try {
+    const result = await importLegacyLayers({ actor: await getActor(req) });
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Error importing geojson layers:', err);
+    return res.status(500).json({ error: 'Failed to import layers' });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
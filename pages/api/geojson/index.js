@@ -1,5 +1,7 @@
-import fs from 'fs';
-import path from 'path';
+import { deleteLayer, listLayers, saveLayer } from '@/lib/geoLayers';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
 
 export const config = {
   api: {
@@ -9,35 +11,11 @@ export const config = {
   },
 };
 
-const GEOJSON_DIR = path.join(process.cwd(), 'public', 'geojson');
-
-function ensureDir() {
-  if (!fs.existsSync(GEOJSON_DIR)) {
-    fs.mkdirSync(GEOJSON_DIR, { recursive: true });
-  }
-}
-
-export default function handler(req, res) {
-  ensureDir();
-
+async function handler(req, res) {
   if (req.method === 'GET') {
     try {
-      const files = fs.readdirSync(GEOJSON_DIR).filter(
-        (f) => !f.startsWith('_') && (f.endsWith('.geojson') || f.endsWith('.json'))
-      );
-
-      const result = files.map((filename) => {
-        const filePath = path.join(GEOJSON_DIR, filename);
-        const stat = fs.statSync(filePath);
-        return {
-          filename,
-          url: `/geojson/${filename}`,
-          size: stat.size,
-          uploadedAt: stat.mtime.toISOString(),
-        };
-      });
-
-      return res.status(200).json(result);
+      const layers = await listLayers();
+      return res.status(200).json(layers);
     } catch (err) {
       console.error('Error listing geojson files:', err);
       return res.status(500).json({ error: 'Failed to list files' });
@@ -46,24 +24,17 @@ export default function handler(req, res) {
 
   if (req.method === 'POST') {
     try {
-      const { filename, data } = req.body;
-
-      if (!filename || !data) {
-        return res.status(400).json({ error: 'filename and data are required' });
+      const { filename, data, description, sourceCrs, changeSummary } = req.body;
+      const result = await saveLayer(filename, data, { actor: await getActor(req), description, sourceCrs, changeSummary });
+      if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
       }
 
-      const safeName = filename.replace(/[^a-zA-Z0-9._\-ก-๙]/g, '_');
-      const finalName = safeName.endsWith('.geojson') || safeName.endsWith('.json')
-        ? safeName
-        : `${safeName}.geojson`;
-
-      const filePath = path.join(GEOJSON_DIR, finalName);
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
-
       return res.status(200).json({
         success: true,
-        filename: finalName,
-        url: `/geojson/${finalName}`,
+        filename: result.layer.filename,
+        url: result.layer.url,
+        layer: result.layer,
       });
     } catch (err) {
       console.error('Error saving geojson file:', err);
@@ -79,15 +50,11 @@ export default function handler(req, res) {
         return res.status(400).json({ error: 'filename is required' });
       }
 
-      const safeName = path.basename(filename);
-      const filePath = path.join(GEOJSON_DIR, safeName);
-
-      if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: 'File not found' });
+      const result = await deleteLayer(filename);
+      if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
       }
-
-      fs.unlinkSync(filePath);
-      return res.status(200).json({ success: true, deleted: safeName });
+      return res.status(200).json({ success: true, deleted: result.deleted });
     } catch (err) {
       console.error('Error deleting geojson file:', err);
       return res.status(500).json({ error: 'Failed to delete file' });
@@ -96,3 +63,5 @@ export default function handler(req, res) {
 
   return res.status(405).json({ error: 'Method not allowed' });
 }
+
+export default withRoles({ GET: ROLES.ADMIN, POST: ROLES.ADMIN, DELETE: ROLES.ADMIN }, handler);
@@ -0,0 +1,32 @@
+import { readLayer } from '@/lib/geoLayers';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { validateLayerTopology } from '@/utils/topology';
+
+// GET /api/geojson/validate?filename=parcel.geojson
+// ตรวจโทโพโลยีของชั้นข้อมูลแปลงที่บันทึกไว้ (ซ้อนทับ ช่องว่าง รูปแปลงเสีย รหัสซ้ำ/ไม่มีรหัส ค่า Z)
+async function handler(req, res) {
+  const { filename } = req.query;
+  if (!filename) {
+    return res.status(400).json({ error: 'filename is required' });
+  }
+
+  try {
+    const result = await readLayer(filename);
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).json({
+      filename: result.layer.filename,
+      uploadedAt: result.layer.uploadedAt,
+      ...validateLayerTopology(result.data),
+    });
+  } catch (err) {
+    console.error('Error validating layer topology:', err);
+    return res.status(500).json({ error: 'Failed to validate layer' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
@@ -0,0 +1,19 @@
+import { getLandUseChanges } from '@/lib/landUse';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// GET /api/land-use/changes?from=...&to=... — แปลงที่การใช้ที่ดินต่างกันระหว่างสองรอบสำรวจ
+async function handler(req, res) {
+  try {
+    const result = await getLandUseChanges(req.query.from, req.query.to);
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Error comparing land use rounds:', err);
+    return res.status(500).json({ error: 'Failed to compare data' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
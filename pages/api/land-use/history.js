@@ -0,0 +1,19 @@
+import { getParcelLandUseHistory } from '@/lib/landUse';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// GET /api/land-use/history?parcelCode=... — ประวัติการเปลี่ยนการใช้ที่ดินของแปลง (ล่าสุดก่อน)
+async function handler(req, res) {
+  try {
+    const result = await getParcelLandUseHistory(req.query.parcelCode);
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Error reading land use history:', err);
+    return res.status(500).json({ error: 'Failed to read history' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
@@ -0,0 +1,21 @@
+import { importLegacyLandUseFile } from '@/lib/landUse';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// POST /api/land-use/import — นำเข้า public/geojson/_land-use-data.json เดิมเข้า MongoDB (ครั้งเดียว) แล้วย้ายไฟล์ออกจาก public/
+// แปลงที่มีในฐานข้อมูลแล้วจะไม่ถูกเขียนทับ จึงเรียกซ้ำได้
+async function handler(req, res) {
+  try {
+    const result = await importLegacyLandUseFile({ actor: await getActor(req) });
+    if (!result.success) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Error importing land use data:', err);
+    return res.status(500).json({ error: 'Failed to import data' });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
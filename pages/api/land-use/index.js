@@ -1,6 +1,14 @@
-import fs from 'fs';
-import path from 'path';
-import { validateParcelCode, validateLandUseAssignment } from '@/utils/landUseValidation';
+import {
+  bulkSetLandUse,
+  getLandUseSnapshot,
+  parseLandUseInput,
+  setParcelLandUse,
+} from '@/lib/landUse';
+import { getActor } from '@/lib/complaintLifecycle';
+import { LAND_USE_CHANGE_SOURCE } from '@/utils/landUse';
+import { validateParcelCode } from '@/utils/landUseValidation';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
 
 export const config = {
   api: {
@@ -10,37 +18,13 @@ export const config = {
   },
 };
 
-const DATA_DIR = path.join(process.cwd(), 'public', 'geojson');
-const DATA_FILE = path.join(DATA_DIR, '_land-use-data.json');
+// ที่มาที่ PUT บันทึกลงประวัติได้ (กำหนดเป็นชุด หรือโอนจากแปลงเดิมเมื่อแบ่งแยก/รวมแปลง)
+const BULK_SOURCES = [LAND_USE_CHANGE_SOURCE.BULK, LAND_USE_CHANGE_SOURCE.SUBDIVISION];
 
-function ensureDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-}
-
-function readData() {
-  ensureDir();
-  if (!fs.existsSync(DATA_FILE)) {
-    return { assignments: {}, updatedAt: null };
-  }
-  try {
-    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
-  } catch {
-    return { assignments: {}, updatedAt: null };
-  }
-}
-
-function writeData(data) {
-  ensureDir();
-  data.updatedAt = new Date().toISOString();
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2), 'utf-8');
-}
-
-export default function handler(req, res) {
+async function handler(req, res) {
   if (req.method === 'GET') {
     try {
-      const data = readData();
+      const data = await getLandUseSnapshot();
       return res.status(200).json(data);
     } catch (err) {
       console.error('Error reading land use data:', err);
@@ -50,35 +34,37 @@ export default function handler(req, res) {
 
   if (req.method === 'POST') {
     try {
-      const { parcelCode, landUse } = req.body;
+      const { parcelCode, landUse, editedAt } = req.body;
 
       const pcCheck = validateParcelCode(parcelCode);
       if (!pcCheck.valid) {
         return res.status(400).json({ error: pcCheck.error });
       }
+      const parsed = parseLandUseInput(landUse);
+      if (!parsed.valid) {
+        return res.status(400).json({ error: parsed.error });
+      }
 
-      const data = readData();
-
-      const isEmpty = !landUse || landUse === '' || (Array.isArray(landUse) && landUse.length === 0);
-      if (isEmpty) {
-        delete data.assignments[parcelCode];
-      } else {
-        const normalized = typeof landUse === 'string'
-          ? { types: [landUse], areas: {} }
-          : Array.isArray(landUse)
-            ? { types: landUse, areas: {} }
-            : landUse.types
-              ? { types: landUse.types || [], areas: landUse.areas || {} }
-              : { types: [], areas: {} };
-        const luCheck = validateLandUseAssignment(normalized);
-        if (!luCheck.valid) {
-          return res.status(400).json({ error: luCheck.error });
-        }
-        data.assignments[parcelCode] = normalized;
+      // ส่ง baseUpdatedAt (เวลาแก้ไขของแปลงตอนที่ดาวน์โหลดมา) เพื่อไม่ให้ทับข้อมูลที่มีผู้อื่นแก้ไขในระหว่างนั้น
+      const hasBase = Object.prototype.hasOwnProperty.call(req.body, 'baseUpdatedAt');
+      const result = await setParcelLandUse(parcelCode, parsed.landUse, {
+        actor: await getActor(req),
+        baseUpdatedAt: hasBase ? req.body.baseUpdatedAt : undefined,
+        editedAt,
+      });
+      if (!result.success) {
+        return res.status(result.code).json({
+          error: result.error,
+          ...(result.conflict && { conflict: true, parcelCode, server: result.server }),
+        });
       }
 
-      writeData(data);
-      return res.status(200).json({ success: true, assignments: data.assignments });
+      const data = await getLandUseSnapshot();
+      return res.status(200).json({
+        success: true,
+        assignments: data.assignments,
+        parcelUpdatedAt: data.parcelUpdatedAt,
+      });
     } catch (err) {
       console.error('Error saving land use data:', err);
       return res.status(500).json({ error: 'Failed to save data' });
@@ -87,44 +73,36 @@ export default function handler(req, res) {
 
   if (req.method === 'PUT') {
     try {
-      const { assignments } = req.body;
+      const { assignments, source = LAND_USE_CHANGE_SOURCE.BULK } = req.body;
 
       if (!assignments || typeof assignments !== 'object' || Array.isArray(assignments)) {
         return res.status(400).json({ error: 'assignments object is required' });
       }
+      if (!BULK_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `Invalid source: ${source}` });
+      }
 
+      const landUses = {};
       for (const [parcelCode, landUse] of Object.entries(assignments)) {
         const pcCheck = validateParcelCode(parcelCode);
         if (!pcCheck.valid) {
           return res.status(400).json({ error: `Invalid parcelCode "${parcelCode}": ${pcCheck.error}` });
         }
-        const isEmpty = !landUse || landUse === '' || (Array.isArray(landUse) && landUse.length === 0);
-        if (!isEmpty) {
-          const normalized = typeof landUse === 'string'
-            ? { types: [landUse], areas: {} }
-            : Array.isArray(landUse)
-              ? { types: landUse, areas: {} }
-              : landUse.types
-                ? { types: landUse.types || [], areas: landUse.areas || {} }
-                : { types: [], areas: {} };
-          const luCheck = validateLandUseAssignment(normalized);
-          if (!luCheck.valid) {
-            return res.status(400).json({ error: `Invalid assignment for ${parcelCode}: ${luCheck.error}` });
-          }
+        const parsed = parseLandUseInput(landUse);
+        if (!parsed.valid) {
+          return res.status(400).json({ error: `Invalid assignment for ${parcelCode}: ${parsed.error}` });
         }
+        landUses[parcelCode] = parsed.landUse;
       }
 
-      const data = readData();
-      Object.assign(data.assignments, assignments);
+      await bulkSetLandUse(landUses, { actor: await getActor(req), source });
 
-      Object.keys(data.assignments).forEach((k) => {
-        if (!data.assignments[k] || data.assignments[k] === '') {
-          delete data.assignments[k];
-        }
+      const data = await getLandUseSnapshot();
+      return res.status(200).json({
+        success: true,
+        assignments: data.assignments,
+        parcelUpdatedAt: data.parcelUpdatedAt,
       });
-
-      writeData(data);
-      return res.status(200).json({ success: true, assignments: data.assignments });
     } catch (err) {
       console.error('Error bulk-saving land use data:', err);
       return res.status(500).json({ error: 'Failed to save data' });
@@ -133,3 +111,5 @@ export default function handler(req, res) {
 
   return res.status(405).json({ error: 'Method not allowed' });
 }
+
+export default withRoles({ GET: ROLES.ADMIN, POST: ROLES.ADMIN, PUT: ROLES.ADMIN }, handler);
@@ -1,6 +1,8 @@
 import { proxyFetch } from "@/lib/proxyFetch";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     const result = await proxyFetch(req, "/api/menu");
     return res.status(result.status).json(result.body);
@@ -9,3 +11,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: "Proxy request failed" });
   }
 }
+
+export default withRoles({ GET: ROLES.PUBLIC, POST: ROLES.ADMIN, PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN }, handler);
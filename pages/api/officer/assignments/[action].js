@@ -0,0 +1,56 @@
+import {
+  acceptAssignment,
+  addAssignmentProgress,
+  completeAssignment,
+  getLocalUserByClerkId,
+  startAssignment,
+} from '@/lib/assignments';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// POST /api/officer/assignments/{accept|start|progress|complete}
+const ACTIONS = {
+  accept: (id, userId) => acceptAssignment(id, userId),
+  start: (id, userId, body, actor) => startAssignment(id, userId, { actor }),
+  progress: (id, userId, body, actor) =>
+    addAssignmentProgress(id, userId, { note: body.note, images: body.images, actor }),
+  complete: (id, userId, body, actor) =>
+    completeAssignment(id, userId, {
+      solution: body.solution,
+      solutionImages: body.solutionImages,
+      note: body.note,
+      actor,
+    }),
+};
+
+async function handler(req, res) {
+  const run = ACTIONS[req.query.action];
+  if (!run) {
+    return res.status(404).json({ success: false, message: 'ไม่พบคำสั่งนี้' });
+  }
+
+  const { assignmentId } = req.body;
+  if (!assignmentId) {
+    return res.status(400).json({ success: false, message: 'assignmentId จำเป็นต้องระบุ' });
+  }
+
+  try {
+    const user = await getLocalUserByClerkId(req.auth.userId);
+    if (!user) {
+      return res.status(403).json({ success: false, message: 'บัญชีนี้ยังไม่ได้ลงทะเบียนเป็นเจ้าหน้าที่' });
+    }
+
+    const actor = { changedBy: req.auth.userId, changedByName: user.name || null };
+    const result = await run(assignmentId, user._id, req.body, actor);
+    if (!result.success) {
+      return res.status(result.code).json({ success: false, message: result.error });
+    }
+
+    res.status(200).json({ success: true, assignment: result.assignment });
+  } catch (error) {
+    console.error(`Error on officer action ${req.query.action}:`, error);
+    res.status(500).json({ success: false, message: 'เกิดข้อผิดพลาด', error: error.message });
+  }
+}
+
+export default withRoles({ POST: ROLES.OFFICER }, handler);
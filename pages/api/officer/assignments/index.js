@@ -0,0 +1,21 @@
+import { getLocalUserByClerkId, getOfficerQueue } from '@/lib/assignments';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+// งานที่มอบหมายให้เจ้าหน้าที่ที่เข้าสู่ระบบอยู่ (?includeCompleted=1 รวมงานที่ปิดแล้ว)
+async function handler(req, res) {
+  try {
+    const user = await getLocalUserByClerkId(req.auth.userId);
+    if (!user) {
+      return res.status(403).json({ success: false, message: 'บัญชีนี้ยังไม่ได้ลงทะเบียนเป็นเจ้าหน้าที่' });
+    }
+
+    const data = await getOfficerQueue(user._id, { includeCompleted: req.query.includeCompleted === '1' });
+    res.status(200).json({ success: true, data, user: { _id: user._id, name: user.name } });
+  } catch (error) {
+    console.error('Error fetching officer queue:', error);
+    res.status(500).json({ success: false, message: 'เกิดข้อผิดพลาด', error: error.message });
+  }
+}
+
+export default withRoles({ GET: ROLES.OFFICER }, handler);
@@ -0,0 +1,54 @@
+//api/pii-access-logs/index.js
+import dbConnect from '@/lib/dbConnect';
+import PiiAccessLog from '@/models/PiiAccessLog';
+import { parsePagination } from '@/lib/complaintQuery';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function handler(req, res) {
+  await dbConnect();
+
+  try {
+    const { complaintId, viewer, from, to } = req.query;
+    const filter = {};
+
+    if (complaintId) {
+      filter.complaintId = new RegExp(escapeRegex(String(complaintId).trim()), 'i');
+    }
+    if (viewer) {
+      const regex = new RegExp(escapeRegex(String(viewer).trim()), 'i');
+      filter.$or = [{ viewerName: regex }, { viewerId: regex }];
+    }
+    if (from || to) {
+      filter.viewedAt = {};
+      if (from) filter.viewedAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setUTCHours(23, 59, 59, 999);
+        filter.viewedAt.$lte = end;
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [logs, total] = await Promise.all([
+      PiiAccessLog.find(filter).sort({ viewedAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      PiiAccessLog.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: logs,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (err) {
+    console.error('❌ Failed to fetch PII access logs:', err);
+    return res.status(500).json({ success: false, error: 'Failed to fetch PII access logs' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
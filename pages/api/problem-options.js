@@ -1,6 +1,8 @@
 import { proxyFetch } from "@/lib/proxyFetch";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     const result = await proxyFetch(req, "/api/problem-options");
     return res.status(result.status).json(result.body);
@@ -8,4 +10,6 @@ export default async function handler(req, res) {
     console.error("❌ Proxy error:", err);
     return res.status(500).json({ error: "Proxy request failed" });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.PUBLIC, POST: ROLES.ADMIN }, handler);
@@ -0,0 +1,40 @@
+import dbConnect from "@/lib/dbConnect";
+import ProblemOption from "@/models/ProblemOption";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+import { isValidPriority, normalizePriorityKeywords } from "@/utils/complaintPriority";
+
+// กฎแนะนำความเร่งด่วนของ ProblemOption เก็บในฐานข้อมูลของระบบนี้โดยตรง
+async function handler(req, res) {
+  await dbConnect();
+
+  if (req.method === "PUT") {
+    const { defaultPriority, priorityKeywords } = req.body;
+    if (defaultPriority && !isValidPriority(defaultPriority)) {
+      return res.status(400).json({ message: `ระดับความเร่งด่วนไม่ถูกต้อง: ${defaultPriority}` });
+    }
+
+    try {
+      const option = await ProblemOption.findByIdAndUpdate(
+        req.query.id,
+        {
+          $set: {
+            defaultPriority: defaultPriority || null,
+            priorityKeywords: normalizePriorityKeywords(priorityKeywords),
+          },
+        },
+        { new: true }
+      );
+      if (!option) {
+        return res.status(404).json({ message: "ไม่พบรายการปัญหานี้" });
+      }
+      res.status(200).json(option);
+    } catch {
+      res.status(500).json({ message: "Error updating problem option" });
+    }
+  } else {
+    res.status(405).json({ message: "Method not allowed" });
+  }
+}
+
+export default withRoles({ PUT: ROLES.ADMIN }, handler);
@@ -1,7 +1,9 @@
 import dbConnect from "@/lib/dbConnect";
 import ProblemOption from "@/models/ProblemOption";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   await dbConnect();
 
   if (req.method === "GET") {
@@ -14,4 +16,6 @@ export default async function handler(req, res) {
   } else {
     res.status(405).json({ message: "Method not allowed" });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.PUBLIC }, handler);
@@ -1,7 +1,11 @@
 import dbConnect from "@/lib/dbConnect";
 import Satisfaction from "@/models/Satisfaction";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+import { emitWebhookEvent } from "@/lib/webhooks";
+import { WEBHOOK_EVENTS } from "@/utils/webhookEvents";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   await dbConnect();
 
   if (req.method !== "POST") {
@@ -21,9 +25,13 @@ export default async function handler(req, res) {
       comment,
     });
 
+    await emitWebhookEvent(WEBHOOK_EVENTS.SATISFACTION_SUBMITTED, { satisfaction: newSatisfaction });
+
     return res.status(201).json({ success: true, data: newSatisfaction });
   } catch (error) {
     console.error("Error saving satisfaction:", error);
     return res.status(500).json({ message: "Server error" });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ POST: ROLES.PUBLIC }, handler);
@@ -1,7 +1,9 @@
 import dbConnect from '@/lib/dbConnect';
 import Satisfaction from '@/models/Satisfaction';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   await dbConnect();
 
   if (req.method === 'GET') {
@@ -47,3 +49,5 @@ export default async function handler(req, res) {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 }
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
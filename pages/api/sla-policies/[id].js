@@ -0,0 +1,47 @@
+//api/sla-policies/[id].js
+import dbConnect from '@/lib/dbConnect';
+import SlaPolicy from '@/models/SlaPolicy';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { validateSlaPolicy } from '@/utils/sla';
+import { parseSlaPolicyBody } from '@/lib/slaPolicies';
+
+async function handler(req, res) {
+  await dbConnect();
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'DELETE') {
+      const deleted = await SlaPolicy.findByIdAndDelete(id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'ไม่พบนโยบาย SLA' });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    const policy = parseSlaPolicyBody(req.body || {});
+    const check = validateSlaPolicy(policy);
+    if (!check.valid) {
+      return res.status(400).json({ success: false, error: check.error });
+    }
+
+    const updated = await SlaPolicy.findByIdAndUpdate(
+      id,
+      { ...policy, updatedBy: req.auth.userId, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'ไม่พบนโยบาย SLA' });
+    }
+    return res.status(200).json({ success: true, data: updated });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, error: 'มีนโยบาย SLA สำหรับหมวดหมู่และระดับความสำคัญนี้แล้ว' });
+    }
+    console.error('❌ Failed to update SLA policy:', err);
+    return res.status(500).json({ success: false, error: 'Failed to update SLA policy' });
+  }
+}
+
+export default withRoles({ PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN }, handler);
@@ -0,0 +1,40 @@
+//api/sla-policies/index.js
+import dbConnect from '@/lib/dbConnect';
+import SlaPolicy from '@/models/SlaPolicy';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { DEFAULT_SLA, validateSlaPolicy } from '@/utils/sla';
+import { parseSlaPolicyBody } from '@/lib/slaPolicies';
+
+async function handler(req, res) {
+  await dbConnect();
+
+  if (req.method === 'GET') {
+    try {
+      const policies = await SlaPolicy.find({}).sort({ category: 1, priority: 1 }).lean();
+      return res.status(200).json({ success: true, data: policies, defaults: DEFAULT_SLA });
+    } catch (err) {
+      console.error('❌ Failed to fetch SLA policies:', err);
+      return res.status(500).json({ success: false, error: 'Failed to fetch SLA policies' });
+    }
+  }
+
+  try {
+    const policy = parseSlaPolicyBody(req.body || {});
+    const check = validateSlaPolicy(policy);
+    if (!check.valid) {
+      return res.status(400).json({ success: false, error: check.error });
+    }
+
+    const created = await SlaPolicy.create({ ...policy, updatedBy: req.auth.userId });
+    return res.status(201).json({ success: true, data: created });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, error: 'มีนโยบาย SLA สำหรับหมวดหมู่และระดับความสำคัญนี้แล้ว' });
+    }
+    console.error('❌ Failed to create SLA policy:', err);
+    return res.status(500).json({ success: false, error: 'Failed to create SLA policy' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN, POST: ROLES.ADMIN }, handler);
@@ -1,7 +1,9 @@
 import dbConnect from "@/lib/dbConnect";
 import SubmittedReport from "@/models/SubmittedReport";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const {
     query: { id },
     method,
@@ -46,4 +48,6 @@ export default async function handler(req, res) {
       res.setHeader("Allow", ["PUT", "DELETE"]);
       return res.status(405).end(`Method ${method} Not Allowed`);
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN }, handler);
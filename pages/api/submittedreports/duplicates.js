@@ -0,0 +1,37 @@
+// /pages/api/submittedreports/duplicates.js
+import dbConnect from "@/lib/dbConnect";
+import SubmittedReport from "@/models/SubmittedReport";
+import { findDuplicateCandidates, getDuplicateRadius } from "@/lib/complaintDuplicates";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+
+const MAX_RADIUS = 2000;
+
+// เรื่องที่อาจซ้ำกับเรื่อง ?id= สำหรับเลือกเรื่องหลักตอนรวมเรื่อง
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+  }
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ success: false, error: "id จำเป็นต้องระบุ" });
+  }
+
+  try {
+    await dbConnect();
+    const complaint = await SubmittedReport.findById(id).select("category problems location").lean();
+    if (!complaint) {
+      return res.status(404).json({ success: false, error: "ไม่พบเรื่องร้องเรียนนี้" });
+    }
+
+    const radius = Math.min(MAX_RADIUS, Number(req.query.radius) || getDuplicateRadius());
+    const candidates = await findDuplicateCandidates(complaint, { radius, excludeId: complaint._id });
+    return res.status(200).json({ success: true, radius, data: candidates });
+  } catch (error) {
+    console.error("❌ Failed to find duplicates:", error);
+    return res.status(500).json({ success: false, error: "Server error" });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
@@ -0,0 +1,34 @@
+// /pages/api/submittedreports/follow.js
+import { followComplaint } from "@/lib/complaintDuplicates";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+
+// ประชาชนเลือก "ติดตามเรื่องนี้" แทนการส่งเรื่องซ้ำ
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+  }
+
+  const { id, prefix, fullName, phone, detail, images } = req.body;
+  if (!id || !fullName?.trim()) {
+    return res.status(400).json({ success: false, error: "id และ fullName จำเป็นต้องระบุ" });
+  }
+
+  try {
+    const result = await followComplaint(id, { prefix, fullName: fullName.trim(), phone, detail, images });
+    if (!result.success) {
+      return res.status(result.code).json({ success: false, error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      complaintId: result.complaint.complaintId,
+      followerCount: result.complaint.followerCount,
+    });
+  } catch (error) {
+    console.error("❌ Failed to follow complaint:", error);
+    return res.status(500).json({ success: false, error: "Server error" });
+  }
+}
+
+export default withRoles({ POST: ROLES.PUBLIC }, handler);
@@ -0,0 +1,29 @@
+// /pages/api/submittedreports/merge.js
+import { getActor, mergeComplaint } from "@/lib/complaintLifecycle";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { duplicateId, masterId, note } = req.body;
+  if (!duplicateId || !masterId) {
+    return res.status(400).json({ message: "duplicateId และ masterId จำเป็นต้องระบุ" });
+  }
+
+  try {
+    const actor = await getActor(req);
+    const result = await mergeComplaint(duplicateId, masterId, { note, actor });
+    if (!result.success) {
+      return res.status(result.code).json({ message: result.error });
+    }
+
+    res.status(200).json({ complaint: result.complaint, duplicate: result.duplicate });
+  } catch (err) {
+    res.status(500).json({ message: "เกิดข้อผิดพลาด", error: err.message });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
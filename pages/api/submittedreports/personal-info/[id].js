@@ -1,7 +1,11 @@
 //api/submittedreports/personal-info/[id].js
 import dbConnect from "@/lib/dbConnect";
 import SubmittedReport from "@/models/SubmittedReport";
-export default async function handler(req, res) {
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+import { logPiiAccess } from "@/lib/piiAudit";
+
+async function handler(req, res) {
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
   }
@@ -14,16 +18,21 @@ export default async function handler(req, res) {
 
   try {
     const report = await SubmittedReport.findById(id).select(
-      "prefix fullName phone location community"
+      "complaintId prefix fullName phone location community"
     );
 
     if (!report) {
       return res.status(404).json({ error: "ไม่พบข้อมูลผู้แจ้ง" });
     }
 
+    // บันทึกการเข้าดูก่อนส่งข้อมูลส่วนบุคคลออกไป
+    await logPiiAccess(req, [report], { source: "personal-info" });
+
     return res.status(200).json(report);
   } catch (error) {
     console.error("Error fetching personal info:", error);
     return res.status(500).json({ error: "ไม่สามารถดึงข้อมูลผู้แจ้งได้" });
   }
 }
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
@@ -0,0 +1,34 @@
+// /pages/api/submittedreports/priority.js
+import dbConnect from "@/lib/dbConnect";
+import { getActor, setComplaintPriority } from "@/lib/complaintLifecycle";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+
+async function handler(req, res) {
+  await dbConnect();
+
+  if (req.method === "PUT") {
+    const { complaintId, priority, note } = req.body;
+
+    if (!complaintId || !priority) {
+      return res.status(400).json({ message: "complaintId และ priority จำเป็นต้องระบุ" });
+    }
+
+    try {
+      const actor = await getActor(req);
+      const result = await setComplaintPriority(complaintId, priority, { note, actor });
+
+      if (!result.success) {
+        return res.status(result.code).json({ message: result.error });
+      }
+
+      res.status(200).json(result.complaint);
+    } catch (err) {
+      res.status(500).json({ message: "เกิดข้อผิดพลาด", error: err.message });
+    }
+  } else {
+    res.status(405).json({ message: "Method Not Allowed" });
+  }
+}
+
+export default withRoles({ PUT: ROLES.ADMIN }, handler);
@@ -2,8 +2,8 @@
  * /api/submittedreports/stats
  * GET  –  returns an aggregated snapshot for the dashboard cards:
  *   {
- *     inProgress: <Number>,     // reports that are *not* completed
- *     completed:  <Number>,     // reports that are completed
+ *     inProgress: <Number>,     // reports in an open lifecycle status
+ *     completed:  <Number>,     // reports that are resolved or closed
  *     satisfaction: <Number>    // average satisfaction (0‑100) rounded – optional, `null` if none
  *     latestUpdate: <Date|null> // latest updatedAt of inProgress reports or null
  *   }
@@ -15,6 +15,9 @@
 
 import dbConnect from '@/lib/dbConnect';
 import mongoose from 'mongoose';
+import { DONE_STATUSES, OPEN_STATUSES } from '@/utils/complaintStatus';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
 
 const REPORT_COLLECTION = 'submittedreports';
 const SATISFACTION_COLLECTION = 'satisfactions'; // adjust if your collection name differs
@@ -28,7 +31,7 @@ const Satisfaction =
   mongoose.models.Satisfaction ||
   mongoose.model('Satisfaction', new mongoose.Schema({}, { strict: false, collection: SATISFACTION_COLLECTION }));
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method Not Allowed' });
   }
@@ -36,10 +39,10 @@ export default async function handler(req, res) {
   try {
     await dbConnect();
 
-    // 1) completed – documents that have `status` === "ดำเนินการเสร็จสิ้น"
-    // 2) in progress – documents that have `status` === "อยู่ระหว่างดำเนินการ"
-    const completedQuery = { status: 'ดำเนินการเสร็จสิ้น' };
-    const inProgressQuery = { status: 'อยู่ระหว่างดำเนินการ' };
+    // 1) completed– documents whose `status` is resolved or closed
+    // 2) in progress– documents whose `status` is any open lifecycle state
+    const completedQuery = { status: { $in: DONE_STATUSES } };
+    const inProgressQuery = { status: { $in: OPEN_STATUSES } };
     const [completed, inProgress] = await Promise.all([
       SubmittedReport.countDocuments(completedQuery),
       SubmittedReport.countDocuments(inProgressQuery)
@@ -51,7 +54,7 @@ export default async function handler(req, res) {
     const endOfPreviousMonth = new Date(startOfCurrentMonth.getTime() - 1);
 
     const previousMonthCompleted = await SubmittedReport.countDocuments({
-      status: 'ดำเนินการเสร็จสิ้น',
+      ...completedQuery,
       createdAt: { $gte: startOfPreviousMonth, $lte: endOfPreviousMonth }
     });
 
@@ -105,4 +108,6 @@ export default async function handler(req, res) {
     console.error('📊 Stats API error:', err);
     return res.status(500).json({ success: false, message: 'Server Error', error: err.message });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
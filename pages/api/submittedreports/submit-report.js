@@ -1,35 +1,71 @@
 // pages/api/submit-report.js
 import dbConnect from "@/lib/dbConnect";
 import SubmittedReport from "@/models/SubmittedReport";
+import ProblemOption from "@/models/ProblemOption";
 import getNextSequence from "@/lib/getNextSequence";
+import { INITIAL_STATUS } from "@/utils/complaintStatus";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+import { emitWebhookEvent } from "@/lib/webhooks";
+import { WEBHOOK_EVENTS } from "@/utils/webhookEvents";
+import { suggestPriority } from "@/utils/complaintPriority";
+import { findDuplicateCandidates, getDuplicateRadius } from "@/lib/complaintDuplicates";
 
-export default async function handler(req, res) {
+// ฟิลด์ที่ระบบกำหนดเอง ไม่รับจากผู้แจ้ง
+const SERVER_FIELDS = [
+  "priority",
+  "priorityRank",
+  "triagedAt",
+  "triagedBy",
+  "triagedByName",
+  "followers",
+  "followerCount",
+  "mergedInto",
+  "mergedIntoComplaintId",
+  "duplicates",
+  "ignoreDuplicates",
+];
+
+async function handler(req, res) {
   if (req.method !== "POST") return res.status(405).end();
 
   try {
     await dbConnect();
+    const body = { ...req.body };
+    SERVER_FIELDS.forEach((field) => delete body[field]);
+
+    // 🔁 มีเรื่องเดียวกันที่ยังเปิดอยู่ใกล้ ๆ ให้ผู้แจ้งเลือก "ติดตามเรื่องนี้" ก่อน
+    // ส่ง ignoreDuplicates: true เมื่อผู้แจ้งยืนยันส่งเป็นเรื่องใหม่
+    if (!req.body.ignoreDuplicates) {
+      const candidates = await findDuplicateCandidates(body);
+      if (candidates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          duplicate: true,
+          radius: getDuplicateRadius(),
+          candidates,
+        });
+      }
+    }
+
     const complaintId = await getNextSequence("complaintId");
     // console.log("📥 Incoming body:", req.body);
     // console.log("🆔 Generated complaintId:", complaintId);
+    // ความเร่งด่วนกำหนดโดยผู้ดูแลตอนคัดกรองเท่านั้น ระบบแค่แนะนำจากคำสำคัญ
+    const problemOptions = await ProblemOption.find({ label: { $in: body.problems || [] } }).lean();
+    const suggestion = suggestPriority(body, problemOptions);
+
     const newReport = await SubmittedReport.create({
-      ...req.body,
+      ...body,
+      suggestedPriority: suggestion.priority,
+      suggestedPriorityReasons: suggestion.reasons,
       complaintId,
+      status: INITIAL_STATUS,
+      statusHistory: [{ from: null, to: INITIAL_STATUS, note: "รับเรื่องจากประชาชน" }],
     });
 
-    // 🔔 POST ไปยัง n8n webhook
-    const webhookRes = await fetch(
-      "https://primary-production-a1769.up.railway.app/webhook/saard",
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(newReport),
-      }
-    );
-
-    if (!webhookRes.ok) {
-      const errorText = await webhookRes.text();
-      console.error("🚨 Webhook failed:", webhookRes.status, errorText);
-    }
+    // 🔔 แจ้ง webhook ที่ลงทะเบียนไว้ (เช่น n8n) ผ่านคิว
+    await emitWebhookEvent(WEBHOOK_EVENTS.COMPLAINT_CREATED, { complaint: newReport });
 
     res.status(201).json({ success: true, data: newReport, complaintId });
   } catch (error) {
@@ -37,3 +73,5 @@ export default async function handler(req, res) {
     res.status(500).json({ success: false, error: "Server error" });
   }
 }
+
+export default withRoles({ POST: ROLES.PUBLIC }, handler);
@@ -1,27 +1,34 @@
 // /pages/api/submittedreports/update-status.js
 import dbConnect from "@/lib/dbConnect"; // ถ้ามี
-import SubmittedReport from "@/models/SubmittedReport"; // ชื่อโมเดลต้องตรง
+import { getActor, transitionComplaintStatus } from "@/lib/complaintLifecycle";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   await dbConnect();
 
   if (req.method === "PUT") {
-    const { complaintId, status } = req.body;
+    const { complaintId, status, note } = req.body;
+
+    if (!complaintId || !status) {
+      return res.status(400).json({ message: "complaintId และ status จำเป็นต้องระบุ" });
+    }
 
     try {
-      const updated = await SubmittedReport.findOneAndUpdate(
-        { _id: complaintId },
-        { status },
-        { new: true }
-      );
+      const actor = await getActor(req);
+      const result = await transitionComplaintStatus(complaintId, status, { note, actor });
 
-      if (!updated) return res.status(404).json({ message: "ไม่พบข้อมูล" });
+      if (!result.success) {
+        return res.status(result.code).json({ message: result.error });
+      }
 
-      res.status(200).json(updated);
+      res.status(200).json(result.complaint);
     } catch (err) {
       res.status(500).json({ message: "เกิดข้อผิดพลาด", error: err.message });
     }
   } else {
     res.status(405).json({ message: "Method Not Allowed" });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ PUT: ROLES.OFFICER }, handler);
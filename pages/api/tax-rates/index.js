@@ -0,0 +1,32 @@
+import { getTaxConfig, saveTaxConfig } from '@/lib/taxRates';
+import { getActor } from '@/lib/complaintLifecycle';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { DEFAULT_APPRAISAL, DEFAULT_TAX_RATES } from '@/utils/tax';
+
+// GET /api/tax-rates — อัตราภาษีที่ใช้อยู่ (ค่าที่บันทึกไว้ทับค่าเริ่มต้น) และแหล่งราคาประเมิน
+// PUT /api/tax-rates { rates?: { [landUse]: brackets | null }, appraisal? }
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    try {
+      const config = await getTaxConfig();
+      return res.status(200).json({ success: true, data: config, defaults: { rates: DEFAULT_TAX_RATES, appraisal: DEFAULT_APPRAISAL } });
+    } catch (err) {
+      console.error('❌ Failed to fetch tax rates:', err);
+      return res.status(500).json({ success: false, error: 'Failed to fetch tax rates' });
+    }
+  }
+
+  try {
+    const { rates, appraisal } = req.body || {};
+    const actor = await getActor(req);
+    const result = await saveTaxConfig({ rates, appraisal }, { actor });
+    if (!result.success) return res.status(result.code).json({ success: false, error: result.error });
+    return res.status(200).json({ success: true, data: await getTaxConfig() });
+  } catch (err) {
+    console.error('❌ Failed to update tax rates:', err);
+    return res.status(500).json({ success: false, error: 'Failed to update tax rates' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN, PUT: ROLES.ADMIN }, handler);
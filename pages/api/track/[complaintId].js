@@ -0,0 +1,62 @@
+//api/track/[complaintId].js
+import dbConnect from "@/lib/dbConnect";
+import SubmittedReport from "@/models/SubmittedReport";
+import Assignment from "@/models/Assignment";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+
+// ข้อมูลส่วนบุคคลของผู้แจ้งไม่ถูกส่งออกไป เช่นเดียวกับ /api/complaints สำหรับผู้ใช้ทั่วไป
+const PUBLIC_FIELDS = "complaintId category problems community detail images location status statusHistory followerCount mergedIntoComplaintId createdAt updatedAt";
+
+const COMPLAINT_ID_REGEX = /^STS-\d+$/;
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+  }
+
+  const complaintId = String(req.query.complaintId || "").trim().toUpperCase();
+  if (!COMPLAINT_ID_REGEX.test(complaintId)) {
+    return res.status(400).json({ success: false, error: "รูปแบบเลขที่เรื่องไม่ถูกต้อง" });
+  }
+
+  try {
+    await dbConnect();
+
+    const report = await SubmittedReport.findOne({ complaintId }).select(PUBLIC_FIELDS).lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: "ไม่พบเรื่องร้องเรียนนี้" });
+    }
+
+    const assignments = await Assignment.find({ complaintId: report._id, active: { $ne: false } })
+      .select("assignedAt completedAt solution solutionImages")
+      .sort({ assignedAt: 1 })
+      .lean();
+
+    const statusHistory = (report.statusHistory || []).map((entry) => ({
+      from: entry.from,
+      to: entry.to,
+      note: entry.note,
+      changedAt: entry.changedAt,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...report,
+        statusHistory,
+        assignments: assignments.map((a) => ({
+          assignedAt: a.assignedAt,
+          completedAt: a.completedAt || null,
+          solution: a.solution || [],
+          solutionImages: a.solutionImages || [],
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error tracking complaint:", error);
+    return res.status(500).json({ success: false, error: "ไม่สามารถดึงข้อมูลเรื่องร้องเรียนได้" });
+  }
+}
+
+export default withRoles({ GET: ROLES.PUBLIC }, handler);
@@ -1,6 +1,7 @@
 import axios from "axios";
+import { withRoles, AUTHENTICATED } from "@/lib/apiAuth";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
@@ -25,4 +26,6 @@ export default async function handler(req, res) {
     console.error("❌ Failed to create user:", e.response?.data || e.message);
     return res.status(500).json({ success: false, message: e.message });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ POST: AUTHENTICATED }, handler);
@@ -1,5 +1,7 @@
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ message: 'Method Not Allowed' });
   }
@@ -16,4 +18,6 @@ export default async function handler(req, res) {
     console.error('Failed to fetch users from backend:', error);
     return res.status(500).json({ message: 'Internal Server Error' });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
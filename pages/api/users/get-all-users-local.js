@@ -1,7 +1,10 @@
 import dbConnect from "@/lib/dbConnect";
 import mongoose from "mongoose";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
+import { getOfficerWorkload } from "@/lib/assignments";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const { method } = req;
 
   await dbConnect();
@@ -33,10 +36,22 @@ export default async function handler(req, res) {
     const User = mongoose.models.User || mongoose.model("User", UserSchema);
     
     const users = await User.find({ isActive: true, isArchived: false }).lean();
-    
+
+    // ?workload=1 แนบจำนวนงานค้างและเวลาปิดงานเฉลี่ย สำหรับเลือกเจ้าหน้าที่ตอนมอบหมาย
+    if (req.query.workload) {
+      const workload = await getOfficerWorkload();
+      const empty = { openCount: 0, openLeadCount: 0, openSupportCount: 0, completedCount: 0, avgResolutionHours: null };
+      return res.status(200).json({
+        success: true,
+        users: users.map((user) => ({ ...user, workload: workload[String(user._id)] || empty })),
+      });
+    }
+
     res.status(200).json({ success: true, users });
   } catch (error) {
     console.error("Error fetching users:", error);
     res.status(500).json({ success: false, error: error.message });
   }
-} 
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
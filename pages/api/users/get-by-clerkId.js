@@ -1,7 +1,8 @@
 import axios from 'axios';
 import { getAuth } from "@clerk/nextjs/server";
+import { withRoles, AUTHENTICATED } from "@/lib/apiAuth";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const { userId } = getAuth(req);
 
   if (!userId) {
@@ -25,4 +26,6 @@ export default async function handler(req, res) {
       message: error.response?.data?.message || "Internal Server Error",
     });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ GET: AUTHENTICATED }, handler);
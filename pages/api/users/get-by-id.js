@@ -1,7 +1,9 @@
 import dbConnect from "@/lib/dbConnect";
 import mongoose from "mongoose";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const {
     query: { userId },
     method,
@@ -51,4 +53,6 @@ export default async function handler(req, res) {
     console.error("Error fetching user:", error);
     res.status(500).json({ success: false, error: error.message });
   }
-} 
\ No newline at end of file
+}
+
+export default withRoles({ GET: ROLES.PUBLIC }, handler);
@@ -1,6 +1,8 @@
 import { users } from "@clerk/clerk-sdk-node";
+import { withRoles } from "@/lib/apiAuth";
+import { ROLES, hasRole, isValidRole } from "@/utils/roles";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ message: "Method not allowed" });
   }
@@ -13,10 +15,25 @@ export default async function handler(req, res) {
     return res.status(400).json({ message: "Missing required fields" });
   }
 
+  if (!isValidRole(role)) {
+    return res.status(400).json({ message: "Invalid role" });
+  }
+
+  // ให้สิทธิ์ได้ไม่เกินบทบาทของผู้เรียกเอง (admin ตั้ง superadmin ไม่ได้)
+  if (!hasRole(req.auth.role, role)) {
+    return res.status(403).json({ success: false, message: "ไม่มีสิทธิ์กำหนดบทบาทนี้" });
+  }
+
   try {
     // console.log("📦 clerkId:", clerkId);
     // console.log("📦 role:", role);
 
+    // เปลี่ยนบทบาทของผู้ที่สูงกว่าตัวเองไม่ได้ (admin ลดสิทธิ์ superadmin ไม่ได้)
+    const target = await users.getUser(clerkId);
+    if (!hasRole(req.auth.role, target.publicMetadata?.role)) {
+      return res.status(403).json({ success: false, message: "ไม่มีสิทธิ์เปลี่ยนบทบาทของผู้ใช้นี้" });
+    }
+
     await users.updateUser(clerkId, {
       publicMetadata: {
         role,
@@ -29,4 +46,6 @@ export default async function handler(req, res) {
     console.error("❌ Clerk error:", JSON.stringify(error, null, 2));
     res.status(500).json({ message: "Failed to update Clerk metadata", error: error?.message });
   }
-}
\ No newline at end of file
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
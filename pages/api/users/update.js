@@ -1,6 +1,7 @@
 import axios from "axios";
+import { withRoles, AUTHENTICATED } from "@/lib/apiAuth";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "PUT") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
@@ -53,4 +54,6 @@ export default async function handler(req, res) {
     });
     return res.status(500).json({ success: false, message: e.message });
   }
-} 
\ No newline at end of file
+}
+
+export default withRoles({ PUT: AUTHENTICATED }, handler);
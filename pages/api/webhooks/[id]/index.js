@@ -0,0 +1,53 @@
+//api/webhooks/[id]/index.js
+import dbConnect from '@/lib/dbConnect';
+import Webhook from '@/models/Webhook';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { generateWebhookSecret } from '@/lib/webhooks';
+import { validateWebhook } from '@/utils/webhookEvents';
+
+async function handler(req, res) {
+  await dbConnect();
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'DELETE') {
+      // ประวัติการส่งยังเก็บไว้ รายการที่ค้างในคิวจะถูกปิดเป็น failed ตอนถึงคิว
+      const deleted = await Webhook.findByIdAndDelete(id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'ไม่พบ webhook' });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    const { name, url, events, includePii, active, regenerateSecret } = req.body || {};
+    const check = validateWebhook({ name, url, events });
+    if (!check.valid) {
+      return res.status(400).json({ success: false, error: check.error });
+    }
+
+    const update = {
+      name: name.trim(),
+      url: url.trim(),
+      events,
+      includePii: !!includePii,
+      active: active !== false,
+      updatedAt: new Date(),
+    };
+    const secret = regenerateSecret ? generateWebhookSecret() : null;
+    if (secret) update.secret = secret;
+
+    const updated = await Webhook.findByIdAndUpdate(id, update, { new: true }).lean();
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'ไม่พบ webhook' });
+    }
+
+    return res.status(200).json({ success: true, data: secret ? { ...updated, secret } : updated });
+  } catch (err) {
+    console.error('❌ Failed to update webhook:', err);
+    return res.status(500).json({ success: false, error: 'Failed to update webhook' });
+  }
+}
+
+export default withRoles({ PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN }, handler);
@@ -0,0 +1,25 @@
+//api/webhooks/[id]/test.js
+import dbConnect from '@/lib/dbConnect';
+import Webhook from '@/models/Webhook';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { sendWebhookPing } from '@/lib/webhooks';
+
+async function handler(req, res) {
+  await dbConnect();
+
+  try {
+    const webhook = await Webhook.findById(req.query.id).lean();
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'ไม่พบ webhook' });
+    }
+
+    const delivery = await sendWebhookPing(webhook._id);
+    return res.status(200).json({ success: true, data: delivery });
+  } catch (err) {
+    console.error('❌ Failed to send webhook ping:', err);
+    return res.status(500).json({ success: false, error: 'Failed to send webhook ping' });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
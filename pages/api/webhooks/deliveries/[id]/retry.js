@@ -0,0 +1,19 @@
+//api/webhooks/deliveries/[id]/retry.js
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { retryWebhookDelivery } from '@/lib/webhooks';
+
+async function handler(req, res) {
+  try {
+    const delivery = await retryWebhookDelivery(req.query.id);
+    if (!delivery) {
+      return res.status(409).json({ success: false, error: 'ไม่พบรายการ หรือกำลังส่งอยู่' });
+    }
+    return res.status(200).json({ success: true, data: delivery });
+  } catch (err) {
+    console.error('❌ Failed to retry webhook delivery:', err);
+    return res.status(500).json({ success: false, error: 'Failed to retry webhook delivery' });
+  }
+}
+
+export default withRoles({ POST: ROLES.ADMIN }, handler);
@@ -0,0 +1,43 @@
+//api/webhooks/deliveries/index.js
+import dbConnect from '@/lib/dbConnect';
+import WebhookDelivery from '@/models/WebhookDelivery';
+import { parsePagination } from '@/lib/complaintQuery';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+
+async function handler(req, res) {
+  await dbConnect();
+
+  try {
+    const { webhook, status, event } = req.query;
+    const filter = {};
+    if (webhook) filter.webhook = webhook;
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('webhook', 'name url')
+        .lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: deliveries,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (err) {
+    console.error('❌ Failed to fetch webhook deliveries:', err);
+    return res.status(500).json({ success: false, error: 'Failed to fetch webhook deliveries' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN }, handler);
@@ -0,0 +1,65 @@
+//api/webhooks/index.js
+import dbConnect from '@/lib/dbConnect';
+import Webhook from '@/models/Webhook';
+import WebhookDelivery from '@/models/WebhookDelivery';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES } from '@/utils/roles';
+import { generateWebhookSecret } from '@/lib/webhooks';
+import { validateWebhook } from '@/utils/webhookEvents';
+
+async function handler(req, res) {
+  await dbConnect();
+
+  if (req.method === 'GET') {
+    try {
+      const [webhooks, counts] = await Promise.all([
+        Webhook.find({}).sort({ createdAt: -1 }).lean(),
+        WebhookDelivery.aggregate([
+          { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      // จำนวนการส่งแยกตามสถานะของแต่ละ webhook
+      const stats = {};
+      counts.forEach(({ _id, count }) => {
+        const key = String(_id.webhook);
+        stats[key] = { ...stats[key], [_id.status]: count };
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: webhooks.map((w) => ({ ...w, stats: stats[String(w._id)] || {} })),
+      });
+    } catch (err) {
+      console.error('❌ Failed to fetch webhooks:', err);
+      return res.status(500).json({ success: false, error: 'Failed to fetch webhooks' });
+    }
+  }
+
+  try {
+    const { name, url, events, includePii, active } = req.body || {};
+    const check = validateWebhook({ name, url, events });
+    if (!check.valid) {
+      return res.status(400).json({ success: false, error: check.error });
+    }
+
+    const secret = generateWebhookSecret();
+    const created = await Webhook.create({
+      name: name.trim(),
+      url: url.trim(),
+      secret,
+      events,
+      includePii: !!includePii,
+      active: active !== false,
+      createdBy: req.auth.userId,
+    });
+
+    // secret แสดงครั้งเดียวตอนสร้าง
+    return res.status(201).json({ success: true, data: { ...created.toObject(), secret } });
+  } catch (err) {
+    console.error('❌ Failed to create webhook:', err);
+    return res.status(500).json({ success: false, error: 'Failed to create webhook' });
+  }
+}
+
+export default withRoles({ GET: ROLES.ADMIN, POST: ROLES.ADMIN }, handler);
@@ -0,0 +1,38 @@
+//api/webhooks/process.js
+// ส่งรายการในคิวที่ถึงเวลา เรียกจากปุ่มในหน้า admin หรือ cron (header x-cron-secret)
+import crypto from 'crypto';
+import { withRoles } from '@/lib/apiAuth';
+import { ROLES, isAdminRole } from '@/utils/roles';
+import { processWebhookQueue } from '@/lib/webhooks';
+
+const isCronRequest = (req) => {
+  const expected = process.env.WEBHOOK_CRON_SECRET;
+  const given = req.headers['x-cron-secret'];
+  if (!expected || typeof given !== 'string') return false;
+  // เทียบความยาวเป็น byte: ตัวอักษรหลาย byte ทำให้ timingSafeEqual โยน RangeError
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+async function handler(req, res) {
+  if (!isCronRequest(req)) {
+    if (!req.auth.userId) {
+      return res.status(401).json({ success: false, message: 'กรุณาเข้าสู่ระบบ' });
+    }
+    if (!isAdminRole(req.auth.role)) {
+      return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์เข้าถึงข้อมูลนี้' });
+    }
+  }
+
+  try {
+    const processed = await processWebhookQueue({ limit: 50 });
+    return res.status(200).json({ success: true, processed });
+  } catch (err) {
+    console.error('❌ Failed to process webhook queue:', err);
+    return res.status(500).json({ success: false, error: 'Failed to process webhook queue' });
+  }
+}
+
+// ROLES.PUBLIC เพื่อให้ cron เรียกได้ ตรวจสิทธิ์เองด้านบน
+export default withRoles({ POST: ROLES.PUBLIC }, handler);
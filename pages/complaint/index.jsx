@@ -10,6 +10,7 @@ import "swiper/css/autoplay";
 import { Autoplay } from "swiper/modules";
 import CardModalDetail from "@/components/CardModalDetail";
 import { ChevronDown } from "lucide-react";
+import { OPEN_STATUSES } from "@/utils/complaintStatus";
 
 export default function ComplaintListPage() {
   const { complaints, fetchComplaints } = useComplaintStore();
@@ -27,7 +28,7 @@ export default function ComplaintListPage() {
   useEffect(() => {
     const loadData = async () => {
               // console.log("📤 เรียก API /api/complaints...");
-      await fetchComplaints("อยู่ระหว่างดำเนินการ");
+      await fetchComplaints(OPEN_STATUSES.join(","));
       await fetchProblemOptions();
               // console.log("✅ ดึง complaints เสร็จ");
       setLoading(false);
@@ -0,0 +1,336 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth, useUser } from "@clerk/nextjs";
+import { useRouter } from "next/router";
+import Head from "next/head";
+import Swal from "sweetalert2";
+import { MapPin, Navigation, RefreshCw } from "lucide-react";
+import OfficerWorkModal from "@/components/OfficerWorkModal";
+import { useMenuStore } from "@/stores/useMenuStore";
+import { ROLES, hasRole } from "@/utils/roles";
+import { getStatusMeta } from "@/utils/complaintStatus";
+import { getPriorityMeta } from "@/utils/complaintPriority";
+import { getAssignmentRoleMeta } from "@/utils/assignmentRoles";
+import { formatDistance, isValidLocation } from "@/utils/complaintDuplicates";
+import { formatSlaHours } from "@/utils/sla";
+import {
+  ASSIGNMENT_STAGE,
+  WORK_QUEUE_SORT,
+  getAssignmentStage,
+  getAssignmentStageMeta,
+  sortWorkQueue,
+} from "@/utils/officerQueue";
+
+const formatDue = (date) =>
+  new Date(date).toLocaleString("th-TH", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+
+export default function OfficerWorkQueuePage() {
+  const { userId, isLoaded } = useAuth();
+  const { user } = useUser();
+  const router = useRouter();
+  const isOfficer = hasRole(user?.publicMetadata?.role, ROLES.OFFICER);
+  const { menu, fetchMenu } = useMenuStore();
+
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [includeCompleted, setIncludeCompleted] = useState(false);
+  const [sort, setSort] = useState(WORK_QUEUE_SORT.DUE);
+  const [position, setPosition] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [modal, setModal] = useState(null); // { item, mode: 'progress' | 'complete' }
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    if (isLoaded && !userId) router.replace("/");
+  }, [isLoaded, userId, router]);
+
+  useEffect(() => {
+    if (isLoaded && user && !isOfficer) router.replace("/");
+  }, [isLoaded, user, isOfficer, router]);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/officer/assignments${includeCompleted ? "?includeCompleted=1" : ""}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "โหลดข้อมูลไม่สำเร็จ");
+      setItems(data.data);
+    } catch (err) {
+      console.error("Error fetching officer queue:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [includeCompleted]);
+
+  const locate = useCallback(() => {
+    if (!navigator.geolocation) return;
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setPosition({ lat: pos.coords.latitude, lng: pos.coords.longitude });
+        setLocating(false);
+      },
+      (err) => {
+        console.warn("Geolocation error:", err.message);
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  }, []);
+
+  useEffect(() => {
+    if (!isOfficer) return;
+    fetchMenu();
+    locate();
+  }, [isOfficer, fetchMenu, locate]);
+
+  useEffect(() => {
+    if (isOfficer) fetchQueue();
+  }, [isOfficer, fetchQueue]);
+
+  const sorted = useMemo(() => sortWorkQueue(items, { position, sort }), [items, position, sort]);
+
+  const handleAction = async (item, action, successText) => {
+    setBusyId(item._id);
+    try {
+      const res = await fetch(`/api/officer/assignments/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ assignmentId: item._id }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "บันทึกไม่สำเร็จ");
+      Swal.fire({ icon: "success", title: successText, timer: 1200, showConfirmButton: false });
+      fetchQueue();
+    } catch (err) {
+      Swal.fire("เกิดข้อผิดพลาด", err.message, "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSaved = () => {
+    const completed = modal?.mode === "complete";
+    setModal(null);
+    Swal.fire({
+      icon: "success",
+      title: completed ? "ปิดงานเรียบร้อย" : "บันทึกความคืบหน้าแล้ว",
+      timer: 1200,
+      showConfirmButton: false,
+    });
+    fetchQueue();
+  };
+
+  if (!isLoaded || !userId || !isOfficer) {
+    return <div className="text-center p-8">กำลังโหลด...</div>;
+  }
+
+  const openCount = items.filter((i) => !i.completedAt).length;
+
+  return (
+    <>
+      <Head>
+        <title>งานของฉัน - SMART-SAARD</title>
+      </Head>
+
+      <div className="p-4 pb-24 max-w-xl mx-auto">
+        <div className="flex items-center justify-between mb-1">
+          <h1 className="text-2xl font-bold text-gray-800">งานของฉัน</h1>
+          <button className="btn btn-sm btn-ghost" onClick={fetchQueue} disabled={loading} aria-label="โหลดใหม่">
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-3">งานค้าง {openCount} งาน</p>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+          <select
+            className="select select-bordered select-sm"
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+          >
+            <option value={WORK_QUEUE_SORT.DUE}>เรียงตามกำหนดเสร็จ</option>
+            <option value={WORK_QUEUE_SORT.DISTANCE}>เรียงตามระยะทาง</option>
+          </select>
+          <button className="btn btn-sm btn-outline" onClick={locate} disabled={locating}>
+            {locating ? <span className="loading loading-spinner loading-xs"></span> : <MapPin className="w-4 h-4" />}
+            {position ? "อัปเดตตำแหน่ง" : "ใช้ตำแหน่งของฉัน"}
+          </button>
+          <label className="label cursor-pointer gap-2">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm"
+              checked={includeCompleted}
+              onChange={(e) => setIncludeCompleted(e.target.checked)}
+            />
+            <span>แสดงงานที่ปิดแล้ว</span>
+          </label>
+        </div>
+
+        {error ? (
+          <div className="alert alert-error text-sm">{error}</div>
+        ) : loading && items.length === 0 ? (
+          <div className="text-center py-12">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : sorted.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="text-gray-400 text-6xl mb-4">✅</div>
+            <h3 className="text-lg font-medium text-gray-900">ไม่มีงานค้าง</h3>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {sorted.map((item) => {
+              const complaint = item.complaint;
+              const stage = getAssignmentStage(item);
+              const stageMeta = getAssignmentStageMeta(item);
+              const roleMeta = getAssignmentRoleMeta(item);
+              const priority = complaint.priority ? getPriorityMeta(complaint.priority) : null;
+              const categoryIcon = menu.find((m) => m.Prob_name === complaint.category)?.Prob_pic;
+              const busy = busyId === item._id;
+              const notes = item.progressNotes || [];
+
+              return (
+                <div key={item._id} className="card bg-base-100 shadow-sm border">
+                  <div className="card-body p-4 gap-2">
+                    <div className="flex flex-wrap items-center gap-1">
+                      <span className={`badge badge-sm ${stageMeta.badge}`}>{stageMeta.text}</span>
+                      <span className={`badge badge-sm ${roleMeta.badge}`}>{roleMeta.text}</span>
+                      {priority && (
+                        <span className={`badge badge-sm ${priority.badge}`}>
+                          {priority.icon} {priority.text}
+                        </span>
+                      )}
+                      <span className={`badge badge-sm badge-outline ${getStatusMeta(complaint.status).badge}`}>
+                        {getStatusMeta(complaint.status).text}
+                      </span>
+                    </div>
+
+                    <div className="flex gap-3">
+                      {complaint.images?.[0] && (
+                        <img
+                          src={complaint.images[0]}
+                          alt="ภาพปัญหา"
+                          className="w-20 h-20 object-cover rounded cursor-pointer shrink-0"
+                          onClick={() => window.open(complaint.images[0], "_blank")}
+                        />
+                      )}
+                      <div className="min-w-0 flex-1">
+                        <div className="flex items-center gap-1 font-semibold">
+                          {categoryIcon && <img src={categoryIcon} alt="" className="w-5 h-5" />}
+                          <span className="truncate">{complaint.category || "ไม่ระบุประเภท"}</span>
+                        </div>
+                        <div className="text-xs text-gray-500">#{complaint.complaintId}</div>
+                        {complaint.problems?.length > 0 && (
+                          <div className="text-sm text-gray-700 truncate">{complaint.problems.join(", ")}</div>
+                        )}
+                        <p className="text-sm text-gray-600 line-clamp-2 break-words">{complaint.detail}</p>
+                      </div>
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-600">
+                      {complaint.sla?.overdue ? (
+                        <span className="text-error font-medium">⏰ เกิน SLA {formatSlaHours(complaint.sla.overdueHours)}</span>
+                      ) : complaint.sla?.nextDueAt ? (
+                        <span>⏱️ ครบกำหนด {formatDue(complaint.sla.nextDueAt)}</span>
+                      ) : null}
+                      {item.distance != null && <span>📍 ห่าง {formatDistance(item.distance)}</span>}
+                      <span>{complaint.community || "ไม่ระบุชุมชน"}</span>
+                    </div>
+
+                    {notes.length > 0 && (
+                      <button
+                        className="text-left text-xs text-primary"
+                        onClick={() => setExpandedId(expandedId === item._id ? null : item._id)}
+                      >
+                        ความคืบหน้า {notes.length} รายการ {expandedId === item._id ? "▲" : "▼"}
+                      </button>
+                    )}
+                    {expandedId === item._id && (
+                      <ul className="space-y-2 border-l-2 border-base-300 pl-3">
+                        {notes.map((n, i) => (
+                          <li key={i} className="text-xs">
+                            <div className="text-gray-500">{new Date(n.createdAt).toLocaleString("th-TH")}</div>
+                            {n.note && <div className="text-gray-800">{n.note}</div>}
+                            {n.images?.length > 0 && (
+                              <div className="flex gap-1 mt-1">
+                                {n.images.map((url) => (
+                                  <img
+                                    key={url}
+                                    src={url}
+                                    alt="ภาพความคืบหน้า"
+                                    className="w-12 h-12 object-cover rounded cursor-pointer"
+                                    onClick={() => window.open(url, "_blank")}
+                                  />
+                                ))}
+                              </div>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="flex flex-wrap gap-2 pt-1">
+                      {isValidLocation(complaint.location) && (
+                        <a
+                          className="btn btn-sm btn-outline"
+                          href={`https://www.google.com/maps/dir/?api=1&destination=${complaint.location.lat},${complaint.location.lng}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          <Navigation className="w-4 h-4" /> นำทาง
+                        </a>
+                      )}
+                      {stage === ASSIGNMENT_STAGE.NEW && (
+                        <button
+                          className="btn btn-sm btn-primary flex-1"
+                          disabled={busy}
+                          onClick={() => handleAction(item, "accept", "รับงานแล้ว")}
+                        >
+                          รับงาน
+                        </button>
+                      )}
+                      {stage === ASSIGNMENT_STAGE.ACCEPTED && (
+                        <button
+                          className="btn btn-sm btn-warning flex-1"
+                          disabled={busy}
+                          onClick={() => handleAction(item, "start", "เริ่มดำเนินการแล้ว")}
+                        >
+                          เริ่มดำเนินการ
+                        </button>
+                      )}
+                      {stage === ASSIGNMENT_STAGE.STARTED && (
+                        <>
+                          <button
+                            className="btn btn-sm btn-outline btn-primary flex-1"
+                            disabled={busy}
+                            onClick={() => setModal({ item, mode: "progress" })}
+                          >
+                            บันทึกความคืบหน้า
+                          </button>
+                          <button
+                            className="btn btn-sm btn-success flex-1"
+                            disabled={busy}
+                            onClick={() => setModal({ item, mode: "complete" })}
+                          >
+                            ปิดงาน
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {modal && (
+        <OfficerWorkModal item={modal.item} mode={modal.mode} onClose={() => setModal(null)} onSaved={handleSaved} />
+      )}
+    </>
+  );
+}
@@ -3,28 +3,29 @@ import CardModalDetail from "@/components/CardModalDetail";
 import { useEffect, useState } from "react";
 import useComplaintStore from "@/stores/useComplaintStore";
 import CompletedCard from "@/components/CardCompleted";
+import { DONE_STATUSES } from "@/utils/complaintStatus";
 
 
 const StatusPage = () => {
-  const { complaints, fetchComplaints } = useComplaintStore();
+  const { complaints, totalPages, fetchComplaintsPage } = useComplaintStore();
   const [currentPage, setCurrentPage] = useState(1);
   const itemsPerPage = 10;
   const [modalData, setModalData] = useState(null);
 
   useEffect(() => {
-    fetchComplaints("ดำเนินการเสร็จสิ้น").then(() => {
-      //console.log("✅ Complaints (done):", complaints);
+    fetchComplaintsPage({
+      status: DONE_STATUSES.join(","),
+      page: currentPage,
+      limit: itemsPerPage,
+      sort: "createdAt",
+      order: "desc",
     });
-  }, []);
-
-  const paginatedComplaints = [...complaints]
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    .slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
+  }, [fetchComplaintsPage, currentPage]);
 
   return (
     <>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 px-4 py-4 w-full max-w-4xl mx-auto min-h-screen items-stretch">
-        {paginatedComplaints.map((item, index) => (
+        {complaints.map((item, index) => (
           <div key={index} className="h-full">
             <div onClick={() => setModalData(item)} className="cursor-pointer h-full flex flex-col">
               <div className="flex-1">
@@ -59,7 +60,7 @@ const StatusPage = () => {
           className="join-item btn btn-xs"
           onClick={() =>
             setCurrentPage((p) =>
-              p < Math.ceil(complaints.length / itemsPerPage) ? p + 1 : p
+              p < totalPages ? p + 1 : p
             )
           }
         >
@@ -0,0 +1,235 @@
+//pages/track/[complaintId].jsx
+import Head from "next/head";
+import Link from "next/link";
+import Image from "next/image";
+import { useRouter } from "next/router";
+import { useEffect, useState } from "react";
+import StatusTimeline from "@/components/StatusTimeline";
+import {
+  COMPLAINT_STATUS,
+  getStatusMeta,
+  normalizeStatus,
+} from "@/utils/complaintStatus";
+
+// ขั้นตอนหลักที่แสดงให้ประชาชนเห็น (เปิดเรื่องใหม่/ปิดเรื่อง แสดงผ่าน timeline)
+const PROGRESS_STEPS = [
+  COMPLAINT_STATUS.RECEIVED,
+  COMPLAINT_STATUS.TRIAGED,
+  COMPLAINT_STATUS.ASSIGNED,
+  COMPLAINT_STATUS.IN_PROGRESS,
+  COMPLAINT_STATUS.RESOLVED,
+];
+
+const getStepIndex = (status) => {
+  const current = normalizeStatus(status);
+  if (current === COMPLAINT_STATUS.CLOSED) return PROGRESS_STEPS.length - 1;
+  if (current === COMPLAINT_STATUS.REOPENED) return 1;
+  return PROGRESS_STEPS.indexOf(current);
+};
+
+const formatDate = (value) => {
+  if (!value) return "-";
+  return new Date(value).toLocaleDateString("th-TH", {
+    year: "2-digit",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+export default function TrackComplaintPage() {
+  const router = useRouter();
+  const { complaintId } = router.query;
+  const [complaint, setComplaint] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [previewImg, setPreviewImg] = useState(null);
+
+  useEffect(() => {
+    if (!complaintId) return;
+
+    const fetchComplaint = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await fetch(`/api/track/${encodeURIComponent(complaintId)}`);
+        const data = await res.json();
+        if (!res.ok || !data.success) {
+          throw new Error(data.error || "ไม่พบเรื่องร้องเรียนนี้");
+        }
+        setComplaint(data.data);
+      } catch (err) {
+        setComplaint(null);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchComplaint();
+  }, [complaintId]);
+
+  const statusMeta = complaint ? getStatusMeta(normalizeStatus(complaint.status)) : null;
+  const stepIndex = complaint ? getStepIndex(complaint.status) : -1;
+  const afterImages = complaint?.assignments?.flatMap((a) => a.solutionImages || []) || [];
+
+  return (
+    <>
+      <Head>
+        <title>ติดตามเรื่อง {complaintId || ""} - smart-saard</title>
+      </Head>
+      <div className="max-w-2xl mx-auto w-full space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-800">ติดตามเรื่องร้องเรียน</h1>
+          <Link href="/track" className="btn btn-sm btn-ghost">
+            ค้นหาเลขอื่น
+          </Link>
+        </div>
+
+        {loading ? (
+          <div className="bg-white rounded-xl shadow p-6 text-center text-gray-500">กำลังโหลดข้อมูล...</div>
+        ) : error ? (
+          <div className="bg-white rounded-xl shadow p-6 text-center">
+            <div className="text-4xl mb-2">🔍</div>
+            <p className="font-medium text-gray-800">{error}</p>
+            <p className="text-sm text-gray-500 mt-1">เลขที่เรื่อง: {complaintId}</p>
+          </div>
+        ) : complaint && (
+          <>
+            {/* Summary */}
+            <div className="bg-white rounded-xl shadow p-4 space-y-3">
+              <div className="flex items-center justify-between flex-wrap gap-2">
+                <div>
+                  <p className="text-xs text-gray-500">เลขที่เรื่อง</p>
+                  <p className="text-lg font-bold">{complaint.complaintId}</p>
+                </div>
+                <span className={`badge ${statusMeta.badge}`}>
+                  {statusMeta.icon} {statusMeta.text}
+                </span>
+              </div>
+              <div className="text-sm text-gray-700 space-y-1">
+                <p><span className="font-medium">หมวดหมู่:</span> {complaint.category || "-"}</p>
+                {complaint.community && (
+                  <p><span className="font-medium">ชุมชน:</span> {complaint.community}</p>
+                )}
+                <p><span className="font-medium">วันที่แจ้ง:</span> {formatDate(complaint.createdAt)}</p>
+                {complaint.followerCount > 0 && (
+                  <p><span className="font-medium">ผู้ติดตามเรื่องนี้:</span> {complaint.followerCount} คน</p>
+                )}
+              </div>
+              {complaint.problems?.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {complaint.problems.map((p, idx) => (
+                    <span key={idx} className="badge badge-outline">{p}</span>
+                  ))}
+                </div>
+              )}
+              {complaint.detail && (
+                <div className="bg-yellow-50 p-3 text-sm text-gray-700 rounded border">
+                  {complaint.detail}
+                </div>
+              )}
+            </div>
+
+            {complaint.mergedIntoComplaintId && (
+              <div className="alert alert-info text-sm">
+                <span>
+                  เรื่องนี้ซ้ำกับเรื่องที่มีผู้แจ้งไว้แล้ว และถูกรวมเข้ากับเรื่อง{" "}
+                  <Link href={`/track/${complaint.mergedIntoComplaintId}`} className="link font-semibold">
+                    {complaint.mergedIntoComplaintId}
+                  </Link>{" "}
+                  กรุณาติดตามความคืบหน้าที่เรื่องนั้น
+                </span>
+              </div>
+            )}
+
+            {/* Progress steps */}
+            <div className="bg-white rounded-xl shadow p-4 overflow-x-auto">
+              <ul className="steps steps-horizontal w-full text-xs">
+                {PROGRESS_STEPS.map((step, idx) => (
+                  <li key={step} className={`step ${idx <= stepIndex ? "step-primary" : ""}`}>
+                    {getStatusMeta(step).text}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Timeline */}
+            <div className="bg-white rounded-xl shadow p-4">
+              <h2 className="font-semibold mb-3">ความคืบหน้า</h2>
+              <StatusTimeline history={complaint.statusHistory} />
+            </div>
+
+            {/* Assignment progress */}
+            {complaint.assignments?.length > 0 && (
+              <div className="bg-white rounded-xl shadow p-4 space-y-3">
+                <h2 className="font-semibold">การดำเนินงานของเจ้าหน้าที่</h2>
+                {complaint.assignments.map((a, idx) => (
+                  <div key={idx} className="border rounded-lg p-3 text-sm space-y-1">
+                    <p><span className="font-medium">รับเรื่อง:</span> {formatDate(a.assignedAt)}</p>
+                    <p>
+                      <span className="font-medium">เสร็จสิ้น:</span>{" "}
+                      {a.completedAt ? formatDate(a.completedAt) : "อยู่ระหว่างดำเนินการ"}
+                    </p>
+                    {a.solution.length > 0 && (
+                      <div className="flex flex-wrap gap-1">
+                        {a.solution.map((s, i) => (
+                          <span key={i} className="badge badge-info badge-sm">{s}</span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Before / after photos */}
+            {(complaint.images?.length > 0 || afterImages.length > 0) && (
+              <div className="bg-white rounded-xl shadow p-4 space-y-3">
+                {complaint.images?.length > 0 && (
+                  <div>
+                    <h2 className="font-semibold mb-2">ภาพก่อนดำเนินการ</h2>
+                    <div className="grid grid-cols-3 gap-2">
+                      {complaint.images.map((img, idx) => (
+                        <button key={idx} className="relative w-full aspect-square" onClick={() => setPreviewImg(img)}>
+                          <Image src={img} alt={`ภาพก่อน ${idx + 1}`} fill sizes="200px" className="object-cover rounded" />
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {afterImages.length > 0 && (
+                  <div>
+                    <h2 className="font-semibold mb-2">ภาพหลังดำเนินการ</h2>
+                    <div className="grid grid-cols-3 gap-2">
+                      {afterImages.map((img, idx) => (
+                        <button key={idx} className="relative w-full aspect-square" onClick={() => setPreviewImg(img)}>
+                          <Image src={img} alt={`ภาพหลัง ${idx + 1}`} fill sizes="200px" className="object-cover rounded" />
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {previewImg && (
+        <div
+          className="fixed inset-0 z-[9999] flex items-center justify-center bg-black/50 backdrop-blur-sm"
+          onClick={() => setPreviewImg(null)}
+        >
+          <Image
+            src={previewImg}
+            alt="Preview"
+            width={800}
+            height={600}
+            sizes="(max-width: 768px) 100vw, 800px"
+            className="object-contain rounded-lg shadow-lg"
+            style={{ width: "auto", height: "auto", maxWidth: "90vw", maxHeight: "90vh" }}
+          />
+        </div>
+      )}
+    </>
+  );
+}
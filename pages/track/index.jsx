@@ -0,0 +1,40 @@
+//pages/track/index.jsx
+import Head from "next/head";
+import { useRouter } from "next/router";
+import { useState } from "react";
+
+export default function TrackSearchPage() {
+  const router = useRouter();
+  const [complaintId, setComplaintId] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const id = complaintId.trim().toUpperCase();
+    if (!id) return;
+    router.push(`/track/${encodeURIComponent(id)}`);
+  };
+
+  return (
+    <>
+      <Head>
+        <title>ติดตามเรื่องร้องเรียน - smart-saard</title>
+      </Head>
+      <div className="max-w-md mx-auto w-full bg-white rounded-xl shadow p-6 mt-6">
+        <h1 className="text-xl font-bold text-gray-800 mb-2">ติดตามเรื่องร้องเรียน</h1>
+        <p className="text-sm text-gray-500 mb-4">กรอกเลขที่เรื่องที่ได้รับหลังส่งคำร้อง เช่น STS-680123</p>
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input
+            type="text"
+            value={complaintId}
+            onChange={(e) => setComplaintId(e.target.value)}
+            placeholder="STS-68xxxx"
+            className="input input-bordered w-full"
+          />
+          <button type="submit" className="btn btn-primary" disabled={!complaintId.trim()}>
+            ค้นหา
+          </button>
+        </form>
+      </div>
+    </>
+  );
+}
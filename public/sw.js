@@ -0,0 +1,263 @@
+/* SMART-SAARD service worker
+ * - app shell, icons and Next static assets are cached so the app opens offline
+ * - menu and problem options: network first, cached copy when offline
+ * - complaints queued in IndexedDB (utils/offlineQueue.js) are sent to
+ *   submit-report on Background Sync, or when a page asks via postMessage
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `smart-saard-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `smart-saard-runtime-${CACHE_VERSION}`;
+const API_CACHE = `smart-saard-api-${CACHE_VERSION}`;
+const RUNTIME_CACHE_LIMIT = 200;
+
+// หน้าสาธารณะที่เปิดได้แม้ไม่มีสัญญาณ (ไม่แคชหน้าผู้ดูแล/เจ้าหน้าที่)
+const SHELL_PAGES = ['/', '/complaint', '/status', '/track'];
+// แผนที่ภาษีสำหรับออกสำรวจ: แคชเฉพาะเมื่อเคยเปิดขณะออนไลน์ (ข้อมูลแปลงอยู่ใน utils/surveyOffline.js)
+const SURVEY_PAGES = ['/admin/tax-map'];
+const SHELL_ASSETS = [
+  '/manifest.json',
+  '/favicon.ico',
+  '/icons/icon-192x192.png',
+  '/icons/icon-512x512.png',
+  '/leaflet/marker-icon.png',
+  '/leaflet/marker-icon-2x.png',
+  '/leaflet/marker-shadow.png',
+];
+const CACHED_APIS = ['/api/menu', '/api/problemoptions'];
+
+// ต้องตรงกับ utils/offlineQueue.js
+const DB_NAME = 'smart-saard-offline';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'complaintQueue';
+const SYNC_TAG = 'complaint-queue';
+const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      // แคชทีละรายการ หน้าใดโหลดไม่ได้ก็ไม่ทำให้ติดตั้งล้มเหลว
+      .then((cache) => Promise.all([...SHELL_PAGES, ...SHELL_ASSETS].map((url) => cache.add(url).catch(() => null))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE, API_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => !keep.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function trimCache(name, limit) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = (await cache.match(request, { ignoreSearch: true })) || (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response.clone());
+    trimCache(RUNTIME_CACHE, RUNTIME_CACHE_LIMIT);
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    if (SHELL_PAGES.includes(url.pathname) || url.pathname.startsWith('/track/')) {
+      event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    } else if (SURVEY_PAGES.includes(url.pathname)) {
+      event.respondWith(networkFirst(request, RUNTIME_CACHE));
+    }
+    return;
+  }
+  if (CACHED_APIS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE));
+    return;
+  }
+  if (
+    url.pathname.startsWith('/_next/static/') ||
+    url.pathname.startsWith('/_next/image') ||
+    url.pathname.startsWith('/icons/') ||
+    url.pathname.startsWith('/leaflet/')
+  ) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// ---------- คิวเรื่องร้องเรียนออฟไลน์ ----------
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(QUEUE_STORE)) {
+        req.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function queueRequest(mode, run) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const req = run(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(req?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+const getAllItems = () => queueRequest('readonly', (store) => store.getAll());
+const putItem = (item) => queueRequest('readwrite', (store) => store.put(item));
+
+async function notifyClients() {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach((client) => client.postMessage({ type: 'COMPLAINT_QUEUE_UPDATED' }));
+}
+
+async function uploadImage(image, cloudinary) {
+  const form = new FormData();
+  form.append('file', image.blob, image.name || 'image.jpg');
+  form.append('upload_preset', cloudinary.uploadPreset);
+  const res = await fetch(`https://api.cloudinary.com/v1_1/${cloudinary.cloudName}/image/upload`, {
+    method: 'POST',
+    body: form,
+  });
+  if (!res.ok) throw new Error(`อัปโหลดรูปภาพไม่สำเร็จ (HTTP ${res.status})`);
+  const data = await res.json();
+  return data.secure_url;
+}
+
+/**
+ * Send one queued complaint. Resolves false when it should be retried later
+ * (offline / server error); final outcomes are written to the record.
+ */
+async function sendItem(item) {
+  await putItem({ ...item, status: QUEUE_STATUS.SENDING });
+  const current = { ...item, images: [...(item.images || [])] };
+
+  try {
+    // อัปโหลดรูปที่ยังไม่ได้อัปโหลด เก็บ url ทีละรูปเพื่อไม่ให้อัปโหลดซ้ำเมื่อส่งใหม่
+    for (let i = 0; i < current.images.length; i += 1) {
+      const image = current.images[i];
+      if (image.url) continue;
+      const url = await uploadImage(image, current.cloudinary);
+      current.images[i] = { url };
+      await putItem({ ...current, status: QUEUE_STATUS.SENDING });
+    }
+
+    const payload = {
+      ...current.payload,
+      images: [...(current.payload.images || []), ...current.images.map((image) => image.url)],
+    };
+    const res = await fetch('/api/submittedreports/submit-report', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-app-id': current.appId },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (res.ok) {
+      await putItem({ ...current, status: QUEUE_STATUS.SENT, complaintId: data.complaintId, sentAt: new Date(), error: null });
+      return true;
+    }
+    if (res.status === 409 && data.duplicate) {
+      await putItem({ ...current, status: QUEUE_STATUS.DUPLICATE, candidates: data.candidates, radius: data.radius, error: null });
+      return true;
+    }
+    if (res.status < 500) {
+      await putItem({ ...current, status: QUEUE_STATUS.FAILED, error: data.error || data.message || `HTTP ${res.status}` });
+      return true;
+    }
+    throw new Error(`HTTP ${res.status}`);
+  } catch (err) {
+    await putItem({
+      ...current,
+      status: QUEUE_STATUS.QUEUED,
+      attempts: (current.attempts || 0) + 1,
+      error: err.message,
+    });
+    return false;
+  } finally {
+    await notifyClients();
+  }
+}
+
+let syncing = null;
+
+// ส่งทีละเรื่องตามลำดับที่บันทึก ป้องกันการส่งซ้อนเมื่อ sync และหน้าเว็บสั่งพร้อมกัน
+function processQueue() {
+  if (!syncing) {
+    syncing = (async () => {
+      const items = (await getAllItems())
+        .filter((item) => item.status === QUEUE_STATUS.QUEUED || item.status === QUEUE_STATUS.SENDING)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      let allDone = true;
+      for (const item of items) {
+        allDone = (await sendItem(item)) && allDone;
+      }
+      return allDone;
+    })().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    processQueue().then((allDone) => {
+      // ให้เบราว์เซอร์ลองใหม่ภายหลังเมื่อยังมีเรื่องค้าง
+      if (!allDone) throw new Error('complaint queue not empty');
+    })
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SYNC_COMPLAINTS') {
+    event.waitUntil(processQueue().catch((err) => console.error('Complaint queue sync failed:', err)));
+  }
+});
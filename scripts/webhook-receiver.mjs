@@ -0,0 +1,46 @@
+// scripts/webhook-receiver.mjs
+// ตัวรับ webhook สำหรับทดสอบในเครื่อง: ตรวจลายมือชื่อและพิมพ์เหตุการณ์ที่ได้รับ
+//
+//   WEBHOOK_SECRET=<secret> npm run webhook:receiver
+//
+// ตัวแปรเสริม: PORT (ค่าเริ่มต้น 4000), RESPOND_STATUS (เช่น 500 เพื่อทดสอบการส่งซ้ำ)
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const RESPOND_STATUS = Number(process.env.RESPOND_STATUS) || 200;
+
+function verify(rawBody, timestamp, signature) {
+  if (!SECRET || !timestamp || !signature) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${rawBody}`).digest('hex')}`;
+  return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const rawBody = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-smart-saard-event'];
+    const deliveryId = req.headers['x-smart-saard-delivery'];
+    const valid = verify(rawBody, req.headers['x-smart-saard-timestamp'], req.headers['x-smart-saard-signature']);
+
+    console.log(`\n📨 ${new Date().toISOString()} ${event} (${deliveryId})`);
+    console.log(`   signature: ${valid ? '✅ valid' : SECRET ? '❌ invalid' : '⚠️ not checked (WEBHOOK_SECRET not set)'}`);
+    console.log(rawBody);
+
+    const status = SECRET && !valid ? 401 : RESPOND_STATUS;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status < 300, event }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🎧 Webhook receiver listening on http://localhost:${PORT}`);
+});
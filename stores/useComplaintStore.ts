@@ -7,15 +7,68 @@ interface Complaint {
   // เพิ่ม field อื่น ๆ ตาม schema ที่ใช้
 }
 
+export interface ComplaintQuery {
+  page?: number;
+  limit?: number;
+  status?: string;
+  category?: string;
+  community?: string;
+  priority?: string; // urgent|high|normal|low หรือ none = ยังไม่คัดกรอง
+  from?: string;
+  to?: string;
+  q?: string;
+  sort?: string;
+  order?: 'asc' | 'desc';
+  role?: string;
+  facets?: boolean;
+  sla?: 'overdue' | 'breached';
+}
+
+export interface ComplaintFacets {
+  status: Record<string, number>;
+  category: Record<string, number>;
+  community: Record<string, number>;
+}
+
+interface ComplaintPage {
+  data: Complaint[];
+  total: number;
+  page: number;
+  limit: number;
+  totalPages: number;
+  facets?: ComplaintFacets;
+}
+
 interface ComplaintState {
   complaints: Complaint[];
+  total: number;
+  page: number;
+  totalPages: number;
+  facets: ComplaintFacets | null;
   isLoading: boolean;
   error: string | null;
   fetchComplaints: (status?: string) => Promise<void>;
+  fetchComplaintsPage: (params: ComplaintQuery) => Promise<void>;
 }
 
+/**
+ * Build a /api/complaints query string, skipping empty values and "all"
+ */
+export const buildComplaintQueryString = (params: ComplaintQuery) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '' || value === 'all' || value === false) return;
+    search.set(key, value === true ? '1' : String(value));
+  });
+  return search.toString();
+};
+
 const useComplaintStore = create<ComplaintState>((set) => ({
   complaints: [],
+  total: 0,
+  page: 1,
+  totalPages: 1,
+  facets: null,
   isLoading: false,
   error: null,
   fetchComplaints: async (status?: string) => {
@@ -24,12 +77,30 @@ const useComplaintStore = create<ComplaintState>((set) => ({
       const url = status ? `/api/complaints?status=${encodeURIComponent(status)}` : '/api/complaints';
       const res = await axios.get<Complaint[]>(url);
       // console.log("(store) fetched complaints ✅", res.data);
-      set({ complaints: res.data, isLoading: false });
+      set({ complaints: res.data, total: res.data.length, isLoading: false });
     } catch (err: any) {
       console.error("(store) fetch error ❌", err.message);
       set({ error: err.message || 'Failed to fetch', isLoading: false });
     }
+  },
+  fetchComplaintsPage: async (params: ComplaintQuery) => {
+    set({ isLoading: true, error: null });
+    try {
+      const query = buildComplaintQueryString({ page: 1, ...params });
+      const res = await axios.get<ComplaintPage>(`/api/complaints?${query}`);
+      set({
+        complaints: res.data.data,
+        total: res.data.total,
+        page: res.data.page,
+        totalPages: res.data.totalPages,
+        facets: res.data.facets || null,
+        isLoading: false,
+      });
+    } catch (err: any) {
+      console.error("(store) fetch page error ❌", err.message);
+      set({ error: err.message || 'Failed to fetch', isLoading: false });
+    }
   }
 }));
 
-export default useComplaintStore;
\ No newline at end of file
+export default useComplaintStore;
@@ -7,6 +7,8 @@ interface ProblemOption {
   iconUrl: string;
   category: string;
   active: boolean;
+  defaultPriority?: string | null;
+  priorityKeywords?: { keyword: string; priority: string }[];
 }
 
 interface ProblemOptionState {
@@ -0,0 +1,59 @@
+/**
+ * Officer roles on a complaint
+ * A complaint has at most one active lead; any number of supporting officers.
+ * Assignments written before roles existed have no `role` and count as lead.
+ */
+
+export const ASSIGNMENT_ROLE = {
+  LEAD: 'lead',
+  SUPPORT: 'support',
+};
+
+export const ASSIGNMENT_ROLE_META = {
+  [ASSIGNMENT_ROLE.LEAD]: { text: 'ผู้รับผิดชอบหลัก', badge: 'badge-primary' },
+  [ASSIGNMENT_ROLE.SUPPORT]: { text: 'ผู้ช่วย', badge: 'badge-ghost' },
+};
+
+/** Why an assignment stopped being active */
+export const ASSIGNMENT_END_REASON = {
+  REASSIGNED: 'reassigned',
+  UNASSIGNED: 'unassigned',
+  MERGED: 'merged', // เรื่องถูกรวมเข้ากับเรื่องหลัก
+};
+
+export function isValidAssignmentRole(role) {
+  return Object.values(ASSIGNMENT_ROLE).includes(role);
+}
+
+export function getAssignmentRole(assignment) {
+  return assignment?.role === ASSIGNMENT_ROLE.SUPPORT ? ASSIGNMENT_ROLE.SUPPORT : ASSIGNMENT_ROLE.LEAD;
+}
+
+export function getAssignmentRoleMeta(assignment) {
+  return ASSIGNMENT_ROLE_META[getAssignmentRole(assignment)];
+}
+
+export function isActiveAssignment(assignment) {
+  return !!assignment && assignment.active !== false;
+}
+
+/**
+ * Active assignments of one complaint, lead first then by assignment time
+ */
+export function getComplaintAssignments(assignments = [], complaintId) {
+  return assignments
+    .filter((a) => String(a.complaintId) === String(complaintId) && isActiveAssignment(a))
+    .sort(
+      (a, b) =>
+        (getAssignmentRole(a) === ASSIGNMENT_ROLE.LEAD ? 0 : 1) -
+          (getAssignmentRole(b) === ASSIGNMENT_ROLE.LEAD ? 0 : 1) ||
+        new Date(a.assignedAt) - new Date(b.assignedAt)
+    );
+}
+
+/**
+ * The active lead assignment of a complaint (falls back to the first active one)
+ */
+export function getLeadAssignment(assignments = [], complaintId) {
+  return getComplaintAssignments(assignments, complaintId)[0] || null;
+}
@@ -0,0 +1,57 @@
+/**
+ * Duplicate complaint detection helpers
+ * A complaint is a duplicate candidate when it is still open, has the same
+ * category, shares at least one problem and lies within the radius.
+ */
+
+export const DEFAULT_DUPLICATE_RADIUS_METERS = 50;
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LAT = 111320;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export function isValidLocation(location) {
+  return (
+    !!location &&
+    typeof location.lat === 'number' &&
+    typeof location.lng === 'number' &&
+    !isNaN(location.lat) &&
+    !isNaN(location.lng)
+  );
+}
+
+/**
+ * Great-circle distance between two { lat, lng } points (haversine)
+ */
+export function distanceMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Lat/lng box that contains the circle, for a cheap Mongo pre-filter
+ */
+export function boundingBox(location, radiusMeters) {
+  const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+  const dLng = radiusMeters / (METERS_PER_DEGREE_LAT * Math.cos(toRad(location.lat)));
+  return {
+    minLat: location.lat - dLat,
+    maxLat: location.lat + dLat,
+    minLng: location.lng - dLng,
+    maxLng: location.lng + dLng,
+  };
+}
+
+export function sharesProblem(a = [], b = []) {
+  return a.some((p) => b.includes(p));
+}
+
+export function formatDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters)} ม.`;
+  return `${(meters / 1000).toFixed(1)} กม.`;
+}
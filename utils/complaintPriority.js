@@ -0,0 +1,120 @@
+/**
+ * Complaint priority levels
+ * Complaints without a priority are treated as NORMAL.
+ */
+
+export const PRIORITY = {
+  URGENT: 'urgent',
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low',
+};
+
+export const DEFAULT_PRIORITY = PRIORITY.NORMAL;
+
+/** Highest first */
+export const PRIORITY_ORDER = [PRIORITY.URGENT, PRIORITY.HIGH, PRIORITY.NORMAL, PRIORITY.LOW];
+
+export const PRIORITY_META = {
+  [PRIORITY.URGENT]: { text: 'เร่งด่วนมาก', badge: 'badge-error', icon: '🚨' },
+  [PRIORITY.HIGH]: { text: 'สูง', badge: 'badge-warning', icon: '🔺' },
+  [PRIORITY.NORMAL]: { text: 'ปกติ', badge: 'badge-info', icon: '•' },
+  [PRIORITY.LOW]: { text: 'ต่ำ', badge: 'badge-ghost', icon: '🔻' },
+};
+
+export function isValidPriority(priority) {
+  return PRIORITY_ORDER.includes(priority);
+}
+
+export function normalizePriority(priority) {
+  return isValidPriority(priority) ? priority : DEFAULT_PRIORITY;
+}
+
+export function getPriorityMeta(priority) {
+  return PRIORITY_META[normalizePriority(priority)];
+}
+
+/**
+ * Numeric rank stored on complaints for sorting (higher = more urgent).
+ * Untriaged complaints have rank 0 so they sort after every set priority.
+ */
+export const PRIORITY_RANK = {
+  [PRIORITY.URGENT]: 4,
+  [PRIORITY.HIGH]: 3,
+  [PRIORITY.NORMAL]: 2,
+  [PRIORITY.LOW]: 1,
+};
+
+export function getPriorityRank(priority) {
+  return PRIORITY_RANK[priority] || 0;
+}
+
+/** Hex colours for map markers */
+export const PRIORITY_COLORS = {
+  [PRIORITY.URGENT]: '#dc2626',
+  [PRIORITY.HIGH]: '#f59e0b',
+  [PRIORITY.NORMAL]: '#3b82f6',
+  [PRIORITY.LOW]: '#9ca3af',
+};
+
+/**
+ * Normalize keyword rules from the admin form:
+ * drops blank keywords and unknown priorities, trims and de-duplicates.
+ */
+export function normalizePriorityKeywords(rules) {
+  if (!Array.isArray(rules)) return [];
+  const seen = new Set();
+  return rules
+    .map((r) => ({ keyword: String(r?.keyword || '').trim(), priority: r?.priority }))
+    .filter((r) => {
+      const key = r.keyword.toLowerCase();
+      if (!r.keyword || !isValidPriority(r.priority) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Suggest a priority for a new complaint from the ProblemOptions it selected.
+ * Each option may have a `defaultPriority` and `priorityKeywords` rules
+ * ({ keyword, priority }) matched case-insensitively against the detail text.
+ * The most urgent match wins.
+ *
+ * @param {{ problems?: string[], category?: string, detail?: string }} complaint
+ * @param {Array} problemOptions
+ * @returns {{ priority: string|null, reasons: string[] }} priority is null when nothing matched
+ */
+export function suggestPriority(complaint, problemOptions = []) {
+  const problems = complaint?.problems || [];
+  const detail = String(complaint?.detail || '').toLowerCase();
+  const options = problemOptions.filter(
+    (opt) =>
+      problems.includes(opt.label) &&
+      (!complaint?.category || !opt.category || opt.category === complaint.category)
+  );
+
+  let best = null;
+  let reasons = [];
+  const consider = (priority, reason) => {
+    if (!isValidPriority(priority)) return;
+    if (!best || getPriorityRank(priority) > getPriorityRank(best)) {
+      best = priority;
+      reasons = [reason];
+    } else if (priority === best) {
+      reasons.push(reason);
+    }
+  };
+
+  options.forEach((opt) => {
+    if (opt.defaultPriority) {
+      consider(opt.defaultPriority, `ค่าเริ่มต้นของ "${opt.label}"`);
+    }
+    (opt.priorityKeywords || []).forEach(({ keyword, priority }) => {
+      if (keyword && detail.includes(String(keyword).toLowerCase())) {
+        consider(priority, `พบคำว่า "${keyword}" (${opt.label})`);
+      }
+    });
+  });
+
+  return { priority: best, reasons };
+}
@@ -0,0 +1,102 @@
+/**
+ * Complaint status lifecycle (state machine)
+ * Values are the Thai labels stored in SubmittedReport.status, so documents
+ * written before the lifecycle existed remain valid states.
+ *
+ * received → triaged → assigned → in progress → resolved → closed
+ *                                                    ↘ reopened ↙
+ */
+
+export const COMPLAINT_STATUS = {
+  RECEIVED: 'รับเรื่องแล้ว',
+  TRIAGED: 'รอการมอบหมาย',
+  ASSIGNED: 'มอบหมายแล้ว',
+  IN_PROGRESS: 'อยู่ระหว่างดำเนินการ',
+  RESOLVED: 'ดำเนินการเสร็จสิ้น',
+  CLOSED: 'ปิดเรื่องแล้ว',
+  REOPENED: 'เปิดเรื่องใหม่',
+};
+
+const S = COMPLAINT_STATUS;
+
+export const INITIAL_STATUS = S.RECEIVED;
+
+/** Allowed next statuses for each status */
+export const STATUS_TRANSITIONS = {
+  [S.RECEIVED]: [S.TRIAGED, S.CLOSED],
+  [S.TRIAGED]: [S.ASSIGNED, S.CLOSED],
+  [S.ASSIGNED]: [S.IN_PROGRESS, S.TRIAGED],
+  [S.IN_PROGRESS]: [S.RESOLVED, S.ASSIGNED],
+  [S.RESOLVED]: [S.CLOSED, S.REOPENED],
+  [S.CLOSED]: [S.REOPENED],
+  [S.REOPENED]: [S.TRIAGED, S.ASSIGNED, S.IN_PROGRESS],
+};
+
+/** Statuses from which creating an assignment moves the complaint to ASSIGNED */
+export const ASSIGNABLE_STATUSES = [S.TRIAGED, S.REOPENED];
+
+/** Complaints still waiting on the municipality */
+export const OPEN_STATUSES = [S.RECEIVED, S.TRIAGED, S.ASSIGNED, S.IN_PROGRESS, S.REOPENED];
+
+/** Complaints whose work is finished (satisfaction survey is available) */
+export const DONE_STATUSES = [S.RESOLVED, S.CLOSED];
+
+/** Waiting for an officer to pick it up */
+export const PENDING_STATUSES = [S.RECEIVED, S.TRIAGED, S.REOPENED];
+
+/** An officer is on it */
+export const ACTIVE_STATUSES = [S.ASSIGNED, S.IN_PROGRESS];
+
+export const STATUS_META = {
+  [S.RECEIVED]: { text: 'รับเรื่องแล้ว', badge: 'badge-neutral', action: 'รับเรื่อง', icon: '📥' },
+  [S.TRIAGED]: { text: 'รอการมอบหมาย', badge: 'badge-info', action: 'คัดกรองแล้ว', icon: '🗂️' },
+  [S.ASSIGNED]: { text: 'มอบหมายแล้ว', badge: 'badge-primary', action: 'มอบหมาย', icon: '👷' },
+  [S.IN_PROGRESS]: { text: 'กำลังดำเนินการ', badge: 'badge-warning', action: 'เริ่มดำเนินการ', icon: '🔧' },
+  [S.RESOLVED]: { text: 'เสร็จสิ้น', badge: 'badge-success', action: 'ดำเนินการเสร็จสิ้น', icon: '✅' },
+  [S.CLOSED]: { text: 'ปิดเรื่องแล้ว', badge: 'badge-ghost', action: 'ปิดเรื่อง', icon: '🔒' },
+  [S.REOPENED]: { text: 'เปิดเรื่องใหม่', badge: 'badge-error', action: 'เปิดเรื่องใหม่', icon: '↩️' },
+};
+
+export function isValidStatus(status) {
+  return typeof status === 'string' && Object.values(S).includes(status);
+}
+
+/**
+ * Treat missing/unknown legacy values as RECEIVED
+ */
+export function normalizeStatus(status) {
+  return isValidStatus(status) ? status : S.RECEIVED;
+}
+
+export function isOpenStatus(status) {
+  return OPEN_STATUSES.includes(normalizeStatus(status));
+}
+
+export function isDoneStatus(status) {
+  return DONE_STATUSES.includes(status);
+}
+
+export function getNextStatuses(status) {
+  return STATUS_TRANSITIONS[normalizeStatus(status)] || [];
+}
+
+export function getStatusMeta(status) {
+  return STATUS_META[status] || { text: status || 'ไม่ระบุ', badge: 'badge-neutral', action: status, icon: '•' };
+}
+
+/**
+ * Validate a status change
+ * @param {string} from - current status (legacy values are normalized)
+ * @param {string} to - requested status
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateStatusTransition(from, to) {
+  if (!isValidStatus(to)) {
+    return { valid: false, error: `Invalid status: ${to}` };
+  }
+  const current = normalizeStatus(from);
+  if (!getNextStatuses(current).includes(to)) {
+    return { valid: false, error: `ไม่สามารถเปลี่ยนสถานะจาก "${current}" เป็น "${to}" ได้` };
+  }
+  return { valid: true };
+}
@@ -0,0 +1,137 @@
+/**
+ * Coordinate reference systems of uploaded tax map layers.
+ * Thai cadastral data comes in WGS 84 / UTM 47N–48N or Indian 1975 (Everest
+ * 1830) UTM; everything is stored in WGS 84 lng/lat (EPSG:4326) so Leaflet
+ * and @turf/area can use it directly.
+ */
+import proj4 from 'proj4';
+import { DEFAULT_LAYER_CRS, getGeoJsonBBox, getGeoJsonCrs } from './geoLayer';
+
+// Indian 1975 → WGS 84 ใช้ค่าเลื่อนสำหรับประเทศไทยตามนิยามของ EPSG:24047/24048
+const INDIAN_1975 = '+ellps=evrst30 +towgs84=204.64,834.74,293.8,0,0,0,0';
+
+export const CRS_DEFINITIONS = {
+  'EPSG:4326': { label: 'WGS 84 (ละติจูด/ลองจิจูด)', proj: '+proj=longlat +datum=WGS84 +no_defs' },
+  'EPSG:32647': { label: 'WGS 84 / UTM zone 47N', proj: '+proj=utm +zone=47 +datum=WGS84 +units=m +no_defs' },
+  'EPSG:32648': { label: 'WGS 84 / UTM zone 48N', proj: '+proj=utm +zone=48 +datum=WGS84 +units=m +no_defs' },
+  'EPSG:24047': { label: 'Indian 1975 / UTM zone 47N', proj: `+proj=utm +zone=47 ${INDIAN_1975} +units=m +no_defs` },
+  'EPSG:24048': { label: 'Indian 1975 / UTM zone 48N', proj: `+proj=utm +zone=48 ${INDIAN_1975} +units=m +no_defs` },
+  'EPSG:4240': { label: 'Indian 1975 (ละติจูด/ลองจิจูด)', proj: `+proj=longlat ${INDIAN_1975} +no_defs` },
+};
+
+Object.entries(CRS_DEFINITIONS).forEach(([code, { proj }]) => proj4.defs(code, proj));
+
+export const CRS_OPTIONS = Object.entries(CRS_DEFINITIONS).map(([code, { label }]) => ({ code, label }));
+
+// ที่มาของระบบพิกัดที่ตรวจพบ
+export const CRS_SOURCE = {
+  USER: 'user', // ผู้อัปโหลดเลือกเอง
+  DECLARED: 'declared', // ระบุในไฟล์ (.prj หรือ crs ของ GeoJSON)
+  GUESSED: 'guessed', // เดาจากช่วงค่าพิกัด
+};
+
+export const isSupportedCrs = (code) => Object.prototype.hasOwnProperty.call(CRS_DEFINITIONS, code);
+
+export const getCrsLabel = (code) => CRS_DEFINITIONS[code]?.label || code || '-';
+
+/**
+ * EPSG code named by a shapefile .prj (ESRI WKT), or null when unknown
+ */
+export function crsFromWkt(wkt) {
+  if (!wkt || typeof wkt !== 'string') return null;
+  const authority = wkt.match(/AUTHORITY\["EPSG",\s*"?(\d+)"?\]\s*\]\s*$/i);
+  if (authority && isSupportedCrs(`EPSG:${authority[1]}`)) return `EPSG:${authority[1]}`;
+
+  const text = wkt.replace(/[\s_]+/g, ' ').toLowerCase();
+  const indian = /indian 1975|d indian 1975|everest/.test(text);
+  const zone = text.match(/utm zone (\d+)\s*n/);
+  if (/^projcs/.test(text)) {
+    if (!zone) return null;
+    const code = `EPSG:${indian ? 240 : 326}${zone[1]}`;
+    return isSupportedCrs(code) ? code : null;
+  }
+  if (/^geogcs/.test(text)) return indian ? 'EPSG:4240' : DEFAULT_LAYER_CRS;
+  return null;
+}
+
+/**
+ * Likely CRS from the coordinate range: lng/lat values fit WGS 84, values in
+ * the hundreds of thousands are UTM metres. Zone 47N covers most of
+ * Thailand; eastern provinces are usually delivered in 48N, which cannot be
+ * told apart from the numbers alone.
+ */
+export function guessCrsFromBBox(bbox) {
+  if (!bbox) return DEFAULT_LAYER_CRS;
+  const [minX, minY, maxX, maxY] = bbox;
+  if (minX >= -180 && maxX <= 180 && minY >= -90 && maxY <= 90) return DEFAULT_LAYER_CRS;
+  if (minX >= 100000 && maxX <= 900000 && minY >= 0 && maxY <= 3000000) return 'EPSG:32647';
+  return null;
+}
+
+/**
+ * @param {object} data - GeoJSON
+ * @param {{ crs?: string, prj?: string }} options - user choice, shapefile .prj text
+ * @returns {{ crs: string|null, source: string }}
+ */
+export function detectLayerCrs(data, { crs, prj } = {}) {
+  if (crs && isSupportedCrs(crs)) return { crs, source: CRS_SOURCE.USER };
+
+  const fromPrj = crsFromWkt(prj);
+  if (fromPrj) return { crs: fromPrj, source: CRS_SOURCE.DECLARED };
+  if (data?.crs) {
+    const declared = getGeoJsonCrs(data);
+    if (isSupportedCrs(declared)) return { crs: declared, source: CRS_SOURCE.DECLARED };
+  }
+  return { crs: guessCrsFromBBox(getGeoJsonBBox(data)), source: CRS_SOURCE.GUESSED };
+}
+
+const mapGeometry = (geometry, fn) => {
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: (geometry.geometries || []).map((g) => mapGeometry(g, fn)) };
+  }
+  const walk = (coords) => (typeof coords?.[0] === 'number' ? fn(coords) : Array.isArray(coords) ? coords.map(walk) : coords);
+  return { ...geometry, coordinates: walk(geometry.coordinates) };
+};
+
+export function hasZ(data) {
+  const features = data?.type === 'FeatureCollection' ? data.features || [] : [data];
+  return features.some((f) => {
+    let found = false;
+    mapGeometry(f?.geometry || (f?.coordinates ? f : null), (p) => {
+      if (p.length > 2) found = true;
+      return p;
+    });
+    return found;
+  });
+}
+
+/**
+ * Transform one geometry to WGS 84. Z is kept or dropped; the caller
+ * validates the result.
+ */
+export function reprojectGeometry(geometry, fromCrs, { keepZ = false } = {}) {
+  const transform = fromCrs && fromCrs !== DEFAULT_LAYER_CRS ? proj4(fromCrs, DEFAULT_LAYER_CRS) : null;
+  return mapGeometry(geometry, (p) => {
+    const [x, y] = transform ? transform.forward([p[0], p[1]]) : p;
+    return keepZ && p.length > 2 ? [x, y, p[2]] : [x, y];
+  });
+}
+
+/**
+ * Reproject a FeatureCollection to WGS 84 and drop the legacy `crs` member.
+ * Geometries that cannot be transformed are left as they were so that
+ * validation reports them per feature.
+ */
+export function reprojectGeoJSON(data, fromCrs, { keepZ = false } = {}) {
+  const features = (data?.features || []).map((feature) => {
+    try {
+      return { ...feature, geometry: reprojectGeometry(feature.geometry, fromCrs, { keepZ }) };
+    } catch {
+      return feature;
+    }
+  });
+  const result = { ...data, features };
+  delete result.crs;
+  return result;
+}
@@ -0,0 +1,199 @@
+/**
+ * Edit session of one tax map layer: geometry, attribute, add, delete,
+ * split and merge edits are applied to a working copy and kept on an
+ * undo/redo stack until the session is committed (saved once) or discarded.
+ * Every edit stores the value before and after, so it can be applied or
+ * reverted; feature indices are those of the working copy at the time of the
+ * edit, which stays valid because undo/redo run strictly in stack order.
+ * Split and merge may carry land-use assignments for the new parcel codes,
+ * written when the session is committed.
+ */
+
+import { getParcelCode } from './landUse';
+
+export const EDIT_OP = {
+  GEOMETRY: 'geometry',
+  ATTRIBUTE: 'attribute',
+  ADD: 'add',
+  DELETE: 'delete',
+  SPLIT: 'split',
+  MERGE: 'merge',
+};
+
+export const EDIT_OP_LABELS = {
+  [EDIT_OP.GEOMETRY]: 'แก้รูปแปลง',
+  [EDIT_OP.ATTRIBUTE]: 'แก้ข้อมูล',
+  [EDIT_OP.ADD]: 'เพิ่มแปลง',
+  [EDIT_OP.DELETE]: 'ลบแปลง',
+  [EDIT_OP.SPLIT]: 'แบ่งแปลง',
+  [EDIT_OP.MERGE]: 'รวมแปลง',
+};
+
+// จำนวนขั้นที่ย้อนกลับได้สูงสุด (ขั้นที่เก่ากว่ายังถูกบันทึก แต่เลิกทำทีละขั้นไม่ได้)
+export const MAX_UNDO_STEPS = 200;
+
+const withFeatures = (data, features) => ({ ...data, features });
+
+function applyOp(data, op, direction) {
+  const features = [...(data.features || [])];
+  const forward = direction === 'apply';
+  switch (op.type) {
+    case EDIT_OP.GEOMETRY:
+      features[op.index] = { ...features[op.index], geometry: forward ? op.after : op.before };
+      break;
+    case EDIT_OP.ATTRIBUTE: {
+      const properties = { ...features[op.index].properties };
+      const value = forward ? op.after : op.before;
+      if (value === undefined) delete properties[op.key];
+      else properties[op.key] = value;
+      features[op.index] = { ...features[op.index], properties };
+      break;
+    }
+    case EDIT_OP.ADD:
+      if (forward) features.splice(op.index, 0, op.feature);
+      else features.splice(op.index, 1);
+      break;
+    case EDIT_OP.DELETE:
+      if (forward) features.splice(op.index, 1);
+      else features.splice(op.index, 0, op.feature);
+      break;
+    // แปลงเดิม (removed เรียงตามลำดับ) ถูกแทนที่ด้วยแปลงใหม่ ณ ตำแหน่งของแปลงเดิมแรก
+    case EDIT_OP.SPLIT:
+    case EDIT_OP.MERGE:
+      if (forward) {
+        [...op.removed].reverse().forEach(({ index }) => features.splice(index, 1));
+        features.splice(op.index, 0, ...op.added);
+      } else {
+        features.splice(op.index, op.added.length);
+        op.removed.forEach(({ index, feature }) => features.splice(index, 0, feature));
+      }
+      break;
+    default:
+      return data;
+  }
+  return withFeatures(data, features);
+}
+
+/**
+ * `original` is kept for discard; `folded` lists the types of edits dropped
+ * from the undo stack so the commit summary still counts them, and
+ * `foldedLandUse` keeps their land-use assignments.
+ *
+ * @param {*} layerId - id of the layer in TaxMapView
+ * @param {object} data - the layer's FeatureCollection when the session starts
+ */
+export const createEditSession = (layerId, data) => ({ layerId, original: data, data, undo: [], redo: [], folded: [], foldedLandUse: {} });
+
+/**
+ * Edit ops built from the current working copy
+ */
+export const geometryEdit = (data, index, geometry) =>
+  ({ type: EDIT_OP.GEOMETRY, index, before: data.features[index]?.geometry ?? null, after: geometry });
+
+export const attributeEdit = (data, index, key, value) =>
+  ({ type: EDIT_OP.ATTRIBUTE, index, key, before: data.features[index]?.properties?.[key], after: value });
+
+export const addEdit = (data, feature) => ({ type: EDIT_OP.ADD, index: (data.features || []).length, feature });
+
+export const deleteEdit = (data, index) => ({ type: EDIT_OP.DELETE, index, feature: data.features[index] });
+
+/**
+ * Replace parcels with new ones (split: one → many, merge: many → one)
+ *
+ * @param {string} type - EDIT_OP.SPLIT or EDIT_OP.MERGE
+ * @param {number[]} indexes - features replaced
+ * @param {object[]} features - the new features
+ * @param {Record<string, { types: string[], areas: object }>} [landUse] - assignments to write on commit (empty types clear a parcel)
+ */
+export function replaceEdit(type, data, indexes, features, landUse = {}) {
+  const sorted = [...indexes].sort((a, b) => a - b);
+  return {
+    type,
+    index: sorted[0],
+    removed: sorted.map((index) => ({ index, feature: data.features[index] })),
+    added: features,
+    landUse,
+  };
+}
+
+/**
+ * Apply a new edit; clears the redo stack
+ */
+export function pushEdit(session, op) {
+  const undo = [...session.undo, op];
+  let { folded, foldedLandUse } = session;
+  if (undo.length > MAX_UNDO_STEPS) {
+    const dropped = undo.shift();
+    folded = [...folded, dropped.type];
+    if (dropped.landUse) foldedLandUse = { ...foldedLandUse, ...dropped.landUse };
+  }
+  return { ...session, folded, foldedLandUse, data: applyOp(session.data, op, 'apply'), undo, redo: [] };
+}
+
+export function undoEdit(session) {
+  if (session.undo.length === 0) return session;
+  const op = session.undo[session.undo.length - 1];
+  return { ...session, data: applyOp(session.data, op, 'revert'), undo: session.undo.slice(0, -1), redo: [...session.redo, op] };
+}
+
+export function redoEdit(session) {
+  if (session.redo.length === 0) return session;
+  const op = session.redo[session.redo.length - 1];
+  return { ...session, data: applyOp(session.data, op, 'apply'), undo: [...session.undo, op], redo: session.redo.slice(0, -1) };
+}
+
+export const hasEdits = (session) => Boolean(session && (session.undo.length > 0 || session.folded.length > 0));
+
+/**
+ * Number of edits per type that a commit would save (the undo stack and
+ * edits older than MAX_UNDO_STEPS)
+ *
+ * @returns {{ geometry: number, attribute: number, add: number, delete: number, split: number, merge: number }}
+ */
+export function summarizeEdits(session) {
+  const counts = Object.fromEntries(Object.values(EDIT_OP).map((type) => [type, 0]));
+  [...session.folded, ...session.undo.map((op) => op.type)].forEach((type) => {
+    if (counts[type] !== undefined) counts[type] += 1;
+  });
+  return counts;
+}
+
+/**
+ * Land-use assignments a commit writes, by parcel code; later edits win
+ */
+export const pendingLandUse = (session) =>
+  Object.assign({}, session.foldedLandUse, ...session.undo.map((op) => op.landUse || {}));
+
+/**
+ * "แก้รูปแปลง 2, ลบแปลง 1" style text of a summary; '' when empty
+ */
+export const formatEditSummary = (counts) =>
+  Object.values(EDIT_OP)
+    .filter((type) => counts?.[type] > 0)
+    .map((type) => `${EDIT_OP_LABELS[type]} ${counts[type]}`)
+    .join(', ');
+
+/**
+ * Short label of one edit, for the undo/redo button titles
+ */
+export function describeEdit(op) {
+  const codes = op.removed?.map((r) => getParcelCode(r.feature?.properties)).filter(Boolean);
+  const target = codes?.length ? codes.join(', ') : (op.feature && getParcelCode(op.feature.properties)) || `#${op.index + 1}`;
+  if (op.type === EDIT_OP.ATTRIBUTE) return `${EDIT_OP_LABELS[op.type]} "${op.key}" แปลง ${target}`;
+  return `${EDIT_OP_LABELS[op.type] || op.type} ${target}`;
+}
+
+/**
+ * Edit counts sent with a commit (POST /api/geojson `changeSummary`); null
+ * when malformed
+ */
+export function parseEditCounts(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+  const counts = {};
+  for (const type of Object.values(EDIT_OP)) {
+    const n = input[type] ?? 0;
+    if (!Number.isInteger(n) || n < 0) return null;
+    counts[type] = n;
+  }
+  return counts;
+}
@@ -0,0 +1,179 @@
+/**
+ * GeoJSON layer helpers shared by the layer API and the tax map:
+ * file names, CRS lookup, feature count and bounding box.
+ */
+
+export const DEFAULT_LAYER_CRS = 'EPSG:4326';
+
+const LAYER_EXTENSIONS = ['.geojson', '.json'];
+
+/**
+ * Safe storage name for an uploaded layer; adds .geojson when missing
+ */
+export function toLayerFilename(filename) {
+  const safeName = String(filename || '').replace(/[^a-zA-Z0-9._\-ก-๙]/g, '_');
+  return LAYER_EXTENSIONS.some((ext) => safeName.endsWith(ext)) ? safeName : `${safeName}.geojson`;
+}
+
+// รูปแบบไฟล์ส่งออก (/api/geojson/export)
+export const LAYER_EXPORT_FORMATS = [
+  { key: 'geojson', label: 'GeoJSON', extension: 'geojson' },
+  { key: 'shapefile', label: 'Shapefile (zip)', extension: 'zip' },
+  { key: 'kml', label: 'KML', extension: 'kml' },
+  { key: 'csv', label: 'CSV (เฉพาะตารางคุณลักษณะ)', extension: 'csv' },
+];
+
+export const isLayerFilename = (filename) =>
+  typeof filename === 'string' && !filename.startsWith('_') && LAYER_EXTENSIONS.some((ext) => filename.endsWith(ext));
+
+/**
+ * CRS named by the legacy GeoJSON `crs` member, e.g.
+ * "urn:ogc:def:crs:EPSG::32647" → "EPSG:32647". RFC 7946 files have none and
+ * are WGS 84.
+ */
+export function getGeoJsonCrs(data) {
+  const name = data?.crs?.properties?.name;
+  if (!name || typeof name !== 'string') return DEFAULT_LAYER_CRS;
+  if (/CRS84$/i.test(name)) return DEFAULT_LAYER_CRS;
+  const epsg = name.match(/EPSG:{1,2}(\d+)$/i);
+  return epsg ? `EPSG:${epsg[1]}` : name;
+}
+
+const toFeatures = (data) => {
+  if (!data || typeof data !== 'object') return [];
+  if (data.type === 'FeatureCollection') return Array.isArray(data.features) ? data.features : [];
+  if (data.type === 'Feature') return [data];
+  return [{ type: 'Feature', geometry: data, properties: {} }];
+};
+
+const eachPosition = (geometry, fn) => {
+  if (!geometry) return;
+  if (geometry.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach((g) => eachPosition(g, fn));
+    return;
+  }
+  const walk = (coords) => {
+    if (!Array.isArray(coords)) return;
+    if (typeof coords[0] === 'number') fn(coords);
+    else coords.forEach(walk);
+  };
+  walk(geometry.coordinates);
+};
+
+/**
+ * @returns {[number, number, number, number] | null} [minX, minY, maxX, maxY] in the layer's CRS
+ */
+export function getGeoJsonBBox(data) {
+  let bbox = null;
+  toFeatures(data).forEach((feature) => {
+    eachPosition(feature?.geometry, ([x, y]) => {
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+      if (!bbox) bbox = [x, y, x, y];
+      else {
+        bbox[0] = Math.min(bbox[0], x);
+        bbox[1] = Math.min(bbox[1], y);
+        bbox[2] = Math.max(bbox[2], x);
+        bbox[3] = Math.max(bbox[3], y);
+      }
+    });
+  });
+  return bbox;
+}
+
+/**
+ * Metadata stored with a layer
+ */
+export function summarizeGeoJson(data) {
+  return {
+    crs: getGeoJsonCrs(data),
+    featureCount: toFeatures(data).length,
+    bbox: getGeoJsonBBox(data),
+  };
+}
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2 && p.slice(0, 3).every(Number.isFinite);
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+function checkRing(ring, label) {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) return `${label}: พิกัดไม่ถูกต้อง`;
+  if (ring.length < 4) return `${label}: ต้องมีอย่างน้อย 4 จุด`;
+  if (!samePosition(ring[0], ring[ring.length - 1])) return `${label}: รูปปิดไม่สนิท (จุดแรกและจุดสุดท้ายไม่ตรงกัน)`;
+  return null;
+}
+
+const checkPolygon = (rings, label = 'Polygon') => {
+  if (!Array.isArray(rings) || rings.length === 0) return `${label}: ไม่มีขอบเขต`;
+  for (let i = 0; i < rings.length; i++) {
+    const error = checkRing(rings[i], i === 0 ? `${label} ขอบนอก` : `${label} รูที่ ${i}`);
+    if (error) return error;
+  }
+  return null;
+};
+
+const checkLine = (coords, label = 'LineString') => {
+  if (!Array.isArray(coords) || !coords.every(isPosition)) return `${label}: พิกัดไม่ถูกต้อง`;
+  if (coords.length < 2) return `${label}: ต้องมีอย่างน้อย 2 จุด`;
+  return null;
+};
+
+const checkEach = (items, check, label) => {
+  if (!Array.isArray(items) || items.length === 0) return `${label}: ไม่มีข้อมูลพิกัด`;
+  for (let i = 0; i < items.length; i++) {
+    const error = check(items[i], `${label} ส่วนที่ ${i + 1}`);
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * Structural check of one GeoJSON geometry: known type, finite positions,
+ * enough points, closed rings. With `geographic` also checks lat/lng range.
+ *
+ * @returns {string|null} Thai error message, null when valid
+ */
+export function validateGeometry(geometry, { geographic = false } = {}) {
+  if (!geometry || typeof geometry !== 'object') return 'ไม่มีรูปร่าง (geometry)';
+  const { type, coordinates } = geometry;
+
+  let error;
+  switch (type) {
+    case 'Point':
+      error = isPosition(coordinates) ? null : 'Point: พิกัดไม่ถูกต้อง';
+      break;
+    case 'MultiPoint':
+      error = checkEach(coordinates, (p, label) => (isPosition(p) ? null : `${label}: พิกัดไม่ถูกต้อง`), 'MultiPoint');
+      break;
+    case 'LineString':
+      error = checkLine(coordinates);
+      break;
+    case 'MultiLineString':
+      error = checkEach(coordinates, checkLine, 'MultiLineString');
+      break;
+    case 'Polygon':
+      error = checkPolygon(coordinates);
+      break;
+    case 'MultiPolygon':
+      error = checkEach(coordinates, checkPolygon, 'MultiPolygon');
+      break;
+    case 'GeometryCollection':
+      error = checkEach(
+        geometry.geometries,
+        (g, label) => {
+          const inner = validateGeometry(g, { geographic });
+          return inner ? `${label}: ${inner}` : null;
+        },
+        'GeometryCollection'
+      );
+      break;
+    default:
+      return `ไม่รู้จักชนิดรูปร่าง: ${type}`;
+  }
+  if (error || !geographic || type === 'GeometryCollection') return error;
+
+  let outOfRange = false;
+  eachPosition(geometry, ([x, y]) => {
+    if (x < -180 || x > 180 || y < -90 || y > 90) outOfRange = true;
+  });
+  return outOfRange ? 'พิกัดอยู่นอกช่วงละติจูด/ลองจิจูด (อาจเป็นพิกัดระบบอื่น)' : null;
+}
@@ -0,0 +1,50 @@
+/**
+ * Minimal promise wrapper around IndexedDB (browser only)
+ *
+ *   const db = createIdbStore('my-db', 1, { items: 'id', cache: null });
+ *   await db.put('items', { id: 1 });
+ *
+ * `stores` maps store name → keyPath (null for out-of-line keys). Stores
+ * missing from an existing database are created on upgrade.
+ */
+export const isIndexedDbSupported = () => typeof window !== 'undefined' && 'indexedDB' in window;
+
+export function createIdbStore(dbName, version, stores) {
+  const open = () =>
+    new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, version);
+      req.onupgradeneeded = () => {
+        Object.entries(stores).forEach(([name, keyPath]) => {
+          if (!req.result.objectStoreNames.contains(name)) {
+            req.result.createObjectStore(name, keyPath ? { keyPath } : undefined);
+          }
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+  const request = async (storeName, mode, run) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = run(tx.objectStore(storeName));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(req?.result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  };
+
+  return {
+    get: (storeName, key) => request(storeName, 'readonly', (store) => store.get(key)),
+    getAll: (storeName) => request(storeName, 'readonly', (store) => store.getAll()),
+    put: (storeName, value, key) => request(storeName, 'readwrite', (store) => store.put(value, key)),
+    delete: (storeName, key) => request(storeName, 'readwrite', (store) => store.delete(key)),
+    clear: (storeName) => request(storeName, 'readwrite', (store) => store.clear()),
+  };
+}
@@ -0,0 +1,165 @@
+/**
+ * Land-use survey types and assignment format, shared by the tax map and
+ * anything that reports on survey data.
+ * An assignment is { types: string[], areas: Record<type, 'ไร่-งาน-วา'> };
+ * the first type is the parcel's main use.
+ */
+
+export const LAND_USE_TYPES = [
+  { key: 'agriculture', label: 'เกษตรกรรม', icon: '🌾', color: '#22c55e', fillColor: '#86efac' },
+  { key: 'residential', label: 'ที่อยู่อาศัย', icon: '🏠', color: '#3b82f6', fillColor: '#93c5fd' },
+  { key: 'commercial', label: 'พาณิชยกรรม', icon: '🏪', color: '#f59e0b', fillColor: '#fcd34d' },
+  { key: 'industrial', label: 'อุตสาหกรรม', icon: '🏭', color: '#8b5cf6', fillColor: '#c4b5fd' },
+  { key: 'government', label: 'สถานที่ราชการ', icon: '🏛️', color: '#06b6d4', fillColor: '#67e8f9' },
+  { key: 'religious', label: 'ศาสนสถาน', icon: '⛪', color: '#ec4899', fillColor: '#f9a8d4' },
+  { key: 'vacant', label: 'รกร้างว่างเปล่า', icon: '🏜️', color: '#9ca3af', fillColor: '#d1d5db' },
+  { key: 'other', label: 'อื่นๆ', icon: '📌', color: '#78716c', fillColor: '#d6d3d1' },
+];
+
+export const LAND_USE_MAP = Object.fromEntries(LAND_USE_TYPES.map((t) => [t.key, t]));
+
+/**
+ * Normalize assignment value from any old/new format → { types: string[], areas: Record<string,string> }
+ * Supports: string, array, { types, areas }
+ */
+export const normalizeLandUse = (val) => {
+  if (!val) return { types: [], areas: {} };
+  if (typeof val === 'string') return { types: [val], areas: {} };
+  if (Array.isArray(val)) return { types: val, areas: {} };
+  if (val.types) return { types: val.types || [], areas: val.areas || {} };
+  return { types: [], areas: {} };
+};
+
+/* ─── Thai land units (1 ตร.วา = 4 ตร.ม.) ─── */
+export const SQM_PER_WAH = 4;
+export const WAH_PER_NGAN = 100;
+export const WAH_PER_RAI = 400;
+
+/**
+ * "ไร่-งาน-วา" string → square wah
+ */
+export const parseAreaToWah = (str) => {
+  if (!str || typeof str !== 'string') return 0;
+  const parts = str.split('-').map((s) => parseFloat(s) || 0);
+  const rai = parts[0] || 0;
+  const ngan = parts[1] || 0;
+  const wah = parts[2] || 0;
+  return rai * WAH_PER_RAI + ngan * WAH_PER_NGAN + wah;
+};
+
+export const wahToAreaStr = (totalWah) => {
+  if (!totalWah || totalWah <= 0) return '0-0-0';
+  const rai = Math.floor(totalWah / WAH_PER_RAI);
+  const remain = totalWah - rai * WAH_PER_RAI;
+  const ngan = Math.floor(remain / WAH_PER_NGAN);
+  const wah = Math.round((remain - ngan * WAH_PER_NGAN) * 100) / 100;
+  return `${rai}-${ngan}-${wah}`;
+};
+
+/**
+ * Square wah per land-use type of one parcel: the surveyed areas when any
+ * were entered, otherwise the whole parcel area counts for the main type.
+ */
+export function landUseAreaWah(val, parcelTotalArea) {
+  const { types, areas } = normalizeLandUse(val);
+  const result = {};
+  const hasExplicitArea = Object.values(areas).some((a) => parseAreaToWah(a) > 0);
+  types.forEach((key, i) => {
+    if (hasExplicitArea) result[key] = parseAreaToWah(areas[key]);
+    else if (i === 0 && parcelTotalArea) result[key] = parseAreaToWah(parcelTotalArea);
+  });
+  return result;
+}
+
+/**
+ * "🌾 เกษตรกรรม (1-2-30), 🏠 ที่อยู่อาศัย" style summary; '-' when unassigned
+ */
+export function formatLandUse(val) {
+  const { types, areas } = normalizeLandUse(val);
+  if (types.length === 0) return '-';
+  return types
+    .map((key) => {
+      const t = LAND_USE_MAP[key];
+      const label = t ? `${t.icon} ${t.label}` : key;
+      return areas[key] ? `${label} (${areas[key]})` : label;
+    })
+    .join(', ');
+}
+
+// ที่มาของการแก้ไขใน history ของ LandUseAssignment
+export const LAND_USE_CHANGE_SOURCE = {
+  SURVEY: 'survey', // กำหนดทีละแปลง (รวมที่ซิงก์จากโหมดออฟไลน์)
+  BULK: 'bulk', // กำหนดหลายแปลงพร้อมกัน
+  IMPORT: 'import', // นำเข้าจากไฟล์ _land-use-data.json เดิม
+  SUBDIVISION: 'subdivision', // โอนจากแปลงเดิมเมื่อแบ่งแยก/รวมแปลง
+};
+
+export const LAND_USE_CHANGE_SOURCE_LABELS = {
+  [LAND_USE_CHANGE_SOURCE.SURVEY]: 'สำรวจรายแปลง',
+  [LAND_USE_CHANGE_SOURCE.BULK]: 'กำหนดเป็นชุด',
+  [LAND_USE_CHANGE_SOURCE.IMPORT]: 'นำเข้าข้อมูลเดิม',
+  [LAND_USE_CHANGE_SOURCE.SUBDIVISION]: 'แบ่งแยก/รวมแปลง',
+};
+
+// เวลาที่สำรวจจริง (editedAt บนเครื่องผู้สำรวจ) ถ้ามี ไม่เช่นนั้นเวลาที่บันทึกบนเซิร์ฟเวอร์
+export const landUseChangeTime = (entry) => new Date(entry.editedAt || entry.changedAt).getTime();
+
+/**
+ * Land use of a parcel as of `date`, from its history entries: the newest
+ * change made on or before it; null when there was none yet.
+ */
+export function landUseAt(history, date) {
+  const limit = new Date(date).getTime();
+  let found = null;
+  let foundTime = -Infinity;
+  (history || []).forEach((entry) => {
+    const time = landUseChangeTime(entry);
+    if (time <= limit && time >= foundTime) {
+      found = entry;
+      foundTime = time;
+    }
+  });
+  return found ? { types: found.newTypes || [], areas: found.newAreas || {} } : null;
+}
+
+/**
+ * Whether the land-use types (main type first) differ; area-only edits do
+ * not count as a change of use.
+ */
+export const isLandUseChanged = (before, after) =>
+  normalizeLandUse(before).types.join('|') !== normalizeLandUse(after).types.join('|');
+
+// รหัสแปลงที่ดินในชั้นข้อมูลแปลง (ชื่อ field ต่างกันตามแหล่งที่มา)
+export const getParcelCode = (props) =>
+  props?.parcel_cod || props?.PARCEL_COD || props?.Parcel_cod || null;
+
+// เนื้อที่ทั้งแปลง "ไร่-งาน-วา" จากชั้นข้อมูล
+export const getParcelArea = (props) =>
+  props?.Area || props?.area || props?.AREA || null;
+
+export const getBlockId = (props) => props?.block_id ?? props?.Block_id ?? props?.BLOCK_ID;
+
+/**
+ * Land-use filter of the attribute table and exports: 'all', 'unassigned'
+ * or a LAND_USE_TYPES key.
+ */
+export function matchesLandUseFilter(val, filter) {
+  if (!filter || filter === 'all') return true;
+  const { types } = normalizeLandUse(val);
+  if (filter === 'unassigned') return types.length === 0;
+  return types.includes(filter);
+}
+
+/**
+ * Flat land-use attributes merged into exported features. Names fit the
+ * 10-character limit of shapefile (dBase) fields.
+ */
+export function landUseProperties(val) {
+  const { types, areas } = normalizeLandUse(val);
+  return {
+    lu_main: types[0] || '',
+    lu_types: types.join(','),
+    lu_labels: types.map((key) => LAND_USE_MAP[key]?.label || key).join(', '),
+    lu_areas: types.filter((key) => areas[key]).map((key) => `${key}=${areas[key]}`).join(';'),
+  };
+}
@@ -0,0 +1,308 @@
+/**
+ * Thematic styles of tax map layers, saved in GeoLayer.style next to the
+ * flat `color`: one colour, colours per category of an attribute, or colour
+ * classes of a numeric attribute, plus opacity, outline and a label template.
+ */
+import area from '@turf/area';
+import { LAND_USE_MAP, LAND_USE_TYPES, SQM_PER_WAH, getParcelCode, normalizeLandUse, parseAreaToWah } from './landUse';
+
+export const STYLE_MODE = {
+  SINGLE: 'single',
+  CATEGORIZED: 'categorized',
+  GRADUATED: 'graduated',
+};
+
+export const STYLE_MODE_LABELS = {
+  [STYLE_MODE.SINGLE]: 'สีเดียว',
+  [STYLE_MODE.CATEGORIZED]: 'แยกสีตามหมวด',
+  [STYLE_MODE.GRADUATED]: 'ไล่ระดับสีตามค่า',
+};
+
+// field ที่คำนวณจากข้อมูลอื่น (ไม่มีในตารางคุณลักษณะ)
+export const VIRTUAL_FIELDS = {
+  LAND_USE: '$landUse',
+  AREA: '$area',
+};
+
+export const VIRTUAL_FIELD_LABELS = {
+  [VIRTUAL_FIELDS.LAND_USE]: 'การใช้ที่ดิน (ประเภทหลัก)',
+  [VIRTUAL_FIELDS.AREA]: 'เนื้อที่จากรูปแปลง (ตร.วา)',
+};
+
+export const CLASS_METHOD = {
+  EQUAL: 'equal',
+  QUANTILE: 'quantile',
+};
+
+export const CLASS_METHOD_LABELS = {
+  [CLASS_METHOD.EQUAL]: 'ช่วงเท่ากัน',
+  [CLASS_METHOD.QUANTILE]: 'จำนวนแปลงเท่ากัน (ควอนไทล์)',
+};
+
+export const CATEGORY_PALETTE = [
+  '#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899',
+  '#06b6d4', '#84cc16', '#f97316', '#6366f1', '#14b8a6', '#a16207',
+];
+
+export const COLOR_RAMPS = [
+  { key: 'yellowRed', label: 'เหลือง → แดง', colors: ['#ffffb2', '#fd8d3c', '#bd0026'] },
+  { key: 'greens', label: 'เขียวอ่อน → เข้ม', colors: ['#edf8e9', '#74c476', '#006d2c'] },
+  { key: 'blues', label: 'ฟ้า → น้ำเงิน', colors: ['#eff3ff', '#6baed6', '#08519c'] },
+  { key: 'purples', label: 'ม่วงอ่อน → เข้ม', colors: ['#f2f0f7', '#9e9ac8', '#54278f'] },
+  { key: 'redBlue', label: 'แดง → น้ำเงิน', colors: ['#d7191c', '#ffffbf', '#2c7bb6'] },
+];
+
+// ซูมขั้นต่ำที่แสดงป้ายชื่อ (มี CSS รองรับเฉพาะค่าเหล่านี้ใน globals.css)
+export const LABEL_MIN_ZOOMS = [0, 14, 15, 16, 17, 18];
+
+export const MAX_CATEGORIES = 50;
+export const MIN_CLASSES = 2;
+export const MAX_CLASSES = 9;
+
+export const DEFAULT_LAYER_STYLE = {
+  mode: STYLE_MODE.SINGLE,
+  field: '',
+  categories: [], // [{ value, color, label? }]
+  otherColor: '#9ca3af', // ค่าที่ไม่อยู่ในหมวด/ช่วงใด
+  ramp: 'yellowRed',
+  classes: 5,
+  method: CLASS_METHOD.EQUAL,
+  breaks: [], // ขอบเขตช่วง [min, ..., max] (classes + 1 ค่า)
+  fillOpacity: 0.2,
+  weight: 2,
+  label: '', // เช่น "{parcel_cod} ({Area})"
+  labelMinZoom: 17,
+};
+
+const THEMATIC_KEYS = Object.keys(DEFAULT_LAYER_STYLE);
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Saved style (may be empty or from an older version) with defaults filled in
+ */
+export function normalizeLayerStyle(style) {
+  const result = { ...DEFAULT_LAYER_STYLE };
+  THEMATIC_KEYS.forEach((key) => {
+    if (style?.[key] !== undefined && style[key] !== null) result[key] = style[key];
+  });
+  return result;
+}
+
+/**
+ * Only the thematic keys, for PUT /api/geojson/{filename} (the flat `color`
+ * is saved by /api/geojson-config)
+ */
+export const pickThematicStyle = (style) =>
+  Object.fromEntries(THEMATIC_KEYS.filter((key) => style?.[key] !== undefined).map((key) => [key, style[key]]));
+
+const isInRange = (n, min, max) => typeof n === 'number' && Number.isFinite(n) && n >= min && n <= max;
+
+/**
+ * Checks the thematic keys present in `style` (a partial update is fine).
+ *
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateLayerStyle(style) {
+  if (!style || typeof style !== 'object' || Array.isArray(style)) return { valid: false, error: 'style must be an object' };
+  const has = (key) => style[key] !== undefined;
+
+  if (has('color') && !HEX_COLOR.test(style.color)) return { valid: false, error: 'สีไม่ถูกต้อง' };
+  if (has('mode') && !Object.values(STYLE_MODE).includes(style.mode)) return { valid: false, error: 'รูปแบบการแสดงผลไม่ถูกต้อง' };
+  if (has('field') && typeof style.field !== 'string') return { valid: false, error: 'field must be a string' };
+  if (has('otherColor') && !HEX_COLOR.test(style.otherColor)) return { valid: false, error: 'สีของค่าอื่น ๆ ไม่ถูกต้อง' };
+  if (has('categories')) {
+    if (!Array.isArray(style.categories) || style.categories.length > MAX_CATEGORIES) {
+      return { valid: false, error: `หมวดต้องเป็นรายการไม่เกิน ${MAX_CATEGORIES} หมวด` };
+    }
+    const bad = style.categories.find((c) => typeof c?.value !== 'string' || !HEX_COLOR.test(c?.color) || (c.label !== undefined && typeof c.label !== 'string'));
+    if (bad) return { valid: false, error: 'หมวดต้องมีค่าและสี' };
+  }
+  if (has('ramp') && !COLOR_RAMPS.some((r) => r.key === style.ramp)) return { valid: false, error: 'ชุดสีไม่ถูกต้อง' };
+  if (has('classes') && !(Number.isInteger(style.classes) && isInRange(style.classes, MIN_CLASSES, MAX_CLASSES))) {
+    return { valid: false, error: `จำนวนช่วงต้องอยู่ระหว่าง ${MIN_CLASSES}–${MAX_CLASSES}` };
+  }
+  if (has('method') && !Object.values(CLASS_METHOD).includes(style.method)) return { valid: false, error: 'วิธีแบ่งช่วงไม่ถูกต้อง' };
+  if (has('breaks')) {
+    const ok = Array.isArray(style.breaks) && style.breaks.every((b, i) => isInRange(b, -Infinity, Infinity) && (i === 0 || b >= style.breaks[i - 1]));
+    if (!ok) return { valid: false, error: 'ขอบเขตช่วงต้องเป็นตัวเลขเรียงจากน้อยไปมาก' };
+  }
+  if (has('fillOpacity') && !isInRange(style.fillOpacity, 0, 1)) return { valid: false, error: 'ความทึบต้องอยู่ระหว่าง 0–1' };
+  if (has('weight') && !isInRange(style.weight, 0, 10)) return { valid: false, error: 'ความหนาเส้นต้องอยู่ระหว่าง 0–10' };
+  if (has('label') && (typeof style.label !== 'string' || style.label.length > 200)) return { valid: false, error: 'ป้ายชื่อยาวเกินไป' };
+  if (has('labelMinZoom') && !LABEL_MIN_ZOOMS.includes(style.labelMinZoom)) return { valid: false, error: 'ระดับซูมของป้ายชื่อไม่ถูกต้อง' };
+  return { valid: true };
+}
+
+/**
+ * Number from a numeric value, a numeric string or a "ไร่-งาน-วา" area
+ * (→ square wah); null otherwise
+ */
+export function toStyleNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  if (/^\d+(\.\d+)?-\d+(\.\d+)?-\d+(\.\d+)?$/.test(value.trim())) return parseAreaToWah(value.trim());
+  const n = Number(value.replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Value of `field` for a feature; virtual fields read the land-use
+ * assignments or the geometry.
+ */
+export function getStyleValue(feature, field, landUseAssignments = {}) {
+  if (field === VIRTUAL_FIELDS.LAND_USE) {
+    const code = getParcelCode(feature?.properties);
+    return normalizeLandUse(code ? landUseAssignments[code] : null).types[0] ?? null;
+  }
+  if (field === VIRTUAL_FIELDS.AREA) {
+    try {
+      return feature?.geometry ? area(feature) / SQM_PER_WAH : null;
+    } catch {
+      return null;
+    }
+  }
+  return feature?.properties?.[field] ?? null;
+}
+
+/**
+ * Attribute names of a layer (from the first features) plus the virtual fields
+ */
+export function getStyleFields(features, sample = 500) {
+  const keys = new Set();
+  features.slice(0, sample).forEach((f) => Object.keys(f?.properties || {}).forEach((k) => keys.add(k)));
+  return [...Object.values(VIRTUAL_FIELDS), ...Array.from(keys)];
+}
+
+export const fieldLabel = (field) => VIRTUAL_FIELD_LABELS[field] || field;
+
+/**
+ * One category per distinct value (up to MAX_CATEGORIES); land use keeps the
+ * survey colours.
+ */
+export function buildCategories(features, field, landUseAssignments) {
+  if (field === VIRTUAL_FIELDS.LAND_USE) {
+    return LAND_USE_TYPES.map((t) => ({ value: t.key, color: t.fillColor, label: `${t.icon} ${t.label}` }));
+  }
+  const values = new Set();
+  features.forEach((f) => {
+    const v = getStyleValue(f, field, landUseAssignments);
+    if (v !== null && v !== '' && values.size < MAX_CATEGORIES) values.add(String(v));
+  });
+  return Array.from(values)
+    .sort((a, b) => a.localeCompare(b, 'th', { numeric: true }))
+    .map((value, i) => ({ value, color: CATEGORY_PALETTE[i % CATEGORY_PALETTE.length] }));
+}
+
+/**
+ * Class bounds [min, ..., max] of the numeric values
+ */
+export function computeBreaks(values, classes, method = CLASS_METHOD.EQUAL) {
+  const sorted = values.filter((v) => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const breaks = [min];
+  for (let i = 1; i < classes; i++) {
+    const b = method === CLASS_METHOD.QUANTILE
+      ? sorted[Math.min(sorted.length - 1, Math.floor((i * sorted.length) / classes))]
+      : min + ((max - min) * i) / classes;
+    breaks.push(Math.max(b, breaks[breaks.length - 1]));
+  }
+  breaks.push(max);
+  return breaks;
+}
+
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+const rgbToHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * `n` colours spread evenly along a ramp
+ */
+export function rampColors(rampKey, n) {
+  const stops = (COLOR_RAMPS.find((r) => r.key === rampKey) || COLOR_RAMPS[0]).colors.map(hexToRgb);
+  if (n <= 1) return [rgbToHex(stops[stops.length - 1])];
+  return Array.from({ length: n }, (_, i) => {
+    const pos = (i / (n - 1)) * (stops.length - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(stops.length - 1, lo + 1);
+    const t = pos - lo;
+    return rgbToHex(stops[lo].map((c, j) => c + (stops[hi][j] - c) * t));
+  });
+}
+
+// ช่วงที่ค่าอยู่ (ช่วงสุดท้ายรวมค่าสูงสุด) หรือ -1
+const classIndex = (value, breaks) => {
+  if (value === null || breaks.length < 2 || value < breaks[0] || value > breaks[breaks.length - 1]) return -1;
+  for (let i = 1; i < breaks.length; i++) if (value <= breaks[i]) return i - 1;
+  return breaks.length - 2;
+};
+
+/**
+ * Fill colour of a feature under the style; `baseColor` is the layer's flat colour
+ */
+export function featureColor(feature, style, { baseColor, landUseAssignments } = {}) {
+  if (style.mode === STYLE_MODE.CATEGORIZED && style.field) {
+    const value = getStyleValue(feature, style.field, landUseAssignments);
+    const category = value === null ? null : style.categories.find((c) => c.value === String(value));
+    return category ? category.color : style.otherColor;
+  }
+  if (style.mode === STYLE_MODE.GRADUATED && style.field) {
+    const idx = classIndex(toStyleNumber(getStyleValue(feature, style.field, landUseAssignments)), style.breaks);
+    return idx === -1 ? style.otherColor : rampColors(style.ramp, style.breaks.length - 1)[idx];
+  }
+  return baseColor;
+}
+
+/**
+ * Leaflet path options of a feature
+ */
+export function featureStyle(feature, style, ctx = {}) {
+  const s = normalizeLayerStyle(style);
+  const fill = featureColor(feature, s, ctx);
+  return {
+    color: s.mode === STYLE_MODE.SINGLE ? fill : ctx.baseColor || fill,
+    weight: s.weight,
+    fillColor: fill,
+    fillOpacity: s.fillOpacity,
+  };
+}
+
+const formatValue = (value) => {
+  if (typeof value === 'number') return value.toLocaleString('th-TH', { maximumFractionDigits: 2 });
+  return LAND_USE_MAP[value] ? LAND_USE_MAP[value].label : String(value);
+};
+
+/**
+ * Label text from a template such as "{parcel_cod} ({Area})"; '' when every
+ * referenced field is empty
+ */
+export function featureLabel(feature, template, landUseAssignments) {
+  if (!template) return '';
+  let filled = 0;
+  const text = template.replace(/\{([^{}]+)\}/g, (_, field) => {
+    const value = getStyleValue(feature, field.trim(), landUseAssignments);
+    if (value === null || value === '') return '';
+    filled++;
+    return formatValue(value);
+  });
+  return filled > 0 ? text.trim() : '';
+}
+
+const formatBreak = (n) => n.toLocaleString('th-TH', { maximumFractionDigits: 2 });
+
+/**
+ * Legend rows [{ color, label }] of a style
+ */
+export function buildLegend(style, { baseColor } = {}) {
+  const s = normalizeLayerStyle(style);
+  if (s.mode === STYLE_MODE.CATEGORIZED && s.field) {
+    const rows = s.categories.map((c) => ({ color: c.color, label: c.label || c.value }));
+    return [...rows, { color: s.otherColor, label: 'อื่น ๆ / ไม่มีค่า' }];
+  }
+  if (s.mode === STYLE_MODE.GRADUATED && s.field && s.breaks.length >= 2) {
+    const colors = rampColors(s.ramp, s.breaks.length - 1);
+    const rows = colors.map((color, i) => ({ color, label: `${formatBreak(s.breaks[i])} – ${formatBreak(s.breaks[i + 1])}` }));
+    return [...rows, { color: s.otherColor, label: 'ไม่มีค่า' }];
+  }
+  return [{ color: baseColor, label: 'ทุกรายการ' }];
+}
@@ -0,0 +1,91 @@
+/**
+ * Officer work queue (/officer)
+ * An assignment moves new → accepted → started → completed as the officer
+ * works it from the field. Items are `{ ...assignment, complaint }` with
+ * `complaint.sla` from withSla.
+ */
+import { distanceMeters, isValidLocation } from './complaintDuplicates';
+
+export const ASSIGNMENT_STAGE = {
+  NEW: 'new',
+  ACCEPTED: 'accepted',
+  STARTED: 'started',
+  COMPLETED: 'completed',
+};
+
+export const ASSIGNMENT_STAGE_META = {
+  [ASSIGNMENT_STAGE.NEW]: { text: 'งานใหม่', badge: 'badge-error' },
+  [ASSIGNMENT_STAGE.ACCEPTED]: { text: 'รับงานแล้ว', badge: 'badge-info' },
+  [ASSIGNMENT_STAGE.STARTED]: { text: 'กำลังดำเนินการ', badge: 'badge-warning' },
+  [ASSIGNMENT_STAGE.COMPLETED]: { text: 'ปิดงานแล้ว', badge: 'badge-success' },
+};
+
+export const WORK_QUEUE_SORT = {
+  DUE: 'due',
+  DISTANCE: 'distance',
+};
+
+export function getAssignmentStage(assignment) {
+  if (assignment?.completedAt) return ASSIGNMENT_STAGE.COMPLETED;
+  if (assignment?.startedAt) return ASSIGNMENT_STAGE.STARTED;
+  if (assignment?.acceptedAt) return ASSIGNMENT_STAGE.ACCEPTED;
+  return ASSIGNMENT_STAGE.NEW;
+}
+
+export function getAssignmentStageMeta(assignment) {
+  return ASSIGNMENT_STAGE_META[getAssignmentStage(assignment)];
+}
+
+/**
+ * Distance in metres from the officer to the complaint, null when either
+ * position is unknown
+ */
+export function getWorkDistance(item, position) {
+  const location = item.complaint?.location;
+  if (!isValidLocation(position) || !isValidLocation(location)) return null;
+  return distanceMeters(position, location);
+}
+
+// วันครบกำหนด (ตัดเวลาออก) เพื่อให้งานที่ครบกำหนดวันเดียวกันเรียงตามระยะทาง
+const dueDay = (item) => {
+  const sla = item.complaint?.sla;
+  if (sla?.overdue) return -Infinity;
+  if (!sla?.nextDueAt) return Infinity;
+  const due = new Date(sla.nextDueAt);
+  return new Date(due.getFullYear(), due.getMonth(), due.getDate()).getTime();
+};
+
+const compareNumbers = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a - b;
+};
+
+/**
+ * Sort the queue. DUE: overdue first (most overdue on top), then by due day
+ * and within a day by distance. DISTANCE: nearest first, then by due date.
+ * Completed work always goes last.
+ */
+export function sortWorkQueue(items, { position = null, sort = WORK_QUEUE_SORT.DUE } = {}) {
+  return items
+    .map((item) => ({ ...item, distance: getWorkDistance(item, position) }))
+    .sort((a, b) => {
+      const doneA = a.completedAt ? 1 : 0;
+      const doneB = b.completedAt ? 1 : 0;
+      if (doneA !== doneB) return doneA - doneB;
+
+      const dueA = a.complaint?.sla?.nextDueAt ? new Date(a.complaint.sla.nextDueAt).getTime() : null;
+      const dueB = b.complaint?.sla?.nextDueAt ? new Date(b.complaint.sla.nextDueAt).getTime() : null;
+
+      if (sort === WORK_QUEUE_SORT.DISTANCE) {
+        return compareNumbers(a.distance, b.distance) || compareNumbers(dueA, dueB);
+      }
+      return (
+        compareNumbers(dueDay(a), dueDay(b)) ||
+        (b.complaint?.sla?.overdueHours || 0) - (a.complaint?.sla?.overdueHours || 0) ||
+        compareNumbers(a.distance, b.distance) ||
+        compareNumbers(dueA, dueB)
+      );
+    });
+}
@@ -0,0 +1,148 @@
+/**
+ * Offline complaint queue (browser only)
+ * Complaints made without signal are stored in IndexedDB with their images
+ * and sent by the service worker (public/sw.js) when the connection returns.
+ * The database layout and status values must match public/sw.js.
+ */
+import { resizeImage } from './uploadToCloudinary';
+import { createIdbStore, isIndexedDbSupported } from './indexedDb';
+
+const DB_NAME = 'smart-saard-offline';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'complaintQueue';
+const SYNC_TAG = 'complaint-queue';
+
+const db = createIdbStore(DB_NAME, DB_VERSION, { [QUEUE_STORE]: 'id' });
+
+// หน้าเว็บแจ้งกันเองเมื่อคิวเปลี่ยน (service worker แจ้งผ่าน postMessage)
+export const QUEUE_UPDATED_EVENT = 'complaint-queue-updated';
+
+export const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+};
+
+export const QUEUE_STATUS_META = {
+  [QUEUE_STATUS.QUEUED]: { text: 'รอส่ง', badge: 'badge-warning' },
+  [QUEUE_STATUS.SENDING]: { text: 'กำลังส่ง', badge: 'badge-info' },
+  [QUEUE_STATUS.SENT]: { text: 'ส่งแล้ว', badge: 'badge-success' },
+  [QUEUE_STATUS.DUPLICATE]: { text: 'พบเรื่องซ้ำ', badge: 'badge-accent' },
+  [QUEUE_STATUS.FAILED]: { text: 'ส่งไม่สำเร็จ', badge: 'badge-error' },
+};
+
+export const isQueueSupported = isIndexedDbSupported;
+
+/**
+ * fetch() rejects with a TypeError when there is no connection at all
+ */
+export const isNetworkError = (err) =>
+  err instanceof TypeError || (typeof navigator !== 'undefined' && !navigator.onLine);
+
+const notifyQueueChanged = () => window.dispatchEvent(new Event(QUEUE_UPDATED_EVENT));
+
+/**
+ * Ask the service worker to send queued complaints now. Uses Background Sync
+ * where available so sending continues after the page is closed.
+ */
+export async function requestComplaintSync() {
+  if (!('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.ready;
+  try {
+    if ('sync' in registration) {
+      await registration.sync.register(SYNC_TAG);
+    }
+  } catch (err) {
+    console.warn('Background sync unavailable:', err);
+  }
+  // ส่งทันทีด้วยเมื่อออนไลน์อยู่ (sync อาจรอจนกว่าเบราว์เซอร์จะสะดวก)
+  if (navigator.onLine) {
+    registration.active?.postMessage({ type: 'SYNC_COMPLAINTS' });
+  }
+}
+
+/**
+ * Store a complaint for later sending.
+ * @param {object} payload - submit-report body; `images` holds already uploaded urls
+ * @param {File[]} files - images not uploaded yet (resized before storing)
+ */
+export async function enqueueComplaint(payload, files = []) {
+  const images = await Promise.all(
+    files.map(async (file) => {
+      const resized = await resizeImage(file);
+      return { blob: resized, name: file.name, type: file.type };
+    })
+  );
+
+  const item = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: new Date(),
+    status: QUEUE_STATUS.QUEUED,
+    attempts: 0,
+    payload,
+    images,
+    appId: process.env.NEXT_PUBLIC_APP_ID || 'app_c',
+    cloudinary: {
+      cloudName: process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME,
+      uploadPreset: process.env.NEXT_PUBLIC_CLOUDINARY_UPLOAD_PRESET,
+    },
+  };
+  await db.put(QUEUE_STORE, item);
+  notifyQueueChanged();
+  requestComplaintSync().catch((err) => console.error('Failed to request complaint sync:', err));
+  return item;
+}
+
+/**
+ * All queued complaints, newest first
+ */
+export async function listQueuedComplaints() {
+  if (!isQueueSupported()) return [];
+  const items = await db.getAll(QUEUE_STORE);
+  return items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+export async function updateQueuedComplaint(id, patch) {
+  const item = await db.get(QUEUE_STORE, id);
+  if (!item) return null;
+  const updated = { ...item, ...patch };
+  await db.put(QUEUE_STORE, updated);
+  notifyQueueChanged();
+  return updated;
+}
+
+export async function removeQueuedComplaint(id) {
+  await db.delete(QUEUE_STORE, id);
+  notifyQueueChanged();
+}
+
+export async function clearSentComplaints() {
+  const items = await listQueuedComplaints();
+  await Promise.all(
+    items
+      .filter((item) => item.status === QUEUE_STATUS.SENT)
+      .map((item) => db.delete(QUEUE_STORE, item.id))
+  );
+  notifyQueueChanged();
+}
+
+/**
+ * Put a queued complaint back in line, e.g. after a duplicate warning the
+ * reporter confirms it is a new problem
+ */
+export async function retryQueuedComplaint(id, payloadPatch = {}) {
+  const item = await db.get(QUEUE_STORE, id);
+  if (!item) return;
+  await db.put(QUEUE_STORE, { ...item, status: QUEUE_STATUS.QUEUED, error: null, payload: { ...item.payload, ...payloadPatch } });
+  notifyQueueChanged();
+  await requestComplaintSync();
+}
+
+/**
+ * Image urls of a queued complaint that have been uploaded so far
+ */
+export function getQueuedImageUrls(item) {
+  return [...(item.payload?.images || []), ...(item.images || []).filter((image) => image.url).map((image) => image.url)];
+}
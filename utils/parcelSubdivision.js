@@ -0,0 +1,236 @@
+/**
+ * Subdividing and consolidating parcels in the tax map editor: split a
+ * parcel with a drawn line, merge adjacent parcels, suggest codes for the
+ * new parcels and hand their land-use assignments on from the originals.
+ * Geometry is WGS 84 lng/lat; areas are "ไร่-งาน-วา" like the layer's Area.
+ */
+import area from '@turf/area';
+import bbox from '@turf/bbox';
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import difference from '@turf/difference';
+import { featureCollection } from '@turf/helpers';
+import intersect from '@turf/intersect';
+import union from '@turf/union';
+import { SQM_PER_WAH, landUseAreaWah, normalizeLandUse, parseAreaToWah, wahToAreaStr } from './landUse';
+
+// แปลงย่อยที่เล็กกว่านี้ถือเป็นเศษจากเส้นแบ่งที่ลากทับขอบแปลง (ตร.ม.)
+export const MIN_PART_AREA_SQM = 1;
+
+// ช่องว่างระหว่างแปลงที่รวมกันซึ่งเล็กกว่านี้จะถูกปิด (ตร.ม.)
+export const MERGE_HOLE_TOLERANCE_SQM = 1;
+
+export const LAND_USE_TRANSFER = {
+  CARRY: 'carry',
+  NONE: 'none',
+};
+
+export const parcelAreaStr = (geometry) => wahToAreaStr(area(geometry) / SQM_PER_WAH);
+
+const polygonsOf = (geometry) => {
+  if (!geometry) return [];
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+};
+
+/**
+ * Polygon on the left of the cut line: the line extended from both ends to
+ * a frame around the parcel, closed along the frame. Intersecting and
+ * subtracting it gives the pieces on either side with the same cut edge.
+ */
+function sidePolygon(line, frame) {
+  const [minX, minY, maxX, maxY] = frame;
+  const toFrame = (from, to) => {
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+    const edgeX = dx > 0 ? maxX : minX;
+    const edgeY = dy > 0 ? maxY : minY;
+    const tx = dx !== 0 ? (edgeX - to[0]) / dx : Infinity;
+    const ty = dy !== 0 ? (edgeY - to[1]) / dy : Infinity;
+    // วางจุดบนขอบกรอบพอดี เพื่อให้หาตำแหน่งรอบกรอบได้
+    return tx <= ty ? [edgeX, to[1] + dy * tx] : [to[0] + dx * ty, edgeY];
+  };
+  const start = toFrame(line[1], line[0]);
+  const end = toFrame(line[line.length - 2], line[line.length - 1]);
+
+  // ตำแหน่งบนขอบกรอบ วนทวนเข็มนาฬิกาจากมุมล่างซ้าย
+  const w = maxX - minX;
+  const h = maxY - minY;
+  const perimeter = 2 * (w + h);
+  const along = ([x, y]) => {
+    if (y === minY) return x - minX;
+    if (x === maxX) return w + (y - minY);
+    if (y === maxY) return w + h + (maxX - x);
+    return 2 * w + h + (maxY - y);
+  };
+  const corners = [[maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]].map((c) => ({ c, s: along(c) || perimeter }));
+  const from = along(end);
+  let to = along(start);
+  if (to <= from) to += perimeter;
+  const walk = [...corners, ...corners.map(({ c, s }) => ({ c, s: s + perimeter }))]
+    .filter(({ s }) => s > from && s < to)
+    .map(({ c }) => c);
+
+  return { type: 'Polygon', coordinates: [[start, ...line, end, ...walk, start]] };
+}
+
+/**
+ * Split a parcel with a line drawn across it. Both ends of the line must be
+ * outside the parcel or on its edge; each resulting piece is returned as its
+ * own Polygon.
+ *
+ * @param {object} feature - parcel Feature (Polygon or MultiPolygon)
+ * @param {number[][]} line - LineString coordinates
+ * @returns {{ success: true, parts: object[] } | { success: false, error: string }}
+ */
+export function splitParcelByLine(feature, line) {
+  if (!polygonsOf(feature?.geometry).length) return { success: false, error: 'แบ่งได้เฉพาะแปลงที่เป็นรูปหลายเหลี่ยม' };
+  if (!Array.isArray(line) || line.length < 2) return { success: false, error: 'กรุณาลากเส้นแบ่งอย่างน้อย 2 จุด' };
+  // ปลายเส้นที่ snap ลงบนขอบแปลงพอดีถือว่าอยู่นอกแปลง
+  const inside = (point) => booleanPointInPolygon(point, feature, { ignoreBoundary: true });
+  if (inside(line[0]) || inside(line[line.length - 1])) {
+    return { success: false, error: 'เส้นแบ่งต้องเริ่มและจบนอกแปลง' };
+  }
+
+  const [minX, minY, maxX, maxY] = bbox(featureCollection([feature, { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: line } }]));
+  const margin = Math.max(maxX - minX, maxY - minY);
+  const side = { type: 'Feature', properties: {}, geometry: sidePolygon(line, [minX - margin, minY - margin, maxX + margin, maxY + margin]) };
+
+  let left = null;
+  let right = null;
+  try {
+    left = intersect(featureCollection([feature, side]));
+    right = difference(featureCollection([feature, side]));
+  } catch {
+    return { success: false, error: 'แบ่งแปลงไม่ได้ กรุณาตรวจรูปแปลงและเส้นแบ่ง' };
+  }
+
+  const parts = [left, right]
+    .flatMap((f) => polygonsOf(f?.geometry))
+    .map((coordinates) => ({ type: 'Polygon', coordinates }))
+    .sort((a, b) => area(b) - area(a));
+  if (parts.length < 2) return { success: false, error: 'เส้นแบ่งต้องลากผ่านแปลงจากขอบด้านหนึ่งไปอีกด้านหนึ่ง' };
+  if (parts.some((p) => area(p) < MIN_PART_AREA_SQM)) {
+    return { success: false, error: `เส้นแบ่งทำให้เกิดเศษแปลงเล็กกว่า ${MIN_PART_AREA_SQM} ตร.ม. กรุณาลากใหม่` };
+  }
+  return { success: true, parts };
+}
+
+/**
+ * Merge adjacent parcels into one Polygon. Tiny holes left by slivers
+ * between the originals are closed.
+ *
+ * @returns {{ success: true, geometry: object } | { success: false, error: string }}
+ */
+export function mergeParcels(features) {
+  if (!Array.isArray(features) || features.length < 2) return { success: false, error: 'กรุณาเลือกอย่างน้อย 2 แปลง' };
+  if (features.some((f) => !polygonsOf(f?.geometry).length)) return { success: false, error: 'รวมได้เฉพาะแปลงที่เป็นรูปหลายเหลี่ยม' };
+
+  let merged = null;
+  try {
+    merged = union(featureCollection(features));
+  } catch {
+    return { success: false, error: 'รวมแปลงไม่ได้ กรุณาตรวจรูปแปลง' };
+  }
+  const polygons = polygonsOf(merged?.geometry);
+  if (polygons.length !== 1) return { success: false, error: 'แปลงที่เลือกต้องอยู่ติดกัน' };
+
+  const [outer, ...holes] = polygons[0];
+  const kept = holes.filter((hole) => area({ type: 'Polygon', coordinates: [hole] }) >= MERGE_HOLE_TOLERANCE_SQM);
+  return { success: true, geometry: { type: 'Polygon', coordinates: [outer, ...kept] } };
+}
+
+// ชื่อ field ที่ getParcelCode / getParcelArea อ่าน (เขียนกลับที่ field เดิมของชั้นข้อมูล)
+const CODE_KEYS = ['parcel_cod', 'PARCEL_COD', 'Parcel_cod'];
+const AREA_KEYS = ['Area', 'area', 'AREA'];
+
+/**
+ * Attributes of a new parcel: those of the original with the new code and
+ * area written to the fields the layer already uses.
+ */
+export function subdividedProperties(properties, code, areaStr) {
+  const props = { ...(properties || {}) };
+  props[CODE_KEYS.find((k) => k in props) || CODE_KEYS[0]] = code;
+  props[AREA_KEYS.find((k) => k in props) || AREA_KEYS[0]] = areaStr;
+  return props;
+}
+
+/**
+ * Codes for `count` new parcels: the next free numbers after the base code's
+ * running number ("12C007" → "12C010", "12C011" when up to 009 exist), or
+ * "-1", "-2" suffixes when the code does not end in a number.
+ *
+ * @param {string} baseCode
+ * @param {number} count
+ * @param {Iterable<string>} existingCodes - codes already in the layer
+ */
+export function suggestParcelCodes(baseCode, count, existingCodes) {
+  const taken = new Set(existingCodes);
+  const match = /^(.*?)(\d+)$/.exec(String(baseCode || ''));
+  const codes = [];
+  if (match) {
+    const [, prefix, digits] = match;
+    let n = Math.max(Number(digits), ...[...taken]
+      .map((code) => (String(code).startsWith(prefix) ? /^\d+$/.exec(String(code).slice(prefix.length)) : null))
+      .filter(Boolean)
+      .map((m) => Number(m[0])));
+    while (codes.length < count) {
+      n += 1;
+      const code = `${prefix}${String(n).padStart(digits.length, '0')}`;
+      if (!taken.has(code)) codes.push(code);
+    }
+    return codes;
+  }
+  for (let i = 1; codes.length < count; i++) {
+    const code = `${baseCode || 'ใหม่'}-${i}`;
+    if (!taken.has(code)) codes.push(code);
+  }
+  return codes;
+}
+
+/**
+ * Land use of each piece of a split parcel: the same types, with surveyed
+ * areas divided in proportion to each piece's share of the parcel. null per
+ * piece when the original had no land use.
+ *
+ * @param {*} landUse - assignment of the original parcel
+ * @param {number[]} shares - area fraction of each piece (sum 1)
+ */
+export function splitLandUse(landUse, shares) {
+  const { types, areas } = normalizeLandUse(landUse);
+  if (types.length === 0) return shares.map(() => null);
+  const hasExplicitArea = Object.values(areas).some((a) => parseAreaToWah(a) > 0);
+  if (!hasExplicitArea) return shares.map(() => ({ types: [...types], areas: {} }));
+
+  return shares.map((share) => {
+    const partAreas = {};
+    types.forEach((type) => {
+      const wah = parseAreaToWah(areas[type]) * share;
+      if (wah > 0) partAreas[type] = wahToAreaStr(wah);
+    });
+    const partTypes = types.filter((type) => partAreas[type]);
+    return { types: partTypes.length ? partTypes : [types[0]], areas: partAreas };
+  });
+}
+
+/**
+ * Land use of a merged parcel: the area of every type over all originals
+ * (whole parcel for the main type when no areas were surveyed), largest
+ * first. null when none of the originals had a land use.
+ *
+ * @param {Array<{ landUse: *, area: string }>} items - originals with their "ไร่-งาน-วา" area
+ */
+export function mergeLandUse(items) {
+  const totals = {};
+  let hasExplicitArea = false;
+  items.forEach(({ landUse, area: parcelArea }) => {
+    const { types, areas } = normalizeLandUse(landUse);
+    if (Object.values(areas).some((a) => parseAreaToWah(a) > 0)) hasExplicitArea = true;
+    types.forEach((type) => { totals[type] = totals[type] || 0; });
+    Object.entries(landUseAreaWah(landUse, parcelArea)).forEach(([type, wah]) => {
+      totals[type] = (totals[type] || 0) + wah;
+    });
+  });
+  const types = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+  if (types.length === 0) return null;
+  if (types.length === 1 && !hasExplicitArea) return { types, areas: {} };
+  return { types, areas: Object.fromEntries(types.filter((type) => totals[type] > 0).map((type) => [type, wahToAreaStr(totals[type])])) };
+}
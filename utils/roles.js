@@ -0,0 +1,32 @@
+// utils/roles.js
+// บทบาทผู้ใช้ (เก็บใน Clerk publicMetadata.role) ใช้ร่วมกันทั้งฝั่ง client และ API
+
+export const ROLES = {
+  SUPERADMIN: 'superadmin',
+  ADMIN: 'admin',
+  OFFICER: 'officer',
+  PUBLIC: 'public',
+};
+
+// ลำดับสิทธิ์ บทบาทที่สูงกว่าทำได้ทุกอย่างที่บทบาทต่ำกว่าทำได้
+const ROLE_RANK = {
+  [ROLES.PUBLIC]: 0,
+  [ROLES.OFFICER]: 1,
+  [ROLES.ADMIN]: 2,
+  [ROLES.SUPERADMIN]: 3,
+};
+
+export const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+
+/**
+ * Unknown or missing roles are treated as public
+ */
+export const normalizeRole = (role) => (isValidRole(role) ? role : ROLES.PUBLIC);
+
+/**
+ * True when `role` is at least `required` in the hierarchy
+ */
+export const hasRole = (role, required) =>
+  ROLE_RANK[normalizeRole(role)] >= ROLE_RANK[normalizeRole(required)];
+
+export const isAdminRole = (role) => hasRole(role, ROLES.ADMIN);
@@ -0,0 +1,187 @@
+/**
+ * SLA targets for complaints
+ * Every target is measured in hours from createdAt:
+ *   assign       – complaint handed to an officer (status → ASSIGNED)
+ *   firstAction  – officer starts work (status → IN_PROGRESS)
+ *   resolve      – complaint resolved or closed
+ */
+import { COMPLAINT_STATUS, isDoneStatus } from './complaintStatus';
+import { isValidPriority, normalizePriority } from './complaintPriority';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const SLA_TARGETS = ['assign', 'firstAction', 'resolve'];
+
+export const SLA_TARGET_META = {
+  assign: { text: 'มอบหมายงาน', field: 'assignHours' },
+  firstAction: { text: 'เริ่มดำเนินการ', field: 'firstActionHours' },
+  resolve: { text: 'แก้ไขเสร็จสิ้น', field: 'resolveHours' },
+};
+
+export const SLA_STATE = {
+  PENDING: 'pending',
+  MET: 'met',
+  BREACHED: 'breached',
+  SKIPPED: 'skipped', // ปิดเรื่องไปก่อนถึงขั้นตอนนี้ หรือเรื่องเก่าที่ผ่านขั้นตอนนี้ไปโดยไม่รู้เวลา
+};
+
+/** Used when no policy matches the complaint */
+export const DEFAULT_SLA = {
+  assignHours: 72,
+  firstActionHours: 120,
+  resolveHours: 336,
+};
+
+/**
+ * Validate the hour targets of an SLA policy
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateSlaPolicy(policy) {
+  for (const target of SLA_TARGETS) {
+    const value = policy?.[SLA_TARGET_META[target].field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      return { valid: false, error: `กรุณาระบุเวลา${SLA_TARGET_META[target].text}เป็นจำนวนชั่วโมงที่มากกว่า 0` };
+    }
+  }
+  if (policy.priority != null && !isValidPriority(policy.priority)) {
+    return { valid: false, error: `Invalid priority: ${policy.priority}` };
+  }
+  if (policy.assignHours > policy.firstActionHours || policy.firstActionHours > policy.resolveHours) {
+    return { valid: false, error: 'เวลามอบหมาย ≤ เวลาเริ่มดำเนินการ ≤ เวลาแก้ไขเสร็จสิ้น' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Pick the most specific active policy for a complaint:
+ * category + priority → category → priority → catch-all (null/null)
+ */
+export function resolveSlaPolicy(policies, complaint) {
+  const priority = normalizePriority(complaint.priority);
+  const score = (p) => {
+    if (p.category && p.category !== complaint.category) return -1;
+    if (p.priority && p.priority !== priority) return -1;
+    return (p.category ? 2 : 0) + (p.priority ? 1 : 0);
+  };
+
+  let best = null;
+  let bestScore = -1;
+  for (const policy of policies || []) {
+    const s = score(policy);
+    if (s > bestScore) {
+      best = policy;
+      bestScore = s;
+    }
+  }
+  return best;
+}
+
+// เรื่องเก่าที่ไม่มี statusHistory: ขั้นตอนก่อนสถานะปัจจุบันผ่านไปแล้วแต่ไม่รู้เวลา
+const LEGACY_PASSED_TARGETS = {
+  [COMPLAINT_STATUS.ASSIGNED]: ['assign'],
+  [COMPLAINT_STATUS.IN_PROGRESS]: ['assign', 'firstAction'],
+  [COMPLAINT_STATUS.REOPENED]: ['assign', 'firstAction'],
+};
+
+/**
+ * When each target was reached, read from statusHistory. Complaints created
+ * before the history existed fall back to updatedAt for a finished complaint;
+ * for an open one the targets its status is already past are listed in
+ * `untimed` (reached, time unknown) and left out of the SLA.
+ */
+export function getSlaMilestones(complaint) {
+  const history = [...(complaint.statusHistory || [])].sort(
+    (a, b) => new Date(a.changedAt) - new Date(b.changedAt)
+  );
+  const first = (statuses) => history.find((h) => statuses.includes(h.to))?.changedAt || null;
+
+  let resolvedAt = null;
+  if (isDoneStatus(complaint.status)) {
+    const done = history.filter((h) => isDoneStatus(h.to));
+    resolvedAt = done.length ? done[done.length - 1].changedAt : complaint.updatedAt || null;
+  }
+
+  return {
+    assign: first([COMPLAINT_STATUS.ASSIGNED]),
+    firstAction: first([COMPLAINT_STATUS.IN_PROGRESS]),
+    resolve: resolvedAt,
+    untimed: history.length ? [] : LEGACY_PASSED_TARGETS[complaint.status] || [],
+  };
+}
+
+/**
+ * When the SLA clock starts, in ms. Legacy documents may lack createdAt:
+ * fall back to the old `timestamp` field, then the time in the ObjectId.
+ */
+function getSlaStart(complaint) {
+  for (const value of [complaint.createdAt, complaint.timestamp]) {
+    const time = value ? new Date(value).getTime() : NaN;
+    if (Number.isFinite(time)) return time;
+  }
+  const id = complaint._id ? String(complaint._id) : '';
+  return /^[0-9a-f]{24}$/i.test(id) ? parseInt(id.slice(0, 8), 16) * 1000 : null;
+}
+
+/**
+ * Due dates and breach flags for one complaint
+ * @param {object} complaint - plain complaint object
+ * @param {object|null} policy - from resolveSlaPolicy (null → DEFAULT_SLA)
+ * @param {Date} now
+ * @returns {object|null} null when the complaint has no start time at all
+ */
+export function computeSla(complaint, policy, now = new Date()) {
+  const hours = policy || DEFAULT_SLA;
+  const start = getSlaStart(complaint);
+  if (start === null) return null;
+  const milestones = getSlaMilestones(complaint);
+  const done = isDoneStatus(complaint.status);
+
+  const targets = {};
+  let nextDueAt = null;
+  let overdueHours = 0;
+
+  for (const target of SLA_TARGETS) {
+    const due = start + hours[SLA_TARGET_META[target].field] * HOUR_MS;
+    const metAt = milestones[target] ? new Date(milestones[target]) : null;
+
+    let state;
+    if (metAt) {
+      state = metAt.getTime() <= due ? SLA_STATE.MET : SLA_STATE.BREACHED;
+    } else if (done || milestones.untimed.includes(target)) {
+      state = SLA_STATE.SKIPPED;
+    } else if (now.getTime() > due) {
+      state = SLA_STATE.BREACHED;
+      overdueHours = Math.max(overdueHours, (now.getTime() - due) / HOUR_MS);
+    } else {
+      state = SLA_STATE.PENDING;
+      if (nextDueAt === null || due < nextDueAt) nextDueAt = due;
+    }
+
+    targets[target] = { dueAt: new Date(due), metAt, state };
+  }
+
+  const breachedTargets = SLA_TARGETS.filter((t) => targets[t].state === SLA_STATE.BREACHED);
+
+  return {
+    policyId: policy?._id || null,
+    priority: normalizePriority(complaint.priority),
+    targets,
+    breached: breachedTargets.length > 0,
+    breachedTargets,
+    // เกินกำหนดและยังค้างอยู่ (ใช้แจ้งเตือน)
+    overdue: overdueHours > 0,
+    overdueHours: Math.floor(overdueHours),
+    nextDueAt: nextDueAt ? new Date(nextDueAt) : null,
+  };
+}
+
+/**
+ * "3 วัน 4 ชม." style duration for alerts
+ */
+export function formatSlaHours(hours) {
+  const days = Math.floor(hours / 24);
+  const rest = Math.floor(hours % 24);
+  if (days && rest) return `${days} วัน ${rest} ชม.`;
+  if (days) return `${days} วัน`;
+  return `${rest} ชม.`;
+}
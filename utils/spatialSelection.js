@@ -0,0 +1,136 @@
+/**
+ * Spatial selection of parcels on the tax map: parcels in a drawn rectangle,
+ * lasso or polygon, within a distance of a drawn line or point (e.g. a road
+ * being widened) or intersecting a feature of another layer such as a zone.
+ * Geometry is WGS 84 lng/lat; distances are in metres.
+ */
+import area from '@turf/area';
+import bbox from '@turf/bbox';
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import buffer from '@turf/buffer';
+import { featureCollection } from '@turf/helpers';
+import intersect from '@turf/intersect';
+import { getParcelCode } from './landUse';
+
+export const SPATIAL_SELECT_MODE = {
+  RECTANGLE: 'rectangle',
+  LASSO: 'lasso',
+  POLYGON: 'polygon',
+  LINE: 'line',
+  POINT: 'point',
+  LAYER: 'layer',
+};
+
+export const SPATIAL_SELECT_MODE_LABELS = {
+  [SPATIAL_SELECT_MODE.RECTANGLE]: '⬛ สี่เหลี่ยม',
+  [SPATIAL_SELECT_MODE.LASSO]: '➰ วาดอิสระ',
+  [SPATIAL_SELECT_MODE.POLYGON]: '⬠ รูปหลายเหลี่ยม',
+  [SPATIAL_SELECT_MODE.LINE]: '〰️ ระยะจากเส้น',
+  [SPATIAL_SELECT_MODE.POINT]: '📍 ระยะจากจุด',
+  [SPATIAL_SELECT_MODE.LAYER]: '🗂️ ตามเลเยอร์อื่น',
+};
+
+// โหมดที่กำหนดระยะรอบรูปได้ (เส้นและจุดต้องมีระยะมากกว่า 0)
+export const BUFFER_SELECT_MODES = [SPATIAL_SELECT_MODE.LINE, SPATIAL_SELECT_MODE.POINT, SPATIAL_SELECT_MODE.LAYER];
+
+export const DEFAULT_BUFFER_METERS = 20;
+export const MAX_BUFFER_METERS = 5000;
+
+// แปลงที่ซ้อนกับพื้นที่เลือกน้อยกว่านี้ถือว่าแค่แตะขอบ ไม่นับ (ตร.ม.)
+export const MIN_SELECT_OVERLAP_SQM = 0.1;
+
+const isPolygonal = (geometry) => geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon';
+
+const positionsOf = (geometry) => {
+  switch (geometry?.type) {
+    case 'Point': return [geometry.coordinates];
+    case 'MultiPoint':
+    case 'LineString': return geometry.coordinates || [];
+    case 'MultiLineString': return (geometry.coordinates || []).flat();
+    default: return [];
+  }
+};
+
+// ชื่อ field ที่มักใช้ตั้งชื่อโซน/พื้นที่ในชั้นข้อมูลอื่น
+const TITLE_KEYS = ['name', 'NAME', 'Name', 'zone', 'ZONE', 'Zone', 'zone_name', 'ZONE_NAME'];
+
+/** Name of a feature in another layer for picking it from a list. */
+export function featureTitle(properties, index) {
+  const key = TITLE_KEYS.find((k) => properties?.[k] !== undefined && properties[k] !== null && properties[k] !== '');
+  if (key) return String(properties[key]);
+  const code = getParcelCode(properties);
+  return code ? String(code) : `#${index + 1}`;
+}
+
+/**
+ * Area to select parcels with: a polygon as it is, or any geometry buffered
+ * by `meters` when a distance is given. Lines and points need a distance.
+ *
+ * @param {object} geometry - drawn or picked GeoJSON geometry
+ * @param {number} [meters]
+ * @returns {{ success: true, geometry: object } | { success: false, error: string }}
+ */
+export function selectionArea(geometry, meters = 0) {
+  if (!geometry) return { success: false, error: 'ไม่มีรูปสำหรับเลือกแปลง' };
+  const distance = Number(meters) || 0;
+  if (distance < 0 || distance > MAX_BUFFER_METERS) {
+    return { success: false, error: `ระยะต้องอยู่ระหว่าง 0–${MAX_BUFFER_METERS.toLocaleString('th-TH')} เมตร` };
+  }
+  if (distance === 0) {
+    if (isPolygonal(geometry)) return { success: true, geometry };
+    return { success: false, error: 'เส้นหรือจุดต้องกำหนดระยะมากกว่า 0 เมตร' };
+  }
+
+  let buffered = null;
+  try {
+    buffered = buffer({ type: 'Feature', properties: {}, geometry }, distance, { units: 'meters' });
+  } catch {
+    buffered = null;
+  }
+  if (!isPolygonal(buffered?.geometry)) return { success: false, error: 'สร้างพื้นที่รอบรูปไม่ได้ กรุณาวาดใหม่' };
+  return { success: true, geometry: buffered.geometry };
+}
+
+/**
+ * Features of a layer that fall in the selection area: polygons overlapping
+ * it by at least MIN_SELECT_OVERLAP_SQM (parcels that only touch its edge are
+ * left out), and points and lines with a vertex inside it.
+ *
+ * @param {object[]} features - features of the layer being selected from
+ * @param {object} areaGeometry - Polygon/MultiPolygon from selectionArea
+ * @returns {{ indexes: number[], codes: Array<string|number> }} indexes into
+ *   `features` and the distinct parcel codes among them
+ */
+export function selectFeatures(features, areaGeometry) {
+  const list = features || [];
+  const shape = { type: 'Feature', properties: {}, geometry: areaGeometry };
+  const [minX, minY, maxX, maxY] = bbox(shape);
+  const indexes = [];
+
+  list.forEach((feature, index) => {
+    const geometry = feature?.geometry;
+    if (!geometry) return;
+    let box = null;
+    try {
+      box = bbox(geometry);
+    } catch {
+      return;
+    }
+    if (box[0] > maxX || box[2] < minX || box[1] > maxY || box[3] < minY) return;
+
+    if (isPolygonal(geometry)) {
+      let overlap = null;
+      try {
+        overlap = intersect(featureCollection([shape, { type: 'Feature', properties: {}, geometry }]));
+      } catch {
+        return;
+      }
+      if (overlap && area(overlap) >= MIN_SELECT_OVERLAP_SQM) indexes.push(index);
+    } else if (positionsOf(geometry).some((p) => booleanPointInPolygon(p, shape))) {
+      indexes.push(index);
+    }
+  });
+
+  const codes = [...new Set(indexes.map((i) => getParcelCode(list[i].properties)).filter(Boolean))];
+  return { indexes, codes };
+}
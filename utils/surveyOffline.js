@@ -0,0 +1,168 @@
+/**
+ * Offline survey mode for the tax map (browser only)
+ * GeoJSON layers and the land-use snapshot are cached in IndexedDB. Land-use
+ * edits are queued per parcel with the time they were made and the parcel's
+ * server `updatedAt` at download time (`baseUpdatedAt`); the sync step sends
+ * them to /api/land-use, which answers 409 when the server copy changed in
+ * between. Those edits stay as conflicts until resolved per parcel.
+ */
+import { createIdbStore, isIndexedDbSupported } from './indexedDb';
+import { normalizeLandUse } from './landUse';
+
+const CACHE_STORE = 'cache';
+const EDIT_STORE = 'landUseEdits';
+const LAYERS_KEY = 'layers';
+const LAND_USE_KEY = 'landUse';
+
+const db = createIdbStore('smart-saard-survey', 1, { [CACHE_STORE]: null, [EDIT_STORE]: 'parcelCode' });
+
+export const EDIT_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+};
+
+export const isSurveyOfflineSupported = isIndexedDbSupported;
+
+/**
+ * @param {Array<{ name: string, data: object, color: string }>} layers
+ */
+export async function cacheSurveyLayers(layers) {
+  await db.put(CACHE_STORE, { layers, savedAt: new Date() }, LAYERS_KEY);
+}
+
+export async function getCachedSurveyLayers() {
+  return (await db.get(CACHE_STORE, LAYERS_KEY)) || null;
+}
+
+/**
+ * Last land-use state downloaded from (or confirmed by) the server
+ * @param {{ assignments: object, parcelUpdatedAt: object }} snapshot
+ */
+export async function cacheLandUseSnapshot({ assignments, parcelUpdatedAt }) {
+  await db.put(CACHE_STORE, { assignments, parcelUpdatedAt, savedAt: new Date() }, LAND_USE_KEY);
+}
+
+export async function getCachedLandUseSnapshot() {
+  return (await db.get(CACHE_STORE, LAND_USE_KEY)) || null;
+}
+
+/**
+ * Queued edits, oldest first
+ */
+export async function listLandUseEdits() {
+  if (!isSurveyOfflineSupported()) return [];
+  const edits = await db.getAll(EDIT_STORE);
+  return edits.sort((a, b) => new Date(a.editedAt) - new Date(b.editedAt));
+}
+
+/**
+ * Queue the latest land use of a parcel. A parcel edited several times keeps
+ * one entry with the newest value and the original `baseUpdatedAt`.
+ */
+export async function queueLandUseEdit(parcelCode, landUse, baseUpdatedAt) {
+  const existing = await db.get(EDIT_STORE, parcelCode);
+  const edit = {
+    parcelCode,
+    landUse: normalizeLandUse(landUse),
+    editedAt: new Date(),
+    baseUpdatedAt: existing ? existing.baseUpdatedAt : baseUpdatedAt ?? null,
+    status: existing?.status || EDIT_STATUS.PENDING,
+    server: existing?.server || null,
+  };
+  await db.put(EDIT_STORE, edit);
+  return edit;
+}
+
+export async function discardLandUseEdits(parcelCodes) {
+  await Promise.all(parcelCodes.map((code) => db.delete(EDIT_STORE, code)));
+}
+
+/**
+ * Overlay queued edits on a server snapshot so the map shows what the
+ * surveyor entered
+ */
+export function applyLandUseEdits(assignments, edits) {
+  const merged = { ...assignments };
+  edits.forEach((edit) => {
+    if (edit.landUse.types.length === 0) delete merged[edit.parcelCode];
+    else merged[edit.parcelCode] = edit.landUse;
+  });
+  return merged;
+}
+
+async function pushLandUseEdit(edit) {
+  const res = await fetch('/api/land-use', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      parcelCode: edit.parcelCode,
+      landUse: edit.landUse.types.length === 0 ? '' : edit.landUse,
+      baseUpdatedAt: edit.baseUpdatedAt,
+      editedAt: edit.editedAt,
+    }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.ok) return { status: 'saved', snapshot: { assignments: data.assignments, parcelUpdatedAt: data.parcelUpdatedAt } };
+  if (res.status === 409 && data.conflict) return { status: 'conflict', server: data.server };
+  return { status: 'failed', error: data.error || `HTTP ${res.status}` };
+}
+
+/**
+ * Send pending edits one by one. Stops at the first network error.
+ *
+ * @returns {Promise<{ saved: number, conflicts: number, failed: Array<{ parcelCode: string, error: string }>, offline: boolean, snapshot: object|null }>}
+ */
+export async function syncLandUseEdits() {
+  const result = { saved: 0, conflicts: 0, failed: [], offline: false, snapshot: null };
+  const edits = (await listLandUseEdits()).filter((edit) => edit.status === EDIT_STATUS.PENDING);
+
+  for (const edit of edits) {
+    let outcome;
+    try {
+      outcome = await pushLandUseEdit(edit);
+    } catch {
+      result.offline = true;
+      break;
+    }
+
+    if (outcome.status === 'saved') {
+      // แก้ไขซ้ำระหว่างส่ง → เก็บค่าใหม่ไว้ส่งรอบถัดไปโดยใช้เวลาบนเซิร์ฟเวอร์ล่าสุดเป็นฐาน
+      const current = await db.get(EDIT_STORE, edit.parcelCode);
+      if (current && new Date(current.editedAt) > new Date(edit.editedAt)) {
+        await db.put(EDIT_STORE, { ...current, baseUpdatedAt: outcome.snapshot.parcelUpdatedAt?.[edit.parcelCode] ?? null });
+      } else {
+        await db.delete(EDIT_STORE, edit.parcelCode);
+      }
+      result.saved += 1;
+      result.snapshot = outcome.snapshot;
+    } else if (outcome.status === 'conflict') {
+      await db.put(EDIT_STORE, { ...edit, status: EDIT_STATUS.CONFLICT, server: outcome.server });
+      result.conflicts += 1;
+    } else {
+      result.failed.push({ parcelCode: edit.parcelCode, error: outcome.error });
+    }
+  }
+  return result;
+}
+
+/**
+ * Settle a conflict: 'mine' re-queues the local value on top of the server
+ * version, 'server' drops the local edit.
+ *
+ * @returns {Promise<object|null>} the edit that was resolved
+ */
+export async function resolveLandUseConflict(parcelCode, choice) {
+  const edit = await db.get(EDIT_STORE, parcelCode);
+  if (!edit) return null;
+  if (choice === 'mine') {
+    await db.put(EDIT_STORE, {
+      ...edit,
+      status: EDIT_STATUS.PENDING,
+      baseUpdatedAt: edit.server?.updatedAt ?? null,
+      server: null,
+    });
+  } else {
+    await db.delete(EDIT_STORE, parcelCode);
+  }
+  return edit;
+}
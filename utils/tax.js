@@ -0,0 +1,220 @@
+/**
+ * Land and building tax estimate (ภาษีที่ดินและสิ่งปลูกสร้าง) from surveyed
+ * land use. Appraised value = area in square wah × appraisal price per
+ * square wah; tax = value taxed by the land-use type's rate brackets
+ * (ขั้นบันได: each bracket's rate applies only to the value inside it).
+ * Buildings are not valued here; the result is an estimate for planning.
+ */
+import { getBlockId, getParcelArea, getParcelCode, landUseAreaWah, normalizeLandUse } from './landUse';
+
+const MILLION = 1000000;
+
+/**
+ * Brackets per land-use key, `upTo` in baht (null = no upper limit), `rate`
+ * in percent per year. Defaults follow the rates in force for 2563 onwards;
+ * admins override them per key in /admin/tax-rates.
+ */
+export const DEFAULT_TAX_RATES = {
+  agriculture: [
+    { upTo: 75 * MILLION, rate: 0.01 },
+    { upTo: 100 * MILLION, rate: 0.03 },
+    { upTo: 500 * MILLION, rate: 0.05 },
+    { upTo: 1000 * MILLION, rate: 0.07 },
+    { upTo: null, rate: 0.1 },
+  ],
+  residential: [
+    { upTo: 50 * MILLION, rate: 0.02 },
+    { upTo: 75 * MILLION, rate: 0.03 },
+    { upTo: 100 * MILLION, rate: 0.05 },
+    { upTo: null, rate: 0.1 },
+  ],
+  commercial: [
+    { upTo: 50 * MILLION, rate: 0.3 },
+    { upTo: 200 * MILLION, rate: 0.4 },
+    { upTo: 1000 * MILLION, rate: 0.5 },
+    { upTo: 5000 * MILLION, rate: 0.6 },
+    { upTo: null, rate: 0.7 },
+  ],
+  industrial: [
+    { upTo: 50 * MILLION, rate: 0.3 },
+    { upTo: 200 * MILLION, rate: 0.4 },
+    { upTo: 1000 * MILLION, rate: 0.5 },
+    { upTo: 5000 * MILLION, rate: 0.6 },
+    { upTo: null, rate: 0.7 },
+  ],
+  // ทรัพย์สินของรัฐและศาสนสถานได้รับยกเว้น
+  government: [{ upTo: null, rate: 0 }],
+  religious: [{ upTo: null, rate: 0 }],
+  vacant: [
+    { upTo: 50 * MILLION, rate: 0.3 },
+    { upTo: 200 * MILLION, rate: 0.4 },
+    { upTo: 1000 * MILLION, rate: 0.5 },
+    { upTo: 5000 * MILLION, rate: 0.6 },
+    { upTo: null, rate: 0.7 },
+  ],
+  other: [
+    { upTo: 50 * MILLION, rate: 0.3 },
+    { upTo: 200 * MILLION, rate: 0.4 },
+    { upTo: 1000 * MILLION, rate: 0.5 },
+    { upTo: 5000 * MILLION, rate: 0.6 },
+    { upTo: null, rate: 0.7 },
+  ],
+};
+
+/** Where a parcel's price per square wah came from */
+export const APPRAISAL_SOURCE = {
+  PARCEL: 'parcel', // field ในชั้นข้อมูลแปลง
+  BLOCK: 'block', // ราคาต่อ block_id
+  DEFAULT: 'default', // ราคากลางของพื้นที่
+};
+
+export const APPRAISAL_SOURCE_LABELS = {
+  [APPRAISAL_SOURCE.PARCEL]: 'ราคาประเมินรายแปลง',
+  [APPRAISAL_SOURCE.BLOCK]: 'ราคาประเมินตาม block',
+  [APPRAISAL_SOURCE.DEFAULT]: 'ราคากลาง',
+};
+
+export const DEFAULT_APPRAISAL = {
+  priceField: 'price_wah', // field ราคาประเมิน (บาท/ตร.วา) ในชั้นข้อมูลแปลง
+  blockPrices: {}, // { [block_id]: บาท/ตร.วา }
+  defaultPricePerWah: 0,
+};
+
+const isNonNegative = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+
+/**
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateTaxBrackets(brackets) {
+  if (!Array.isArray(brackets) || brackets.length === 0) return { valid: false, error: 'ต้องมีอัตราภาษีอย่างน้อย 1 ขั้น' };
+  for (let i = 0; i < brackets.length; i++) {
+    const { upTo, rate } = brackets[i] || {};
+    const last = i === brackets.length - 1;
+    if (!isNonNegative(rate) || rate > 100) return { valid: false, error: `ขั้นที่ ${i + 1}: อัตราภาษีต้องอยู่ระหว่าง 0–100%` };
+    if (last && upTo != null) return { valid: false, error: 'ขั้นสุดท้ายต้องไม่มีเพดานมูลค่า' };
+    if (!last && (!isNonNegative(upTo) || upTo <= 0)) return { valid: false, error: `ขั้นที่ ${i + 1}: กรุณาระบุเพดานมูลค่า` };
+    if (!last && i > 0 && upTo <= brackets[i - 1].upTo) return { valid: false, error: `ขั้นที่ ${i + 1}: เพดานมูลค่าต้องมากกว่าขั้นก่อนหน้า` };
+  }
+  return { valid: true };
+}
+
+/**
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateAppraisal(appraisal) {
+  if (typeof appraisal?.priceField !== 'string') return { valid: false, error: 'priceField must be a string' };
+  if (!isNonNegative(appraisal.defaultPricePerWah)) return { valid: false, error: 'ราคากลางต้องเป็นตัวเลขไม่ติดลบ' };
+  const prices = appraisal.blockPrices;
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) return { valid: false, error: 'blockPrices must be an object' };
+  const bad = Object.entries(prices).find(([, price]) => !isNonNegative(price));
+  if (bad) return { valid: false, error: `ราคาประเมินของ block ${bad[0]} ไม่ถูกต้อง` };
+  return { valid: true };
+}
+
+/**
+ * Tax on `value` baht, each bracket's rate applied to the part inside it
+ */
+export function bracketTax(value, brackets) {
+  let tax = 0;
+  let lower = 0;
+  for (const { upTo, rate } of brackets) {
+    if (value <= lower) break;
+    const top = upTo == null ? value : Math.min(value, upTo);
+    tax += ((top - lower) * rate) / 100;
+    if (upTo == null) break;
+    lower = upTo;
+  }
+  return tax;
+}
+
+/**
+ * Price per square wah of a parcel: its own field, then its block, then the
+ * default price.
+ */
+export function resolveAppraisal(props, appraisal = DEFAULT_APPRAISAL) {
+  const own = Number(appraisal.priceField ? props?.[appraisal.priceField] : NaN);
+  if (Number.isFinite(own) && own > 0) return { pricePerWah: own, source: APPRAISAL_SOURCE.PARCEL };
+
+  const blockId = getBlockId(props);
+  const blockPrice = blockId != null ? Number(appraisal.blockPrices?.[String(blockId)]) : NaN;
+  if (Number.isFinite(blockPrice) && blockPrice > 0) return { pricePerWah: blockPrice, source: APPRAISAL_SOURCE.BLOCK };
+
+  if (appraisal.defaultPricePerWah > 0) return { pricePerWah: appraisal.defaultPricePerWah, source: APPRAISAL_SOURCE.DEFAULT };
+  return { pricePerWah: 0, source: null };
+}
+
+/**
+ * Estimated tax of one parcel feature.
+ *
+ * @param {object} props - feature properties
+ * @param {object} landUse - assignment { types, areas }
+ * @param {{ rates: object, appraisal: object }} [config] - rate brackets per key, appraisal source (defaults when omitted)
+ * @returns {{ parcelCode, blockId, pricePerWah, priceSource, totalWah, value, tax, lines: object[], missing: string|null }}
+ *   `missing` says why no tax could be estimated
+ */
+export function calculateParcelTax(props, landUse, config) {
+  const { rates = DEFAULT_TAX_RATES, appraisal = DEFAULT_APPRAISAL } = config || {};
+  const { types } = normalizeLandUse(landUse);
+  const { pricePerWah, source } = resolveAppraisal(props, appraisal);
+  const areaWah = landUseAreaWah(landUse, getParcelArea(props));
+
+  const lines = types
+    .filter((key) => areaWah[key] > 0)
+    .map((key) => {
+      const wah = areaWah[key];
+      const value = wah * pricePerWah;
+      const brackets = rates[key] || DEFAULT_TAX_RATES[key] || DEFAULT_TAX_RATES.other;
+      return { type: key, wah, value, tax: bracketTax(value, brackets) };
+    });
+
+  let missing = null;
+  if (types.length === 0) missing = 'ยังไม่สำรวจการใช้ที่ดิน';
+  else if (lines.length === 0) missing = 'ไม่มีเนื้อที่';
+  else if (!source) missing = 'ไม่มีราคาประเมิน';
+
+  return {
+    parcelCode: getParcelCode(props),
+    blockId: getBlockId(props) ?? null,
+    pricePerWah,
+    priceSource: source,
+    totalWah: lines.reduce((sum, l) => sum + l.wah, 0),
+    value: lines.reduce((sum, l) => sum + l.value, 0),
+    tax: lines.reduce((sum, l) => sum + l.tax, 0),
+    lines,
+    missing,
+  };
+}
+
+/**
+ * Per-parcel results of every feature with a parcel code, and their totals
+ * per block_id (parcels without one are grouped under '-').
+ */
+export function buildTaxReport(features, assignments, config) {
+  const parcels = features
+    .filter((f) => getParcelCode(f?.properties))
+    .map((f) => calculateParcelTax(f.properties, assignments[getParcelCode(f.properties)], config));
+
+  const byBlock = {};
+  parcels.forEach((p) => {
+    const key = p.blockId == null || p.blockId === '' ? '-' : String(p.blockId);
+    const block = byBlock[key] || (byBlock[key] = { blockId: key, parcels: 0, estimated: 0, totalWah: 0, value: 0, tax: 0, byType: {} });
+    block.parcels += 1;
+    if (p.missing) return;
+    block.estimated += 1;
+    block.totalWah += p.totalWah;
+    block.value += p.value;
+    block.tax += p.tax;
+    p.lines.forEach((l) => { block.byType[l.type] = (block.byType[l.type] || 0) + l.tax; });
+  });
+
+  const blocks = Object.values(byBlock).sort((a, b) => a.blockId.localeCompare(b.blockId, 'th', { numeric: true }));
+  const total = blocks.reduce(
+    (sum, b) => ({ parcels: sum.parcels + b.parcels, estimated: sum.estimated + b.estimated, value: sum.value + b.value, tax: sum.tax + b.tax }),
+    { parcels: 0, estimated: 0, value: 0, tax: 0 }
+  );
+  return { parcels, blocks, total };
+}
+
+export const formatBaht = (n) =>
+  Number(n || 0).toLocaleString('th-TH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
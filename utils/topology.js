@@ -0,0 +1,251 @@
+/**
+ * Topology checks of parcel layers: invalid rings, overlapping parcels,
+ * gaps between parcels of the same block, duplicate or missing parcel codes
+ * and noisy Z values. Areas are in m² (WGS 84 lng/lat input, as stored).
+ */
+import area from '@turf/area';
+import bbox from '@turf/bbox';
+import geojsonRbush from '@turf/geojson-rbush';
+import { featureCollection } from '@turf/helpers';
+import intersect from '@turf/intersect';
+import kinks from '@turf/kinks';
+import union from '@turf/union';
+import { getBlockId, getParcelCode } from './landUse';
+
+export const TOPOLOGY_ISSUE = {
+  INVALID_RING: 'invalid_ring',
+  OVERLAP: 'overlap',
+  GAP: 'gap',
+  SLIVER: 'sliver',
+  DUPLICATE_CODE: 'duplicate_code',
+  MISSING_CODE: 'missing_code',
+  Z_NOISE: 'z_noise',
+};
+
+export const TOPOLOGY_ISSUE_LABELS = {
+  [TOPOLOGY_ISSUE.INVALID_RING]: 'รูปแปลงไม่ถูกต้อง',
+  [TOPOLOGY_ISSUE.OVERLAP]: 'แปลงซ้อนทับ',
+  [TOPOLOGY_ISSUE.GAP]: 'ช่องว่างในบล็อก',
+  [TOPOLOGY_ISSUE.SLIVER]: 'เศษแปลง (sliver)',
+  [TOPOLOGY_ISSUE.DUPLICATE_CODE]: 'รหัสแปลงซ้ำ',
+  [TOPOLOGY_ISSUE.MISSING_CODE]: 'ไม่มีรหัสแปลง',
+  [TOPOLOGY_ISSUE.Z_NOISE]: 'ค่า Z ไม่สม่ำเสมอ',
+};
+
+export const TOPOLOGY_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+export const DEFAULT_TOPOLOGY_OPTIONS = {
+  // ซ้อนทับ/ช่องว่างที่เล็กกว่านี้ถือเป็นความคลาดเคลื่อนของตัวเลข ไม่รายงาน (ตร.ม.)
+  minArea: 0.1,
+  // ซ้อนทับ/ช่องว่างที่เล็กกว่านี้รายงานเป็นเศษแปลง (ตร.ม.)
+  sliverArea: 5,
+  // ค่า Z ในแปลงเดียวกันต่างกันเกินนี้ถือว่ามีสัญญาณรบกวน (เมตร)
+  zTolerance: 0.5,
+};
+
+// จำนวนรายการสูงสุดที่ส่งกลับ (สรุปยังนับครบทุกรายการ)
+export const MAX_TOPOLOGY_ISSUES = 500;
+
+const isPolygonal = (geometry) => geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon';
+
+const polygonsOf = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates || []);
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const mergeBBox = (boxes) => [
+  Math.min(...boxes.map((b) => b[0])),
+  Math.min(...boxes.map((b) => b[1])),
+  Math.max(...boxes.map((b) => b[2])),
+  Math.max(...boxes.map((b) => b[3])),
+];
+
+const formatSqm = (sqm) => `${sqm.toLocaleString('th-TH', { maximumFractionDigits: sqm < 10 ? 2 : 0 })} ตร.ม.`;
+
+/**
+ * Problems of one polygon's rings (none when valid) and its self-intersection
+ * points. Kinks are only looked for once every ring is closed and long enough.
+ */
+function ringProblems(geometry) {
+  const problems = [];
+  polygonsOf(geometry).forEach((rings) => {
+    (rings || []).forEach((ring, r) => {
+      const name = r === 0 ? 'ขอบนอก' : `รูที่ ${r}`;
+      if (!Array.isArray(ring) || ring.length < 4) problems.push(`${name}มีจุดไม่ถึง 4 จุด`);
+      else if (!samePosition(ring[0], ring[ring.length - 1])) problems.push(`${name}ไม่ปิดวง`);
+    });
+  });
+  if (problems.length > 0) return { problems, kinks: null };
+
+  if (area(geometry) <= 0) problems.push('พื้นที่เป็นศูนย์');
+  let points = null;
+  try {
+    points = kinks(geometry).features;
+    if (points.length > 0) problems.push(`เส้นขอบตัดกันเอง ${points.length} จุด`);
+  } catch {
+    problems.push('ตรวจเส้นขอบไม่ได้');
+  }
+  return { problems, kinks: points };
+}
+
+const zRange = (geometry) => {
+  let min = Infinity;
+  let max = -Infinity;
+  polygonsOf(geometry).flat().flat().forEach((p) => {
+    if (p.length > 2 && Number.isFinite(p[2])) {
+      min = Math.min(min, p[2]);
+      max = Math.max(max, p[2]);
+    }
+  });
+  return max >= min ? max - min : null;
+};
+
+/**
+ * Validate the polygons of a parcel layer. Each issue names the features it
+ * concerns (`featureIndexes` into `data.features`, `parcelCodes`), a
+ * [west, south, east, north] `bbox` to zoom to and, for overlaps, gaps and
+ * kinks, the problem `geometry` itself.
+ *
+ * @param {object} data - FeatureCollection in WGS 84
+ * @param {Partial<typeof DEFAULT_TOPOLOGY_OPTIONS>} [options]
+ * @returns {{ issues: object[], truncated: boolean, summary: { featureCount: number, polygonCount: number, errors: number, warnings: number, byType: Record<string, number> } }}
+ */
+export function validateLayerTopology(data, options = {}) {
+  const { minArea, sliverArea, zTolerance } = { ...DEFAULT_TOPOLOGY_OPTIONS, ...options };
+  const features = data?.features || [];
+  const issues = [];
+
+  const parcels = [];
+  features.forEach((feature, index) => {
+    if (isPolygonal(feature?.geometry)) parcels.push({ feature, index, code: getParcelCode(feature.properties) });
+  });
+
+  const add = (type, severity, message, items, extra = {}) => issues.push({
+    type,
+    severity,
+    message,
+    parcelCodes: items.map((p) => p.code).filter(Boolean),
+    featureIndexes: items.map((p) => p.index),
+    bbox: extra.geometry ? bbox(extra.geometry) : mergeBBox(items.map((p) => p.bbox)),
+    ...extra,
+  });
+
+  // รูปแปลง — แปลงที่ไม่ถูกต้องจะไม่นำไปตรวจซ้อนทับ/ช่องว่าง
+  parcels.forEach((p) => {
+    p.bbox = bbox(p.feature.geometry);
+    const { problems, kinks: points } = ringProblems(p.feature.geometry);
+    p.valid = problems.length === 0;
+    if (!p.valid) {
+      const geometry = points?.length ? { type: 'MultiPoint', coordinates: points.map((pt) => pt.geometry.coordinates) } : undefined;
+      add(TOPOLOGY_ISSUE.INVALID_RING, TOPOLOGY_SEVERITY.ERROR, problems.join(', '), [p], geometry ? { geometry, bbox: p.bbox } : {});
+    }
+  });
+
+  // รหัสแปลง
+  const byCode = new Map();
+  parcels.forEach((p) => {
+    if (!p.code) {
+      add(TOPOLOGY_ISSUE.MISSING_CODE, TOPOLOGY_SEVERITY.WARNING, `แปลงลำดับที่ ${p.index + 1} ไม่มีรหัสแปลง`, [p]);
+      return;
+    }
+    const key = String(p.code).trim();
+    byCode.set(key, [...(byCode.get(key) || []), p]);
+  });
+  byCode.forEach((items, code) => {
+    if (items.length > 1) add(TOPOLOGY_ISSUE.DUPLICATE_CODE, TOPOLOGY_SEVERITY.ERROR, `รหัส ${code} ซ้ำกัน ${items.length} แปลง`, items);
+  });
+
+  // ซ้อนทับ — คัดคู่ที่กรอบสี่เหลี่ยมซ้อนกันด้วย R-tree ก่อนหาส่วนตัดจริง
+  const valid = parcels.filter((p) => p.valid);
+  const tree = geojsonRbush();
+  tree.load(featureCollection(valid.map((p, i) => ({ ...p.feature, properties: { i } }))));
+  valid.forEach((a, i) => {
+    tree.search(a.feature).features.forEach((candidate) => {
+      const j = candidate.properties.i;
+      if (j <= i) return;
+      const b = valid[j];
+      let overlap = null;
+      try {
+        overlap = intersect(featureCollection([a.feature, b.feature]));
+      } catch {
+        return;
+      }
+      const sqm = overlap ? area(overlap) : 0;
+      if (sqm < minArea) return;
+      const sliver = sqm < sliverArea;
+      add(
+        sliver ? TOPOLOGY_ISSUE.SLIVER : TOPOLOGY_ISSUE.OVERLAP,
+        sliver ? TOPOLOGY_SEVERITY.WARNING : TOPOLOGY_SEVERITY.ERROR,
+        `${sliver ? 'เหลื่อมกันเล็กน้อย' : 'ซ้อนทับกัน'} ${formatSqm(sqm)}`,
+        [a, b],
+        { geometry: overlap.geometry, area: sqm }
+      );
+    });
+  });
+
+  // ช่องว่าง — รูภายในของผลรวมแปลงในบล็อกเดียวกัน
+  const byBlock = new Map();
+  valid.forEach((p) => {
+    const blockId = getBlockId(p.feature.properties);
+    if (blockId === undefined || blockId === null || blockId === '') return;
+    byBlock.set(String(blockId), [...(byBlock.get(String(blockId)) || []), p]);
+  });
+  byBlock.forEach((items, blockId) => {
+    if (items.length < 2) return;
+    let merged = null;
+    try {
+      merged = union(featureCollection(items.map((p) => p.feature)));
+    } catch {
+      return;
+    }
+    if (!merged) return;
+    polygonsOf(merged.geometry).forEach((rings) => {
+      rings.slice(1).forEach((hole) => {
+        const geometry = { type: 'Polygon', coordinates: [hole] };
+        const sqm = area(geometry);
+        if (sqm < minArea) return;
+        const holeBox = bbox(geometry);
+        const around = items.filter((p) => p.bbox[0] <= holeBox[2] && p.bbox[2] >= holeBox[0] && p.bbox[1] <= holeBox[3] && p.bbox[3] >= holeBox[1]);
+        const sliver = sqm < sliverArea;
+        add(
+          sliver ? TOPOLOGY_ISSUE.SLIVER : TOPOLOGY_ISSUE.GAP,
+          TOPOLOGY_SEVERITY.WARNING,
+          `${sliver ? 'ช่องว่างเล็กน้อย' : 'ช่องว่าง'} ${formatSqm(sqm)} ในบล็อก ${blockId}`,
+          around,
+          { geometry, area: sqm, blockId }
+        );
+      });
+    });
+  });
+
+  // ค่า Z
+  parcels.forEach((p) => {
+    const range = zRange(p.feature.geometry);
+    if (range !== null && range > zTolerance) {
+      add(TOPOLOGY_ISSUE.Z_NOISE, TOPOLOGY_SEVERITY.WARNING, `ค่า Z ต่างกัน ${range.toFixed(2)} ม. ภายในแปลง`, [p]);
+    }
+  });
+
+  const byType = Object.fromEntries(Object.values(TOPOLOGY_ISSUE).map((type) => [type, 0]));
+  issues.forEach((issue) => { byType[issue.type] += 1; });
+  const errors = issues.filter((issue) => issue.severity === TOPOLOGY_SEVERITY.ERROR).length;
+
+  // ข้อผิดพลาดก่อนคำเตือน แล้วเรียงตามลำดับแปลง
+  issues.sort((a, b) =>
+    (a.severity === b.severity ? 0 : a.severity === TOPOLOGY_SEVERITY.ERROR ? -1 : 1)
+    || (a.featureIndexes[0] ?? Infinity) - (b.featureIndexes[0] ?? Infinity));
+
+  return {
+    issues: issues.slice(0, MAX_TOPOLOGY_ISSUES),
+    truncated: issues.length > MAX_TOPOLOGY_ISSUES,
+    summary: {
+      featureCount: features.length,
+      polygonCount: parcels.length,
+      errors,
+      warnings: issues.length - errors,
+      byType,
+    },
+  };
+}
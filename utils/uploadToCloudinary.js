@@ -18,7 +18,7 @@ export async function uploadToCloudinary(file) {
 }
 
 // ฟังก์ชันช่วยปรับขนาดภาพก่อนอัปโหลด
-function resizeImage(file, maxWidth = 1024, maxHeight = 1024) {
+export function resizeImage(file, maxWidth = 1024, maxHeight = 1024) {
   return new Promise((resolve) => {
     const img = new Image();
     img.onload = function () {
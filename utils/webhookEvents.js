@@ -0,0 +1,68 @@
+/**
+ * Outbound webhook event types and signature headers
+ */
+
+export const WEBHOOK_EVENTS = {
+  COMPLAINT_CREATED: 'complaint.created',
+  STATUS_CHANGED: 'status.changed',
+  ASSIGNMENT_CREATED: 'assignment.created',
+  ASSIGNMENT_COMPLETED: 'assignment.completed',
+  SATISFACTION_SUBMITTED: 'satisfaction.submitted',
+};
+
+/** Sent only by the "ทดสอบ" button, never subscribed to */
+export const WEBHOOK_PING_EVENT = 'webhook.ping';
+
+export const WEBHOOK_EVENT_META = {
+  [WEBHOOK_EVENTS.COMPLAINT_CREATED]: { text: 'มีเรื่องร้องเรียนใหม่' },
+  [WEBHOOK_EVENTS.STATUS_CHANGED]: { text: 'เปลี่ยนสถานะเรื่อง' },
+  [WEBHOOK_EVENTS.ASSIGNMENT_CREATED]: { text: 'มอบหมายเจ้าหน้าที่' },
+  [WEBHOOK_EVENTS.ASSIGNMENT_COMPLETED]: { text: 'เจ้าหน้าที่ดำเนินการเสร็จ' },
+  [WEBHOOK_EVENTS.SATISFACTION_SUBMITTED]: { text: 'ประเมินความพึงพอใจ' },
+};
+
+export const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCESS: 'success',
+  FAILED: 'failed', // ครบจำนวนครั้งที่ลองส่งแล้ว
+};
+
+export const WEBHOOK_HEADERS = {
+  EVENT: 'x-smart-saard-event',
+  DELIVERY: 'x-smart-saard-delivery',
+  TIMESTAMP: 'x-smart-saard-timestamp',
+  // "sha256=<hex>" ของ HMAC-SHA256(secret, `${timestamp}.${rawBody}`)
+  SIGNATURE: 'x-smart-saard-signature',
+};
+
+export function isValidWebhookEvent(event) {
+  return Object.values(WEBHOOK_EVENTS).includes(event);
+}
+
+/**
+ * Validate registry fields from the admin form
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateWebhook({ name, url, events }) {
+  if (!name || !String(name).trim()) {
+    return { valid: false, error: 'กรุณาระบุชื่อ webhook' };
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, error: 'URL ไม่ถูกต้อง' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { valid: false, error: 'URL ต้องขึ้นต้นด้วย http:// หรือ https://' };
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return { valid: false, error: 'กรุณาเลือกอย่างน้อยหนึ่งเหตุการณ์' };
+  }
+  const unknown = events.find((e) => !isValidWebhookEvent(e));
+  if (unknown) {
+    return { valid: false, error: `Invalid event: ${unknown}` };
+  }
+  return { valid: true };
+}